@@ -0,0 +1,158 @@
+/**
+ * CalDAV client
+ * Pushes events as ICS resources into a calendar collection on a CalDAV
+ * server (Nextcloud, Radicale, Fastmail, iCloud with an app password).
+ * Each event is one resource, "<slug>.ics", written with generateICS so it
+ * carries the same UID and SEQUENCE as a downloaded ICS file.
+ *
+ * ETags guard against overwriting changes made on the server: updates and
+ * deletes send If-Match with the ETag of the last write, new resources
+ * send If-None-Match: * so an existing one is never replaced by accident.
+ */
+
+const { generateICS } = require('./utils/icsGenerator');
+
+/**
+ * Builds the Authorization header for HTTP Basic auth
+ * @param {string} username
+ * @param {string} password
+ * @returns {string|null} Header value, or null without a username
+ */
+function basicAuth(username, password) {
+  if (!username) return null;
+
+  // btoa only takes Latin-1; turn the credentials into UTF-8 bytes first
+  const utf8 = encodeURIComponent(`${username}:${password || ''}`)
+    .replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return `Basic ${btoa(utf8)}`;
+}
+
+/**
+ * Builds the error thrown for a failed CalDAV response
+ * @param {Response} response - Fetch response
+ * @param {string} action - What was attempted, e.g. "Saving the event"
+ * @returns {Error} Error with the HTTP status as `status`
+ */
+function createCalDavError(response, action) {
+  let message;
+  if (response.status === 412) {
+    message = `${action} failed: the event was changed on the server`;
+  } else if (response.status === 401 || response.status === 403) {
+    message = `${action} failed: check the CalDAV username and password`;
+  } else {
+    message = `${action} failed (${response.status})`;
+  }
+
+  const error = new Error(message);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * Creates a CalDAV client for one calendar collection
+ *
+ * @param {Object} options
+ * @param {string} options.collectionUrl - Calendar collection URL, e.g.
+ *   "http://localhost:5232/user/calendar/"
+ * @param {string} [options.username] - Basic auth username
+ * @param {string} [options.password] - Basic auth password (an app password for iCloud/Fastmail)
+ * @param {Object} [options.icsOptions] - Options for generateICS (timeZone)
+ * @param {Function} [options.fetchImpl] - fetch implementation (for testing)
+ * @returns {{ insertEvent: Function, updateEvent: Function, deleteEvent: Function, verifyCollection: Function }}
+ */
+function createCalDavClient(options) {
+  if (!options || !options.collectionUrl) {
+    throw new Error('Set the CalDAV calendar URL first');
+  }
+
+  const collectionUrl = options.collectionUrl.replace(/\/*$/, '/');
+  const fetchImpl = options.fetchImpl || ((...args) => fetch(...args));
+  const authorization = basicAuth(options.username, options.password);
+
+  /**
+   * Sends a request with the credentials
+   * @param {string} url - Resource URL
+   * @param {string} method - HTTP method
+   * @param {Object} [headers] - Extra headers
+   * @param {string} [body] - Request body
+   * @returns {Promise<Response>}
+   */
+  function send(url, method, headers = {}, body) {
+    const allHeaders = { ...headers };
+    if (authorization) allHeaders.Authorization = authorization;
+    return fetchImpl(url, { method, headers: allHeaders, body });
+  }
+
+  /**
+   * Writes an event resource
+   * @param {string} href - Resource URL
+   * @param {Object} event - Export-ready event
+   * @param {Object} precondition - If-Match or If-None-Match header
+   * @returns {Promise<{ id: string, etag: string|null }>}
+   */
+  async function put(href, event, precondition) {
+    const response = await send(href, 'PUT', {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      ...precondition
+    }, generateICS(event, options.icsOptions));
+
+    if (!response.ok) throw createCalDavError(response, 'Saving the event');
+
+    // Servers that rewrite the resource (e.g. to add fields) may leave the ETag out
+    return { id: href, etag: response.headers.get('ETag') };
+  }
+
+  return {
+    /**
+     * Creates an event resource named after its slug
+     * @param {Object} event - Export-ready event
+     * @returns {Promise<{ id: string, etag: string|null }>} id is the resource href
+     */
+    insertEvent(event) {
+      const href = new URL(`${encodeURIComponent(event.slug)}.ics`, collectionUrl).href;
+      return put(href, event, { 'If-None-Match': '*' });
+    },
+
+    /**
+     * Replaces an event resource, unless it changed on the server since
+     * @param {string} href - Resource href from insertEvent
+     * @param {Object} event - Export-ready event
+     * @param {string|null} [etag] - ETag of the last write
+     * @returns {Promise<{ id: string, etag: string|null }>}
+     */
+    updateEvent(href, event, etag) {
+      return put(href, event, etag ? { 'If-Match': etag } : {});
+    },
+
+    /**
+     * Deletes an event resource. Resources that are already gone count as deleted.
+     * @param {string} href - Resource href from insertEvent
+     * @param {string|null} [etag] - ETag of the last write
+     * @returns {Promise<void>}
+     */
+    async deleteEvent(href, etag) {
+      const response = await send(href, 'DELETE', etag ? { 'If-Match': etag } : {});
+      if (!response.ok && response.status !== 404) {
+        throw createCalDavError(response, 'Deleting the event');
+      }
+    },
+
+    /**
+     * Checks that the URL points at a calendar collection the credentials can read
+     * @returns {Promise<boolean>}
+     */
+    async verifyCollection() {
+      const response = await send(collectionUrl, 'PROPFIND', {
+        Depth: '0',
+        'Content-Type': 'application/xml; charset=utf-8'
+      }, '<?xml version="1.0" encoding="utf-8"?><d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/></d:prop></d:propfind>');
+
+      if (!response.ok) throw createCalDavError(response, 'Connecting to the calendar');
+      return /<[^>]*:?calendar[\s/>]/i.test(await response.text());
+    }
+  };
+}
+
+module.exports = {
+  createCalDavClient
+};
@@ -1,10 +1,79 @@
 /**
  * Content Script for Circle.so Calendar Exporter
- * Runs on community.dynamous.ai/c/live-events
+ * Runs on every community.dynamous.ai page: Circle is a single-page app, so
+ * members can reach live events without a full page load. The script stays
+ * idle until the popup asks it to scan.
  * Handles DOM scraping and message passing with popup
  */
 
-const { scrapeEvents } = require('./scraper');
+const { scrapeEventsWithDiagnostics } = require('./scraper');
+const { fetchEventDetails } = require('./detailScraper');
+const { runFullScan } = require('./fullScan');
+const { LIVE_EVENTS_PORT, createLiveScanner } = require('./liveScanner');
+
+// Detail pages fetched at the same time, across all requests, to stay
+// gentle on Circle
+const MAX_CONCURRENT_DETAIL_FETCHES = 2;
+
+// Fetches running now, and the ones waiting for a free slot
+let activeDetailFetches = 0;
+const queuedDetailFetches = [];
+
+/**
+ * Runs a fetch once fewer than MAX_CONCURRENT_DETAIL_FETCHES are running
+ * @param {Function} fetchTask - Starts the fetch and returns its promise
+ * @returns {Promise<*>} Settles like the fetch
+ */
+function limitDetailFetch(fetchTask) {
+  return new Promise((resolve, reject) => {
+    const run = () => {
+      activeDetailFetches++;
+      fetchTask()
+        .then(resolve, reject)
+        .finally(() => {
+          activeDetailFetches--;
+          const next = queuedDetailFetches.shift();
+          if (next) next();
+        });
+    };
+
+    if (activeDetailFetches < MAX_CONCURRENT_DETAIL_FETCHES) {
+      run();
+    } else {
+      queuedDetailFetches.push(run);
+    }
+  });
+}
+
+/**
+ * Fetches detail pages, a few at a time, and collects their details keyed
+ * by URL. Pages that fail are left out.
+ * @param {Array<string>} urls - Event page URLs
+ * @returns {Promise<Object>} Map of URL to event details
+ */
+async function scrapeEventDetails(urls) {
+  const details = {};
+
+  await Promise.all(urls.map(url => limitDetailFetch(() => fetchEventDetails(url))
+    .then(pageDetails => {
+      details[url] = pageDetails;
+    })
+    .catch(() => {})));
+
+  return details;
+}
+
+/**
+ * Sends full scan progress to the popup. The popup may have been closed
+ * mid-scan, so delivery failures are ignored.
+ * @param {{ round: number, found: number }} progress
+ */
+function reportScanProgress(progress) {
+  chrome.runtime.sendMessage({ action: 'scanProgress', ...progress }, () => {
+    // Reading lastError keeps Chrome from logging "no receiving end"
+    void chrome.runtime.lastError;
+  });
+}
 
 /**
  * Message handler for communication with popup
@@ -12,10 +81,11 @@ const { scrapeEvents } = require('./scraper');
 function handleMessage(message, sender, sendResponse) {
   if (message.action === 'scanEvents') {
     try {
-      const events = scrapeEvents();
+      const { events, diagnostics } = scrapeEventsWithDiagnostics();
       sendResponse({
         success: true,
-        events: events
+        events: events,
+        diagnostics
       });
     } catch (error) {
       sendResponse({
@@ -23,6 +93,29 @@ function handleMessage(message, sender, sendResponse) {
         error: error.message
       });
     }
+  } else if (message.action === 'fullScan') {
+    runFullScan({ ...message.options, onProgress: reportScanProgress })
+      .then(({ events, complete }) => {
+        sendResponse({
+          success: true,
+          events,
+          complete,
+          diagnostics: scrapeEventsWithDiagnostics().diagnostics
+        });
+      })
+      .catch(error => {
+        sendResponse({
+          success: false,
+          error: error.message
+        });
+      });
+  } else if (message.action === 'scrapeEventDetails') {
+    scrapeEventDetails(message.urls || []).then(details => {
+      sendResponse({
+        success: true,
+        details
+      });
+    });
   } else {
     sendResponse({
       success: false,
@@ -34,7 +127,30 @@ function handleMessage(message, sender, sendResponse) {
   return true;
 }
 
-// Register message listener
+/**
+ * Connection handler for the popup's live updates port. While the popup
+ * is open the page is watched and every change is pushed as a diff, along
+ * with a warning when the events can no longer be found.
+ * @param {chrome.runtime.Port} port - Port opened by the popup
+ */
+function handleConnect(port) {
+  if (port.name !== LIVE_EVENTS_PORT) return;
+
+  const scanner = createLiveScanner({
+    onDiff: (diff) => {
+      port.postMessage({ action: 'eventsDiff', ...diff });
+    },
+    onLayoutChanged: () => {
+      port.postMessage({ action: 'layoutChanged' });
+    }
+  });
+
+  scanner.start();
+  port.onDisconnect.addListener(() => scanner.stop());
+}
+
+// Register message and port listeners
 chrome.runtime.onMessage.addListener(handleMessage);
+chrome.runtime.onConnect.addListener(handleConnect);
 
-module.exports = { handleMessage };
+module.exports = { handleMessage, handleConnect };
@@ -0,0 +1,218 @@
+/**
+ * Circle.so Event Detail Page Scraper
+ * Extracts the description, hosts, meeting link and exact start/end times
+ * from an event page (community.dynamous.ai/c/live-events/<slug>)
+ */
+
+/**
+ * Hostnames of video meeting services that count as a meeting link
+ */
+const MEETING_HOSTS = [
+  'zoom.us',
+  'meet.google.com',
+  'teams.microsoft.com',
+  'teams.live.com',
+  'whereby.com',
+  'riverside.fm',
+  'streamyard.com',
+  'youtube.com',
+  'youtu.be'
+];
+
+/**
+ * Block-level tags that start a new line when flattening HTML to text
+ */
+const BLOCK_TAGS = new Set(['P', 'DIV', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'BLOCKQUOTE']);
+
+/**
+ * Flattens an element's content to plain text, keeping paragraph and
+ * line breaks (textContent alone would run paragraphs together)
+ * @param {Element} element - Element to flatten
+ * @returns {string} Plain text
+ */
+function elementToText(element) {
+  let text = '';
+
+  element.childNodes.forEach(node => {
+    if (node.nodeType === 3) { // Text node
+      text += node.textContent.replace(/\s+/g, ' ');
+    } else if (node.nodeType === 1) { // Element node
+      if (node.tagName === 'BR') {
+        text += '\n';
+      } else if (node.tagName === 'LI') {
+        text += `\n• ${elementToText(node).trim()}\n`;
+      } else if (BLOCK_TAGS.has(node.tagName)) {
+        text += `\n${elementToText(node)}\n`;
+      } else {
+        text += elementToText(node);
+      }
+    }
+  });
+
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Checks if a URL points at a known video meeting service
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isMeetingUrl(url) {
+  try {
+    const { hostname } = new URL(url);
+    return MEETING_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Converts a date string to an ISO timestamp
+ * @param {string} value - Date string (ISO 8601 with offset)
+ * @returns {string|null} ISO string or null if invalid
+ */
+function toISOString(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Collects person names from a schema.org organizer/performer value
+ * @param {Object|Array|string} value - Person(s)
+ * @returns {Array<string>} Names
+ */
+function personNames(value) {
+  if (!value) return [];
+  const people = Array.isArray(value) ? value : [value];
+  return people
+    .map(person => (typeof person === 'string' ? person : person.name))
+    .filter(Boolean)
+    .map(name => name.trim());
+}
+
+/**
+ * Finds the schema.org Event object in the page's JSON-LD blocks
+ * @param {Document} doc - Event page document
+ * @returns {Object|null} JSON-LD Event object
+ */
+function findJsonLdEvent(doc) {
+  const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+
+  for (const script of scripts) {
+    try {
+      const data = JSON.parse(script.textContent);
+      const items = Array.isArray(data) ? data : (data['@graph'] || [data]);
+      const event = items.find(item => item && /Event$/.test(item['@type']));
+      if (event) return event;
+    } catch (e) {
+      // Ignore malformed JSON-LD blocks
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads a <meta> tag's content
+ * @param {Document} doc - Event page document
+ * @param {string} property - og:/name property
+ * @returns {string|null}
+ */
+function getMeta(doc, property) {
+  const meta = doc.querySelector(`meta[property="${property}"], meta[name="${property}"]`);
+  const content = meta ? meta.getAttribute('content') : null;
+  return content ? content.trim() : null;
+}
+
+/**
+ * Extracts event details from a parsed event detail page.
+ * Structured data (JSON-LD) is preferred, then the rendered DOM, then
+ * Open Graph meta tags. Only fields that were found are returned.
+ *
+ * @param {Document} doc - Event page document
+ * @returns {{ description?: string, hosts?: Array<string>, meetingUrl?: string, startTime?: string, endTime?: string }}
+ */
+function parseEventDetails(doc) {
+  const details = {};
+  const jsonLd = findJsonLdEvent(doc) || {};
+
+  // Description
+  const descriptionEl = doc.querySelector('[data-testid="event-description"], .event-description');
+  const description = descriptionEl
+    ? elementToText(descriptionEl)
+    : (jsonLd.description || getMeta(doc, 'og:description'));
+  if (description) details.description = description.trim();
+
+  // Hosts
+  let hosts = Array.from(doc.querySelectorAll('[data-testid="event-host-name"], [data-testid="event-host"]'))
+    .map(el => el.textContent.trim())
+    .filter(Boolean);
+  if (hosts.length === 0) {
+    hosts = personNames(jsonLd.organizer).concat(personNames(jsonLd.performer));
+  }
+  if (hosts.length > 0) details.hosts = Array.from(new Set(hosts));
+
+  // Meeting link - explicit join button, virtual location, or any link to a meeting service
+  const joinLink = doc.querySelector('[data-testid="event-join-link"][href], a[data-testid="join-event-button"]');
+  const virtualLocationUrl = jsonLd.location && jsonLd.location.url;
+  const meetingAnchor = Array.from(doc.querySelectorAll('a[href]'))
+    .find(a => isMeetingUrl(a.getAttribute('href')));
+  const meetingUrl = (joinLink && joinLink.getAttribute('href'))
+    || virtualLocationUrl
+    || (meetingAnchor && meetingAnchor.getAttribute('href'));
+  if (meetingUrl) details.meetingUrl = meetingUrl;
+
+  // Exact start/end
+  const timeEls = doc.querySelectorAll('[data-testid="event-datetime"] time[datetime]');
+  const startTime = toISOString(jsonLd.startDate) || toISOString(timeEls[0] && timeEls[0].getAttribute('datetime'));
+  const endTime = toISOString(jsonLd.endDate) || toISOString(timeEls[1] && timeEls[1].getAttribute('datetime'));
+  if (startTime) details.startTime = startTime;
+  if (startTime && endTime) details.endTime = endTime;
+
+  return details;
+}
+
+/**
+ * Fetches an event detail page (with the member's session cookies) and
+ * extracts its details
+ * @param {string} url - Event page URL (absolute or site-relative)
+ * @param {Function} [fetchImpl] - fetch implementation (for testing)
+ * @returns {Promise<Object>} Event details (see parseEventDetails)
+ */
+async function fetchEventDetails(url, fetchImpl = fetch) {
+  const response = await fetchImpl(url, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`Failed to load event page (${response.status})`);
+  }
+
+  const html = await response.text();
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return parseEventDetails(doc);
+}
+
+/**
+ * Merges detail-page data into a scraped list event.
+ * The event object is updated in place so UI handlers holding it see the details.
+ * @param {Object} event - Scraped event object
+ * @param {Object} details - Details from parseEventDetails
+ * @returns {Object} The same event object
+ */
+function mergeEventDetails(event, details) {
+  if (!details) return event;
+
+  Object.keys(details).forEach(key => {
+    if (details[key] !== undefined && details[key] !== null) {
+      event[key] = details[key];
+    }
+  });
+
+  return event;
+}
+
+module.exports = { parseEventDetails, fetchEventDetails, mergeEventDetails };
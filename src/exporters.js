@@ -0,0 +1,267 @@
+/**
+ * Exporter registry
+ * Every way of getting an event into a calendar is an exporter: the deep
+ * links, the ICS download and the calendar APIs. The popup builds its
+ * buttons and tracks exports from this list, so adding one (a team
+ * calendar, a webhook) only takes a registerExporter call.
+ *
+ * An exporter is an object with
+ *   id            - Export type stored with each export record
+ *   label         - Name on buttons and toasts
+ *   capabilities  - What the popup may use it for (see DEFAULT_CAPABILITIES)
+ *   remote        - true if it stores events in a calendar service and
+ *                   returns their ID (and ETag) so they can be updated and
+ *                   deleted later
+ *   isAvailable(settings) - Whether it can be used with these settings
+ *   export(items, context) - Exports [{ event, eventId, etag }] and resolves
+ *                   with [{ event, eventId, etag, error }] in the same order
+ *   cancel(items, context) - Removes the entries of [{ event, eventId, etag }]
+ *                   (needed for the cancel capability); may resolve with a
+ *                   message for the toast
+ *
+ * The context passed to export and cancel holds the settings, `bulk` (true
+ * for a toolbar export of many events) and the popup's openUrl(url) and
+ * downloadICS(content, name) helpers. A series export (series capability)
+ * passes the one master event (with its RRULE) and the series from
+ * detectSeries as `series`.
+ *
+ * Several exporters may share an id: the first one available handles it,
+ * so "google" writes through the API once that is set up and opens a
+ * link otherwise.
+ */
+
+const { CALENDAR_LINK_PROVIDERS } = require('./utils/calendarLinks');
+const { generateICS, generateCalendarICS, generateCancellationICS } = require('./utils/icsGenerator');
+const { getBrowserTimeZone } = require('./utils/vtimezone');
+const { seriesToEvents } = require('./utils/recurrence');
+const { syncCalendarEvents } = require('./utils/apiClient');
+const { createGoogleCalendarClient } = require('./googleCalendarApi');
+const { createGraphCalendarClient } = require('./microsoftGraphApi');
+const { createCalDavClient } = require('./caldavClient');
+
+/**
+ * Capabilities an exporter has unless it says otherwise
+ *   single - a button on each event card
+ *   bulk   - a toolbar button that exports many events at once
+ *   update - exporting a changed event again replaces the earlier entry
+ *            instead of adding a second one
+ *   cancel - can remove the entry of an event Circle no longer lists
+ *   series - can export a recurring series as one repeating event
+ *   seriesExceptions - that event can skip and move sessions too
+ *            (EXDATEs and RECURRENCE-ID overrides)
+ */
+const DEFAULT_CAPABILITIES = {
+  single: true,
+  bulk: false,
+  update: false,
+  cancel: false,
+  series: false,
+  seriesExceptions: false
+};
+
+// Registered exporters, in the order they were registered
+const exporters = [];
+
+/**
+ * Adds an exporter to the registry
+ * @param {Object} exporter - Exporter (see the top of this file)
+ * @returns {Object} The exporter as registered, with defaults filled in
+ */
+function registerExporter(exporter) {
+  if (!exporter || !exporter.id || !exporter.label || typeof exporter.export !== 'function') {
+    throw new Error('An exporter needs an id, a label and an export function');
+  }
+
+  const capabilities = { ...DEFAULT_CAPABILITIES, ...exporter.capabilities };
+  if (capabilities.cancel && typeof exporter.cancel !== 'function') {
+    throw new Error(`Exporter "${exporter.id}" can cancel but has no cancel function`);
+  }
+
+  const registered = {
+    remote: false,
+    isAvailable: () => true,
+    ...exporter,
+    capabilities
+  };
+  exporters.push(registered);
+  return registered;
+}
+
+/**
+ * Removes every exporter registered under an id
+ * @param {string} id - Exporter ID
+ */
+function unregisterExporter(id) {
+  for (let i = exporters.length - 1; i >= 0; i--) {
+    if (exporters[i].id === id) exporters.splice(i, 1);
+  }
+}
+
+/**
+ * Finds the exporter that handles an export type
+ * @param {string} id - Exporter ID (export type)
+ * @param {Object} [settings] - From getSettings; without them the first
+ *   exporter registered under the id is returned, available or not
+ * @returns {Object|undefined} Exporter
+ */
+function getExporter(id, settings) {
+  return exporters.find(exporter => exporter.id === id &&
+    (!settings || exporter.isAvailable(settings)));
+}
+
+/**
+ * Finds the exporter that stores events of an export type in a calendar
+ * service, set up or not, so entries it stored earlier can still be deleted
+ * @param {string} id - Exporter ID (export type)
+ * @returns {Object|undefined} Exporter
+ */
+function getRemoteExporter(id) {
+  return exporters.find(exporter => exporter.id === id && exporter.remote);
+}
+
+/**
+ * Lists the exporters available with the given settings, one per id, in
+ * the order their ids were first registered
+ * @param {Object} settings - From getSettings
+ * @param {string} [capability] - Only exporters with this capability
+ * @returns {Array<Object>} Exporters
+ */
+function getExporters(settings, capability) {
+  const ids = [...new Set(exporters.map(exporter => exporter.id))];
+  return ids
+    .map(id => getExporter(id, settings))
+    .filter(exporter => exporter && (!capability || exporter.capabilities[capability]));
+}
+
+/**
+ * Picks the ICS output options out of the settings
+ * @param {Object} settings - From getSettings
+ * @returns {Object} Options for generateICS/generateCalendarICS
+ */
+function getICSOptionsFromSettings(settings) {
+  if (settings.timeZoneMode !== 'tzid') return {};
+
+  return { timeZone: settings.timeZone || getBrowserTimeZone() };
+}
+
+/**
+ * Creates an exporter that writes through a calendar API client
+ * @param {Object} options
+ * @param {string} options.id - Export type
+ * @param {string} options.label - Name of the calendar
+ * @param {Function} options.isAvailable - Whether the API is set up
+ * @param {Function} options.createClient - Builds the client from the settings
+ * @param {boolean} [options.series] - Whether the API takes a series' RRULE
+ * @returns {Object} Exporter
+ */
+function createApiExporter({ id, label, isAvailable, createClient, series = false }) {
+  return {
+    id,
+    label,
+    remote: true,
+    capabilities: { single: true, bulk: true, update: true, cancel: true, series },
+    isAvailable,
+    export(items, { settings }) {
+      return syncCalendarEvents(createClient(settings), items);
+    },
+    async cancel(items, { settings }) {
+      const client = createClient(settings);
+      for (const { eventId, etag } of items) {
+        await client.deleteEvent(eventId, etag);
+      }
+    }
+  };
+}
+
+/**
+ * Creates an exporter that opens a deep link for each event
+ * @param {{ id: string, label: string, generate: Function }} provider - From CALENDAR_LINK_PROVIDERS
+ * @returns {Object} Exporter
+ */
+function createLinkExporter(provider) {
+  return {
+    id: provider.id,
+    label: provider.label,
+    capabilities: { series: Boolean(provider.recurrence) },
+    async export(items, { openUrl }) {
+      items.forEach(({ event }) => openUrl(provider.generate(event)));
+      return items.map(({ event }) => ({ event }));
+    }
+  };
+}
+
+// Calendar APIs come first so they take over their link's id once set up
+registerExporter(createApiExporter({
+  id: 'google',
+  label: 'Google Calendar',
+  isAvailable: settings => settings.googleApiEnabled,
+  series: true,
+  createClient: settings => createGoogleCalendarClient({
+    baseUrl: settings.googleApiBaseUrl,
+    calendarId: settings.googleCalendarId
+  })
+}));
+
+registerExporter(createApiExporter({
+  id: 'outlook',
+  label: 'Outlook',
+  isAvailable: settings => settings.microsoftApiEnabled,
+  createClient: settings => createGraphCalendarClient({
+    baseUrl: settings.microsoftGraphBaseUrl,
+    calendarId: settings.microsoftCalendarId,
+    clientId: settings.microsoftClientId,
+    authorityUrl: settings.microsoftAuthorityUrl
+  })
+}));
+
+CALENDAR_LINK_PROVIDERS.forEach(provider => registerExporter(createLinkExporter(provider)));
+
+// ICS files carry a SEQUENCE, so a re-export replaces the old entry and a
+// METHOD:CANCEL file removes it
+registerExporter({
+  id: 'ics',
+  label: 'ICS',
+  capabilities: { single: true, bulk: true, update: true, cancel: true, series: true, seriesExceptions: true },
+  async export(items, { settings, bulk, series, downloadICS }) {
+    const options = getICSOptionsFromSettings(settings);
+    const events = items.map(({ event }) => event);
+
+    if (series) {
+      // A series repeats in its own time zone, with its skipped and moved sessions
+      downloadICS(generateCalendarICS(seriesToEvents(series, events[0]), { timeZone: series.timeZone }), `${series.title}-series`);
+    } else if (bulk) {
+      // A bulk export is one file with all the events
+      downloadICS(generateCalendarICS(events, options), 'dynamous-events');
+    } else {
+      events.forEach(event => downloadICS(generateICS(event, options), event.title));
+    }
+    return items.map(({ event }) => ({ event }));
+  },
+  async cancel(items, { settings, downloadICS }) {
+    const events = items.map(({ event }) => event);
+    downloadICS(generateCancellationICS(events, getICSOptionsFromSettings(settings)), `${events[0].title}-cancelled`);
+    return 'Cancellation downloaded';
+  }
+});
+
+registerExporter(createApiExporter({
+  id: 'caldav',
+  label: 'CalDAV',
+  isAvailable: settings => settings.caldavEnabled,
+  createClient: settings => createCalDavClient({
+    collectionUrl: settings.caldavCollectionUrl,
+    username: settings.caldavUsername,
+    password: settings.caldavPassword,
+    icsOptions: getICSOptionsFromSettings(settings)
+  })
+}));
+
+module.exports = {
+  DEFAULT_CAPABILITIES,
+  registerExporter,
+  unregisterExporter,
+  getExporter,
+  getRemoteExporter,
+  getExporters,
+  getICSOptionsFromSettings
+};
@@ -0,0 +1,169 @@
+/**
+ * Full page scan for Circle.so live events
+ * Circle only renders the first batch of events and loads the rest through a
+ * "Load more" button or infinite scroll. This module drives that pagination
+ * until no new events appear (or a limit is hit) and collects every event
+ * it saw, deduplicated by slug.
+ */
+
+const { scrapeEvents } = require('./scraper');
+
+/**
+ * Default limits for a full scan
+ */
+const FULL_SCAN_DEFAULTS = {
+  maxRounds: 30,      // Pagination attempts before giving up
+  maxEvents: 500,     // Stop once this many unique events are collected
+  idleRounds: 2,      // Consecutive rounds without new events that end the scan
+  settleMs: 1000      // Time to let Circle load the next batch
+};
+
+/**
+ * Text of the buttons Circle uses for paginated lists
+ */
+const LOAD_MORE_PATTERN = /^(load|show|view|see) more\b/i;
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Finds an enabled "Load more" style button or link
+ * @returns {HTMLElement|null}
+ */
+function findLoadMoreButton() {
+  const candidates = document.querySelectorAll('button, a[role="button"], [role="button"]');
+
+  return Array.from(candidates).find(el =>
+    LOAD_MORE_PATTERN.test(el.textContent.trim()) &&
+    !el.disabled &&
+    el.getAttribute('aria-disabled') !== 'true'
+  ) || null;
+}
+
+/**
+ * Finds the element Circle scrolls the event list in. Falls back to the
+ * document when the list isn't inside its own scroll container.
+ * @param {Element|null} fromElement - An element inside the list
+ * @returns {Element}
+ */
+function findScrollContainer(fromElement) {
+  let node = fromElement ? fromElement.parentElement : null;
+
+  while (node && node !== document.body) {
+    const { overflowY } = window.getComputedStyle(node);
+    if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) {
+      return node;
+    }
+    node = node.parentElement;
+  }
+
+  return document.scrollingElement || document.documentElement;
+}
+
+/**
+ * Asks the page for the next batch of events: clicks "Load more" when
+ * there is one, otherwise scrolls the list to the bottom to trigger
+ * infinite scroll.
+ * @returns {boolean} True if a "Load more" button was clicked
+ */
+function requestNextPage() {
+  const loadMore = findLoadMoreButton();
+  if (loadMore) {
+    loadMore.click();
+    return true;
+  }
+
+  const links = document.querySelectorAll('a[href*="/c/live-events/"]');
+  const lastLink = links.length > 0 ? links[links.length - 1] : null;
+
+  if (lastLink && typeof lastLink.scrollIntoView === 'function') {
+    lastLink.scrollIntoView({ block: 'end' });
+  }
+
+  const container = findScrollContainer(lastLink);
+  container.scrollTop = container.scrollHeight;
+
+  return false;
+}
+
+/**
+ * Adds scraped events to the collection, keyed by slug
+ * @param {Map<string, Object>} collected - Events seen so far
+ * @param {Array} events - Freshly scraped events
+ * @returns {number} Number of events that were not seen before
+ */
+function collectEvents(collected, events) {
+  let added = 0;
+
+  events.forEach(event => {
+    if (!event || !event.slug) return;
+    if (!collected.has(event.slug)) added++;
+    // Later scrapes win so details Circle filled in lazily are kept
+    collected.set(event.slug, event);
+  });
+
+  return added;
+}
+
+/**
+ * Loads every page of events and returns them all
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxRounds] - Pagination attempts before giving up
+ * @param {number} [options.maxEvents] - Unique events to stop at
+ * @param {number} [options.idleRounds] - Rounds without new events that end the scan
+ * @param {number} [options.settleMs] - Wait after each pagination step
+ * @param {Function} [options.onProgress] - Called with { round, found } after each round
+ * @param {Function} [options.scrape] - Scraper (for testing)
+ * @returns {Promise<{ events: Array, rounds: number, complete: boolean }>}
+ *   complete is false when a limit stopped the scan before the list ran out
+ */
+async function runFullScan(options = {}) {
+  const settings = { ...FULL_SCAN_DEFAULTS, ...options };
+  const scrape = options.scrape || scrapeEvents;
+  const onProgress = options.onProgress || (() => {});
+  const scrollElement = document.scrollingElement || document.documentElement;
+  const originalScrollTop = scrollElement.scrollTop;
+
+  const collected = new Map();
+  collectEvents(collected, scrape());
+  onProgress({ round: 0, found: collected.size });
+
+  let rounds = 0;
+  let idle = 0;
+  let complete = true;
+
+  while (idle < settings.idleRounds) {
+    if (rounds >= settings.maxRounds || collected.size >= settings.maxEvents) {
+      complete = false;
+      break;
+    }
+
+    rounds++;
+    const clicked = requestNextPage();
+    await delay(settings.settleMs);
+
+    const added = collectEvents(collected, scrape());
+    onProgress({ round: rounds, found: collected.size });
+
+    // A "Load more" button that is still there means there is more to load
+    idle = added > 0 || (clicked && findLoadMoreButton()) ? 0 : idle + 1;
+  }
+
+  // Put the page back where the member left it
+  scrollElement.scrollTop = originalScrollTop;
+
+  return {
+    events: Array.from(collected.values()).slice(0, settings.maxEvents),
+    rounds,
+    complete
+  };
+}
+
+module.exports = { runFullScan, FULL_SCAN_DEFAULTS };
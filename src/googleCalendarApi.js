@@ -0,0 +1,169 @@
+/**
+ * Google Calendar API client
+ * Inserts, updates and deletes events directly in the user's calendar
+ * through the Calendar v3 events API, signed in with chrome.identity.
+ * The API base URL comes from the settings so the client can be pointed
+ * at a local mock server.
+ */
+
+const { createResponseError, createApiRequester } = require('./utils/apiClient');
+
+/**
+ * Calendar v3 API root
+ */
+const DEFAULT_GOOGLE_API_BASE_URL = 'https://www.googleapis.com/calendar/v3';
+
+/**
+ * Client ID manifest.json ships with, until it is replaced by a real one
+ */
+const PLACEHOLDER_CLIENT_ID = 'YOUR_CLIENT_ID.apps.googleusercontent.com';
+
+/**
+ * Checks if the extension has an OAuth client ID to sign in to Google with
+ * @param {Object} manifest - From chrome.runtime.getManifest
+ * @returns {boolean}
+ */
+function hasOAuthClientId(manifest) {
+  const clientId = manifest && manifest.oauth2 && manifest.oauth2.client_id;
+  return Boolean(clientId) && clientId !== PLACEHOLDER_CLIENT_ID;
+}
+
+/**
+ * Gets an OAuth token for the scopes in manifest.json (oauth2)
+ * @param {boolean} [interactive] - Show the consent screen if needed
+ * @returns {Promise<string>} Access token
+ */
+function getAuthToken(interactive = true) {
+  return new Promise((resolve, reject) => {
+    chrome.identity.getAuthToken({ interactive }, (result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      // Newer Chrome versions resolve with { token }, older ones with the token
+      const token = result && typeof result === 'object' ? result.token : result;
+      if (!token) {
+        reject(new Error('Not signed in to Google'));
+        return;
+      }
+      resolve(token);
+    });
+  });
+}
+
+/**
+ * Drops a token Google rejected so the next request gets a fresh one
+ * @param {string} token - Access token
+ * @returns {Promise<void>}
+ */
+function removeCachedAuthToken(token) {
+  return new Promise((resolve) => {
+    chrome.identity.removeCachedAuthToken({ token }, () => resolve());
+  });
+}
+
+/**
+ * Converts an export-ready event to a Calendar v3 event resource
+ * @param {Object} event - Event from prepareEventForExport
+ * @returns {Object} Event resource
+ */
+function toGoogleEvent(event) {
+  const resource = {
+    summary: event.title,
+    description: event.description,
+    start: { dateTime: event.startDate.toISOString() },
+    end: { dateTime: event.endDate.toISOString() },
+    // Lets the event be found again even without the stored ID
+    extendedProperties: { private: { dynacalSlug: event.slug } }
+  };
+
+  if (event.location) resource.location = event.location;
+  if (event.url) resource.source = { title: 'Dynamous Community', url: event.url };
+
+  if (event.reminders) {
+    resource.reminders = {
+      useDefault: false,
+      overrides: event.reminders.map(reminder => ({ method: 'popup', minutes: reminder.minutes }))
+    };
+  }
+
+  // Weekly rules must repeat in local time (see recurrence.js)
+  if (event.rrule && event.timeZone) {
+    resource.start.timeZone = event.timeZone;
+    resource.end.timeZone = event.timeZone;
+    resource.recurrence = [`RRULE:${event.rrule}`];
+  }
+
+  return resource;
+}
+
+/**
+ * Creates a Google Calendar API client
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - API root (for a local mock server)
+ * @param {string} [options.calendarId] - Calendar to write to ("primary" by default)
+ * @param {Function} [options.fetchImpl] - fetch implementation (for testing)
+ * @param {Function} [options.getToken] - Token source (for testing)
+ * @param {Function} [options.dropToken] - Called with a rejected token (for testing)
+ * @returns {{ insertEvent: Function, updateEvent: Function, deleteEvent: Function, listCalendars: Function }}
+ */
+function createGoogleCalendarClient(options = {}) {
+  const baseUrl = options.baseUrl || DEFAULT_GOOGLE_API_BASE_URL;
+  const calendarId = encodeURIComponent(options.calendarId || 'primary');
+  const fetchImpl = options.fetchImpl || ((...args) => fetch(...args));
+  const getToken = options.getToken || getAuthToken;
+  const dropToken = options.dropToken || removeCachedAuthToken;
+
+  const { request, requestJson } = createApiRequester({ baseUrl, fetchImpl, getToken, dropToken });
+
+  return {
+    /**
+     * Creates an event
+     * @param {Object} event - Export-ready event
+     * @returns {Promise<Object>} Created event resource (with id)
+     */
+    insertEvent(event) {
+      return requestJson('POST', `/calendars/${calendarId}/events`, toGoogleEvent(event));
+    },
+
+    /**
+     * Replaces an event created earlier
+     * @param {string} eventId - Google event ID
+     * @param {Object} event - Export-ready event
+     * @returns {Promise<Object>} Updated event resource
+     */
+    updateEvent(eventId, event) {
+      return requestJson('PUT', `/calendars/${calendarId}/events/${encodeURIComponent(eventId)}`, toGoogleEvent(event));
+    },
+
+    /**
+     * Deletes an event. Events that are already gone count as deleted.
+     * @param {string} eventId - Google event ID
+     * @returns {Promise<void>}
+     */
+    async deleteEvent(eventId) {
+      const response = await request('DELETE', `/calendars/${calendarId}/events/${encodeURIComponent(eventId)}`);
+      if (!response.ok && response.status !== 404 && response.status !== 410) {
+        throw await createResponseError(response);
+      }
+    },
+
+    /**
+     * Lists the calendars the user can write to
+     * @returns {Promise<Array<{ id: string, summary: string, primary: boolean }>>}
+     */
+    async listCalendars() {
+      const body = await requestJson('GET', '/users/me/calendarList?minAccessRole=writer');
+      return (body.items || []).map(({ id, summary, primary }) => ({ id, summary, primary: Boolean(primary) }));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_GOOGLE_API_BASE_URL,
+  hasOAuthClientId,
+  getAuthToken,
+  toGoogleEvent,
+  createGoogleCalendarClient
+};
@@ -0,0 +1,186 @@
+/**
+ * Live rescanning for Circle.so live events
+ * Watches the events container for re-renders (RSVP toggled in another tab,
+ * SPA navigation, lazy loading) and reports what changed since the last scan
+ * as a diff of added, removed and changed events keyed by slug.
+ */
+
+const { scrapeEvents, findEventCards, hasEventLinks } = require('./scraper');
+
+/**
+ * Name of the long-lived port the popup opens to receive live updates
+ */
+const LIVE_EVENTS_PORT = 'live-events';
+
+/**
+ * Selector for the month calendar grid, watched when the list has no cards
+ */
+const GRID_SELECTOR = '[role="grid"]';
+
+/**
+ * Finds the closest element holding all the given elements
+ * @param {Array<Element>} elements - Elements in the page
+ * @returns {Element}
+ */
+function findCommonAncestor(elements) {
+  let ancestor = elements[0].parentElement || document.body;
+  while (ancestor !== document.body && !elements.every(element => ancestor.contains(element))) {
+    ancestor = ancestor.parentElement;
+  }
+  return ancestor;
+}
+
+/**
+ * Finds the element that holds the events: the list cards (found the way
+ * the scraper finds them) or the calendar grid. Falls back to the body when
+ * neither is there; layoutChanged is set when the page links to events
+ * anyway, a sign that Circle changed its markup.
+ * @returns {{ element: Element, layoutChanged: boolean }}
+ */
+function findEventsContainer() {
+  const { cards } = findEventCards();
+  if (cards.length > 0) return { element: findCommonAncestor(cards), layoutChanged: false };
+
+  const grid = document.querySelector(GRID_SELECTOR);
+  if (grid) return { element: grid, layoutChanged: false };
+
+  return { element: document.body, layoutChanged: hasEventLinks() };
+}
+
+/**
+ * Compares two scans of the page
+ * @param {Array} previous - Events from the last scan
+ * @param {Array} next - Events from the new scan
+ * @returns {{ added: Array, removed: Array<string>, changed: Array }}
+ *   removed holds slugs; added/changed hold the new event objects
+ */
+function diffEvents(previous, next) {
+  const before = new Map(previous.map(event => [event.slug, event]));
+  const after = new Map(next.map(event => [event.slug, event]));
+
+  const added = [];
+  const changed = [];
+
+  after.forEach((event, slug) => {
+    if (!before.has(slug)) {
+      added.push(event);
+    } else if (JSON.stringify(before.get(slug)) !== JSON.stringify(event)) {
+      changed.push(event);
+    }
+  });
+
+  const removed = Array.from(before.keys()).filter(slug => !after.has(slug));
+
+  return { added, removed, changed };
+}
+
+/**
+ * Checks if a diff has anything in it
+ * @param {{ added: Array, removed: Array, changed: Array }} diff
+ * @returns {boolean}
+ */
+function isEmptyDiff(diff) {
+  return diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+}
+
+/**
+ * What the events container is watched for: cards or grid cells added,
+ * removed or re-rendered. Attributes are left out, so hovers and class
+ * toggles don't trigger rescans.
+ */
+const CONTAINER_OBSERVER_OPTIONS = { childList: true, subtree: true, characterData: true };
+
+/**
+ * Creates a scanner that rescans the page when the events container changes
+ *
+ * @param {Object} options
+ * @param {Function} options.onDiff - Called with each non-empty diff
+ * @param {Function} [options.onLayoutChanged] - Called when the events
+ *   container can't be found although the page links to events
+ * @param {number} [options.debounceMs] - Quiet period before rescanning
+ * @param {Function} [options.scrape] - Scraper (for testing)
+ * @returns {{ start: Function, stop: Function, rescan: Function }}
+ */
+function createLiveScanner({ onDiff, onLayoutChanged = () => {}, debounceMs = 300, scrape = scrapeEvents }) {
+  let lastEvents = [];
+  let container = null;
+  let containerObserver = null;
+  let pageObserver = null;
+  let timer = null;
+
+  /**
+   * Debounces bursts of DOM mutations into a single rescan
+   */
+  function scheduleRescan() {
+    clearTimeout(timer);
+    timer = setTimeout(rescan, debounceMs);
+  }
+
+  /**
+   * Finds the events container and, if it is a new one (first render,
+   * SPA navigation), moves the container observer onto it
+   */
+  function watchContainer() {
+    const { element, layoutChanged } = findEventsContainer();
+    if (element === container) return;
+
+    container = element;
+    if (containerObserver) {
+      containerObserver.disconnect();
+      containerObserver.observe(container, CONTAINER_OBSERVER_OPTIONS);
+    }
+    if (layoutChanged) onLayoutChanged();
+  }
+
+  /**
+   * Scans now and reports the difference from the last scan
+   */
+  function rescan() {
+    timer = null;
+    watchContainer();
+
+    const events = scrape();
+    const diff = diffEvents(lastEvents, events);
+    lastEvents = events;
+
+    if (!isEmptyDiff(diff)) {
+      onDiff(diff);
+    }
+  }
+
+  return {
+    /**
+     * Takes a baseline scan and starts watching the events container.
+     * The rest of the page is only checked for the container being
+     * replaced.
+     */
+    start() {
+      containerObserver = new MutationObserver(scheduleRescan);
+      container = null;
+      watchContainer();
+      lastEvents = scrape();
+
+      pageObserver = new MutationObserver(() => {
+        if (!container.isConnected) scheduleRescan();
+      });
+      pageObserver.observe(document.body, { childList: true, subtree: true });
+    },
+
+    /**
+     * Stops watching the page
+     */
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+      [containerObserver, pageObserver].forEach(observer => {
+        if (observer) observer.disconnect();
+      });
+      containerObserver = null;
+      pageObserver = null;
+    },
+
+    rescan
+  };
+}
+
+module.exports = { LIVE_EVENTS_PORT, diffEvents, createLiveScanner };
@@ -0,0 +1,295 @@
+/**
+ * Microsoft Graph calendar client
+ * Creates, updates and deletes events in an Outlook / Microsoft 365
+ * calendar through Microsoft Graph, which works for personal outlook.com
+ * accounts as well as work tenants (unlike the outlook.office.com compose
+ * links). Sign-in uses chrome.identity.launchWebAuthFlow against the
+ * Microsoft identity platform (authorization code flow with PKCE). The Graph and sign-in endpoints come from
+ * the settings so the client can be pointed at a local stub.
+ */
+
+const { createResponseError, createApiRequester } = require('./utils/apiClient');
+
+/**
+ * Graph API root
+ */
+const DEFAULT_GRAPH_BASE_URL = 'https://graph.microsoft.com/v1.0';
+
+/**
+ * Microsoft identity platform endpoint ("common" accepts personal and work accounts)
+ */
+const DEFAULT_MICROSOFT_AUTHORITY_URL = 'https://login.microsoftonline.com/common/oauth2/v2.0';
+
+/**
+ * Permission the extension asks for
+ */
+const GRAPH_SCOPE = 'https://graph.microsoft.com/Calendars.ReadWrite';
+
+// Token from the last sign-in, kept for as long as the popup is open
+let cachedToken = null;
+
+/**
+ * Encodes bytes as unpadded base64url, as PKCE expects
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Creates a PKCE code verifier and its S256 challenge
+ * @returns {Promise<{ verifier: string, challenge: string }>}
+ */
+async function createPkcePair() {
+  const verifier = toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return { verifier, challenge: toBase64Url(new Uint8Array(digest)) };
+}
+
+/**
+ * Signs in with launchWebAuthFlow and returns a Graph access token. The
+ * token is reused until it expires; the first attempt runs without a
+ * window so users already signed in to Microsoft don't see one.
+ *
+ * Sign-in uses the authorization code flow with PKCE: the authorize
+ * endpoint returns a code, which is redeemed at the token endpoint with
+ * the code verifier. The redirect URI must be registered as a
+ * single-page application so the token endpoint accepts the redemption.
+ *
+ * @param {Object} options
+ * @param {string} options.clientId - Application (client) ID of the app registration
+ * @param {string} [options.authorityUrl] - Identity platform endpoint
+ * @param {Function} [options.fetchImpl] - fetch implementation (for testing)
+ * @returns {Promise<string>} Access token
+ */
+async function getGraphToken({
+  clientId,
+  authorityUrl = DEFAULT_MICROSOFT_AUTHORITY_URL,
+  fetchImpl = (...args) => fetch(...args)
+}) {
+  if (!clientId) {
+    throw new Error('Set the Microsoft application (client) ID first');
+  }
+  if (cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.token;
+  }
+
+  const authority = authorityUrl.replace(/\/+$/, '');
+  const redirectUri = chrome.identity.getRedirectURL();
+  const { verifier, challenge } = await createPkcePair();
+
+  const authorizeUrl = (prompt) => {
+    const params = new URLSearchParams({
+      client_id: clientId,
+      response_type: 'code',
+      redirect_uri: redirectUri,
+      scope: GRAPH_SCOPE,
+      response_mode: 'query',
+      code_challenge: challenge,
+      code_challenge_method: 'S256'
+    });
+    if (prompt) params.set('prompt', prompt);
+    return `${authority}/authorize?${params}`;
+  };
+
+  let code;
+  try {
+    code = await launchAuthFlow(authorizeUrl('none'), false);
+  } catch (e) {
+    code = await launchAuthFlow(authorizeUrl('select_account'), true);
+  }
+
+  const result = await redeemCode({ authority, clientId, code, redirectUri, verifier, fetchImpl });
+  cachedToken = {
+    token: result.token,
+    // Renew a minute early so requests don't race the expiry
+    expiresAt: Date.now() + (result.expiresIn - 60) * 1000
+  };
+  return cachedToken.token;
+}
+
+/**
+ * Runs one sign-in flow and reads the authorization code from the
+ * redirect URL
+ * @param {string} url - Authorize URL
+ * @param {boolean} interactive - Whether a sign-in window may open
+ * @returns {Promise<string>} Authorization code
+ */
+function launchAuthFlow(url, interactive) {
+  return new Promise((resolve, reject) => {
+    chrome.identity.launchWebAuthFlow({ url, interactive }, (redirectUrl) => {
+      if (chrome.runtime.lastError || !redirectUrl) {
+        reject(new Error((chrome.runtime.lastError && chrome.runtime.lastError.message) || 'Sign-in was cancelled'));
+        return;
+      }
+
+      const params = new URL(redirectUrl).searchParams;
+      if (!params.get('code')) {
+        reject(new Error(params.get('error_description') || params.get('error') || 'Not signed in to Microsoft'));
+        return;
+      }
+
+      resolve(params.get('code'));
+    });
+  });
+}
+
+/**
+ * Redeems an authorization code for an access token
+ * @param {Object} options
+ * @param {string} options.authority - Identity platform endpoint (no trailing slash)
+ * @param {string} options.clientId - Application (client) ID
+ * @param {string} options.code - Code from the authorize redirect
+ * @param {string} options.redirectUri - Redirect URI the code was sent to
+ * @param {string} options.verifier - PKCE code verifier
+ * @param {Function} options.fetchImpl - fetch implementation
+ * @returns {Promise<{ token: string, expiresIn: number }>}
+ */
+async function redeemCode({ authority, clientId, code, redirectUri, verifier, fetchImpl }) {
+  const response = await fetchImpl(`${authority}/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: clientId,
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: verifier,
+      scope: GRAPH_SCOPE
+    }).toString()
+  });
+
+  let body = {};
+  try {
+    body = await response.json();
+  } catch (e) {
+    // Not JSON - fall back to the status
+  }
+  if (!response.ok || !body.access_token) {
+    throw new Error(body.error_description || body.error || `Sign-in failed (${response.status})`);
+  }
+
+  return {
+    token: body.access_token,
+    expiresIn: parseInt(body.expires_in, 10) || 3600
+  };
+}
+
+/**
+ * Forgets the cached token so the next request signs in again
+ */
+function clearGraphToken() {
+  cachedToken = null;
+}
+
+/**
+ * Converts an export-ready event to a Graph event resource
+ * @param {Object} event - Event from prepareEventForExport
+ * @returns {Object} Event resource
+ */
+function toGraphEvent(event) {
+  const resource = {
+    subject: event.title,
+    body: { contentType: 'text', content: event.description || '' },
+    // Graph takes a wall time plus a zone; UTC keeps the instant exact
+    start: { dateTime: event.startDate.toISOString().replace('Z', ''), timeZone: 'UTC' },
+    end: { dateTime: event.endDate.toISOString().replace('Z', ''), timeZone: 'UTC' }
+  };
+
+  if (event.location) resource.location = { displayName: event.location };
+
+  // Graph events carry a single reminder - use the one closest to the start
+  if (event.reminders) {
+    resource.isReminderOn = event.reminders.length > 0;
+    if (event.reminders.length > 0) {
+      resource.reminderMinutesBeforeStart = Math.min(...event.reminders.map(reminder => reminder.minutes));
+    }
+  }
+
+  return resource;
+}
+
+/**
+ * Creates a Microsoft Graph calendar client
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Graph root (for a local stub)
+ * @param {string} [options.calendarId] - Calendar to create events in (empty for the default calendar)
+ * @param {string} [options.clientId] - Application (client) ID used to sign in
+ * @param {string} [options.authorityUrl] - Identity platform endpoint (for a local stub)
+ * @param {Function} [options.fetchImpl] - fetch implementation (for testing)
+ * @param {Function} [options.getToken] - Token source (for testing)
+ * @param {Function} [options.dropToken] - Called with a rejected token (for testing)
+ * @returns {{ insertEvent: Function, updateEvent: Function, deleteEvent: Function, listCalendars: Function }}
+ */
+function createGraphCalendarClient(options = {}) {
+  const baseUrl = options.baseUrl || DEFAULT_GRAPH_BASE_URL;
+  const fetchImpl = options.fetchImpl || ((...args) => fetch(...args));
+  const getToken = options.getToken ||
+    (() => getGraphToken({ clientId: options.clientId, authorityUrl: options.authorityUrl, fetchImpl }));
+  const dropToken = options.dropToken || clearGraphToken;
+
+  const { request, requestJson } = createApiRequester({ baseUrl, fetchImpl, getToken, dropToken });
+
+  // Events live in one collection per mailbox, so only creation needs the calendar
+  const collection = options.calendarId
+    ? `/me/calendars/${encodeURIComponent(options.calendarId)}/events`
+    : '/me/events';
+
+  return {
+    /**
+     * Creates an event
+     * @param {Object} event - Export-ready event
+     * @returns {Promise<Object>} Created event resource (with id)
+     */
+    insertEvent(event) {
+      return requestJson('POST', collection, toGraphEvent(event));
+    },
+
+    /**
+     * Updates an event created earlier
+     * @param {string} eventId - Graph event ID
+     * @param {Object} event - Export-ready event
+     * @returns {Promise<Object>} Updated event resource
+     */
+    updateEvent(eventId, event) {
+      return requestJson('PATCH', `/me/events/${encodeURIComponent(eventId)}`, toGraphEvent(event));
+    },
+
+    /**
+     * Deletes an event. Events that are already gone count as deleted.
+     * @param {string} eventId - Graph event ID
+     * @returns {Promise<void>}
+     */
+    async deleteEvent(eventId) {
+      const response = await request('DELETE', `/me/events/${encodeURIComponent(eventId)}`);
+      if (!response.ok && response.status !== 404) {
+        throw await createResponseError(response);
+      }
+    },
+
+    /**
+     * Lists the calendars the user can write to
+     * @returns {Promise<Array<{ id: string, name: string, isDefault: boolean }>>}
+     */
+    async listCalendars() {
+      const body = await requestJson('GET', '/me/calendars?$select=id,name,canEdit,isDefaultCalendar');
+      return (body.value || [])
+        .filter(calendar => calendar.canEdit !== false)
+        .map(({ id, name, isDefaultCalendar }) => ({ id, name, isDefault: Boolean(isDefaultCalendar) }));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_GRAPH_BASE_URL,
+  DEFAULT_MICROSOFT_AUTHORITY_URL,
+  getGraphToken,
+  clearGraphToken,
+  toGraphEvent,
+  createGraphCalendarClient
+};
@@ -0,0 +1,554 @@
+/**
+ * Options Page Script for Circle.so Calendar Exporter
+ * Edits the settings in chrome.storage (see settings.js): default
+ * reminders, export buttons, time zone output, event length, re-exports,
+ * the calendar services and the description templates
+ */
+
+const { REMINDER_ACTIONS, EXPORT_PROVIDERS, MAX_DURATION_MINUTES, isCalDavUrl, getSettings, saveSettings } = require('./settings');
+const { getLinkProvider } = require('./utils/calendarLinks');
+const { getBrowserTimeZone } = require('./utils/vtimezone');
+const { hasOAuthClientId, createGoogleCalendarClient } = require('./googleCalendarApi');
+const { createGraphCalendarClient } = require('./microsoftGraphApi');
+const { createCalDavClient } = require('./caldavClient');
+const {
+  TEMPLATE_PLACEHOLDERS,
+  DEFAULT_DESCRIPTION_TEMPLATE,
+  validateTemplate,
+  renderTemplate
+} = require('./utils/descriptionTemplate');
+
+// Names of the reminder actions in the dropdown
+const REMINDER_ACTION_LABELS = {
+  DISPLAY: 'Notification',
+  AUDIO: 'Sound'
+};
+
+// How long the "Saved" note stays up, in milliseconds
+const SAVED_STATUS_MS = 2000;
+
+// Timer that clears the note
+let statusTimeout = null;
+
+// Exporters that can have their own description template ('' is the
+// template for all of them)
+const TEMPLATE_PROVIDERS = ['', ...EXPORT_PROVIDERS, 'caldav'];
+
+// Event the template preview is rendered for
+const SAMPLE_DESCRIPTION_VALUES = {
+  title: 'Agentic Coding Office Hours',
+  dateTime: 'Tuesday, Dec 9, 2:00 – 3:00 PM EST',
+  localTime: 'Tue, Dec 9, 2:00 PM EST',
+  location: 'Zoom',
+  host: 'Cole Medin',
+  hostLabel: 'Host',
+  meetingUrl: 'https://zoom.us/j/123456789',
+  rsvp: 'Going',
+  rsvpIcon: '✅',
+  attendance: '42 / 100 going',
+  agenda: 'Bring your questions about agents and coding assistants.',
+  url: 'https://community.dynamous.ai/c/live-events/agentic-coding-office-hours'
+};
+
+// Templates being edited, by exporter ID ('' for all calendars)
+let templateDrafts = {};
+
+/**
+ * Returns the button label of an export provider
+ * @param {string} id - Provider ID (see EXPORT_PROVIDERS)
+ * @returns {string} Label
+ */
+function getProviderLabel(id) {
+  if (id === 'caldav') return 'CalDAV';
+  const provider = getLinkProvider(id);
+  return provider ? provider.label : 'ICS file';
+}
+
+/**
+ * Creates the row editing one reminder
+ * @param {{ minutes: number, action: string }} reminder - Reminder to show
+ * @returns {HTMLElement} Row element
+ */
+function createReminderRow(reminder) {
+  const row = document.createElement('div');
+  row.className = 'row reminder-row';
+
+  const minutes = document.createElement('input');
+  minutes.type = 'number';
+  minutes.min = '0';
+  minutes.step = '1';
+  minutes.className = 'reminder-minutes';
+  minutes.value = String(reminder.minutes);
+  row.appendChild(minutes);
+
+  const unit = document.createElement('label');
+  unit.textContent = 'minutes before, as a';
+  row.appendChild(unit);
+
+  const action = document.createElement('select');
+  action.className = 'reminder-action';
+  REMINDER_ACTIONS.forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = REMINDER_ACTION_LABELS[value] || value;
+    action.appendChild(option);
+  });
+  action.value = reminder.action;
+  row.appendChild(action);
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.textContent = 'Remove';
+  remove.onclick = () => row.remove();
+  row.appendChild(remove);
+
+  return row;
+}
+
+/**
+ * Creates the row that turns one export provider on or off
+ * @param {string} id - Provider ID
+ * @param {boolean} enabled - Whether its button is shown
+ * @returns {HTMLElement} Row element
+ */
+function createProviderRow(id, enabled) {
+  const row = document.createElement('div');
+  row.className = 'row provider-row';
+  row.dataset.provider = id;
+
+  const label = document.createElement('label');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = enabled;
+  label.appendChild(checkbox);
+  label.appendChild(document.createTextNode(` ${getProviderLabel(id)}`));
+  row.appendChild(label);
+
+  // Moving a provider up changes where its button sits on the cards
+  const up = document.createElement('button');
+  up.type = 'button';
+  up.textContent = '▲';
+  up.title = 'Move up';
+  up.onclick = () => {
+    if (row.previousElementSibling) {
+      row.parentNode.insertBefore(row, row.previousElementSibling);
+    }
+  };
+  row.appendChild(up);
+
+  return row;
+}
+
+/**
+ * Fills the form with settings
+ * @param {Object} settings - From getSettings
+ */
+function fillForm(settings) {
+  const reminderList = document.getElementById('reminder-list');
+  reminderList.innerHTML = '';
+  settings.reminders.forEach(reminder => reminderList.appendChild(createReminderRow(reminder)));
+
+  // Enabled providers first, in their order, then the others
+  const providerList = document.getElementById('provider-list');
+  providerList.innerHTML = '';
+  settings.enabledProviders.forEach(id => providerList.appendChild(createProviderRow(id, true)));
+  EXPORT_PROVIDERS
+    .filter(id => !settings.enabledProviders.includes(id))
+    .forEach(id => providerList.appendChild(createProviderRow(id, false)));
+
+  document.querySelectorAll('input[name="timeZoneMode"]').forEach(radio => {
+    radio.checked = radio.value === settings.timeZoneMode;
+  });
+  const timeZone = document.getElementById('time-zone');
+  timeZone.value = settings.timeZone;
+  timeZone.placeholder = getBrowserTimeZone();
+
+  const duration = document.getElementById('default-duration');
+  duration.value = String(settings.defaultDurationMinutes);
+  duration.max = String(MAX_DURATION_MINUTES);
+
+  document.getElementById('allow-re-exports').checked = settings.allowReExports;
+
+  // Signing in to Google needs the extension's own OAuth client (see the README)
+  const googleReady = hasOAuthClientId(chrome.runtime.getManifest());
+  const googleApi = document.getElementById('google-api-enabled');
+  googleApi.checked = settings.googleApiEnabled && googleReady;
+  googleApi.disabled = !googleReady;
+  document.getElementById('google-load-calendars').disabled = !googleReady;
+  document.getElementById('google-calendar-status').textContent = googleReady
+    ? ''
+    : 'Put your OAuth client ID in manifest.json (oauth2.client_id) to use the Google Calendar API.';
+  document.getElementById('google-calendar-id').value = settings.googleCalendarId;
+  document.getElementById('microsoft-api-enabled').checked = settings.microsoftApiEnabled;
+  document.getElementById('microsoft-client-id').value = settings.microsoftClientId;
+  document.getElementById('microsoft-calendar-id').value = settings.microsoftCalendarId;
+  document.getElementById('caldav-enabled').checked = settings.caldavEnabled;
+  document.getElementById('caldav-url').value = settings.caldavCollectionUrl;
+  document.getElementById('caldav-username').value = settings.caldavUsername;
+  // The saved password isn't shown again; an empty field keeps it
+  const password = document.getElementById('caldav-password');
+  password.value = '';
+  password.placeholder = settings.caldavPassword ? 'Saved - type a new one to replace it' : '';
+
+  templateDrafts = { ...settings.providerTemplates, '': settings.descriptionTemplate };
+  const templateProvider = document.getElementById('template-provider');
+  templateProvider.innerHTML = '';
+  TEMPLATE_PROVIDERS.forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = id ? getProviderLabel(id) : 'All calendars';
+    templateProvider.appendChild(option);
+  });
+  showTemplate('');
+}
+
+/**
+ * Shows the template of an exporter in the editor
+ * @param {string} id - Exporter ID ('' for all calendars)
+ */
+function showTemplate(id) {
+  document.getElementById('template-provider').value = id;
+  const editor = document.getElementById('description-template');
+  editor.value = templateDrafts[id] || '';
+  editor.placeholder = id ? 'Uses the template for all calendars' : '';
+  updateTemplatePreview();
+}
+
+/**
+ * Keeps the text in the editor as the draft of the exporter it shows
+ * @returns {string} Exporter ID ('' for all calendars)
+ */
+function saveTemplateDraft() {
+  const id = document.getElementById('template-provider').value;
+  templateDrafts[id] = document.getElementById('description-template').value;
+  return id;
+}
+
+/**
+ * Renders the template in the editor for a sample event, or says what
+ * is wrong with it
+ */
+function updateTemplatePreview() {
+  const id = saveTemplateDraft();
+
+  // An exporter without its own template uses the one for all calendars
+  const template = templateDrafts[id] || templateDrafts[''] || DEFAULT_DESCRIPTION_TEMPLATE;
+  const error = validateTemplate(template);
+
+  document.getElementById('template-error').textContent = error || '';
+  document.getElementById('template-preview').textContent = error
+    ? ''
+    : renderTemplate(template, SAMPLE_DESCRIPTION_VALUES).trim();
+}
+
+/**
+ * Lists the placeholders templates can use
+ */
+function fillPlaceholderList() {
+  const list = document.getElementById('placeholder-list');
+  if (!list) return;
+
+  Object.keys(TEMPLATE_PLACEHOLDERS).forEach(name => {
+    const item = document.createElement('li');
+    const code = document.createElement('code');
+    code.textContent = `{{${name}}}`;
+    item.appendChild(code);
+    item.appendChild(document.createTextNode(` - ${TEMPLATE_PLACEHOLDERS[name]}`));
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Reads the settings the form edits. Invalid values are left for
+ * saveSettings to replace with their defaults.
+ * @returns {Object} Changes for saveSettings
+ */
+function readForm() {
+  const reminders = Array.from(document.querySelectorAll('.reminder-row')).map(row => ({
+    minutes: Number(row.querySelector('.reminder-minutes').value),
+    action: row.querySelector('.reminder-action').value
+  }));
+
+  const enabledProviders = Array.from(document.querySelectorAll('.provider-row'))
+    .filter(row => row.querySelector('input[type="checkbox"]').checked)
+    .map(row => row.dataset.provider);
+
+  const mode = document.querySelector('input[name="timeZoneMode"]:checked');
+
+  // Exporters with an empty template use the one for all calendars
+  saveTemplateDraft();
+  const providerTemplates = {};
+  Object.keys(templateDrafts)
+    .filter(id => id && templateDrafts[id].trim())
+    .forEach(id => {
+      providerTemplates[id] = templateDrafts[id];
+    });
+
+  const changes = {
+    reminders,
+    enabledProviders,
+    timeZoneMode: mode ? mode.value : 'utc',
+    timeZone: document.getElementById('time-zone').value.trim(),
+    defaultDurationMinutes: Number(document.getElementById('default-duration').value),
+    allowReExports: document.getElementById('allow-re-exports').checked,
+    googleApiEnabled: document.getElementById('google-api-enabled').checked,
+    googleCalendarId: document.getElementById('google-calendar-id').value.trim(),
+    microsoftApiEnabled: document.getElementById('microsoft-api-enabled').checked,
+    microsoftClientId: document.getElementById('microsoft-client-id').value.trim(),
+    microsoftCalendarId: document.getElementById('microsoft-calendar-id').value.trim(),
+    caldavEnabled: document.getElementById('caldav-enabled').checked,
+    caldavCollectionUrl: document.getElementById('caldav-url').value.trim(),
+    caldavUsername: document.getElementById('caldav-username').value.trim(),
+    caldavPassword: document.getElementById('caldav-password').value,
+    descriptionTemplate: templateDrafts[''],
+    providerTemplates
+  };
+  // An empty password field keeps the saved password
+  if (!changes.caldavPassword) delete changes.caldavPassword;
+  return changes;
+}
+
+/**
+ * Signs in to a calendar service and offers its calendars in the picker
+ * below a calendar field; picking one fills in the field
+ * @param {string} service - Prefix of the element IDs ('google' or 'microsoft')
+ * @param {Function} listCalendars - Resolves with [{ id, name }]
+ * @returns {Promise<void>}
+ */
+async function loadCalendarPicker(service, listCalendars) {
+  const field = document.getElementById(`${service}-calendar-id`);
+  const picker = document.getElementById(`${service}-calendar-picker`);
+  const pickerRow = document.getElementById(`${service}-calendar-picker-row`);
+  const status = document.getElementById(`${service}-calendar-status`);
+
+  status.textContent = '';
+  let calendars;
+  try {
+    calendars = await listCalendars();
+  } catch (error) {
+    status.textContent = `Could not load your calendars: ${error.message}`;
+    return;
+  }
+  if (calendars.length === 0) {
+    status.textContent = 'No calendars you can add events to';
+    return;
+  }
+
+  picker.innerHTML = '';
+  calendars.forEach(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = name;
+    picker.appendChild(option);
+  });
+  picker.onchange = () => {
+    field.value = picker.value;
+  };
+
+  // Keep the calendar already chosen, or take the first one
+  if (calendars.some(calendar => calendar.id === field.value)) {
+    picker.value = field.value;
+  } else {
+    field.value = picker.value;
+  }
+  pickerRow.style.display = '';
+}
+
+/**
+ * Lists the Google calendars the user can write to, the main one as
+ * "primary" (the default calendar ID)
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+async function listGoogleCalendars() {
+  const settings = await getSettings();
+  const calendars = await createGoogleCalendarClient({ baseUrl: settings.googleApiBaseUrl }).listCalendars();
+  return calendars.map(({ id, summary, primary }) => (primary
+    ? { id: 'primary', name: `${summary} (main calendar)` }
+    : { id, name: summary }));
+}
+
+/**
+ * Lists the Outlook calendars the user can write to, signed in with the
+ * application ID in the form (it may not be saved yet). The default
+ * calendar is listed as "" (the default calendar ID).
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+async function listMicrosoftCalendars() {
+  const settings = await getSettings();
+  const client = createGraphCalendarClient({
+    baseUrl: settings.microsoftGraphBaseUrl,
+    clientId: document.getElementById('microsoft-client-id').value.trim(),
+    authorityUrl: settings.microsoftAuthorityUrl
+  });
+  const calendars = await client.listCalendars();
+  return calendars.map(({ id, name, isDefault }) => (isDefault
+    ? { id: '', name: `${name} (default calendar)` }
+    : { id, name }));
+}
+
+/**
+ * Asks for access to a CalDAV server (its responses carry no CORS
+ * headers). Chrome only shows the prompt during a click, so this has to
+ * run before the save handler awaits anything.
+ * @param {string} collectionUrl - Calendar collection URL
+ * @returns {Promise<boolean>} Whether the extension may reach the server
+ */
+function requestCalDavAccess(collectionUrl) {
+  let origin;
+  try {
+    origin = new URL(collectionUrl).origin;
+  } catch (e) {
+    return Promise.resolve(false);
+  }
+
+  return new Promise((resolve) => {
+    chrome.permissions.request({ origins: [`${origin}/*`] }, (granted) => {
+      // Reading lastError keeps Chrome from logging a refused request
+      resolve(!chrome.runtime.lastError && granted === true);
+    });
+  });
+}
+
+/**
+ * Checks that the saved CalDAV settings reach a calendar and says so
+ * below the CalDAV fields
+ * @param {Object} settings - Settings as saved
+ * @param {boolean} granted - Whether the extension may reach the server
+ * @returns {Promise<void>}
+ */
+async function checkCalDavCollection(settings, granted) {
+  const status = document.getElementById('caldav-status');
+  const origin = new URL(settings.caldavCollectionUrl).origin;
+  let message;
+  let ok = false;
+
+  if (!granted) {
+    message = `DynaCal needs access to ${origin} - save again and allow it, or CalDAV exports will fail`;
+  } else {
+    try {
+      const client = createCalDavClient({
+        collectionUrl: settings.caldavCollectionUrl,
+        username: settings.caldavUsername,
+        password: settings.caldavPassword
+      });
+      ok = await client.verifyCollection();
+      message = ok
+        ? 'Connected to the calendar'
+        : 'This URL is not a calendar - use the URL of one calendar (a collection), not of the account';
+    } catch (error) {
+      message = error.status ? error.message : `Could not reach ${origin} (${error.message})`;
+    }
+  }
+
+  status.textContent = message;
+  status.classList.toggle('ok', ok);
+}
+
+/**
+ * Shows a short note next to the Save button
+ * @param {string} message - Note text
+ */
+function showStatus(message) {
+  const status = document.getElementById('save-status');
+  if (!status) return;
+
+  status.textContent = message;
+  clearTimeout(statusTimeout);
+  statusTimeout = setTimeout(() => {
+    status.textContent = '';
+  }, SAVED_STATUS_MS);
+}
+
+/**
+ * Saves the form and shows the settings as stored (invalid values
+ * come back as their defaults). Nothing is saved while a template has
+ * an error, so the edits aren't replaced by the default. With CalDAV on,
+ * it also asks for access to the server and checks the calendar.
+ * @returns {Promise<Object|null>} The full settings after saving, or null
+ */
+async function handleSave() {
+  saveTemplateDraft();
+  const invalid = Object.keys(templateDrafts).find(id => validateTemplate(templateDrafts[id]));
+  if (invalid !== undefined) {
+    showTemplate(invalid);
+    return null;
+  }
+
+  const changes = readForm();
+  const caldavUrl = changes.caldavCollectionUrl;
+  const access = changes.caldavEnabled && isCalDavUrl(caldavUrl) ? requestCalDavAccess(caldavUrl) : null;
+
+  const settings = await saveSettings(changes);
+  fillForm(settings);
+  showStatus('Saved');
+
+  const caldavStatus = document.getElementById('caldav-status');
+  if (settings.caldavEnabled) {
+    await checkCalDavCollection(settings, await access);
+  } else if (caldavUrl && !isCalDavUrl(caldavUrl)) {
+    caldavStatus.textContent = `${caldavUrl} can't be used - the calendar URL must start with https:// (http:// only for localhost)`;
+    caldavStatus.classList.remove('ok');
+  } else {
+    caldavStatus.textContent = '';
+  }
+  return settings;
+}
+
+/**
+ * Offers the time zones the browser knows in the time zone field
+ */
+function fillTimeZoneList() {
+  const list = document.getElementById('time-zones');
+  if (!list || typeof Intl.supportedValuesOf !== 'function') return;
+
+  Intl.supportedValuesOf('timeZone').forEach(zone => {
+    const option = document.createElement('option');
+    option.value = zone;
+    list.appendChild(option);
+  });
+}
+
+/**
+ * Loads the settings into the form and wires up its buttons
+ * @returns {Promise<void>}
+ */
+async function initOptions() {
+  fillTimeZoneList();
+  fillPlaceholderList();
+  fillForm(await getSettings());
+
+  document.getElementById('template-provider').onchange = (event) => showTemplate(event.target.value);
+  document.getElementById('description-template').oninput = () => updateTemplatePreview();
+  document.getElementById('reset-template').onclick = () => {
+    const id = document.getElementById('template-provider').value;
+    templateDrafts[id] = id ? '' : DEFAULT_DESCRIPTION_TEMPLATE;
+    showTemplate(id);
+  };
+
+  document.getElementById('google-load-calendars').onclick = () => loadCalendarPicker('google', listGoogleCalendars);
+  document.getElementById('microsoft-load-calendars').onclick = () => loadCalendarPicker('microsoft', listMicrosoftCalendars);
+
+  document.getElementById('add-reminder').onclick = () => {
+    document.getElementById('reminder-list').appendChild(createReminderRow({ minutes: 15, action: 'DISPLAY' }));
+  };
+
+  document.getElementById('settings-form').onsubmit = (event) => {
+    event.preventDefault();
+    handleSave();
+  };
+}
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    fillForm,
+    readForm,
+    handleSave,
+    initOptions
+  };
+}
+
+// Run when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  initOptions();
+});
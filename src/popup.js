@@ -4,16 +4,95 @@
  */
 
 const { parseEventDateTime } = require('./utils/dateParser');
-const { generateGoogleCalendarLink, generateOutlookLink } = require('./utils/calendarLinks');
-const { generateICS } = require('./utils/icsGenerator');
+const { mergeEventDetails } = require('./detailScraper');
+const { LIVE_EVENTS_PORT } = require('./liveScanner');
+const { DEFAULT_SETTINGS, EXPORT_PROVIDERS, getSettings, getEventReminders, getReminderOverrides, setReminderOverride } = require('./settings');
+const { getBrowserTimeZone } = require('./utils/vtimezone');
+const { detectSeries, getSeriesSlug, describeSeries } = require('./utils/recurrence');
+const { getExporter, getRemoteExporter, getExporters } = require('./exporters');
+const { renderTemplate } = require('./utils/descriptionTemplate');
 
 const LIVE_EVENTS_URL = 'https://community.dynamous.ai/c/live-events';
 
+// Page that lists events: the live events space (list or calendar layout)
+const LIVE_EVENTS_PATH = '/c/live-events';
+
+// Content script bundle, injected on demand when the tab doesn't have it yet
+const CONTENT_SCRIPT_FILE = 'dist/content.js';
+
+// Errors Chrome reports when no content script is listening in the tab
+const MISSING_CONTENT_SCRIPT_PATTERN = /Receiving end does not exist|Could not establish connection/i;
+
+// Shown instead of Chrome's raw error when the page can't be reached
+const PAGE_UNREACHABLE_MESSAGE = 'Could not connect to the events page. Reload the page and try again.';
+
+// Shown when the scraper had to fall back from Circle's semantic hooks
+const LAYOUT_CHANGED_MESSAGE = '⚠️ The events page layout has changed. Some events may be missing or incomplete - double-check them on Circle.';
+
+// Badge, and {{rsvp}}/{{rsvpIcon}} text for export descriptions, for each
+// RSVP state (see scraper.js)
+const RSVP_STATES = {
+  going: { badge: 'Going', status: 'Going', icon: '✅' },
+  not_going: { badge: 'Not going', status: 'Not going', icon: '❌' },
+  interested: { badge: 'Interested', status: 'Interested', icon: '⭐' },
+  waitlisted: { badge: 'Waitlisted', status: 'Waitlisted', icon: '⏳' },
+  full: { badge: 'Event full', status: 'Event full', icon: '🚫' },
+  none: { badge: null, status: 'Not yet confirmed', icon: '⚠️' },
+  // The calendar grid doesn't show RSVPs
+  unknown: { badge: null, status: 'See event page', icon: '🔗' }
+};
+
+// Exporter behind the toolbar's main button (one ICS file with every event)
+const EXPORT_ALL_TYPE = 'ics';
+
+// Host shown when the event page doesn't name one
+const DEFAULT_HOST = 'Cole Medin';
+
+// Event pages loaded each time the popup opens; the rest load next time
+const MAX_DETAIL_PAGES = 20;
+
+// How long details loaded from an event page are reused (6 hours)
+const EVENT_DETAILS_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+// Reminder choices offered on each card (null = the defaults from settings)
+const REMINDER_PRESETS = [
+  { id: 'default', label: '⏰ Default reminders', reminders: null },
+  { id: 'none', label: 'No reminders', reminders: [] },
+  { id: '15m', label: '15 min before', reminders: [{ minutes: 15, action: 'DISPLAY' }] },
+  { id: '1h', label: '1 hour before', reminders: [{ minutes: 60, action: 'DISPLAY' }] },
+  {
+    id: 'must-attend',
+    label: '1 day + 1 hour + 10 min before',
+    reminders: [
+      { minutes: 1440, action: 'DISPLAY' },
+      { minutes: 60, action: 'DISPLAY' },
+      { minutes: 10, action: 'AUDIO' }
+    ]
+  }
+];
+
 // Local cache of exported events for UI rendering
 let exportedEventsCache = [];
 
+// Per-event reminder overrides (slug -> reminders) for UI rendering
+let reminderOverridesCache = {};
+
+// Settings cards and toolbar buttons are built with (the exporters they
+// offer, the default duration, whether exported buttons stay enabled)
+let popupSettings = DEFAULT_SETTINGS;
+
+// Events currently rendered in the popup (used by bulk export)
+let currentEvents = [];
+
+// Last "Load all events" scan; only a complete scan of the list layout
+// can tell that an exported event is gone from Circle
+let completeScan = null;
+
+// What each rendered card was built from, so re-renders can keep unchanged cards
+const cardSignatures = new WeakMap();
+
 /**
- * Validates if the current URL is the Dynamous live events page
+ * Validates if the current URL is a Dynamous live events page (list or calendar grid)
  * @param {string} url - URL to validate
  * @returns {boolean} True if valid live events page
  */
@@ -28,14 +107,52 @@ function isValidLiveEventsPage(url) {
       return false;
     }
 
-    // Must be the live-events list view (not a specific event)
+    // Must be the live-events list or calendar view (not a specific event)
     const pathname = parsedUrl.pathname.replace(/\/$/, ''); // Remove trailing slash
-    return pathname === '/c/live-events';
+    return pathname === LIVE_EVENTS_PATH;
   } catch (e) {
     return false;
   }
 }
 
+/**
+ * Sends a message to the content script, injecting the script first if
+ * nothing is listening. Circle is a single-page app: a member who opened
+ * another space and navigated to live events client-side can have a tab
+ * where the script never loaded.
+ * @param {number} tabId - Tab to message
+ * @param {Object} message - Message for the content script
+ * @param {Function} callback - Called with (response, error)
+ * @param {boolean} [retried] - Whether the script was already injected
+ */
+function sendToContentScript(tabId, message, callback, retried = false) {
+  chrome.tabs.sendMessage(tabId, message, (response) => {
+    const lastError = chrome.runtime.lastError;
+    if (!lastError) {
+      callback(response, null);
+      return;
+    }
+
+    if (!MISSING_CONTENT_SCRIPT_PATTERN.test(lastError.message)) {
+      callback(undefined, new Error(lastError.message));
+      return;
+    }
+
+    if (retried || !chrome.scripting) {
+      callback(undefined, new Error(PAGE_UNREACHABLE_MESSAGE));
+      return;
+    }
+
+    chrome.scripting.executeScript({ target: { tabId }, files: [CONTENT_SCRIPT_FILE] }, () => {
+      if (chrome.runtime.lastError) {
+        callback(undefined, new Error(PAGE_UNREACHABLE_MESSAGE));
+        return;
+      }
+      sendToContentScript(tabId, message, callback, true);
+    });
+  });
+}
+
 /**
  * Scans the current page for events via content script
  * @returns {Promise<Array>} Array of event objects
@@ -48,13 +165,14 @@ function scanPageForEvents() {
         return;
       }
 
-      chrome.tabs.sendMessage(tabs[0].id, { action: 'scanEvents' }, (response) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
+      sendToContentScript(tabs[0].id, { action: 'scanEvents' }, (response, error) => {
+        if (error) {
+          reject(error);
           return;
         }
 
         if (response && response.success) {
+          renderLayoutWarning(response.diagnostics);
           resolve(response.events);
         } else {
           reject(new Error(response?.error || 'Failed to scan events'));
@@ -65,138 +183,1146 @@ function scanPageForEvents() {
 }
 
 /**
- * Converts scraped event data to calendar-ready format
- * @param {Object} event - Scraped event object
- * @returns {Object} Event with parsed dates
+ * Asks the content script to load every page of events (clicking
+ * "Load more" / scrolling) before scraping. Progress messages from the
+ * content script are passed to onProgress while the scan runs.
+ * @param {Function} [onProgress] - Called with { round, found }
+ * @returns {Promise<{ events: Array, complete: boolean, layout: string|null }>}
+ *   Every event on the page, deduplicated by slug; complete is false when
+ *   the scan stopped before the list ran out, layout is 'list' or 'calendar'
+ */
+function fullScanPageForEvents(onProgress) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs || tabs.length === 0) {
+        reject(new Error('No active tab found'));
+        return;
+      }
+
+      const progressListener = (message) => {
+        if (message && message.action === 'scanProgress' && onProgress) {
+          onProgress({ round: message.round, found: message.found });
+        }
+      };
+      chrome.runtime.onMessage.addListener(progressListener);
+
+      sendToContentScript(tabs[0].id, { action: 'fullScan' }, (response, error) => {
+        chrome.runtime.onMessage.removeListener(progressListener);
+
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        if (response && response.success) {
+          renderLayoutWarning(response.diagnostics);
+          resolve({
+            events: response.events,
+            complete: Boolean(response.complete),
+            layout: response.diagnostics ? response.diagnostics.layout : null
+          });
+        } else {
+          reject(new Error(response?.error || 'Failed to scan events'));
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Shows or hides the "page layout changed" warning based on the
+ * content script's scrape diagnostics
+ * @param {{ layoutChanged: boolean }} [diagnostics] - Scrape diagnostics
+ */
+function renderLayoutWarning(diagnostics) {
+  const warning = document.getElementById('layout-warning');
+  if (!warning) return;
+
+  if (diagnostics && diagnostics.layoutChanged) {
+    warning.textContent = LAYOUT_CHANGED_MESSAGE;
+    warning.classList.remove('hidden');
+  } else {
+    warning.textContent = '';
+    warning.classList.add('hidden');
+  }
+}
+
+/**
+ * Shows full scan progress on the "Load all events" button
+ * @param {{ found: number }} progress
+ */
+function renderScanProgress({ found }) {
+  const button = document.getElementById('full-scan');
+  if (button) {
+    button.textContent = `Loading... (${found} found)`;
+  }
+}
+
+/**
+ * Loads every event on the page (the popup only scans what is showing
+ * when it opens), then renders them and loads their details. A complete
+ * scan of the list layout also shows exported events Circle no longer
+ * lists. The button is disabled while the page scrolls.
+ * @returns {Promise<void>}
+ */
+async function handleFullScan() {
+  const button = document.getElementById('full-scan');
+  const label = button ? button.textContent : '';
+  if (button) button.disabled = true;
+
+  try {
+    const scan = await fullScanPageForEvents(renderScanProgress);
+    setCompleteScan(scan);
+    renderEvents(scan.events);
+    refreshEventDetails(scan.events);
+  } catch (error) {
+    showToast(error.message);
+  } finally {
+    if (button) {
+      button.disabled = false;
+      button.textContent = label;
+    }
+  }
+}
+
+/**
+ * Reads the event page details saved by earlier loads
+ * @returns {Promise<Object>} Map of slug to { details, loadedAt }
+ */
+function getCachedEventDetails() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('eventDetails', (result) => {
+      resolve(result.eventDetails || {});
+    });
+  });
+}
+
+/**
+ * Saves freshly loaded event page details, dropping entries too old to
+ * be used again
+ * @param {Object} loaded - Map of slug to details
+ * @returns {Promise<void>}
+ */
+async function cacheEventDetails(loaded) {
+  const cache = await getCachedEventDetails();
+  const now = Date.now();
+
+  Object.keys(cache)
+    .filter(slug => now - cache[slug].loadedAt >= EVENT_DETAILS_MAX_AGE_MS)
+    .forEach(slug => delete cache[slug]);
+  Object.keys(loaded).forEach(slug => {
+    cache[slug] = { details: loaded[slug], loadedAt: now };
+  });
+
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ eventDetails: cache }, resolve);
+  });
+}
+
+/**
+ * Merges each event's detail page (description, hosts, meeting link and
+ * exact times) into the events, in place. Details loaded in the last few
+ * hours come from storage; the other pages are loaded via the content
+ * script, at most MAX_DETAIL_PAGES per call. Resolves with the events even
+ * if loading fails.
+ * @param {Array} events - Scraped event objects
+ * @returns {Promise<Array>} The same events, enriched where possible
  */
-function prepareEventForExport(event) {
-  const referenceYear = new Date().getFullYear();
-  const parsed = parseEventDateTime(event.dateTimeStr, referenceYear);
+async function loadEventDetails(events) {
+  if (events.length === 0) return events;
+
+  const cache = await getCachedEventDetails();
+  const now = Date.now();
+  const missing = events.filter(event => {
+    const cached = cache[event.slug || slugify(event.title)];
+    if (!cached || now - cached.loadedAt >= EVENT_DETAILS_MAX_AGE_MS) return true;
+
+    mergeEventDetails(event, cached.details);
+    return false;
+  }).slice(0, MAX_DETAIL_PAGES);
+  if (missing.length === 0) return events;
+
+  const tabs = await new Promise((resolve) => {
+    chrome.tabs.query({ active: true, currentWindow: true }, resolve);
+  });
+  if (!tabs || tabs.length === 0) return events;
+
+  const urls = missing.map(getEventUrl);
+  const response = await new Promise((resolve) => {
+    sendToContentScript(tabs[0].id, { action: 'scrapeEventDetails', urls }, (result, error) => {
+      resolve(error ? null : result);
+    });
+  });
+  if (!response || !response.success) return events;
+
+  const loaded = {};
+  missing.forEach((event, index) => {
+    const details = response.details[urls[index]];
+    if (details) {
+      mergeEventDetails(event, details);
+      loaded[event.slug || slugify(event.title)] = details;
+    }
+  });
+  await cacheEventDetails(loaded);
+
+  return events;
+}
 
-  const eventUrl = event.url.startsWith('http')
+/**
+ * Loads the events' details in the background, then re-renders the list
+ * so cards show what was merged in. A failed load is logged and leaves
+ * the list as it was.
+ * @param {Array} events - Scraped event objects
+ * @returns {Promise<void>}
+ */
+function refreshEventDetails(events) {
+  return loadEventDetails(events)
+    .then(() => renderEvents(currentEvents))
+    .catch(error => console.error('Error loading event details:', error));
+}
+
+/**
+ * Returns the absolute URL of an event page
+ * @param {Object} event - Scraped event object
+ * @returns {string} Absolute event URL
+ */
+function getEventUrl(event) {
+  return event.url.startsWith('http')
     ? event.url
     : `https://community.dynamous.ai${event.url}`;
+}
+
+/**
+ * Looks up the display text for an event's RSVP state. Events scraped
+ * without one (calendar grid) are unknown, not unanswered.
+ * @param {Object} event - Scraped event object
+ * @returns {{ badge: string|null, status: string, icon: string }}
+ */
+function getRsvpState(event) {
+  if (!event.rsvpStatus) return RSVP_STATES.unknown;
+  return RSVP_STATES[event.rsvpStatus] || RSVP_STATES.none;
+}
+
+/**
+ * Formats attendee and capacity counts ("12 / 50 going", "12 going")
+ * @param {Object} event - Scraped event object
+ * @returns {string|null} Null when Circle didn't show a count
+ */
+function formatAttendance(event) {
+  if (event.attendeeCount == null) return null;
+  return event.capacity != null
+    ? `${event.attendeeCount} / ${event.capacity} going`
+    : `${event.attendeeCount} going`;
+}
+
+/**
+ * Formats when an event starts in the user's time zone ({{localTime}})
+ * Output: "Tue, Dec 9, 2:00 PM EST"
+ * @param {Date} date - Start of the event
+ * @param {Object} settings - From getSettings (the TZID zone, if set)
+ * @returns {string}
+ */
+function formatLocalTime(date, settings) {
+  return new Intl.DateTimeFormat(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: settings.timeZone || undefined,
+    timeZoneName: 'short'
+  }).format(date);
+}
+
+/**
+ * Collects the values description templates fill in (see TEMPLATE_PLACEHOLDERS)
+ * @param {Object} event - Scraped event object
+ * @param {Date} startDate - Start of the event
+ * @param {Object} settings - From getSettings
+ * @returns {Object} Placeholder values
+ */
+function getDescriptionValues(event, startDate, settings) {
+  const hosts = event.hosts && event.hosts.length > 0 ? event.hosts : [DEFAULT_HOST];
+  const rsvpState = getRsvpState(event);
+
+  return {
+    title: event.title,
+    dateTime: event.dateTimeStr,
+    localTime: formatLocalTime(startDate, settings),
+    location: event.location || '',
+    host: hosts.join(', '),
+    hostLabel: hosts.length > 1 ? 'Hosts' : 'Host',
+    meetingUrl: event.meetingUrl || '',
+    rsvp: rsvpState.status,
+    rsvpIcon: rsvpState.icon,
+    attendance: formatAttendance(event) || '',
+    agenda: event.description || '',
+    url: getEventUrl(event)
+  };
+}
+
+/**
+ * Picks the description template for an exporter: its own one if the
+ * user wrote one (Outlook turns line breaks into <br>, shared calendars
+ * may want less detail), the general one otherwise
+ * @param {Object} settings - From getSettings
+ * @param {string} [exporterId] - Exporter the event is prepared for
+ * @returns {string} Template
+ */
+function getDescriptionTemplate(settings, exporterId) {
+  return (exporterId && settings.providerTemplates[exporterId]) || settings.descriptionTemplate;
+}
+
+/**
+ * Renders the description of an exported event from the user's template
+ * @param {Object} event - Scraped event object
+ * @param {Date} startDate - Start of the event
+ * @param {Object} settings - From getSettings
+ * @param {string} [exporterId] - Exporter the event is for, to pick its description template
+ * @returns {string}
+ */
+function renderDescription(event, startDate, settings, exporterId) {
+  return renderTemplate(getDescriptionTemplate(settings, exporterId), getDescriptionValues(event, startDate, settings)).trim();
+}
+
+/**
+ * Converts scraped event data to calendar-ready format.
+ * Exact times and the agenda from the detail page are used when loaded.
+ * Events Circle lists without an end last the default duration, and are
+ * flagged with hasEndTime false.
+ * @param {Object} event - Scraped event object
+ * @param {Object} [settings] - From getSettings (default duration, description
+ *   templates); defaults to the popup's
+ * @param {string} [exporterId] - Exporter the event is for, to pick its description template
+ * @returns {Object|null} Event with parsed dates, or null if the date can't be parsed
+ */
+function prepareEventForExport(event, settings = popupSettings, exporterId) {
+  const durationMinutes = settings.defaultDurationMinutes;
+  const parsed = parseEventDateTime(event.dateTimeStr, undefined, durationMinutes);
+  if (!parsed && !event.startTime) return null;
+
+  const startDate = event.startTime ? new Date(event.startTime) : parsed.startDate;
+  let endDate;
+  let hasEndTime = false;
+  if (event.endTime) {
+    endDate = new Date(event.endTime);
+    hasEndTime = true;
+  } else if (parsed && !event.startTime) {
+    endDate = parsed.endDate;
+    hasEndTime = parsed.hasEndTime;
+  } else {
+    endDate = new Date(startDate.getTime() + durationMinutes * 60 * 1000);
+  }
+
+  return {
+    title: event.title,
+    slug: event.slug || slugify(event.title),
+    startDate,
+    endDate,
+    hasEndTime,
+    location: event.location,
+    url: getEventUrl(event),
+    description: renderDescription(event, startDate, settings, exporterId)
+  };
+}
+
+/**
+ * Captures the exported fields that make a calendar entry out of date
+ * when they change (start, end, title, location), plus the URL needed
+ * to build a cancellation later
+ * @param {Object} exportEvent - Event from prepareEventForExport
+ * @returns {{ start: string, end: string, title: string, location: string, url: string }}
+ */
+function getExportSnapshot(exportEvent) {
+  return {
+    start: exportEvent.startDate.toISOString(),
+    end: exportEvent.endDate.toISOString(),
+    title: exportEvent.title,
+    location: exportEvent.location || '',
+    url: exportEvent.url
+  };
+}
+
+/**
+ * Fingerprints the exported fields that make a calendar entry out of date
+ * when they change: start, end, title and location. An end that only
+ * comes from the default duration is left out, so changing that setting
+ * doesn't flag every start-only event as changed.
+ * @param {Object} exportEvent - Event from prepareEventForExport
+ * @returns {string} Fingerprint
+ */
+function getExportFingerprint(exportEvent) {
+  const { start, end, title, location } = getExportSnapshot(exportEvent);
+  return [start, exportEvent.hasEndTime === false ? '' : end, title, location].join('|');
+}
+
+/**
+ * Fingerprint of an event as it would be exported now
+ * @param {Object} event - Scraped event object
+ * @returns {string|null} Null when the event can't be exported
+ */
+function getEventFingerprint(event) {
+  const exportEvent = prepareEventForExport(event);
+  return exportEvent ? getExportFingerprint(exportEvent) : null;
+}
+
+/**
+ * Describes why an event's date can't be exported safely: either it can't
+ * be parsed, or its weekday and date can't be reconciled in any nearby year
+ * @param {Object} event - Scraped event object
+ * @returns {string|null} Problem description, or null when the date is usable
+ */
+function getDateProblem(event) {
+  // Exact times from the event page need no inference
+  if (event.startTime) return null;
+
+  const parsed = parseEventDateTime(event.dateTimeStr);
+  if (!parsed) return 'Date could not be read';
+  if (parsed.weekdayMismatch) return 'Date could not be verified';
+  return null;
+}
+
+/**
+ * Generates filename slug from event title
+ * @param {string} title - Event title
+ * @returns {string} Slug for filename
+ */
+function slugify(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Shows a brief toast notification
+ * @param {string} message - Message to display
+ */
+function showToast(message) {
+  const toast = document.getElementById('toast');
+  if (!toast) return;
+
+  toast.textContent = message;
+  toast.classList.add('show');
+
+  setTimeout(() => {
+    toast.classList.remove('show');
+  }, 2000);
+}
+
+/**
+ * Triggers a browser download of ICS content
+ * @param {string} icsContent - ICS file content
+ * @param {string} filename - Download filename
+ */
+function downloadICS(icsContent, filename) {
+  const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Finds the rendered card for an event slug
+ * @param {string} slug - Event slug
+ * @returns {HTMLElement|undefined} Event card element
+ */
+function findEventCard(slug) {
+  return Array.from(document.querySelectorAll('.event-card'))
+    .find(card => card.dataset.slug === slug);
+}
+
+/**
+ * Disables the export button of a given type on an event card (unless
+ * re-exports are allowed) and adds the exported badge
+ * @param {string} slug - Event slug
+ * @param {string} type - Export type
+ */
+function markCardExported(slug, type) {
+  const card = findEventCard(slug);
+  if (!card) return;
+
+  const button = card.querySelector(`[data-export="${type}"]`);
+  if (button && !popupSettings.allowReExports) {
+    button.disabled = true;
+    button.classList.add('disabled');
+  }
+
+  // Add exported badge if not already present
+  if (!card.querySelector('.exported-badge')) {
+    const exportedBadge = document.createElement('span');
+    exportedBadge.className = 'exported-badge';
+    exportedBadge.textContent = 'Exported';
+    card.appendChild(exportedBadge);
+  }
+}
+
+/**
+ * Builds what exporters get besides the events (see exporters.js)
+ * @param {Object} settings - From getSettings
+ * @param {boolean} [bulk] - Whether this is a toolbar export of many events
+ * @returns {Object} Export context
+ */
+function createExportContext(settings, bulk = false) {
+  return {
+    settings,
+    bulk,
+    openUrl: (url) => window.open(url, '_blank'),
+    downloadICS: (icsContent, name) => downloadICS(icsContent, `${slugify(name)}.ics`)
+  };
+}
+
+/**
+ * Gets an event ready for an exporter: its reminders, a SEQUENCE when the
+ * exporter replaces earlier exports, and where a calendar service stored
+ * the last one
+ * @param {Object} exporter - From the exporter registry
+ * @param {Object} exportEvent - Event from prepareEventForExport
+ * @param {string} fingerprint - Fingerprint of the exported fields
+ * @returns {Promise<{ event: Object, eventId?: string, etag?: string }>} Item for exporter.export
+ */
+async function createExportItem(exporter, exportEvent, fingerprint) {
+  const slug = exportEvent.slug;
+  if (exporter.capabilities.update) {
+    exportEvent.sequence = await getEventSequence(slug, fingerprint);
+  }
+  exportEvent.reminders = await getEventReminders(slug);
+
+  return { event: exportEvent, ...(await getRemoteExport(slug, exporter.id)) };
+}
+
+/**
+ * Handles export button clicks
+ * @param {string} type - Export type (an exporter ID, e.g. 'google', 'ics' or 'caldav')
+ * @param {Object} event - Event object
+ */
+async function handleExport(type, event) {
+  const dateProblem = getDateProblem(event);
+  if (dateProblem) {
+    showToast(dateProblem);
+    return;
+  }
+
+  const settings = await getSettings();
+  const exporter = getExporter(type, settings);
+  if (!exporter) return;
+
+  const exportEvent = prepareEventForExport(event, settings, type);
+  const fingerprint = getExportFingerprint(exportEvent);
+
+  const slug = event.slug || slugify(event.title);
+
+  // Check if already exported (an event that changed since can be exported again)
+  const alreadyExported = !settings.allowReExports && await isEventExported(slug, type, fingerprint);
+  if (alreadyExported) {
+    return; // Don't export again
+  }
+
+  let result;
+  try {
+    const item = await createExportItem(exporter, exportEvent, fingerprint);
+    [result] = await exporter.export([item], createExportContext(settings));
+  } catch (error) {
+    result = { error };
+  }
+  if (result.error) {
+    showToast(`${exporter.label}: ${result.error.message}`);
+    return;
+  }
+
+  // Track the export (with where a calendar service stored it) and update UI
+  await trackExport(slug, type, exportEvent, { remoteId: result.eventId, etag: result.etag });
+  markCardExported(slug, type);
+
+  // Show confirmation toast
+  showToast(exporter.remote ? `Saved to ${exporter.label}` : `Added to ${exporter.label}`);
+}
+
+/**
+ * Re-exports an event that changed since it was exported, to every
+ * calendar it went to. Exporters with the update capability replace the
+ * old entry (ICS files get a bumped SEQUENCE, calendar services update it
+ * in place); the others (deep links) add a new one, so the toast says
+ * where the old one has to be deleted by hand.
+ * @param {Object} event - Event object
+ */
+async function handleUpdateExport(event) {
+  const types = getOutdatedExports(event).map(e => e.exportType);
+
+  for (const type of types) {
+    await handleExport(type, event);
+  }
+
+  const settings = await getSettings();
+  const duplicated = types
+    .map(type => getExporter(type, settings))
+    .filter(exporter => exporter && !exporter.capabilities.update);
+
+  renderEvents(currentEvents);
+  showToast(duplicated.length > 0
+    ? `Calendar entry updated - delete the old one from ${duplicated.map(exporter => exporter.label).join(' and ')}`
+    : 'Calendar entry updated');
+}
+
+/**
+ * Exporters that can remove the calendar entries of an unlisted event,
+ * calendar services first. Entries stored in a calendar service are
+ * deleted by the exporter that stored them, even if it has been turned
+ * off since.
+ * @param {{ exportTypes: Array<string>, remotes: Object }} entry - From getUnlistedExports
+ * @param {Object} settings - From getSettings
+ * @returns {Array<Object>} Exporters with the cancel capability
+ */
+function getCancelExporters(entry, settings) {
+  const cancellers = entry.exportTypes
+    .map(type => (entry.remotes[type] ? getRemoteExporter(type) : getExporter(type, settings)))
+    .filter(exporter => exporter && exporter.capabilities.cancel &&
+      (!exporter.remote || entry.remotes[exporter.id]));
+
+  return [
+    ...cancellers.filter(exporter => exporter.remote),
+    ...cancellers.filter(exporter => !exporter.remote)
+  ];
+}
+
+/**
+ * Joins exporter names for buttons and toasts
+ * @param {Array<Object>} exporters - From the exporter registry
+ * @returns {string} e.g. "Google Calendar and Outlook"
+ */
+function joinLabels(exporters) {
+  return exporters.map(exporter => exporter.label).join(' and ');
+}
+
+/**
+ * Cancels an exported event that is no longer listed: every exporter with
+ * the cancel capability removes its entry (ICS exports get a METHOD:CANCEL
+ * file, calendar services delete the event). Link exports have to be
+ * deleted by hand, so the card is just dismissed.
+ * @param {{ slug: string, snapshot: Object, exportTypes: Array<string>, remotes: Object }} entry - From getUnlistedExports
+ */
+async function handleCancelExport(entry) {
+  const { slug, snapshot } = entry;
+
+  const settings = await getSettings();
+  const cancellers = getCancelExporters(entry, settings);
+
+  if (cancellers.length > 0) {
+    const cancelled = {
+      title: snapshot.title,
+      slug,
+      startDate: new Date(snapshot.start),
+      endDate: new Date(snapshot.end),
+      location: snapshot.location,
+      url: snapshot.url,
+      sequence: await getEventSequence(slug, 'cancelled')
+    };
+    const context = createExportContext(settings);
+
+    // Each exporter's cancellation is recorded as it succeeds, so a retry
+    // after a failure only goes to the exporters that failed
+    const messages = [];
+    const removed = [];
+    const failures = [];
+    for (const exporter of cancellers) {
+      try {
+        const message = await exporter.cancel([{ event: cancelled, ...entry.remotes[exporter.id] }], context);
+        if (message) messages.push(message);
+        await trackExport(slug, 'cancel', undefined, { cancelledType: exporter.id });
+        removed.push(exporter);
+      } catch (error) {
+        failures.push(`${exporter.label}: ${error.message}`);
+      }
+    }
+
+    const summary = removed.length > 0 ? [messages[0] || `Removed from ${joinLabels(removed)}`] : [];
+    showToast(summary.concat(failures).join(' - '));
+    if (failures.length > 0) {
+      renderEvents(currentEvents);
+      return;
+    }
+  } else {
+    showToast('Dismissed');
+  }
+
+  await trackExport(slug, 'cancel');
+  renderEvents(currentEvents);
+}
+
+/**
+ * Reads the zone recurring series repeat in: the TZID setting, or the
+ * browser's zone (series are always written with TZID, see recurrence.js)
+ * @returns {Promise<string>} IANA zone name
+ */
+async function getSeriesTimeZone() {
+  const settings = await getSettings();
+  return settings.timeZone || getBrowserTimeZone();
+}
+
+/**
+ * Finds the recurring series among events
+ * @param {Array} events - Scraped events
+ * @returns {Promise<Array<Object>>} Series from detectSeries
+ */
+async function findEventSeries(events) {
+  const exportEvents = (events || [])
+    .filter(event => !getDateProblem(event))
+    .map(event => prepareEventForExport(event))
+    .filter(Boolean);
+
+  return detectSeries(exportEvents, await getSeriesTimeZone());
+}
+
+/**
+ * Fingerprint of a series export: the rule, skipped and moved sessions,
+ * and what the sessions look like
+ * @param {Object} series - From detectSeries
+ * @returns {string}
+ */
+function getSeriesFingerprint(series) {
+  return JSON.stringify([
+    series.rrule,
+    series.exdates.map(date => date.toISOString()),
+    series.overrides.map(({ recurrenceId, event }) => [recurrenceId.toISOString(), getExportFingerprint(event)]),
+    getExportFingerprint({ ...series.first, title: series.title, location: series.location })
+  ]);
+}
+
+/**
+ * Finds the scraped event a session of a series was prepared from, for
+ * the details description templates use (hosts, agenda, RSVP)
+ * @param {Object} exportEvent - Event from prepareEventForExport
+ * @returns {Object} Scraped event, or the session itself once it is no longer listed
+ */
+function findScrapedEvent(exportEvent) {
+  return currentEvents.find(event => (event.slug || slugify(event.title)) === exportEvent.slug) || exportEvent;
+}
+
+/**
+ * Builds the master event of a series export. Its description comes from
+ * the user's template, with the series rule as {{dateTime}}.
+ * @param {Object} series - From detectSeries
+ * @param {Object} [settings] - From getSettings; defaults to the popup's
+ * @param {string} [exporterId] - Exporter the series is for, to pick its description template
+ * @returns {Object} Event with the series title, rule and description
+ */
+function prepareSeriesForExport(series, settings = popupSettings, exporterId) {
+  const first = {
+    ...findScrapedEvent(series.first),
+    title: series.title,
+    location: series.location || undefined,
+    dateTimeStr: describeSeries(series)
+  };
+
+  return {
+    ...series.first,
+    title: series.title,
+    slug: getSeriesSlug(series),
+    location: series.location || undefined,
+    description: renderDescription(first, series.first.startDate, settings, exporterId),
+    rrule: series.rrule,
+    timeZone: series.timeZone
+  };
+}
+
+/**
+ * Renders the descriptions of a series' moved sessions for an exporter
+ * @param {Object} series - From detectSeries
+ * @param {Object} settings - From getSettings
+ * @param {string} exporterId - Exporter the series is for
+ * @returns {Object} Copy of the series with the overrides described
+ */
+function describeSeriesOverrides(series, settings, exporterId) {
+  return {
+    ...series,
+    overrides: series.overrides.map(({ recurrenceId, event }) => ({
+      recurrenceId,
+      event: { ...event, description: renderDescription(findScrapedEvent(event), event.startDate, settings, exporterId) }
+    }))
+  };
+}
+
+/**
+ * Checks if an exporter can take a series. Most carry an RRULE but no
+ * EXDATEs or overrides (e.g. Google links), so only unbroken series
+ * qualify for them.
+ * @param {Object} exporter - From the exporter registry
+ * @param {Object} series - From detectSeries
+ * @returns {boolean}
+ */
+function canExportSeries(exporter, series) {
+  if (!exporter.capabilities.series) return false;
+  return exporter.capabilities.seriesExceptions ||
+    (series.exdates.length === 0 && series.overrides.length === 0);
+}
+
+/**
+ * Exporters offered on series cards: the card exporters with the series
+ * capability, in the same order
+ * @param {Object} settings - From getSettings
+ * @returns {Array<Object>} Exporters
+ */
+function getSeriesExporters(settings) {
+  return getCardExporters(settings).filter(exporter => exporter.capabilities.series);
+}
+
+/**
+ * Slugs of the sessions in a series
+ * @param {Object} series - From detectSeries
+ * @returns {Array<string>}
+ */
+function getSessionSlugs(series) {
+  return series.events.map(event => event.slug || slugify(event.title));
+}
+
+/**
+ * Sessions of a series that are in a calendar on their own: exported
+ * singly and not cancelled since (from cache)
+ * @param {Object} series - From detectSeries
+ * @returns {Array<string>} Session slugs
+ */
+function getSessionsExportedAlone(series) {
+  return getSessionSlugs(series).filter(slug => {
+    const exportTypes = new Set();
+    exportedEventsCache
+      .filter(record => record.slug === slug)
+      .forEach(record => {
+        if (record.exportType === 'cancel') {
+          exportTypes.forEach(type => {
+            if (cancelCovers(record, type)) exportTypes.delete(type);
+          });
+        } else if (getExporter(record.exportType)) {
+          exportTypes.add(record.exportType);
+        }
+      });
+    return exportTypes.size > 0;
+  });
+}
+
+/**
+ * Finds the series export a session went out with (from cache)
+ * @param {string} slug - Session slug
+ * @returns {Object|undefined} Export record of the series
+ */
+function getSeriesExport(slug) {
+  return exportedEventsCache.find(record => (record.sessions || []).includes(slug));
+}
+
+/**
+ * Says how many sessions of a series were exported on their own
+ * Output: "1 session was already exported on its own"
+ *
+ * @param {Array<string>} sessions - From getSessionsExportedAlone
+ * @returns {string}
+ */
+function describeSessionsExportedAlone(sessions) {
+  return sessions.length === 1
+    ? '1 session was already exported on its own'
+    : `${sessions.length} sessions were already exported on their own`;
+}
+
+/**
+ * Exports a recurring series as one event with an RRULE, through the
+ * exporter registered for the type (so Google writes through the API once
+ * that is set up, and opens a link otherwise)
+ * @param {string} type - Export type (an exporter ID with the series capability)
+ * @param {Object} series - From detectSeries
+ */
+async function handleSeriesExport(type, series) {
+  const settings = await getSettings();
+  const exporter = getExporter(type, settings);
+  if (!exporter || !exporter.capabilities.series) {
+    showToast(`${exporter ? exporter.label : type} can't add a repeating event`);
+    return;
+  }
+  if (!canExportSeries(exporter, series)) {
+    showToast(`${exporter.label} can't skip or move sessions of a series`);
+    return;
+  }
+
+  const master = prepareSeriesForExport(series, settings, type);
+  const fingerprint = getSeriesFingerprint(series);
+  if (!settings.allowReExports && await isEventExported(master.slug, type, fingerprint)) {
+    showToast(`The ${series.title} series is already in ${exporter.label}`);
+    return;
+  }
+
+  // The series gets its own UID, so sessions already in a calendar would be added twice
+  const exportedSessions = getSessionsExportedAlone(series);
+  if (exportedSessions.length > 0) {
+    showToast(`${describeSessionsExportedAlone(exportedSessions)} - export the other sessions one by one`);
+    return;
+  }
+
+  let result;
+  try {
+    const item = await createExportItem(exporter, master, fingerprint);
+    [result] = await exporter.export([item], {
+      ...createExportContext(settings),
+      series: describeSeriesOverrides(series, settings, type)
+    });
+  } catch (error) {
+    result = { error };
+  }
+  if (result.error) {
+    showToast(`${exporter.label}: ${result.error.message}`);
+    return;
+  }
+
+  await trackExport(master.slug, type, master, {
+    fingerprint,
+    sessions: getSessionSlugs(series),
+    remoteId: result.eventId,
+    etag: result.etag
+  });
+  renderEvents(currentEvents);
+  showToast(exporter.remote
+    ? `Saved the ${series.title} series to ${exporter.label}`
+    : `Added the ${series.title} series`);
+}
+
+/**
+ * Creates a card offering a recurring series as a single export
+ * @param {Object} series - From detectSeries
+ * @returns {HTMLElement} Card element
+ */
+function createSeriesCard(series) {
+  const slug = getSeriesSlug(series);
+  const fingerprint = getSeriesFingerprint(series);
+
+  const card = document.createElement('div');
+  card.className = 'series-card';
+  card.dataset.slug = slug;
+
+  const title = document.createElement('h3');
+  title.className = 'event-title';
+  title.textContent = `🔁 ${series.title}`;
+  card.appendChild(title);
+
+  const summary = document.createElement('p');
+  summary.className = 'event-datetime';
+  summary.textContent = describeSeries(series);
+  card.appendChild(summary);
+
+  // Sessions exported on their own block the series (see handleSeriesExport)
+  const exportedSessions = getSessionsExportedAlone(series);
+  if (exportedSessions.length > 0) {
+    const warning = document.createElement('p');
+    warning.className = 'series-warning';
+    warning.textContent = `⚠️ ${describeSessionsExportedAlone(exportedSessions)}`;
+    card.appendChild(warning);
+  }
+
+  const buttons = document.createElement('div');
+  buttons.className = 'export-buttons';
+
+  // Exporters that can also skip and move sessions, named on the others
+  const exceptionExporters = getSeriesExporters(popupSettings)
+    .filter(exporter => exporter.capabilities.seriesExceptions);
+
+  // One button per exporter with the series capability (see getSeriesExporters)
+  const exportedLocks = !popupSettings.allowReExports;
+  getSeriesExporters(popupSettings).forEach(exporter => {
+    const button = document.createElement('button');
+    button.textContent = `${exporter.label} series`;
+    button.dataset.seriesExport = exporter.id;
+
+    const supported = canExportSeries(exporter, series);
+    if (!supported) {
+      button.title = exceptionExporters.length > 0
+        ? `Skipped or moved sessions need ${joinLabels(exceptionExporters)}`
+        : `${exporter.label} can't skip or move sessions`;
+    }
+    if (!supported || exportedSessions.length > 0 ||
+      (exportedLocks && isEventExportedSync(slug, exporter.id, fingerprint))) {
+      button.disabled = true;
+      button.classList.add('disabled');
+    }
+    button.onclick = () => handleSeriesExport(exporter.id, series);
+    buttons.appendChild(button);
+  });
 
-  // Build a rich description
-  const descriptionParts = [
-    `🕐 ${event.dateTimeStr}`,
-    `📍 ${event.location || 'TBD'}`,
-    '👤 Host: Cole Medin',
-  ];
+  card.appendChild(buttons);
+  return card;
+}
 
-  // Add RSVP status
-  if (event.rsvpStatus === 'going') {
-    descriptionParts.push('✅ RSVP: Going');
-  } else {
-    descriptionParts.push('⚠️ RSVP: Not yet confirmed');
-  }
+/**
+ * Shows the recurring series found among the events above the list
+ * @param {Array} events - Scraped events
+ * @returns {Promise<void>}
+ */
+async function renderSeries(events) {
+  const container = document.getElementById('series-list');
+  if (!container) return;
 
-  descriptionParts.push(
-    '',
-    `🔗 ${eventUrl}`,
-    '',
-    '—',
-    'Dynamous Community'
-  );
+  const series = await findEventSeries(events);
 
-  return {
-    title: event.title,
-    startDate: parsed.startDate,
-    endDate: parsed.endDate,
-    location: event.location,
-    url: eventUrl,
-    description: descriptionParts.join('\n')
-  };
+  container.innerHTML = '';
+  series.forEach(item => container.appendChild(createSeriesCard(item)));
+  container.style.display = series.length > 0 ? 'block' : 'none';
 }
 
 /**
- * Generates filename slug from event title
- * @param {string} title - Event title
- * @returns {string} Slug for filename
+ * Returns the events whose selection checkbox is ticked
+ * @returns {Array} Selected event objects
  */
-function slugify(title) {
-  return title
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '');
+function getSelectedEvents() {
+  return Array.from(document.querySelectorAll('.event-card .event-select:checked'))
+    .map(checkbox => currentEvents[Number(checkbox.closest('.event-card').dataset.index)])
+    .filter(Boolean);
 }
 
 /**
- * Shows a brief toast notification
- * @param {string} message - Message to display
+ * Updates the bulk export button label to reflect the current selection
  */
-function showToast(message) {
-  const toast = document.getElementById('toast');
-  if (!toast) return;
+function updateExportAllButton() {
+  const button = document.getElementById('export-all');
+  if (!button) return;
+
+  const selectedCount = getSelectedEvents().length;
+  button.textContent = selectedCount > 0
+    ? `Export selected (${selectedCount})`
+    : 'Export all';
+  button.disabled = currentEvents.length === 0;
+
+  // Toolbar buttons of the other bulk exporters (see renderBulkButtons)
+  document.querySelectorAll('[data-bulk-export]').forEach(bulkButton => {
+    const exporter = getExporter(bulkButton.dataset.bulkExport, popupSettings);
+    if (!exporter) return;
+
+    const verb = exporter.remote ? 'Save' : 'Export';
+    bulkButton.textContent = selectedCount > 0
+      ? `${verb} selected to ${exporter.label} (${selectedCount})`
+      : `${verb} all to ${exporter.label}`;
+    bulkButton.disabled = currentEvents.length === 0;
+  });
+}
 
-  toast.textContent = message;
-  toast.classList.add('show');
+/**
+ * Adds a toolbar button for every exporter with the bulk capability
+ * (besides the main button, see EXPORT_ALL_TYPE)
+ * @param {Object} settings - From getSettings
+ */
+function renderBulkButtons(settings) {
+  const toolbar = document.querySelector('.toolbar');
+  if (!toolbar) return;
+
+  toolbar.querySelectorAll('[data-bulk-export]').forEach(button => button.remove());
+  getExporters(settings, 'bulk')
+    .filter(exporter => exporter.id !== EXPORT_ALL_TYPE)
+    .forEach(exporter => {
+      const button = document.createElement('button');
+      button.dataset.bulkExport = exporter.id;
+      button.onclick = () => handleExportAllToCalendar(exporter.id);
+      toolbar.appendChild(button);
+    });
 
-  setTimeout(() => {
-    toast.classList.remove('show');
-  }, 2000);
+  updateExportAllButton();
 }
 
 /**
- * Handles export button clicks
- * @param {string} type - Export type: 'google', 'outlook', or 'ics'
- * @param {Object} event - Event object
+ * Exports several events into a single multi-event ICS file.
+ * Events already exported as ICS (and unchanged since) are skipped.
+ * @param {Array} [events] - Events to export (defaults to the selection, or all rendered events)
+ * @returns {Promise<number>} Number of events written to the file
  */
-async function handleExport(type, event) {
-  const exportEvent = prepareEventForExport(event);
-  const slug = event.slug || slugify(event.title);
+function handleExportAll(events) {
+  return handleExportAllToCalendar(EXPORT_ALL_TYPE, events);
+}
 
-  // Check if already exported
-  const alreadyExported = await isEventExported(slug, type);
-  if (alreadyExported) {
-    return; // Don't export again
+/**
+ * Exports several events at once with an exporter that has the bulk
+ * capability. Events already exported with it (and unchanged since) are
+ * skipped unless re-exports are allowed; calendar services update the
+ * ones they stored before in place.
+ * @param {string} type - Export type (an exporter ID)
+ * @param {Array} [events] - Events to export (defaults to the selection, or all rendered events)
+ * @returns {Promise<number>} Number of events exported
+ */
+async function handleExportAllToCalendar(type, events) {
+  if (!events) {
+    const selected = getSelectedEvents();
+    events = selected.length > 0 ? selected : currentEvents;
   }
 
-  switch (type) {
-    case 'google':
-      window.open(generateGoogleCalendarLink(exportEvent), '_blank');
-      break;
+  const settings = await getSettings();
+  const exporter = getExporter(type, settings);
+  if (!exporter || !exporter.capabilities.bulk) return 0;
 
-    case 'outlook':
-      window.open(generateOutlookLink(exportEvent), '_blank');
-      break;
+  const pending = [];
+  let inSeries = 0;
+  for (const event of events) {
+    if (getDateProblem(event)) continue;
 
-    case 'ics':
-      const icsContent = generateICS(exportEvent);
-      const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8' });
-      const url = URL.createObjectURL(blob);
-
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${slugify(event.title)}.ics`;
-      a.click();
+    // Sessions exported with their series would be added twice
+    const slug = event.slug || slugify(event.title);
+    if (getSeriesExport(slug)) {
+      inSeries++;
+      continue;
+    }
 
-      URL.revokeObjectURL(url);
-      break;
+    const exportEvent = prepareEventForExport(event, settings, type);
+    const fingerprint = getExportFingerprint(exportEvent);
+    if (settings.allowReExports || !(await isEventExported(slug, type, fingerprint))) {
+      pending.push(await createExportItem(exporter, exportEvent, fingerprint));
+    }
   }
 
-  // Track the export and update UI
-  await trackExport(slug, type);
+  const seriesNote = inSeries > 0
+    ? ` - skipped ${inSeries === 1 ? '1 session' : `${inSeries} sessions`} of exported series`
+    : '';
 
-  // Disable the button that was just clicked
-  const button = document.querySelector(`[data-export="${type}"]`);
-  if (button) {
-    button.disabled = true;
-    button.classList.add('disabled');
+  if (pending.length === 0) {
+    showToast((exporter.remote ? `All events already in ${exporter.label}` : 'All events already exported') + seriesNote);
+    return 0;
   }
 
-  // Add exported badge if not already present
-  const card = button?.closest('.event-card');
-  if (card && !card.querySelector('.exported-badge')) {
-    const exportedBadge = document.createElement('span');
-    exportedBadge.className = 'exported-badge';
-    exportedBadge.textContent = 'Exported';
-    card.appendChild(exportedBadge);
+  let results;
+  try {
+    results = await exporter.export(pending, createExportContext(settings, true));
+  } catch (error) {
+    showToast(`${exporter.label}: ${error.message}`);
+    return 0;
   }
+  const saved = results.filter(result => !result.error);
 
-  // Show confirmation toast
-  const typeLabel = type === 'ics' ? 'ICS' : type.charAt(0).toUpperCase() + type.slice(1);
-  showToast(`Added to ${typeLabel}`);
+  for (const { event, eventId, etag } of saved) {
+    await trackExport(event.slug, type, event, { remoteId: eventId, etag });
+    markCardExported(event.slug, type);
+  }
+
+  document.querySelectorAll('.event-card .event-select:checked').forEach(checkbox => {
+    checkbox.checked = false;
+  });
+  updateExportAllButton();
+
+  const count = saved.length === 1 ? '1 event' : `${saved.length} events`;
+  const failed = results.length - saved.length;
+  let message = exporter.remote ? `Saved ${count} to ${exporter.label}` : `Exported ${count}`;
+  if (failed > 0) message += ` (${failed} failed)`;
+  showToast(message + seriesNote);
+  return saved.length;
+}
+
+/**
+ * Exporters offered on each card: the providers the user picked, in
+ * their order, then the exporters that have their own switch in the
+ * settings (CalDAV, and any registered besides the built-in ones)
+ * @param {Object} settings - From getSettings
+ * @returns {Array<Object>} Exporters with the single capability
+ */
+function getCardExporters(settings) {
+  const exporters = getExporters(settings, 'single');
+  const picked = settings.enabledProviders
+    .map(id => exporters.find(exporter => exporter.id === id))
+    .filter(Boolean);
+
+  return [...picked, ...exporters.filter(exporter => !EXPORT_PROVIDERS.includes(exporter.id))];
 }
 
 /**
@@ -212,6 +1338,15 @@ function createEventCard(event, index) {
     card.classList.add('urgent');
   }
   card.dataset.index = index;
+  card.dataset.slug = event.slug || slugify(event.title);
+
+  // Selection checkbox for bulk export
+  const select = document.createElement('input');
+  select.type = 'checkbox';
+  select.className = 'event-select';
+  select.title = 'Include in bulk export';
+  select.onchange = updateExportAllButton;
+  card.appendChild(select);
 
   // Title
   const title = document.createElement('h3');
@@ -233,13 +1368,39 @@ function createEventCard(event, index) {
     card.appendChild(location);
   }
 
-  // RSVP status
-  if (event.rsvpStatus === 'going') {
+  // Unreadable or unverifiable date warning (export is blocked)
+  const dateProblem = getDateProblem(event);
+  if (dateProblem) {
+    const warning = document.createElement('p');
+    warning.className = 'date-warning';
+    warning.textContent = `⚠️ ${dateProblem} - check the event page`;
+    card.appendChild(warning);
+  }
+
+  // Exported before Circle moved/renamed the event
+  if (getOutdatedExports(event).length > 0) {
+    const status = document.createElement('p');
+    status.className = 'export-status changed';
+    status.textContent = '🔄 Changed since export';
+
+    const updateBtn = document.createElement('button');
+    updateBtn.className = 'update-export';
+    updateBtn.textContent = 'Update calendar';
+    updateBtn.onclick = () => handleUpdateExport(event);
+    status.appendChild(updateBtn);
+
+    card.appendChild(status);
+  }
+
+  // RSVP status - a badge for any answer (or a full event), a nudge for
+  // events the member hasn't answered, nothing when the page doesn't say
+  const rsvpState = getRsvpState(event);
+  if (rsvpState.badge) {
     const badge = document.createElement('span');
-    badge.className = 'rsvp-badge';
-    badge.textContent = 'Going';
+    badge.className = `rsvp-badge rsvp-${event.rsvpStatus.replace('_', '-')}`;
+    badge.textContent = rsvpState.badge;
     card.appendChild(badge);
-  } else {
+  } else if (rsvpState === RSVP_STATES.none) {
     const nudge = document.createElement('span');
     nudge.className = 'rsvp-nudge';
     nudge.textContent = 'RSVP Now';
@@ -268,25 +1429,35 @@ function createEventCard(event, index) {
       showToast('Manage calendar via RSVP page');
 
       // Open RSVP page
-      window.open(
-        event.url.startsWith('http')
-          ? event.url
-          : `https://community.dynamous.ai${event.url}`,
-        '_blank'
-      );
+      window.open(getEventUrl(event), '_blank');
     };
     card.appendChild(nudge);
   }
 
+  // Attendee and capacity counts
+  const attendance = formatAttendance(event);
+  if (attendance) {
+    const attendanceEl = document.createElement('span');
+    attendanceEl.className = 'rsvp-attendance';
+    attendanceEl.textContent = attendance;
+    card.appendChild(attendanceEl);
+  }
+
   // Check if RSVP was clicked (disables all export buttons)
   const slug = event.slug || slugify(event.title);
   const rsvpClicked = isEventExportedSync(slug, 'rsvp');
 
+  // Sessions exported with their series would be added twice on their own
+  const seriesExport = getSeriesExport(slug);
+
+  // Exports of an older version of the event don't block exporting again
+  const fingerprint = dateProblem ? null : getEventFingerprint(event);
+
   // Show exported/RSVP badge if any export exists for this event
-  if (hasAnyExport(slug)) {
+  if (hasAnyExport(slug) || seriesExport) {
     const exportedBadge = document.createElement('span');
     exportedBadge.className = 'exported-badge';
-    exportedBadge.textContent = rsvpClicked ? 'RSVP' : 'Exported';
+    exportedBadge.textContent = rsvpClicked ? 'RSVP' : (seriesExport ? 'In series' : 'Exported');
     card.appendChild(exportedBadge);
   }
 
@@ -294,39 +1465,146 @@ function createEventCard(event, index) {
   const buttons = document.createElement('div');
   buttons.className = 'export-buttons';
 
-  // Google Calendar button
-  const googleBtn = document.createElement('button');
-  googleBtn.textContent = 'Google';
-  googleBtn.dataset.export = 'google';
-  if (rsvpClicked || isEventExportedSync(slug, 'google')) {
-    googleBtn.disabled = true;
-    googleBtn.classList.add('disabled');
-  }
-  googleBtn.onclick = () => handleExport('google', event);
-  buttons.appendChild(googleBtn);
-
-  // Outlook button
-  const outlookBtn = document.createElement('button');
-  outlookBtn.textContent = 'Outlook';
-  outlookBtn.dataset.export = 'outlook';
-  if (rsvpClicked || isEventExportedSync(slug, 'outlook')) {
-    outlookBtn.disabled = true;
-    outlookBtn.classList.add('disabled');
-  }
-  outlookBtn.onclick = () => handleExport('outlook', event);
-  buttons.appendChild(outlookBtn);
-
-  // ICS button
-  const icsBtn = document.createElement('button');
-  icsBtn.textContent = 'ICS';
-  icsBtn.dataset.export = 'ics';
-  if (rsvpClicked || isEventExportedSync(slug, 'ics')) {
-    icsBtn.disabled = true;
-    icsBtn.classList.add('disabled');
-  }
-  icsBtn.onclick = () => handleExport('ics', event);
-  buttons.appendChild(icsBtn);
+  // One button per exporter with the single capability (see getCardExporters)
+  getCardExporters(popupSettings).forEach(exporter => {
+    const button = document.createElement('button');
+    button.textContent = exporter.label;
+    button.dataset.export = exporter.id;
+    const exported = !popupSettings.allowReExports && isEventExportedSync(slug, exporter.id, fingerprint);
+    if (rsvpClicked || dateProblem || exported || seriesExport) {
+      button.disabled = true;
+      button.classList.add('disabled');
+    }
+    if (seriesExport) {
+      button.title = 'Exported with its series';
+    }
+    button.onclick = () => handleExport(exporter.id, event);
+    buttons.appendChild(button);
+  });
+
+  // Reminders for this event's ICS export
+  if (!dateProblem) {
+    buttons.appendChild(createReminderSelect(slug));
+  }
+
+  card.appendChild(buttons);
+
+  return card;
+}
+
+/**
+ * Finds the reminder preset matching an event's override
+ * @param {string} slug - Event slug
+ * @returns {Object} Entry from REMINDER_PRESETS ('default' when there is no override)
+ */
+function getReminderPreset(slug) {
+  const override = reminderOverridesCache[slug];
+  if (!override) return REMINDER_PRESETS[0];
+
+  const key = JSON.stringify(override);
+  return REMINDER_PRESETS.find(preset => preset.reminders && JSON.stringify(preset.reminders) === key) ||
+    REMINDER_PRESETS[0];
+}
+
+/**
+ * Creates the dropdown that overrides the default reminders for one event
+ * @param {string} slug - Event slug
+ * @returns {HTMLSelectElement}
+ */
+function createReminderSelect(slug) {
+  const select = document.createElement('select');
+  select.className = 'reminder-select';
+  select.title = 'Reminders in the ICS file';
+
+  REMINDER_PRESETS.forEach(preset => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.label;
+    select.appendChild(option);
+  });
+  select.value = getReminderPreset(slug).id;
+
+  select.onchange = async () => {
+    const preset = REMINDER_PRESETS.find(p => p.id === select.value);
+    await setReminderOverride(slug, preset.reminders);
+
+    if (preset.reminders) {
+      reminderOverridesCache[slug] = preset.reminders;
+    } else {
+      delete reminderOverridesCache[slug];
+    }
+    showToast(preset.reminders ? 'Reminders set for this event' : 'Using default reminders');
+  };
+
+  return select;
+}
+
+/**
+ * Replaces the reminder override cache
+ * @param {Object} overrides - Map of slug to reminders
+ */
+function setReminderOverrides(overrides) {
+  reminderOverridesCache = overrides || {};
+}
+
+/**
+ * Creates a card for an exported event that is no longer listed on Circle
+ * @param {{ slug: string, snapshot: Object, exportTypes: Array<string> }} entry - From getUnlistedExports
+ * @returns {HTMLElement} Card element
+ */
+function createUnlistedCard(entry) {
+  const card = document.createElement('div');
+  card.className = 'event-card unlisted-card';
+  card.dataset.slug = entry.slug;
+
+  const title = document.createElement('h3');
+  title.className = 'event-title';
+  title.textContent = entry.snapshot.title;
+  card.appendChild(title);
+
+  const dateTime = document.createElement('p');
+  dateTime.className = 'event-datetime';
+  dateTime.textContent = new Date(entry.snapshot.start).toLocaleString(undefined, {
+    weekday: 'long',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+  card.appendChild(dateTime);
+
+  const status = document.createElement('p');
+  status.className = 'export-status unlisted';
+  const cancellers = getCancelExporters(entry, popupSettings);
+  const downloads = cancellers.filter(exporter => !exporter.remote);
+  status.textContent = cancellers.length > 0
+    ? '🗑️ No longer listed on Circle'
+    : '🗑️ No longer listed on Circle - remove it from your calendar';
+  card.appendChild(status);
+
+  const buttons = document.createElement('div');
+  buttons.className = 'export-buttons';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.dataset.action = 'cancel';
+  if (downloads.length > 0) {
+    cancelBtn.textContent = `Cancel in calendar (${joinLabels(downloads)})`;
+  } else if (cancellers.length > 0) {
+    cancelBtn.textContent = `Delete from ${joinLabels(cancellers)}`;
+  } else {
+    cancelBtn.textContent = 'Dismiss';
+  }
 
+  // Deleting from a calendar service can't be undone, so it takes a second click
+  const remotes = cancellers.filter(exporter => exporter.remote);
+  cancelBtn.onclick = () => {
+    if (remotes.length > 0 && !cancelBtn.dataset.confirming) {
+      cancelBtn.dataset.confirming = 'true';
+      cancelBtn.textContent = `Click again to delete from ${joinLabels(remotes)}`;
+      return;
+    }
+    handleCancelExport(entry);
+  };
+  buttons.appendChild(cancelBtn);
   card.appendChild(buttons);
 
   return card;
@@ -340,7 +1618,9 @@ function updateRsvpBanner(events) {
   const banner = document.getElementById('rsvp-banner');
   if (!banner) return;
 
-  const nonRsvpCount = events.filter(e => e.rsvpStatus !== 'going').length;
+  // Only events the member hasn't answered at all (declined, maybe,
+  // waitlisted and full events need no nudge, and grid events don't say)
+  const nonRsvpCount = events.filter(e => getRsvpState(e) === RSVP_STATES.none).length;
 
   if (nonRsvpCount === 0) {
     banner.classList.add('hidden');
@@ -370,6 +1650,74 @@ function renderWrongPageMessage() {
   `;
 }
 
+/**
+ * Describes everything a card is built from: the event and its export state
+ * @param {Object} event - Event object
+ * @param {string} slug - Event slug
+ * @returns {string}
+ */
+function getCardSignature(event, slug) {
+  const exports = exportedEventsCache
+    .filter(e => e.slug === slug || (e.sessions || []).includes(slug))
+    .map(e => e.exportType);
+  return JSON.stringify({ event, exports });
+}
+
+/**
+ * Applies a live update from the content script to the rendered events.
+ * Changed events are updated in place so details loaded from their event
+ * pages are kept; new events get their details loaded. Removed events stay
+ * listed: Circle's virtualized list drops cards that scroll out of view,
+ * so a removal doesn't mean the event is gone.
+ * @param {{ added?: Array, removed?: Array<string>, changed?: Array }} diff
+ */
+function applyEventsDiff({ added = [], changed = [] }) {
+  const changedBySlug = new Map(changed.map(event => [event.slug, event]));
+
+  const events = currentEvents
+    .map(event => (changedBySlug.has(event.slug)
+      ? Object.assign(event, changedBySlug.get(event.slug))
+      : event));
+
+  const knownSlugs = new Set(events.map(event => event.slug));
+  const newEvents = added.filter(event => !knownSlugs.has(event.slug));
+
+  renderEvents(events.concat(newEvents));
+
+  if (newEvents.length > 0) {
+    refreshEventDetails(newEvents);
+  }
+}
+
+/**
+ * Opens the live updates port to the content script. Diffs pushed over
+ * it are applied to the list for as long as the popup stays open, or
+ * until the page goes away (reload, navigation, tab closed). A layout
+ * change the content script notices shows the layout warning.
+ * @param {number} tabId - Tab running the content script
+ * @returns {chrome.runtime.Port}
+ */
+function connectLiveUpdates(tabId) {
+  const port = chrome.tabs.connect(tabId, { name: LIVE_EVENTS_PORT });
+
+  port.onMessage.addListener((message) => {
+    if (message && message.action === 'eventsDiff') {
+      applyEventsDiff(message);
+    } else if (message && message.action === 'layoutChanged') {
+      renderLayoutWarning({ layoutChanged: true });
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    // Reading lastError keeps Chrome from logging "no receiving end"; the
+    // list stays as it was last updated
+    void chrome.runtime.lastError;
+    showToast('Live updates stopped - reopen DynaCal to refresh the list');
+  });
+
+  return port;
+}
+
 /**
  * Renders events in the popup UI
  * @param {Array} events - Array of event objects
@@ -378,23 +1726,64 @@ function renderEvents(events) {
   const container = document.getElementById('event-list');
   if (!container) return;
 
-  // Clear container
-  container.innerHTML = '';
+  currentEvents = events || [];
 
   // Update RSVP banner
   updateRsvpBanner(events);
 
+  // Recurring series found among the events
+  renderSeries(currentEvents).catch(error => {
+    console.error('Error finding recurring series:', error);
+  });
+
   // Handle empty state
   if (!events || events.length === 0) {
     container.innerHTML = '<p class="empty-state">No events found on this page.</p>';
+    updateExportAllButton();
     return;
   }
 
-  // Render each event card
+  // Patch the list in place: unchanged cards are kept (with their checkbox
+  // state), changed cards are rebuilt, and cards for gone events removed
+  const existingCards = new Map();
+  Array.from(container.children).forEach(child => {
+    if (child.classList.contains('event-card')) {
+      existingCards.set(child.dataset.slug, child);
+    } else {
+      child.remove(); // Loading spinner or empty state
+    }
+  });
+
   events.forEach((event, index) => {
-    const card = createEventCard(event, index);
-    container.appendChild(card);
+    const slug = event.slug || slugify(event.title);
+    const signature = getCardSignature(event, slug);
+    let card = existingCards.get(slug);
+    existingCards.delete(slug);
+
+    if (!card || cardSignatures.get(card) !== signature) {
+      const freshCard = createEventCard(event, index);
+      if (card) {
+        freshCard.querySelector('.event-select').checked = card.querySelector('.event-select').checked;
+        card.replaceWith(freshCard);
+      }
+      card = freshCard;
+      cardSignatures.set(card, signature);
+    }
+
+    card.dataset.index = index;
+    if (container.children[index] !== card) {
+      container.insertBefore(card, container.children[index] || null);
+    }
+  });
+
+  existingCards.forEach(card => card.remove());
+
+  // Exported events that Circle no longer lists
+  getUnlistedExports(completeScan).forEach(entry => {
+    container.appendChild(createUnlistedCard(entry));
   });
+
+  updateExportAllButton();
 }
 
 /**
@@ -405,6 +1794,24 @@ function setExportedEvents(events) {
   exportedEventsCache = events || [];
 }
 
+/**
+ * Sets the scan exported events are checked against for removals (for
+ * testing; "Load all events" sets it)
+ * @param {{ events: Array, complete: boolean, layout: string|null }} [scan] - From fullScanPageForEvents
+ */
+function setCompleteScan(scan) {
+  completeScan = scan || null;
+}
+
+/**
+ * Sets the settings cards and toolbar buttons rendered from now on are
+ * built with (which exporters they offer, how exports are prepared)
+ * @param {Object} [settings] - From getSettings; missing ones use the defaults
+ */
+function setPopupSettings(settings) {
+  popupSettings = { ...DEFAULT_SETTINGS, ...settings };
+}
+
 /**
  * Gets all exported events from chrome.storage
  * @returns {Promise<Array>} Array of exported event records
@@ -418,20 +1825,45 @@ function getExportedEvents() {
 }
 
 /**
- * Tracks an export in chrome.storage
+ * Tracks an export in chrome.storage, with a snapshot of what was exported
+ * so later scans can tell when the calendar entry went out of date
  * @param {string} slug - Event slug
- * @param {string} exportType - Export type (google, outlook, ics)
+ * @param {string} exportType - Export type (an exporter ID, or rsvp or cancel)
+ * @param {Object} [exportEvent] - Event from prepareEventForExport
+ * @param {Object} [details]
+ * @param {string} [details.fingerprint] - Fingerprint to store instead of the event's own
+ * @param {string} [details.remoteId] - ID the calendar API gave the event (the resource href for CalDAV)
+ * @param {string} [details.etag] - ETag of the written resource (CalDAV)
+ * @param {Array<string>} [details.sessions] - Slugs of the sessions a series export covers
+ * @param {string} [details.cancelledType] - For a cancel, the one export type it removed (all when omitted)
  * @returns {Promise<void>}
  */
-function trackExport(slug, exportType) {
+function trackExport(slug, exportType, exportEvent, details = {}) {
   return new Promise((resolve) => {
     chrome.storage.local.get('exportedEvents', (result) => {
       const exports = result.exportedEvents || [];
-      exports.push({
+      const record = {
         slug,
         exportType,
         timestamp: Date.now()
-      });
+      };
+      if (exportEvent) {
+        record.fingerprint = details.fingerprint || getExportFingerprint(exportEvent);
+        record.snapshot = getExportSnapshot(exportEvent);
+      }
+      if (details.remoteId) {
+        record.remoteId = details.remoteId;
+      }
+      if (details.etag) {
+        record.etag = details.etag;
+      }
+      if (details.sessions) {
+        record.sessions = details.sessions;
+      }
+      if (details.cancelledType) {
+        record.cancelledType = details.cancelledType;
+      }
+      exports.push(record);
 
       chrome.storage.local.set({ exportedEvents: exports }, () => {
         // Update local cache
@@ -442,17 +1874,70 @@ function trackExport(slug, exportType) {
   });
 }
 
+/**
+ * Returns where a calendar API stored an event's latest export of a type
+ * (its ID, and the ETag for CalDAV), unless the event was cancelled since
+ * @param {string} slug - Event slug
+ * @param {string} exportType - Export type
+ * @returns {Promise<{ eventId?: string, etag?: string }>} Empty when the event isn't stored remotely
+ */
+function getRemoteExport(slug, exportType) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('exportedEvents', (result) => {
+      let remote = {};
+      (result.exportedEvents || [])
+        .filter(record => record.slug === slug)
+        .forEach(record => {
+          if (cancelCovers(record, exportType)) {
+            remote = {};
+          } else if (record.exportType === exportType && record.remoteId) {
+            remote = { eventId: record.remoteId, etag: record.etag };
+          }
+        });
+      resolve(remote);
+    });
+  });
+}
+
+/**
+ * Checks if a cancel record covers an export type: a plain one covers
+ * every export of the event, one saved for a single exporter (see
+ * handleCancelExport) only that exporter's
+ * @param {Object} record - Export record
+ * @param {string} exportType - Export type
+ * @returns {boolean}
+ */
+function cancelCovers(record, exportType) {
+  return record.exportType === 'cancel' && (!record.cancelledType || record.cancelledType === exportType);
+}
+
+/**
+ * Checks if an export record covers an event as it is now. Records saved
+ * before fingerprints were stored can't be compared, so they always count.
+ * @param {Object} record - Export record
+ * @param {string} slug - Event slug
+ * @param {string} exportType - Export type
+ * @param {string} [fingerprint] - Current fingerprint (omit to match any version)
+ * @returns {boolean}
+ */
+function exportRecordMatches(record, slug, exportType, fingerprint) {
+  return record.slug === slug &&
+    record.exportType === exportType &&
+    (!fingerprint || !record.fingerprint || record.fingerprint === fingerprint);
+}
+
 /**
  * Checks if an event was already exported with a specific type
  * @param {string} slug - Event slug
  * @param {string} exportType - Export type
+ * @param {string} [fingerprint] - Only count exports of this version of the event
  * @returns {Promise<boolean>}
  */
-function isEventExported(slug, exportType) {
+function isEventExported(slug, exportType, fingerprint) {
   return new Promise((resolve) => {
     chrome.storage.local.get('exportedEvents', (result) => {
       const exports = result.exportedEvents || [];
-      const found = exports.some(e => e.slug === slug && e.exportType === exportType);
+      const found = exports.some(e => exportRecordMatches(e, slug, exportType, fingerprint));
       resolve(found);
     });
   });
@@ -462,10 +1947,39 @@ function isEventExported(slug, exportType) {
  * Checks if an event was exported (from cache, for UI rendering)
  * @param {string} slug - Event slug
  * @param {string} exportType - Export type
+ * @param {string} [fingerprint] - Only count exports of this version of the event
  * @returns {boolean}
  */
-function isEventExportedSync(slug, exportType) {
-  return exportedEventsCache.some(e => e.slug === slug && e.exportType === exportType);
+function isEventExportedSync(slug, exportType, fingerprint) {
+  return exportedEventsCache.some(e => exportRecordMatches(e, slug, exportType, fingerprint));
+}
+
+/**
+ * Returns the ICS SEQUENCE number for an event. It starts at 0 and goes
+ * up by one each time the event is exported with a different fingerprint,
+ * so calendars replace the entry they already have.
+ * @param {string} slug - Event slug
+ * @param {string} fingerprint - Fingerprint of the fields being exported
+ * @returns {Promise<number>}
+ */
+function getEventSequence(slug, fingerprint) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('eventSequences', (result) => {
+      const sequences = result.eventSequences || {};
+      const entry = sequences[slug];
+
+      if (entry && entry.fingerprint === fingerprint) {
+        resolve(entry.sequence);
+        return;
+      }
+
+      const sequence = entry ? entry.sequence + 1 : 0;
+      sequences[slug] = { sequence, fingerprint };
+      chrome.storage.local.set({ eventSequences: sequences }, () => {
+        resolve(sequence);
+      });
+    });
+  });
 }
 
 /**
@@ -477,18 +1991,126 @@ function hasAnyExport(slug) {
   return exportedEventsCache.some(e => e.slug === slug);
 }
 
+/**
+ * Latest calendar export of each type for an event (from cache)
+ * @param {string} slug - Event slug
+ * @returns {Array<Object>} Export records
+ */
+function getLatestExports(slug) {
+  const latest = new Map();
+  exportedEventsCache
+    .filter(e => e.slug === slug && getExporter(e.exportType))
+    .forEach(e => latest.set(e.exportType, e));
+  return Array.from(latest.values());
+}
+
+/**
+ * Finds exports whose snapshot no longer matches the event on the page
+ * (Circle moved, renamed or relocated it since)
+ * @param {Object} event - Scraped event object
+ * @returns {Array<Object>} Out-of-date export records
+ */
+function getOutdatedExports(event) {
+  if (getDateProblem(event)) return [];
+
+  const fingerprint = getEventFingerprint(event);
+  if (!fingerprint) return [];
+
+  const slug = event.slug || slugify(event.title);
+  return getLatestExports(slug).filter(e => e.fingerprint && e.fingerprint !== fingerprint);
+}
+
+/**
+ * Finds exported events that are no longer listed on Circle: upcoming
+ * events with an export snapshot that haven't been cancelled or dismissed
+ * since, and that a complete scan of the list layout didn't find although
+ * it covers their start. Any other scan (the calendar grid, a partly
+ * loaded or virtualized list, live updates) shows only part of the events,
+ * so nothing is reported for it.
+ * @param {{ events: Array, complete: boolean, layout: string|null }} [scan] - From fullScanPageForEvents
+ * @returns {Array<{ slug: string, snapshot: Object, exportTypes: Array<string>, remotes: Object }>}
+ */
+function getUnlistedExports(scan) {
+  // An empty scan (wrong page, layout change) says nothing about removals
+  if (!scan || !scan.complete || scan.layout !== 'list' || scan.events.length === 0) return [];
+
+  // Dates the scan covers: from its first to its last event
+  const starts = scan.events
+    .map(event => prepareEventForExport(event))
+    .filter(Boolean)
+    .map(exportEvent => exportEvent.startDate.getTime());
+  if (starts.length === 0) return [];
+  const coveredFrom = Math.min(...starts);
+  const coveredTo = Math.max(...starts);
+
+  const listed = new Set(scan.events.map(e => e.slug || slugify(e.title)));
+  const unlisted = new Map();
+
+  exportedEventsCache.forEach(record => {
+    // Series are never listed themselves, only their sessions
+    if (listed.has(record.slug) || record.sessions) return;
+
+    if (record.exportType === 'cancel') {
+      const entry = unlisted.get(record.slug);
+      if (!entry) return;
+
+      entry.exportTypes = entry.exportTypes.filter(type => !cancelCovers(record, type));
+      Object.keys(entry.remotes)
+        .filter(type => cancelCovers(record, type))
+        .forEach(type => delete entry.remotes[type]);
+      if (entry.exportTypes.length === 0) unlisted.delete(record.slug);
+    } else if (record.snapshot && getExporter(record.exportType)) {
+      const entry = unlisted.get(record.slug) || { slug: record.slug, exportTypes: [], remotes: {} };
+      entry.snapshot = record.snapshot;
+      if (record.remoteId) {
+        entry.remotes[record.exportType] = { eventId: record.remoteId, etag: record.etag };
+      }
+      if (!entry.exportTypes.includes(record.exportType)) {
+        entry.exportTypes.push(record.exportType);
+      }
+      unlisted.set(record.slug, entry);
+    }
+  });
+
+  return Array.from(unlisted.values()).filter(entry => {
+    const start = new Date(entry.snapshot.start).getTime();
+    return new Date(entry.snapshot.end).getTime() > Date.now() &&
+      start >= coveredFrom && start <= coveredTo;
+  });
+}
+
 // Export functions for testing
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     scanPageForEvents,
+    fullScanPageForEvents,
+    handleFullScan,
+    loadEventDetails,
+    refreshEventDetails,
+    prepareEventForExport,
     renderEvents,
+    applyEventsDiff,
+    connectLiveUpdates,
     handleExport,
+    handleExportAll,
+    handleExportAllToCalendar,
+    handleUpdateExport,
+    handleCancelExport,
+    handleSeriesExport,
+    findEventSeries,
+    getUnlistedExports,
     isValidLiveEventsPage,
     renderWrongPageMessage,
+    renderLayoutWarning,
     trackExport,
     getExportedEvents,
     isEventExported,
-    setExportedEvents
+    getRemoteExport,
+    getEventSequence,
+    setExportedEvents,
+    setCompleteScan,
+    setReminderOverrides,
+    setPopupSettings
   };
 }
 
@@ -518,10 +2140,24 @@ async function initPopup() {
     const exportedEvents = await getExportedEvents();
     setExportedEvents(exportedEvents);
 
-    // Scan for events
+    // Load per-event reminder choices
+    setReminderOverrides(await getReminderOverrides());
+
+    // Offer the exporters the settings turn on
+    const settings = await getSettings();
+    setPopupSettings(settings);
+    renderBulkButtons(settings);
+
+    // Scan the events showing on the page ("Load all events" scrolls for the rest)
     const events = await scanPageForEvents();
     renderEvents(events);
 
+    // Pull the agenda, hosts and exact times from each event page in the background
+    refreshEventDetails(events);
+
+    // Keep the list in sync with the page while the popup is open
+    connectLiveUpdates(tabs[0].id);
+
   } catch (error) {
     console.error('Error initializing popup:', error);
     const container = document.getElementById('event-list');
@@ -532,4 +2168,21 @@ async function initPopup() {
 }
 
 // Run when DOM is ready
-document.addEventListener('DOMContentLoaded', initPopup);
+document.addEventListener('DOMContentLoaded', () => {
+  const exportAllButton = document.getElementById('export-all');
+  if (exportAllButton) {
+    exportAllButton.onclick = () => handleExportAll();
+  }
+
+  const fullScanButton = document.getElementById('full-scan');
+  if (fullScanButton) {
+    fullScanButton.onclick = () => handleFullScan();
+  }
+
+  const settingsButton = document.getElementById('open-settings');
+  if (settingsButton) {
+    settingsButton.onclick = () => chrome.runtime.openOptionsPage();
+  }
+
+  initPopup();
+});
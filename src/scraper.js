@@ -1,8 +1,16 @@
 /**
- * Circle.so Live Events List View Scraper
- * Extracts event data from the DOM of community.dynamous.ai/c/live-events
+ * Circle.so Live Events Scraper
+ * Extracts event data from the DOM of community.dynamous.ai/c/live-events,
+ * either from the list view cards or from the month calendar grid
  */
 
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
 /**
  * Decodes HTML entities in a string
  * @param {string} html - String with HTML entities
@@ -24,120 +32,660 @@ function extractSlug(url) {
   return parts[parts.length - 1];
 }
 
+/**
+ * RSVP states, as labelled on Circle's RSVP button (lowercased)
+ *   going      - member is attending
+ *   not_going  - member declined
+ *   interested - member marked "Maybe" / "Interested"
+ *   waitlisted - member is on the waitlist of a full event
+ *   full       - event is at capacity and the member hasn't responded
+ *   none       - member hasn't responded
+ */
+const RSVP_LABELS = {
+  'going': 'going',
+  'attending': 'going',
+  'not going': 'not_going',
+  "can't go": 'not_going',
+  'declined': 'not_going',
+  'maybe': 'interested',
+  'interested': 'interested',
+  'waitlisted': 'waitlisted',
+  'on waitlist': 'waitlisted',
+  'on the waitlist': 'waitlisted'
+};
+
+/**
+ * Button text Circle shows instead of "RSVP" when an event is at capacity
+ */
+const FULL_EVENT_PATTERN = /^(event full|full|sold out|join (the )?waitlist)$/i;
+
+/**
+ * Reads a count that appears in a card, such as "12 going" or "3 spots left"
+ * @param {string} text - Card text
+ * @param {RegExp} pattern - Pattern whose first group is the number
+ * @returns {number|null}
+ */
+function readCount(text, pattern) {
+  const match = text.match(pattern);
+  return match ? parseInt(match[1].replace(/,/g, ''), 10) : null;
+}
+
+/**
+ * Reads attendee and capacity counts from an event card when Circle shows them
+ * Input: "12/50 going", "12 attendees", "3 spots left", "Capacity: 50"
+ * @param {Element} card - Event card DOM element
+ * @returns {{ attendeeCount: number|null, capacity: number|null }}
+ */
+function getCapacity(card) {
+  const text = getSpacedText(card);
+
+  const ratio = text.match(/(\d[\d,]*)\s*\/\s*(\d[\d,]*)\s+(?:going|attending|attendees|spots)/i);
+  if (ratio) {
+    return {
+      attendeeCount: parseInt(ratio[1].replace(/,/g, ''), 10),
+      capacity: parseInt(ratio[2].replace(/,/g, ''), 10)
+    };
+  }
+
+  const attendeeCount = readCount(text, /(\d[\d,]*)\s+(?:people\s+|members\s+)?(?:going|attending|attendees?|rsvps?)\b/i);
+  const spotsLeft = readCount(text, /(\d[\d,]*)\s+(?:spots?|seats?|places?)\s+(?:left|remaining)/i);
+  let capacity = readCount(text, /(?:capacity|limited to|max(?:imum)?)\s*:?\s*(\d[\d,]*)/i);
+
+  if (capacity === null && spotsLeft !== null && attendeeCount !== null) {
+    capacity = attendeeCount + spotsLeft;
+  }
+
+  return { attendeeCount, capacity };
+}
+
 /**
  * Determines RSVP status from an event card element
  * @param {Element} card - Event card DOM element
- * @returns {'none' | 'going'} RSVP status
+ * @param {{ attendeeCount: number|null, capacity: number|null }} [counts] - Counts from getCapacity
+ * @returns {'going' | 'not_going' | 'interested' | 'waitlisted' | 'full' | 'none'} RSVP status
  */
-function getRsvpStatus(card) {
-  // Check for "Going" status - look for rsvp-radio with "Going" text
+function getRsvpStatus(card, counts = { attendeeCount: null, capacity: null }) {
+  // The member's own response is shown on the rsvp-radio button (text, or the icon's alt)
   const rsvpRadio = card.querySelector('.rsvp-radio');
   if (rsvpRadio) {
-    const goingText = rsvpRadio.querySelector('.button-text');
-    if (goingText && goingText.textContent.trim() === 'Going') {
-      return 'going';
+    const label = rsvpRadio.querySelector('.button-text');
+    const icon = rsvpRadio.querySelector('img[alt]');
+    const text = ((label && label.textContent) || (icon && icon.getAttribute('alt')) || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[’]/g, "'");
+    if (RSVP_LABELS[text]) {
+      return RSVP_LABELS[text];
     }
   }
 
+  // No response yet - is there still room?
+  const buttons = card.querySelectorAll('button, [role="button"]');
+  const fullButton = Array.from(buttons).some(button => FULL_EVENT_PATTERN.test(button.textContent.trim()));
+  const atCapacity = counts.capacity !== null && counts.attendeeCount !== null &&
+    counts.attendeeCount >= counts.capacity;
+  if (fullButton || atCapacity) {
+    return 'full';
+  }
+
   // Default to not RSVP'd
   return 'none';
 }
 
 /**
- * Extracts event data from a single event card element
- * @param {Element} card - Event card DOM element
- * @returns {Object|null} Event object or null if extraction fails
+ * Matches a full event datetime ("Thursday, Dec 4, 10:00 ...")
  */
-function extractEventFromCard(card) {
-  if (!card) return null;
+const DATE_TIME_PATTERN = /\w+day,\s+\w+\s+\d{1,2},\s+\d{1,2}:\d{2}/;
 
-  try {
-    // Find the event content container
-    const contentContainer = card.querySelector('[data-testid="event-main-content"]');
-    if (!contentContainer) return null;
+/**
+ * Matches a time range ("10:00 – 11:00")
+ */
+const TIME_RANGE_PATTERN = /\d{1,2}:\d{2}\s*[–-]\s*\d{1,2}:\d{2}/;
 
-    // Extract title and URL from the title link
-    const titleLink = contentContainer.querySelector('a.text-base.font-semibold');
-    if (!titleLink) return null;
+/**
+ * Links to an event page (as opposed to the live events space itself)
+ */
+const EVENT_LINK_SELECTOR = 'a[href*="/c/live-events/"]';
+const EVENT_PATH_PATTERN = /\/c\/live-events\/[^/?#]+/;
 
-    const title = decodeHTMLEntities(titleLink.textContent.trim());
-    const url = titleLink.getAttribute('href');
-    const slug = extractSlug(url);
+/**
+ * Fields an event cannot be exported without
+ */
+const REQUIRED_FIELDS = ['title', 'dateTime'];
 
-    // Extract datetime string - look for the span near the calendar icon
-    const dateTimeSpans = contentContainer.querySelectorAll('.flex.items-center.gap-x-2 span.text-xs');
-    let dateTimeStr = '';
-    let location = '';
-
-    dateTimeSpans.forEach((span, index) => {
-      const text = span.textContent.trim();
-      // First matching span is usually the datetime (contains time pattern)
-      if (text.match(/\d{1,2}:\d{2}\s*[–-]\s*\d{1,2}:\d{2}/)) {
-        dateTimeStr = text;
-      } else if (text && !dateTimeStr && index === 0) {
-        // Fallback: first span might be datetime
-        dateTimeStr = text;
-      } else if (text && text !== dateTimeStr) {
-        // Other spans are likely location
-        location = text;
-      }
-    });
+/**
+ * Finds the text of the row an icon sits in (e.g. the datetime next to the
+ * calendar icon). Icons are matched on their class or sprite reference.
+ * @param {Element} container - Element to search
+ * @param {Array<string>} iconNames - Icon name fragments ("calendar", "camera")
+ * @returns {string|null} Row text
+ */
+function findIconRowText(container, iconNames) {
+  const icons = Array.from(container.querySelectorAll('svg')).filter(svg => {
+    const use = svg.querySelector('use');
+    const names = [
+      svg.getAttribute('class') || '',
+      use ? (use.getAttribute('xlink:href') || use.getAttribute('href') || '') : ''
+    ].join(' ');
+    return iconNames.some(name => names.includes(name));
+  });
+
+  for (const icon of icons) {
+    let row = icon.parentElement;
+    while (row && row !== container && !getSpacedText(row)) {
+      row = row.parentElement;
+    }
+    const text = row ? getSpacedText(row) : '';
+    if (text) return text;
+  }
+
+  return null;
+}
+
+/**
+ * Title link strategies, most reliable first. Each returns the link or null.
+ */
+const TITLE_STRATEGIES = [
+  {
+    name: 'semantic',
+    find: container => Array.from(container.querySelectorAll(EVENT_LINK_SELECTOR))
+      .find(a => EVENT_PATH_PATTERN.test(a.getAttribute('href')) && a.textContent.trim())
+  },
+  {
+    name: 'class',
+    find: container => container.querySelector('a.text-base.font-semibold')
+  },
+  {
+    name: 'text',
+    find: container => Array.from(container.querySelectorAll('a[href]'))
+      .find(a => a.textContent.trim() && !DATE_TIME_PATTERN.test(a.textContent))
+  }
+];
 
-    // If we still don't have datetime, try alternative selector
-    if (!dateTimeStr) {
-      const allSpans = contentContainer.querySelectorAll('span.text-xs');
-      for (const span of allSpans) {
+/**
+ * Datetime/location strategies, most reliable first. Each returns
+ * { dateTimeStr, location } (location may be empty) or null.
+ */
+const DATE_TIME_STRATEGIES = [
+  {
+    // data-testid / <time> hooks, or the rows next to the calendar and camera icons
+    name: 'semantic',
+    find: container => {
+      const hook = container.querySelector('[data-testid="event-datetime"], time');
+      const dateTimeStr = (hook && hook.textContent.trim()) || findIconRowText(container, ['calendar']);
+      if (!dateTimeStr || !/\d{1,2}:\d{2}/.test(dateTimeStr)) return null;
+
+      const location = findIconRowText(container, ['camera', 'video', 'location', 'map-pin']) || '';
+      return { dateTimeStr, location };
+    }
+  },
+  {
+    // Tailwind utility classes of the current Circle markup
+    name: 'class',
+    find: container => {
+      const dateTimeSpans = container.querySelectorAll('.flex.items-center.gap-x-2 span.text-xs');
+      let dateTimeStr = '';
+      let location = '';
+
+      dateTimeSpans.forEach((span, index) => {
         const text = span.textContent.trim();
-        if (text.match(/\w+day,\s+\w+\s+\d+,\s+\d{1,2}:\d{2}/)) {
+        // First matching span is usually the datetime (contains time pattern)
+        if (text.match(TIME_RANGE_PATTERN)) {
+          dateTimeStr = text;
+        } else if (text && !dateTimeStr && index === 0) {
+          // Fallback: first span might be datetime
           dateTimeStr = text;
-          break;
+        } else if (text && text !== dateTimeStr) {
+          // Other spans are likely location
+          location = text;
+        }
+      });
+
+      // If we still don't have datetime, try alternative selector
+      if (!dateTimeStr) {
+        const allSpans = container.querySelectorAll('span.text-xs');
+        for (const span of allSpans) {
+          const text = span.textContent.trim();
+          if (text.match(DATE_TIME_PATTERN)) {
+            dateTimeStr = text;
+            break;
+          }
         }
       }
+
+      return dateTimeStr ? { dateTimeStr, location } : null;
     }
+  },
+  {
+    // Any element whose own text reads like an event datetime
+    name: 'text',
+    find: container => {
+      const match = Array.from(container.querySelectorAll('span, div, p, time'))
+        .find(el => el.childElementCount === 0 && DATE_TIME_PATTERN.test(el.textContent));
+      return match ? { dateTimeStr: match.textContent.trim(), location: '' } : null;
+    }
+  }
+];
 
-    if (!dateTimeStr) return null;
+/**
+ * Runs strategies in order and returns the first result
+ * @param {Array<{ name: string, find: Function }>} strategies
+ * @param {Element} container - Element to search
+ * @returns {{ strategy: string|null, result: * }}
+ */
+function runStrategies(strategies, container) {
+  for (const { name, find } of strategies) {
+    const result = find(container);
+    if (result) return { strategy: name, result };
+  }
+  return { strategy: null, result: null };
+}
 
-    // Extract RSVP status
-    const rsvpStatus = getRsvpStatus(card);
+/**
+ * Rates a card's extraction: 'high' when every required field came from a
+ * semantic hook, 'medium' when one needed a class or text fallback,
+ * 'failed' when a required field is missing
+ * @param {Object} strategies - Strategy used per field
+ * @returns {'high' | 'medium' | 'failed'}
+ */
+function rateConfidence(strategies) {
+  if (REQUIRED_FIELDS.some(field => !strategies[field])) return 'failed';
+  return REQUIRED_FIELDS.every(field => strategies[field] === 'semantic') ? 'high' : 'medium';
+}
+
+/**
+ * Extracts event data from a single event card element, recording how
+ * each field was found
+ * @param {Element} card - Event card DOM element
+ * @returns {{ event: Object|null, diagnostics: { slug: string|null, strategies: Object, missing: Array<string>, confidence: string, error?: string } }}
+ */
+function extractEventWithDiagnostics(card) {
+  const diagnostics = {
+    slug: null,
+    strategies: { title: null, dateTime: null, location: null },
+    missing: [],
+    confidence: 'failed'
+  };
+
+  if (!card) {
+    diagnostics.missing = ['title', 'dateTime', 'location'];
+    return { event: null, diagnostics };
+  }
+
+  try {
+    // Find the event content container (the whole card if Circle dropped the hook)
+    const contentContainer = card.querySelector('[data-testid="event-main-content"]') || card;
+
+    // Extract title and URL from the title link
+    const titleMatch = runStrategies(TITLE_STRATEGIES, contentContainer);
+    diagnostics.strategies.title = titleMatch.strategy;
+
+    // Extract datetime and location
+    const dateTimeMatch = runStrategies(DATE_TIME_STRATEGIES, contentContainer);
+    diagnostics.strategies.dateTime = dateTimeMatch.strategy;
+    if (dateTimeMatch.result && dateTimeMatch.result.location) {
+      diagnostics.strategies.location = dateTimeMatch.strategy;
+    }
+
+    diagnostics.missing = Object.keys(diagnostics.strategies)
+      .filter(field => !diagnostics.strategies[field]);
+    diagnostics.confidence = rateConfidence(diagnostics.strategies);
+
+    if (diagnostics.confidence === 'failed') {
+      return { event: null, diagnostics };
+    }
+
+    const titleLink = titleMatch.result;
+    const title = decodeHTMLEntities(titleLink.textContent.trim());
+    const url = titleLink.getAttribute('href');
+    const slug = extractSlug(url);
+    diagnostics.slug = slug;
+
+    // Extract RSVP status and attendance
+    const { attendeeCount, capacity } = getCapacity(card);
+    const rsvpStatus = getRsvpStatus(card, { attendeeCount, capacity });
 
     // Extract thumbnail URL
     const thumbnailImg = card.querySelector('a#event-thumbnail-image img');
     const thumbnailUrl = thumbnailImg ? thumbnailImg.getAttribute('src') : null;
 
     return {
-      title,
-      url,
-      slug,
-      dateTimeStr,
-      location: location || 'TBD',
-      rsvpStatus,
-      thumbnailUrl
+      event: {
+        title,
+        url,
+        slug,
+        dateTimeStr: dateTimeMatch.result.dateTimeStr,
+        location: dateTimeMatch.result.location || 'TBD',
+        rsvpStatus,
+        attendeeCount,
+        capacity,
+        thumbnailUrl
+      },
+      diagnostics
     };
   } catch (error) {
     console.error('Error extracting event from card:', error);
-    return null;
+    diagnostics.confidence = 'failed';
+    diagnostics.error = error.message;
+    return { event: null, diagnostics };
   }
 }
 
 /**
- * Scrapes all events from the Circle.so live events page
- * @param {number} [referenceYear] - Reference year for date parsing (defaults to current year)
- * @returns {Array<Object>} Array of event objects
+ * Extracts event data from a single event card element
+ * @param {Element} card - Event card DOM element
+ * @returns {Object|null} Event object or null if extraction fails
  */
-function scrapeEvents(referenceYear) {
+function extractEventFromCard(card) {
+  return extractEventWithDiagnostics(card).event;
+}
+
+/**
+ * Joins the text nodes under an element with single spaces, so adjacent
+ * spans ("10:00 AM" + "Title") don't run together as textContent would
+ * @param {Element} element - Element to read
+ * @returns {string} Normalized text
+ */
+function getSpacedText(element) {
+  const parts = [];
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const text = walker.currentNode.textContent.trim();
+    if (text) parts.push(text);
+  }
+  return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Finds the calendar header ("December 2025") and returns its month and year
+ * @returns {{ month: number, year: number } | null} 0-indexed month
+ */
+function findCalendarMonth() {
+  const pattern = new RegExp(`^(${MONTH_NAMES.join('|')})\\s+(\\d{4})$`, 'i');
+  const candidates = document.querySelectorAll('h1, h2, h3, h4, [role="heading"], span, div');
+
+  for (const el of candidates) {
+    // The header is a leaf-ish element; skip big containers cheaply
+    if (el.childElementCount > 2) continue;
+
+    const match = el.textContent.trim().match(pattern);
+    if (match) {
+      const month = MONTH_NAMES.findIndex(name => name.toLowerCase() === match[1].toLowerCase());
+      return { month, year: parseInt(match[2], 10) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds the day cells of the calendar grid, in display order
+ * @returns {Array<Element>} Day cell elements
+ */
+function findCalendarCells() {
+  const gridCells = document.querySelectorAll('[role="gridcell"]');
+  if (gridCells.length > 0) return Array.from(gridCells);
+
+  // Fuzzy fallback: a container with at least 4 weeks of children that
+  // each start with a day number
+  const containers = document.querySelectorAll('[role="grid"], .grid, .grid-cols-7');
+  for (const container of containers) {
+    const cells = Array.from(container.children)
+      .filter(child => /^\d{1,2}\b/.test(getSpacedText(child)));
+    if (cells.length >= 28) return cells;
+  }
+
+  return [];
+}
+
+/**
+ * Reads the day number shown in a calendar cell
+ * @param {Element} cell - Day cell element
+ * @returns {number|null} Day of month
+ */
+function getCellDay(cell) {
+  const dateAttr = cell.getAttribute('data-date');
+  if (dateAttr && /^\d{4}-\d{2}-\d{2}$/.test(dateAttr)) {
+    return parseInt(dateAttr.slice(8), 10);
+  }
+
+  const match = getSpacedText(cell).match(/^(\d{1,2})\b/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Builds a list-view style datetime string for a grid event, so both
+ * layouts feed the same parser. The year from the month header is kept,
+ * so it doesn't have to be guessed again: "Thursday, Dec 4, 2025, 10:00 AM"
+ * @param {Date} date - Day of the event (local midnight)
+ * @param {string} time - Start time as shown ("10:00AM", "10:00 am")
+ * @returns {string} Datetime string
+ */
+function formatGridDateTime(date, time) {
+  const normalizedTime = time.replace(/\s*(am|pm)$/i, (m, period) => ` ${period.toUpperCase()}`);
+  const monthAbbrev = MONTH_NAMES[date.getMonth()].substring(0, 3);
+  return `${WEEKDAY_NAMES[date.getDay()]}, ${monthAbbrev} ${date.getDate()}, ${date.getFullYear()}, ${normalizedTime}`;
+}
+
+/**
+ * Scrapes events from the Circle.so month calendar grid layout.
+ * Leading/trailing cells from the previous/next month are mapped to the
+ * correct month (the grid shows "30 1 2 ... 31 1 2"). The grid doesn't
+ * show locations or RSVPs, so grid events have none.
+ * @returns {Array<Object>} Array of event objects (list view shape, without location and rsvpStatus)
+ */
+function scrapeCalendarGrid() {
+  const header = findCalendarMonth();
+  if (!header) return [];
+
   const events = [];
+  const timePattern = /(\d{1,2}:\d{2}\s*(?:AM|PM))/i;
+  let seenFirstDay = false;
+  let monthOffset = -1;
+
+  findCalendarCells().forEach(cell => {
+    const day = getCellDay(cell);
+    if (!day) return;
+
+    // Day 1 starts the displayed month; a second day 1 starts the next one
+    if (day === 1) {
+      monthOffset = seenFirstDay ? 1 : 0;
+      seenFirstDay = true;
+    }
+
+    // An explicit data-date wins over the position in the grid
+    const dateAttr = cell.getAttribute('data-date');
+    const date = dateAttr && /^\d{4}-\d{2}-\d{2}$/.test(dateAttr)
+      ? new Date(parseInt(dateAttr.slice(0, 4), 10), parseInt(dateAttr.slice(5, 7), 10) - 1, day)
+      : new Date(header.year, header.month + monthOffset, day);
+
+    // Each event is a link to its page, or at least a line with a time in it
+    let eventNodes = Array.from(cell.querySelectorAll('a[href*="/c/live-events/"]'));
+    if (eventNodes.length === 0) {
+      eventNodes = Array.from(cell.querySelectorAll('div, p, li, span'))
+        .filter(node => timePattern.test(getSpacedText(node)) && !node.querySelector('div, p, li'));
+    }
+
+    eventNodes.forEach(node => {
+      const text = getSpacedText(node);
+      const timeMatch = text.match(timePattern);
+      if (!timeMatch) return;
+
+      const title = decodeHTMLEntities(text.replace(timeMatch[0], '').replace(/\s+/g, ' ').trim());
+      if (!title) return;
+
+      const href = node.getAttribute('href');
+      const isoDate = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+      const slug = href
+        ? extractSlug(href)
+        : `${title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')}-${isoDate}`;
+
+      events.push({
+        title,
+        url: href || '/c/live-events',
+        slug,
+        dateTimeStr: formatGridDateTime(date, timeMatch[1]),
+        attendeeCount: null,
+        capacity: null,
+        thumbnailUrl: null
+      });
+    });
+  });
 
-  // Find all event cards - they are divs with specific border classes containing event content
-  const eventCards = document.querySelectorAll('.border-primary.border-b.p-6');
+  return events;
+}
+
+/**
+ * Climbs from an element inside an event card to the card itself: the
+ * largest ancestor that doesn't link to any other event
+ * @param {Element} element - Element inside the card
+ * @param {string} slug - The card's event slug
+ * @returns {Element} Card element
+ */
+function climbToCard(element, slug) {
+  let card = element;
+
+  while (card.parentElement && card.parentElement !== document.body) {
+    const parent = card.parentElement;
+    const linksElsewhere = Array.from(parent.querySelectorAll(EVENT_LINK_SELECTOR))
+      .some(a => extractSlug(a.getAttribute('href')) !== slug);
+    if (linksElsewhere) break;
+    card = parent;
+  }
+
+  return card;
+}
+
+/**
+ * Finds the card around each distinct event link inside the given elements
+ * @param {Array<Element>} elements - Elements to search for event links
+ * @returns {Array<Element>} One card per event, in page order
+ */
+function cardsFromEventLinks(elements) {
+  const cards = [];
+  const seen = new Set();
+
+  elements.forEach(element => {
+    const link = element.matches(EVENT_LINK_SELECTOR) ? element : element.querySelector(EVENT_LINK_SELECTOR);
+    if (!link || !EVENT_PATH_PATTERN.test(link.getAttribute('href'))) return;
+
+    const slug = extractSlug(link.getAttribute('href'));
+    if (seen.has(slug)) return;
+    seen.add(slug);
+
+    cards.push(climbToCard(element, slug));
+  });
+
+  return cards;
+}
+
+/**
+ * Card discovery strategies, most reliable first
+ */
+const CARD_STRATEGIES = [
+  {
+    name: 'semantic',
+    find: () => cardsFromEventLinks(Array.from(document.querySelectorAll('[data-testid="event-main-content"]')))
+  },
+  {
+    name: 'class',
+    find: () => Array.from(document.querySelectorAll('.border-primary.border-b.p-6'))
+  },
+  {
+    // Event links whose surrounding card reads like a dated event
+    name: 'text',
+    find: () => cardsFromEventLinks(Array.from(document.querySelectorAll(EVENT_LINK_SELECTOR)))
+      .filter(card => DATE_TIME_PATTERN.test(getSpacedText(card)))
+  }
+];
+
+/**
+ * Finds the list view's event cards with the first card strategy that
+ * matches any
+ * @returns {{ strategy: string|null, cards: Array<Element> }} strategy is null when no cards were found
+ */
+function findEventCards() {
+  for (const { name, find } of CARD_STRATEGIES) {
+    const cards = find();
+    if (cards.length > 0) return { strategy: name, cards };
+  }
+  return { strategy: null, cards: [] };
+}
+
+/**
+ * Checks if the page links to any event, read or not
+ * @returns {boolean}
+ */
+function hasEventLinks() {
+  return Array.from(document.querySelectorAll(EVENT_LINK_SELECTOR))
+    .some(a => EVENT_PATH_PATTERN.test(a.getAttribute('href')));
+}
+
+/**
+ * Scrapes all events from the Circle.so live events page and reports how
+ * well the page matched what the scraper expects.
+ * Uses the list view cards when present, otherwise the calendar grid.
+ *
+ * diagnostics.layoutChanged is true when the list had to be read through
+ * fallbacks, some cards could not be read, or the page links to events
+ * that no strategy could find - all signs that Circle changed its markup.
+ *
+ * @returns {{ events: Array<Object>, diagnostics: { layout: 'list'|'calendar'|'none', cardStrategy: string|null, cards: Array<Object>, layoutChanged: boolean } }}
+ */
+function scrapeEventsWithDiagnostics() {
+  const { strategy: cardStrategy, cards: eventCards } = findEventCards();
+
+  if (eventCards.length === 0) {
+    const events = scrapeCalendarGrid();
+
+    return {
+      events,
+      diagnostics: {
+        layout: events.length > 0 ? 'calendar' : 'none',
+        cardStrategy: null,
+        cards: [],
+        layoutChanged: events.length === 0 && hasEventLinks()
+      }
+    };
+  }
+
+  const events = [];
+  const cards = [];
 
   eventCards.forEach(card => {
-    const event = extractEventFromCard(card);
+    const { event, diagnostics } = extractEventWithDiagnostics(card);
+    cards.push(diagnostics);
     if (event) {
       events.push(event);
     }
   });
 
-  return events;
+  return {
+    events,
+    diagnostics: {
+      layout: 'list',
+      cardStrategy,
+      cards,
+      layoutChanged: cardStrategy !== 'semantic' || cards.some(card => card.confidence !== 'high')
+    }
+  };
+}
+
+/**
+ * Scrapes all events from the Circle.so live events page.
+ * Uses the list view cards when present, otherwise the calendar grid.
+ * @returns {Array<Object>} Array of event objects
+ */
+function scrapeEvents() {
+  return scrapeEventsWithDiagnostics().events;
 }
 
-module.exports = { scrapeEvents, extractEventFromCard };
+module.exports = {
+  scrapeEvents,
+  scrapeEventsWithDiagnostics,
+  findEventCards,
+  hasEventLinks,
+  extractEventFromCard,
+  extractEventWithDiagnostics,
+  scrapeCalendarGrid
+};
@@ -0,0 +1,318 @@
+/**
+ * User settings for Circle Calendar Exporter
+ * Stored in chrome.storage.local under "settings" and merged over the
+ * defaults, so settings added in later versions pick up their default.
+ */
+
+const { isValidTimeZone } = require('./utils/vtimezone');
+const { DEFAULT_DURATION_MINUTES } = require('./utils/dateParser');
+const { DEFAULT_GOOGLE_API_BASE_URL } = require('./googleCalendarApi');
+const { DEFAULT_GRAPH_BASE_URL, DEFAULT_MICROSOFT_AUTHORITY_URL } = require('./microsoftGraphApi');
+const { CALENDAR_LINK_PROVIDERS } = require('./utils/calendarLinks');
+const { DEFAULT_DESCRIPTION_TEMPLATE, validateTemplate } = require('./utils/descriptionTemplate');
+
+/**
+ * Alarm actions a reminder can use (RFC 5545 VALARM ACTION)
+ */
+const REMINDER_ACTIONS = ['DISPLAY', 'AUDIO'];
+
+/**
+ * How ICS files write times: "utc" (DTSTART:...Z) or "tzid"
+ * (DTSTART;TZID=<zone>:... with a VTIMEZONE block)
+ */
+const TIME_ZONE_MODES = ['utc', 'tzid'];
+
+/**
+ * Longest default event length the settings accept (a day), in minutes
+ */
+const MAX_DURATION_MINUTES = 1440;
+
+/**
+ * Export buttons a card can show: the deep link providers and ICS download
+ */
+const EXPORT_PROVIDERS = [...CALENDAR_LINK_PROVIDERS.map(provider => provider.id), 'ics'];
+
+/**
+ * Settings used until the user changes them
+ */
+const DEFAULT_SETTINGS = {
+  // Alarms added to ICS exports, in minutes before the start
+  reminders: [
+    { minutes: 15, action: 'DISPLAY' }
+  ],
+  // How ICS files write times (see TIME_ZONE_MODES)
+  timeZoneMode: 'utc',
+  // Zone for TZID mode; empty means the browser's zone
+  timeZone: '',
+  // Export buttons shown on each card, in order (see EXPORT_PROVIDERS)
+  enabledProviders: ['google', 'outlook', 'ics'],
+  // Length of events whose end time Circle doesn't show, in minutes
+  defaultDurationMinutes: DEFAULT_DURATION_MINUTES,
+  // Keep export buttons usable after an export (otherwise an unchanged
+  // event can only be exported once per calendar)
+  allowReExports: false,
+  // Description of exported events (see utils/descriptionTemplate.js)
+  descriptionTemplate: DEFAULT_DESCRIPTION_TEMPLATE,
+  // Templates for single exporters (exporter ID -> template), used
+  // instead of descriptionTemplate
+  providerTemplates: {},
+  // Write "Google" exports straight to Google Calendar instead of opening a link
+  googleApiEnabled: false,
+  // Calendar the API writes to
+  googleCalendarId: 'primary',
+  // Calendar v3 API root; change it to test against a local mock server
+  googleApiBaseUrl: DEFAULT_GOOGLE_API_BASE_URL,
+  // Write "Outlook" exports to Outlook through Microsoft Graph instead of opening a link
+  microsoftApiEnabled: false,
+  // Application (client) ID of the Microsoft app registration used to sign in
+  microsoftClientId: '',
+  // Calendar Graph creates events in; empty means the default calendar
+  microsoftCalendarId: '',
+  // Graph and sign-in endpoints; change them to test against a local stub
+  microsoftGraphBaseUrl: DEFAULT_GRAPH_BASE_URL,
+  microsoftAuthorityUrl: DEFAULT_MICROSOFT_AUTHORITY_URL,
+  // Push exports to a CalDAV calendar collection
+  caldavEnabled: false,
+  // Collection URL, e.g. https://cloud.example.com/remote.php/dav/calendars/me/personal/
+  caldavCollectionUrl: '',
+  // Basic auth credentials, stored as plain text (use an app password)
+  caldavUsername: '',
+  caldavPassword: ''
+};
+
+/**
+ * Cleans up a list of reminders: drops invalid entries and duplicates and
+ * sorts them earliest first (largest offset first)
+ * @param {Array<{ minutes: number, action: string }>} reminders - Reminders to clean
+ * @returns {Array<{ minutes: number, action: string }>}
+ */
+function normalizeReminders(reminders) {
+  if (!Array.isArray(reminders)) return [];
+
+  const seen = new Set();
+  return reminders
+    .filter(reminder => reminder &&
+      Number.isInteger(reminder.minutes) &&
+      reminder.minutes >= 0 &&
+      REMINDER_ACTIONS.includes(reminder.action))
+    .filter(reminder => {
+      const key = `${reminder.minutes}|${reminder.action}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(({ minutes, action }) => ({ minutes, action }))
+    .sort((a, b) => b.minutes - a.minutes);
+}
+
+/**
+ * Checks if a value is an http(s) URL
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  if (!value || typeof value !== 'string') return false;
+
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Hosts a CalDAV collection may be reached on over plain http: the
+ * user's own machine, where the password never crosses the network
+ */
+const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+/**
+ * Checks if a value can be a CalDAV collection URL: https, or http on
+ * this machine only, since every request carries the password
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+function isCalDavUrl(value) {
+  if (!isHttpUrl(value)) return false;
+
+  const url = new URL(value);
+  return url.protocol === 'https:' || LOCAL_HOSTS.includes(url.hostname);
+}
+
+/**
+ * Cleans up the per-exporter description templates: drops empty and
+ * invalid templates, which fall back to the general one
+ * @param {Object} templates - Exporter ID -> template
+ * @returns {Object} Valid templates
+ */
+function normalizeProviderTemplates(templates) {
+  const valid = {};
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) return valid;
+
+  Object.keys(templates).forEach(id => {
+    const template = templates[id];
+    if (/^[\w-]+$/.test(id) && template && !validateTemplate(template)) {
+      valid[id] = template;
+    }
+  });
+  return valid;
+}
+
+/**
+ * Fills in defaults and replaces invalid values with them
+ * @param {Object} stored - Settings as stored
+ * @returns {Object} Complete, valid settings
+ */
+function normalizeSettings(stored) {
+  const settings = { ...DEFAULT_SETTINGS, ...(stored || {}) };
+
+  settings.reminders = normalizeReminders(settings.reminders);
+  if (!TIME_ZONE_MODES.includes(settings.timeZoneMode)) {
+    settings.timeZoneMode = DEFAULT_SETTINGS.timeZoneMode;
+  }
+  if (settings.timeZone && !isValidTimeZone(settings.timeZone)) {
+    settings.timeZone = DEFAULT_SETTINGS.timeZone;
+  }
+  settings.enabledProviders = Array.isArray(settings.enabledProviders)
+    ? settings.enabledProviders.filter((id, index, ids) => EXPORT_PROVIDERS.includes(id) && ids.indexOf(id) === index)
+    : DEFAULT_SETTINGS.enabledProviders;
+  if (!Number.isInteger(settings.defaultDurationMinutes) ||
+      settings.defaultDurationMinutes < 1 ||
+      settings.defaultDurationMinutes > MAX_DURATION_MINUTES) {
+    settings.defaultDurationMinutes = DEFAULT_SETTINGS.defaultDurationMinutes;
+  }
+  settings.allowReExports = settings.allowReExports === true;
+  if (!settings.descriptionTemplate || validateTemplate(settings.descriptionTemplate)) {
+    settings.descriptionTemplate = DEFAULT_DESCRIPTION_TEMPLATE;
+  }
+  settings.providerTemplates = normalizeProviderTemplates(settings.providerTemplates);
+  settings.googleApiEnabled = settings.googleApiEnabled === true;
+  if (!settings.googleCalendarId || typeof settings.googleCalendarId !== 'string') {
+    settings.googleCalendarId = DEFAULT_SETTINGS.googleCalendarId;
+  }
+  ['microsoftClientId', 'microsoftCalendarId', 'caldavUsername', 'caldavPassword'].forEach(key => {
+    if (typeof settings[key] !== 'string') settings[key] = DEFAULT_SETTINGS[key];
+  });
+  // Signing in to Microsoft needs the app's client ID
+  settings.microsoftApiEnabled = settings.microsoftApiEnabled === true && Boolean(settings.microsoftClientId);
+  if (settings.caldavCollectionUrl && !isCalDavUrl(settings.caldavCollectionUrl)) {
+    settings.caldavCollectionUrl = DEFAULT_SETTINGS.caldavCollectionUrl;
+  }
+  // Pushing needs somewhere to push to
+  settings.caldavEnabled = settings.caldavEnabled === true && Boolean(settings.caldavCollectionUrl);
+  ['googleApiBaseUrl', 'microsoftGraphBaseUrl', 'microsoftAuthorityUrl'].forEach(key => {
+    if (!isHttpUrl(settings[key])) settings[key] = DEFAULT_SETTINGS[key];
+  });
+
+  return settings;
+}
+
+/**
+ * Reads the settings from chrome.storage, filling in defaults
+ * @returns {Promise<Object>} Settings (see DEFAULT_SETTINGS)
+ */
+function getSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('settings', (result) => {
+      resolve(normalizeSettings(result && result.settings));
+    });
+  });
+}
+
+/**
+ * Saves some settings, keeping the others
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} The full settings after saving
+ */
+function saveSettings(changes) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('settings', (result) => {
+      const settings = normalizeSettings({ ...((result && result.settings) || {}), ...changes });
+
+      chrome.storage.local.set({ settings }, () => {
+        resolve(settings);
+      });
+    });
+  });
+}
+
+/**
+ * Reads the reminders chosen for individual events on their popup cards
+ * @returns {Promise<Object>} Map of event slug to reminders
+ */
+function getReminderOverrides() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('reminderOverrides', (result) => {
+      const overrides = (result && result.reminderOverrides) || {};
+      Object.keys(overrides).forEach(slug => {
+        overrides[slug] = normalizeReminders(overrides[slug]);
+      });
+      resolve(overrides);
+    });
+  });
+}
+
+/**
+ * Reads the reminders chosen for a single event on its popup card
+ * @param {string} slug - Event slug
+ * @returns {Promise<Array|null>} Reminders, or null to use the defaults
+ */
+async function getReminderOverride(slug) {
+  const overrides = await getReminderOverrides();
+  return overrides[slug] || null;
+}
+
+/**
+ * Stores (or clears) the reminders chosen for a single event
+ * @param {string} slug - Event slug
+ * @param {Array|null} reminders - Reminders, or null to go back to the defaults
+ * @returns {Promise<void>}
+ */
+function setReminderOverride(slug, reminders) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('reminderOverrides', (result) => {
+      const overrides = (result && result.reminderOverrides) || {};
+      if (reminders) {
+        overrides[slug] = normalizeReminders(reminders);
+      } else {
+        delete overrides[slug];
+      }
+
+      chrome.storage.local.set({ reminderOverrides: overrides }, () => {
+        resolve();
+      });
+    });
+  });
+}
+
+/**
+ * Reminders to put in an event's ICS export: its override if it has one,
+ * otherwise the default reminders from the settings
+ * @param {string} slug - Event slug
+ * @returns {Promise<Array<{ minutes: number, action: string }>>}
+ */
+async function getEventReminders(slug) {
+  const override = await getReminderOverride(slug);
+  if (override) return override;
+
+  const settings = await getSettings();
+  return settings.reminders;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  REMINDER_ACTIONS,
+  TIME_ZONE_MODES,
+  EXPORT_PROVIDERS,
+  MAX_DURATION_MINUTES,
+  normalizeReminders,
+  normalizeSettings,
+  isCalDavUrl,
+  getSettings,
+  saveSettings,
+  getReminderOverrides,
+  getReminderOverride,
+  setReminderOverride,
+  getEventReminders
+};
@@ -0,0 +1,109 @@
+/**
+ * Shared plumbing for the calendar API clients (Google Calendar,
+ * Microsoft Graph): authorized JSON requests with one token refresh,
+ * error messages from API responses, and bulk writes.
+ */
+
+/**
+ * Reads the error message out of a failed API response. Google and Graph
+ * both answer with { error: { message } }.
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string>}
+ */
+async function readErrorMessage(response) {
+  try {
+    const body = await response.json();
+    if (body && body.error && body.error.message) return body.error.message;
+  } catch (e) {
+    // Not JSON - fall back to the status
+  }
+  return `Request failed (${response.status})`;
+}
+
+/**
+ * Builds the error thrown for a failed API response
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Error>} Error with the HTTP status as `status`
+ */
+async function createResponseError(response) {
+  const error = new Error(await readErrorMessage(response));
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * Creates helpers that send authorized JSON requests under an API root.
+ * A 401 drops the token and retries once with a new one.
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - API root
+ * @param {Function} options.fetchImpl - fetch implementation
+ * @param {Function} options.getToken - Resolves with an access token
+ * @param {Function} options.dropToken - Called with a rejected token
+ * @returns {{ request: Function, requestJson: Function }}
+ *   request(method, path, body?) resolves with the Response;
+ *   requestJson(method, path, body?) with the JSON body, throwing on failure
+ */
+function createApiRequester({ baseUrl, fetchImpl, getToken, dropToken }) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const send = async (method, path, body) => {
+    const token = await getToken();
+    const response = await fetchImpl(`${root}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { token, response };
+  };
+
+  const request = async (method, path, body) => {
+    const first = await send(method, path, body);
+    if (first.response.status !== 401) return first.response;
+
+    await dropToken(first.token);
+    return (await send(method, path, body)).response;
+  };
+
+  const requestJson = async (method, path, body) => {
+    const response = await request(method, path, body);
+    if (!response.ok) throw await createResponseError(response);
+    return response.json();
+  };
+
+  return { request, requestJson };
+}
+
+/**
+ * Writes several events one after the other: events with a known ID are
+ * updated, the rest inserted. One failure doesn't stop the others.
+ * @param {Object} client - Client with insertEvent(event) and updateEvent(id, event, etag)
+ * @param {Array<{ event: Object, eventId?: string, etag?: string }>} items - Events to write
+ * @returns {Promise<Array<{ event: Object, eventId?: string, etag?: string, error?: Error }>>}
+ *   eventId and etag are the calendar's after writing
+ */
+async function syncCalendarEvents(client, items) {
+  const results = [];
+
+  for (const { event, eventId, etag } of items) {
+    try {
+      const saved = eventId
+        ? await client.updateEvent(eventId, event, etag)
+        : await client.insertEvent(event);
+      results.push({ event, eventId: saved.id, etag: saved.etag });
+    } catch (error) {
+      results.push({ event, eventId, etag, error });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  createResponseError,
+  createApiRequester,
+  syncCalendarEvents
+};
@@ -1,4 +1,5 @@
-const { formatISODate } = require('./dateParser');
+const { formatUTCDate } = require('./dateParser');
+const { formatLocalDate } = require('./vtimezone');
 
 /**
  * Generates a Google Calendar deep link for an event
@@ -10,6 +11,8 @@ const { formatISODate } = require('./dateParser');
  * @param {string} [event.location] - Event location
  * @param {string} [event.url] - Event URL
  * @param {string} [event.description] - Event description
+ * @param {string} [event.rrule] - Recurrence rule for a series (needs event.timeZone)
+ * @param {string} [event.timeZone] - IANA zone the rule repeats in
  * @returns {string} Google Calendar URL
  */
 function generateGoogleCalendarLink(event) {
@@ -19,10 +22,18 @@ function generateGoogleCalendarLink(event) {
   params.set('action', 'TEMPLATE');
   params.set('text', event.title);
 
-  // Format: YYYYMMDDTHHmmSS/YYYYMMDDTHHmmSS
-  const startFormatted = formatISODate(event.startDate);
-  const endFormatted = formatISODate(event.endDate);
-  params.set('dates', `${startFormatted}/${endFormatted}`);
+  if (event.rrule && event.timeZone) {
+    // A weekly rule repeats in local time, so the dates are local to ctz
+    // (in UTC every session after a DST change would be an hour off)
+    params.set('dates', `${formatLocalDate(event.startDate, event.timeZone)}/${formatLocalDate(event.endDate, event.timeZone)}`);
+    params.set('ctz', event.timeZone);
+    params.set('recur', `RRULE:${event.rrule}`);
+  } else {
+    // Format: YYYYMMDDTHHmmSSZ/YYYYMMDDTHHmmSSZ (UTC, so Google never guesses the zone)
+    const startFormatted = formatUTCDate(event.startDate);
+    const endFormatted = formatUTCDate(event.endDate);
+    params.set('dates', `${startFormatted}/${endFormatted}`);
+  }
 
   if (event.location) {
     params.set('location', event.location);
@@ -37,26 +48,22 @@ function generateGoogleCalendarLink(event) {
 }
 
 /**
- * Generates an Outlook Web deep link for an event
+ * Builds an Outlook on the web compose link. Consumer, work and tenant
+ * mailboxes take the same parameters on different hosts.
  *
- * @param {Object} event - Event object
- * @param {string} event.title - Event title
- * @param {Date} event.startDate - Start date/time
- * @param {Date} event.endDate - End date/time
- * @param {string} [event.location] - Event location
- * @param {string} [event.url] - Event URL
- * @param {string} [event.description] - Event description
- * @returns {string} Outlook Web Calendar URL
+ * @param {string} host - Outlook host, e.g. "outlook.office.com"
+ * @param {Object} event - Event object (see generateOutlookLink)
+ * @returns {string} Outlook compose URL
  */
-function generateOutlookLink(event) {
-  const baseUrl = 'https://outlook.office.com/calendar/0/deeplink/compose';
+function buildOutlookComposeLink(host, event) {
+  const baseUrl = `https://${host}/calendar/0/deeplink/compose`;
   const params = new URLSearchParams();
 
   params.set('path', '/calendar/action/compose');
   params.set('rru', 'addevent');
   params.set('subject', event.title);
 
-  // Outlook uses ISO 8601 format
+  // Outlook uses ISO 8601 format (toISOString is always UTC with a Z suffix)
   params.set('startdt', event.startDate.toISOString());
   params.set('enddt', event.endDate.toISOString());
 
@@ -74,4 +81,140 @@ function generateOutlookLink(event) {
   return `${baseUrl}?${params.toString()}`;
 }
 
-module.exports = { generateGoogleCalendarLink, generateOutlookLink };
+/**
+ * Generates an Outlook Web deep link for an event (work or school accounts)
+ *
+ * @param {Object} event - Event object
+ * @param {string} event.title - Event title
+ * @param {Date} event.startDate - Start date/time
+ * @param {Date} event.endDate - End date/time
+ * @param {string} [event.location] - Event location
+ * @param {string} [event.url] - Event URL
+ * @param {string} [event.description] - Event description
+ * @returns {string} Outlook Web Calendar URL
+ */
+function generateOutlookLink(event) {
+  return buildOutlookComposeLink('outlook.office.com', event);
+}
+
+/**
+ * Generates an Outlook.com deep link for an event (personal Microsoft
+ * accounts, which outlook.office.com sends to a sign-in loop)
+ *
+ * @param {Object} event - Event object (see generateOutlookLink)
+ * @returns {string} Outlook.com Calendar URL
+ */
+function generateOutlookLiveLink(event) {
+  return buildOutlookComposeLink('outlook.live.com', event);
+}
+
+/**
+ * Generates an Office 365 deep link for an event, for tenants whose
+ * mailboxes live on outlook.office365.com
+ *
+ * @param {Object} event - Event object (see generateOutlookLink)
+ * @returns {string} Office 365 Calendar URL
+ */
+function generateOffice365Link(event) {
+  return buildOutlookComposeLink('outlook.office365.com', event);
+}
+
+/**
+ * Generates a Yahoo Calendar deep link for an event
+ *
+ * @param {Object} event - Event object
+ * @param {string} event.title - Event title
+ * @param {Date} event.startDate - Start date/time
+ * @param {Date} event.endDate - End date/time
+ * @param {string} [event.location] - Event location
+ * @param {string} [event.description] - Event description
+ * @returns {string} Yahoo Calendar URL
+ */
+function generateYahooLink(event) {
+  const baseUrl = 'https://calendar.yahoo.com/';
+  const params = new URLSearchParams();
+
+  // v=60 is the "add event" form
+  params.set('v', '60');
+  params.set('title', event.title);
+
+  // Format: YYYYMMDDTHHmmSSZ (UTC)
+  params.set('st', formatUTCDate(event.startDate));
+  params.set('et', formatUTCDate(event.endDate));
+
+  if (event.location) {
+    params.set('in_loc', event.location);
+  }
+
+  if (event.description) {
+    params.set('desc', event.description);
+  }
+
+  return `${baseUrl}?${params.toString()}`;
+}
+
+/**
+ * Generates a Zoho Calendar deep link for an event
+ *
+ * @param {Object} event - Event object
+ * @param {string} event.title - Event title
+ * @param {Date} event.startDate - Start date/time
+ * @param {Date} event.endDate - End date/time
+ * @param {string} [event.location] - Event location
+ * @param {string} [event.description] - Event description
+ * @returns {string} Zoho Calendar URL
+ */
+function generateZohoLink(event) {
+  const baseUrl = 'https://calendar.zoho.com/eventreqForm';
+  const params = new URLSearchParams();
+
+  params.set('title', event.title);
+
+  // Format: YYYYMMDDTHHmmSSZ (UTC)
+  params.set('start', formatUTCDate(event.startDate));
+  params.set('end', formatUTCDate(event.endDate));
+
+  if (event.location) {
+    params.set('location', event.location);
+  }
+
+  if (event.description) {
+    params.set('desc', event.description);
+  }
+
+  return `${baseUrl}?${params.toString()}`;
+}
+
+/**
+ * Calendars an event can be opened in through a deep link, in the order
+ * the popup offers them. `id` is the export type stored with each export;
+ * `recurrence` marks links that can carry a series' RRULE.
+ */
+const CALENDAR_LINK_PROVIDERS = [
+  { id: 'google', label: 'Google', generate: generateGoogleCalendarLink, recurrence: true },
+  { id: 'outlook', label: 'Outlook', generate: generateOutlookLink },
+  { id: 'outlook-live', label: 'Outlook.com', generate: generateOutlookLiveLink },
+  { id: 'office365', label: 'Office 365', generate: generateOffice365Link },
+  { id: 'yahoo', label: 'Yahoo', generate: generateYahooLink },
+  { id: 'zoho', label: 'Zoho', generate: generateZohoLink }
+];
+
+/**
+ * Looks up a deep link provider
+ * @param {string} id - Provider ID (export type)
+ * @returns {Object|undefined} Entry from CALENDAR_LINK_PROVIDERS
+ */
+function getLinkProvider(id) {
+  return CALENDAR_LINK_PROVIDERS.find(provider => provider.id === id);
+}
+
+module.exports = {
+  CALENDAR_LINK_PROVIDERS,
+  getLinkProvider,
+  generateGoogleCalendarLink,
+  generateOutlookLink,
+  generateOutlookLiveLink,
+  generateOffice365Link,
+  generateYahooLink,
+  generateZohoLink
+};
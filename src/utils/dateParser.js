@@ -1,3 +1,5 @@
+const { resolveTimezone, wallTimeToDate } = require('./timezones');
+
 /**
  * Parses a time string like "1:00PM" into hours and minutes
  * @param {string} timeStr - Time string in format "H:MMAM/PM"
@@ -55,6 +57,30 @@ function formatISODate(date) {
   return `${year}${month}${day}T${hours}${minutes}${seconds}`;
 }
 
+/**
+ * Formats a Date object as a UTC timestamp: YYYYMMDDTHHmmSSZ
+ * Used wherever an unambiguous absolute instant is required (ICS, Google Calendar)
+ * @param {Date} date - Date object to format
+ * @returns {string}
+ */
+function formatUTCDate(date) {
+  const pad = (n) => n.toString().padStart(2, '0');
+
+  const year = date.getUTCFullYear();
+  const month = pad(date.getUTCMonth() + 1);
+  const day = pad(date.getUTCDate());
+  const hours = pad(date.getUTCHours());
+  const minutes = pad(date.getUTCMinutes());
+  const seconds = pad(date.getUTCSeconds());
+
+  return `${year}${month}${day}T${hours}${minutes}${seconds}Z`;
+}
+
+/**
+ * Event length assumed when only a start time is shown (PRD FR-3.2)
+ */
+const DEFAULT_DURATION_MINUTES = 60;
+
 /**
  * Month name to 0-indexed month number mapping
  */
@@ -63,26 +89,116 @@ const MONTHS = {
   jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
 };
 
+/**
+ * Minutes from one time of day to the next occurrence of another
+ * (wrapping past midnight)
+ * @param {{ hours: number, minutes: number }} from - Start time
+ * @param {{ hours: number, minutes: number }} to - End time
+ * @returns {number} Minutes in [0, 1440)
+ */
+function minutesUntil(from, to) {
+  const diff = (to.hours * 60 + to.minutes) - (from.hours * 60 + from.minutes);
+  return (diff + 24 * 60) % (24 * 60);
+}
+
+/**
+ * Weekday name to day number mapping (0 = Sunday, as Date#getDay)
+ */
+const WEEKDAYS = {
+  sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6
+};
+
+/**
+ * How far in the past (ms) an event may start and still count as upcoming.
+ * Covers sessions that are running right now and zone differences between
+ * the viewer and the event label.
+ */
+const PAST_EVENT_GRACE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Infers the year of a month/day that Circle.so shows without one.
+ * Picks the nearest upcoming occurrence around the reference date; when a
+ * weekday is known, only years where the date falls on that weekday qualify.
+ *
+ * @param {number} month - 0-indexed month
+ * @param {number} day - Day of month
+ * @param {number|null} weekday - Expected weekday (0 = Sunday) or null if unknown
+ * @param {Date} referenceDate - "Now" (usually the current date)
+ * @returns {{ year: number, weekdayMismatch: boolean }}
+ */
+function inferEventYear(month, day, weekday, referenceDate) {
+  const referenceYear = referenceDate.getFullYear();
+  const earliestUpcoming = referenceDate.getTime() - PAST_EVENT_GRACE_MS;
+
+  const candidates = [referenceYear - 1, referenceYear, referenceYear + 1]
+    .map(year => ({ year, date: new Date(year, month, day) }))
+    // Drop impossible dates such as Feb 29 in a non-leap year
+    .filter(({ date }) => date.getMonth() === month)
+    .map(candidate => ({
+      ...candidate,
+      upcoming: candidate.date.getTime() >= earliestUpcoming,
+      distance: Math.abs(candidate.date.getTime() - referenceDate.getTime())
+    }));
+
+  const nearest = (list) => {
+    const upcoming = list.filter(c => c.upcoming);
+    const pool = upcoming.length > 0 ? upcoming : list;
+    return pool.reduce((best, c) => (c.distance < best.distance ? c : best));
+  };
+
+  if (weekday === null) {
+    return { year: nearest(candidates).year, weekdayMismatch: false };
+  }
+
+  const matching = candidates.filter(c => c.date.getDay() === weekday);
+  if (matching.length > 0) {
+    return { year: nearest(matching).year, weekdayMismatch: false };
+  }
+
+  // Weekday cannot be reconciled with any nearby year - flag it
+  return { year: nearest(candidates).year, weekdayMismatch: true };
+}
+
 /**
  * Parses Circle.so list view datetime format
- * Input: "Thursday, Dec 4, 10:00 – 11:00 AM EST"
- * Output: { startDate: Date, endDate: Date, timezone: string }
+ * Input: "Thursday, Dec 4, 10:00 – 11:00 AM EST" or "Thursday, Dec 4, 11:30 AM – 12:30 PM EST"
+ * Output: { startDate: Date, endDate: Date, timezone: string, utcOffset: number, timeZoneId: string }
+ *
+ * Start-only times as shown on the calendar grid ("Thursday, Dec 4, 10:00 AM")
+ * are accepted too; the end is then defaultDurationMinutes after the start.
+ * The zone label is optional (missing means the browser's local zone).
+ *
+ * When the zone abbreviation is recognised the returned dates are the exact
+ * instants it describes; otherwise they fall back to the browser's local zone
+ * and utcOffset is null.
+ *
+ * The year is read from the string when it has one ("Friday, Jan 2, 2026,
+ * 1:00 PM", as the calendar grid writes them). Otherwise it is inferred
+ * from the reference date and checked against the weekday. Either way,
+ * weekdayMismatch is true when the weekday doesn't fit the date.
  *
  * @param {string} dateTimeStr - The datetime string from Circle.so
- * @param {number} referenceYear - The reference year (usually current year from page context)
- * @returns {{ startDate: Date, endDate: Date, timezone: string } | null}
+ * @param {Date} [referenceDate] - The date the page is viewed on (defaults to now)
+ * @param {number} [defaultDurationMinutes] - Duration used when no end time is shown
+ * @returns {{ startDate: Date, endDate: Date, timezone: string|null, utcOffset: number|null, timeZoneId: string|null, weekdayMismatch: boolean, hasEndTime: boolean } | null}
  */
-function parseEventDateTime(dateTimeStr, referenceYear) {
+function parseEventDateTime(dateTimeStr, referenceDate = new Date(), defaultDurationMinutes = DEFAULT_DURATION_MINUTES) {
   if (!dateTimeStr || typeof dateTimeStr !== 'string') return null;
 
-  // Pattern: "DayOfWeek, Mon D, H:MM – H:MM AM/PM TZ"
+  // Pattern: "DayOfWeek, Mon D, [YYYY,] H:MM [AM/PM] [– H:MM AM/PM] [TZ]"
+  // The start period is optional in ranges ("10:00 – 11:00 AM" vs "11:30 AM – 12:30 PM")
   // Supports both en-dash (–) and regular hyphen (-)
-  const pattern = /^(?:\w+),\s+(\w+)\s+(\d{1,2}),\s+(\d{1,2}):(\d{2})\s*[–-]\s*(\d{1,2}):(\d{2})\s*(AM|PM)\s+(\w+)$/i;
+  const pattern = /^(\w+),\s+(\w+)\s+(\d{1,2}),\s+(?:(\d{4}),\s+)?(\d{1,2}):(\d{2})\s*(AM|PM)?(?:\s*[–-]\s*(\d{1,2}):(\d{2})\s*(AM|PM))?(?:\s+([A-Z]+(?:[+-]\d{1,2}(?::?\d{2})?)?))?$/i;
 
   const match = dateTimeStr.match(pattern);
   if (!match) return null;
 
-  const [, monthStr, dayStr, startHourStr, startMinStr, endHourStr, endMinStr, period, timezone] = match;
+  const [
+    , weekdayStr, monthStr, dayStr, yearStr,
+    startHourStr, startMinStr, startPeriod,
+    endHourStr, endMinStr, endPeriod,
+    timezone
+  ] = match;
 
   // Parse month
   const monthKey = monthStr.toLowerCase().substring(0, 3);
@@ -90,53 +206,89 @@ function parseEventDateTime(dateTimeStr, referenceYear) {
   if (month === undefined) return null;
 
   const day = parseInt(dayStr, 10);
-  let startHour = parseInt(startHourStr, 10);
   const startMin = parseInt(startMinStr, 10);
-  let endHour = parseInt(endHourStr, 10);
-  const endMin = parseInt(endMinStr, 10);
-
-  // Convert to 24-hour format
-  // The AM/PM applies to the end time, and we infer the start time period
-  const isPM = period.toUpperCase() === 'PM';
-
-  // Convert end time
-  if (isPM && endHour !== 12) {
-    endHour += 12;
-  } else if (!isPM && endHour === 12) {
-    endHour = 0;
+  const hasEndTime = Boolean(endPeriod);
+
+  // Start-only times need their own period: "10:00 AM"
+  if (!hasEndTime && !startPeriod) return null;
+
+  // Without an end time, the start period alone decides the start hour
+  const end = hasEndTime
+    ? parseTime(`${endHourStr}:${endMinStr}${endPeriod}`)
+    : parseTime(`${startHourStr}:${startMinStr}${startPeriod}`);
+  if (!end) return null;
+  const endMin = end.minutes;
+
+  // Convert start time to 24-hour format
+  // With an explicit period ("11:30 AM – 12:30 PM") use it as-is.
+  // Otherwise the period is inferred: pick whichever of AM/PM gives the
+  // shortest session ending at the end time, e.g.
+  //   "10:00 – 11:00 AM" -> 10:00-11:00
+  //   "11:00 – 1:00 PM"  -> 11:00-13:00 (start > end, so start is AM)
+  //   "11:00 – 12:00 AM" -> 23:00-00:00 (runs up to midnight)
+  let start;
+  if (startPeriod) {
+    start = parseTime(`${startHourStr}:${startMinStr}${startPeriod}`);
+  } else {
+    start = ['AM', 'PM']
+      .map(period => parseTime(`${startHourStr}:${startMinStr}${period}`))
+      .filter(Boolean)
+      .reduce((best, candidate) => {
+        if (!best) return candidate;
+        return minutesUntil(candidate, end) < minutesUntil(best, end) ? candidate : best;
+      }, null);
   }
+  if (!start || startMin > 59 || endMin > 59) return null;
+
+  const startHour = start.hours;
+  const endHour = end.hours;
+
+  // Sessions ending before their start time run past midnight into the next day
+  const endDay = (endHour * 60 + endMin) < (startHour * 60 + startMin) ? day + 1 : day;
 
-  // Convert start time - assume same period unless start > end (would indicate AM to PM)
-  // For "10:00 – 11:00 AM" both are AM
-  // For "12:00 – 1:30 PM" both are PM (12 PM and 1:30 PM)
-  // For "5:00 – 6:00 PM" both are PM
-  if (isPM && startHour !== 12) {
-    // Check if start time makes sense in PM
-    // If startHour <= endHour (in 12-hr format), both are PM
-    // e.g., 5:00 - 6:00 PM means 17:00-18:00
-    // e.g., 12:00 - 1:30 PM means 12:00-13:30
-    startHour += 12;
-  } else if (!isPM && startHour === 12) {
-    startHour = 0;
+  // Use the year shown, or determine it from today's date, using the
+  // weekday to pick/validate it
+  const weekday = WEEKDAYS[weekdayStr.toLowerCase().substring(0, 3)];
+  let year;
+  let weekdayMismatch;
+  if (yearStr) {
+    year = parseInt(yearStr, 10);
+    weekdayMismatch = weekday !== undefined && new Date(year, month, day).getDay() !== weekday;
+  } else {
+    ({ year, weekdayMismatch } = inferEventYear(
+      month,
+      day,
+      weekday === undefined ? null : weekday,
+      referenceDate
+    ));
   }
 
-  // Determine year - if month is before reference month (Dec), it's next year
-  // Reference month is December (11), so Jan (0) would be next year
-  let year = referenceYear;
-  if (month < 11) { // If month is before December
-    // Check if it's likely next year (Jan, Feb, etc. when viewing December)
-    // Simple heuristic: if month is Jan-Nov and we're in Dec context, assume next year
-    year = referenceYear + 1;
+  const zone = resolveTimezone(timezone);
+
+  let startDate;
+  let endDate;
+  if (zone) {
+    startDate = wallTimeToDate(year, month, day, startHour, startMin, zone.offset);
+    endDate = wallTimeToDate(year, month, endDay, endHour, endMin, zone.offset);
+  } else {
+    // Missing or unknown zone label - assume it is the browser's own zone
+    startDate = new Date(year, month, day, startHour, startMin);
+    endDate = new Date(year, month, endDay, endHour, endMin);
   }
 
-  const startDate = new Date(year, month, day, startHour, startMin);
-  const endDate = new Date(year, month, day, endHour, endMin);
+  if (!hasEndTime) {
+    endDate = new Date(startDate.getTime() + defaultDurationMinutes * 60 * 1000);
+  }
 
   return {
     startDate,
     endDate,
-    timezone: timezone.toUpperCase()
+    timezone: timezone ? timezone.toUpperCase() : null,
+    utcOffset: zone ? zone.offset : null,
+    timeZoneId: zone ? zone.zone : null,
+    weekdayMismatch,
+    hasEndTime
   };
 }
 
-module.exports = { parseTime, parseDateTime, formatISODate, parseEventDateTime };
+module.exports = { DEFAULT_DURATION_MINUTES, parseTime, parseDateTime, formatISODate, formatUTCDate, inferEventYear, parseEventDateTime };
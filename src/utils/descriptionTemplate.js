@@ -0,0 +1,184 @@
+/**
+ * Description templates for exported events
+ *
+ * A template is plain text with placeholders and conditionals:
+ *   {{title}}                          - Replaced by the value (empty if none)
+ *   {{#if meetingUrl}}...{{/if}}       - Kept only when the value isn't empty
+ *   {{#if location}}...{{else}}...{{/if}}
+ *
+ * Conditionals nest. A line holding nothing but {{#if}}, {{else}} or
+ * {{/if}} disappears with its line break, so blocks can sit on their own
+ * lines without leaving blank lines behind.
+ */
+
+/**
+ * Placeholders a template can use, with what they hold
+ */
+const TEMPLATE_PLACEHOLDERS = {
+  title: 'Event title',
+  dateTime: 'Date and time as Circle shows them',
+  localTime: 'Start time in your time zone',
+  location: 'Location (empty when Circle shows none)',
+  host: 'Host names',
+  hostLabel: '"Host" or "Hosts"',
+  meetingUrl: 'Meeting link (empty when there is none)',
+  rsvp: 'Your RSVP (Going, Interested, Not yet confirmed, ...)',
+  rsvpIcon: 'Emoji for your RSVP',
+  attendance: 'Attendee count, e.g. "12 / 50 going" (empty when unknown)',
+  agenda: 'Agenda from the event page (empty until it has loaded)',
+  url: 'Event page on Circle'
+};
+
+/**
+ * Template used until the user writes their own
+ */
+const DEFAULT_DESCRIPTION_TEMPLATE = [
+  '🕐 {{dateTime}}',
+  '📍 {{#if location}}{{location}}{{else}}TBD{{/if}}',
+  '👤 {{hostLabel}}: {{host}}',
+  '{{#if meetingUrl}}',
+  '🎥 Join: {{meetingUrl}}',
+  '{{/if}}',
+  '{{rsvpIcon}} RSVP: {{rsvp}}',
+  '{{#if attendance}}',
+  '👥 {{attendance}}',
+  '{{/if}}',
+  '{{#if agenda}}',
+  '',
+  '{{agenda}}',
+  '{{/if}}',
+  '',
+  '🔗 {{url}}',
+  '',
+  '—',
+  'Dynamous Community'
+].join('\n');
+
+// Any {{...}} tag
+const TAG_PATTERN = /\{\{([^{}]*)\}\}/g;
+
+// A line holding only a block tag, with its line break
+const STANDALONE_BLOCK_PATTERN = /^[ \t]*(\{\{\s*(?:#if\s+\w+|else|\/if)\s*\}\})[ \t]*(?:\r?\n|$)/gm;
+
+/**
+ * Parses a template into a tree of text, placeholder and conditional nodes
+ * @param {string} template - Template text
+ * @returns {Array<Object>} Nodes
+ * @throws {Error} For unknown placeholders and unbalanced conditionals
+ */
+function parseTemplate(template) {
+  if (typeof template !== 'string') {
+    throw new Error('A template must be text');
+  }
+
+  const source = template.replace(STANDALONE_BLOCK_PATTERN, '$1');
+  const root = [];
+  // Open conditionals, innermost last; nodes go into the top one's branch
+  const stack = [];
+  let nodes = root;
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    if (match.index > lastIndex) {
+      nodes.push({ type: 'text', text: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const tag = match[1].trim();
+    const condition = tag.match(/^#if\s+(\w+)$/);
+
+    if (condition) {
+      const name = condition[1];
+      if (!Object.prototype.hasOwnProperty.call(TEMPLATE_PLACEHOLDERS, name)) {
+        throw new Error(`Unknown placeholder {{#if ${name}}}`);
+      }
+      const node = { type: 'if', name, then: [], otherwise: [], inElse: false };
+      nodes.push(node);
+      stack.push(node);
+      nodes = node.then;
+    } else if (tag === 'else') {
+      const open = stack[stack.length - 1];
+      if (!open) {
+        throw new Error('{{else}} without an {{#if}}');
+      }
+      if (open.inElse) {
+        throw new Error(`{{#if ${open.name}}} has more than one {{else}}`);
+      }
+      open.inElse = true;
+      nodes = open.otherwise;
+    } else if (tag === '/if') {
+      if (!stack.pop()) {
+        throw new Error('{{/if}} without an {{#if}}');
+      }
+      const parent = stack[stack.length - 1];
+      nodes = parent ? (parent.inElse ? parent.otherwise : parent.then) : root;
+    } else if (Object.prototype.hasOwnProperty.call(TEMPLATE_PLACEHOLDERS, tag)) {
+      nodes.push({ type: 'value', name: tag });
+    } else {
+      throw new Error(`Unknown placeholder {{${tag}}}`);
+    }
+  }
+
+  if (stack.length > 0) {
+    throw new Error(`{{#if ${stack[stack.length - 1].name}}} is never closed with {{/if}}`);
+  }
+
+  if (lastIndex < source.length) {
+    nodes.push({ type: 'text', text: source.slice(lastIndex) });
+  }
+  return root;
+}
+
+/**
+ * Checks a template without rendering it
+ * @param {string} template - Template text
+ * @returns {string|null} What is wrong with it, or null when it is valid
+ */
+function validateTemplate(template) {
+  try {
+    parseTemplate(template);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Renders parsed nodes
+ * @param {Array<Object>} nodes - From parseTemplate
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+function renderNodes(nodes, values) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.text;
+
+    const value = values[node.name] == null ? '' : String(values[node.name]);
+    if (node.type === 'value') return value;
+
+    return renderNodes(value !== '' ? node.then : node.otherwise, values);
+  }).join('');
+}
+
+/**
+ * Fills in a template
+ *
+ * Input: "{{title}}{{#if location}} @ {{location}}{{/if}}", { title: "Office Hours", location: "" }
+ * Output: "Office Hours"
+ *
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values (see TEMPLATE_PLACEHOLDERS); missing ones are empty
+ * @returns {string} Rendered text
+ * @throws {Error} When the template is invalid (see validateTemplate)
+ */
+function renderTemplate(template, values) {
+  return renderNodes(parseTemplate(template), values || {});
+}
+
+module.exports = {
+  TEMPLATE_PLACEHOLDERS,
+  DEFAULT_DESCRIPTION_TEMPLATE,
+  parseTemplate,
+  validateTemplate,
+  renderTemplate
+};
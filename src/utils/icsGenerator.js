@@ -1,88 +1,216 @@
-const { formatISODate } = require('./dateParser');
+const { formatUTCDate } = require('./dateParser');
+const { formatLocalDate, buildVTimezone } = require('./vtimezone');
 
 /**
- * Escapes special characters for ICS format according to RFC 5545
+ * Maximum length of a content line in octets, excluding the CRLF (RFC 5545 3.1)
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapes special characters for ICS TEXT values according to RFC 5545
  * @param {string} text - Text to escape
  * @returns {string} Escaped text
  */
 function escapeICSText(text) {
-  return text
+  return String(text)
     .replace(/\\/g, '\\\\')   // Backslash first
     .replace(/;/g, '\\;')     // Semicolon
     .replace(/,/g, '\\,')     // Comma
-    .replace(/\n/g, '\\n');   // Newline
+    .replace(/\r\n|\r|\n/g, '\\n') // Any line break (CRLF, CR or LF)
+    // Other control characters aren't allowed in TEXT (tab is)
+    .replace(/[\x00-\x08\x0B-\x1F\x7F]/g, '');
 }
 
+// A high surrogate without its low half, or a low one without its high half
+const LONE_SURROGATE_PATTERN = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
 /**
- * Folds long lines according to RFC 5545 (max 75 characters)
+ * Makes a URL safe to write as a URI value: characters URIs can't hold
+ * (spaces, quotes, control characters, non-ASCII) are percent-encoded.
+ * URI values are not TEXT, so commas and semicolons stay as they are.
+ * @param {string} url - URL to write
+ * @returns {string} Encoded URL
+ */
+function escapeICSUri(url) {
+  // encodeURIComponent throws on half a surrogate pair, so those become U+FFFD
+  return String(url).trim()
+    .replace(LONE_SURROGATE_PATTERN, '\uFFFD')
+    .replace(/[\x00-\x20\x7F"<>\\^`{|}]|[^\x00-\x7F]+/g, (chars) => encodeURIComponent(chars));
+}
+
+/**
+ * Returns how many octets a code point takes in UTF-8
+ * @param {number} codePoint - Unicode code point
+ * @returns {number} 1-4
+ */
+function utf8Length(codePoint) {
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  if (codePoint < 0x10000) return 3;
+  return 4;
+}
+
+/**
+ * Folds long lines according to RFC 5545: at most 75 octets of UTF-8 per
+ * line, continuation lines starting with a space. Lines are only broken
+ * between code points, so multi-byte characters (emoji) stay intact.
  * @param {string} line - Line to fold
  * @returns {string} Folded line(s)
  */
 function foldLine(line) {
-  if (line.length <= 75) {
-    return line;
-  }
-
   const result = [];
-  let remaining = line;
-
-  // First line can be 75 chars
-  result.push(remaining.substring(0, 75));
-  remaining = remaining.substring(75);
+  let current = '';
+  let octets = 0;
 
-  // Continuation lines start with space and can have 74 more chars
-  while (remaining.length > 0) {
-    result.push(' ' + remaining.substring(0, 74));
-    remaining = remaining.substring(74);
+  // for...of walks code points, so surrogate pairs are never split
+  for (const char of line) {
+    const size = utf8Length(char.codePointAt(0));
+    if (octets + size > MAX_LINE_OCTETS) {
+      result.push(current);
+      // The leading space of a continuation line counts toward its length
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
   }
+  result.push(current);
 
   return result.join('\r\n');
 }
 
 /**
- * Generates a unique ID for an event
+ * Community host used in UIDs when the event URL doesn't name one
+ */
+const DEFAULT_UID_HOST = 'community.dynamous.ai';
+
+/**
+ * Generates a stable unique ID for an event. The same Circle event always
+ * gets the same UID ("<slug>@<community host>"), so importing it again
+ * updates the existing calendar entry instead of duplicating it.
+ * Events without a slug fall back to a hash of their title and start time.
  * @param {Object} event - Event object
  * @returns {string} Unique ID
  */
 function generateUID(event) {
-  const timestamp = Date.now();
-  const random = Math.random().toString(36).substring(2, 11);
-  const titleHash = event.title.split('').reduce((acc, char) => {
-    return ((acc << 5) - acc) + char.charCodeAt(0);
-  }, 0).toString(36);
-  return `${timestamp}-${random}-${titleHash}@dynamous.ai`;
+  let host = DEFAULT_UID_HOST;
+  try {
+    host = new URL(event.url).hostname || DEFAULT_UID_HOST;
+  } catch (e) {
+    // Relative or missing URL - keep the default host
+  }
+
+  if (event.slug) {
+    return `${event.slug}@${host}`;
+  }
+
+  const titleHash = (event.title || '').split('').reduce((acc, char) => {
+    return (((acc << 5) - acc) + char.charCodeAt(0)) | 0;
+  }, 0);
+  return `${(titleHash >>> 0).toString(36)}-${formatUTCDate(event.startDate)}@${host}`;
 }
 
 /**
- * Generates an ICS (iCalendar) file content for an event
- *
+ * Formats a reminder offset as a negative RFC 5545 duration
+ * (e.g. 15 -> "-PT15M", 1440 -> "-P1D", 1530 -> "-P1DT1H30M")
+ * @param {number} minutes - Minutes before the start
+ * @returns {string} TRIGGER value
+ */
+function formatTrigger(minutes) {
+  if (!minutes) return 'PT0M';
+
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+
+  let time = '';
+  if (hours) time += `${hours}H`;
+  if (mins) time += `${mins}M`;
+
+  return `-P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+/**
+ * Builds the VALARM lines for an event's reminders
  * @param {Object} event - Event object
- * @param {string} event.title - Event title
- * @param {Date} event.startDate - Start date/time
- * @param {Date} event.endDate - End date/time
- * @param {string} [event.location] - Event location
- * @param {string} [event.url] - Event URL
- * @param {string} [event.description] - Event description
- * @returns {string} ICS file content
+ * @returns {Array<string>} VALARM lines (empty without reminders)
  */
-function generateICS(event) {
+function buildAlarmLines(event) {
   const lines = [];
 
-  // Calendar header
-  lines.push('BEGIN:VCALENDAR');
-  lines.push('VERSION:2.0');
-  lines.push('PRODID:-//Circle Calendar Exporter//Dynamous AI//EN');
-  lines.push('CALSCALE:GREGORIAN');
-  lines.push('METHOD:PUBLISH');
+  (event.reminders || []).forEach(reminder => {
+    lines.push('BEGIN:VALARM');
+    lines.push(`ACTION:${reminder.action}`);
+    lines.push(`TRIGGER:${formatTrigger(reminder.minutes)}`);
+    // DISPLAY alarms must say what to show
+    if (reminder.action === 'DISPLAY') {
+      lines.push(`DESCRIPTION:${escapeICSText(event.title)}`);
+    }
+    lines.push('END:VALARM');
+  });
+
+  return lines;
+}
+
+/**
+ * Formats a DTSTART/DTEND property, in UTC or as local time in a zone
+ * @param {string} name - Property name
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA zone for TZID output (UTC when omitted)
+ * @returns {string} Property line
+ */
+function formatDateProperty(name, date, timeZone) {
+  return formatDateListProperty(name, [date], timeZone);
+}
+
+/**
+ * Formats a property holding several date-times (EXDATE)
+ * @param {string} name - Property name
+ * @param {Array<Date>} dates - Instants
+ * @param {string} [timeZone] - IANA zone for TZID output (UTC when omitted)
+ * @returns {string} Property line
+ */
+function formatDateListProperty(name, dates, timeZone) {
+  return timeZone
+    ? `${name};TZID=${timeZone}:${dates.map(date => formatLocalDate(date, timeZone)).join(',')}`
+    : `${name}:${dates.map(formatUTCDate).join(',')}`;
+}
+
+/**
+ * Builds the VEVENT lines for a single event (unfolded)
+ * @param {Object} event - Event object
+ * @param {string} [method] - Calendar METHOD the event is sent with
+ * @param {string} [timeZone] - IANA zone for TZID output (UTC when omitted)
+ * @returns {Array<string>} VEVENT lines
+ */
+function buildEventLines(event, method = 'PUBLISH', timeZone) {
+  const lines = [];
 
-  // Event block
   lines.push('BEGIN:VEVENT');
 
   // Required fields
   lines.push(`UID:${generateUID(event)}`);
-  lines.push(`DTSTAMP:${formatISODate(new Date())}Z`);
-  lines.push(`DTSTART:${formatISODate(event.startDate)}`);
-  lines.push(`DTEND:${formatISODate(event.endDate)}`);
+  // Bumped whenever the event changes so calendars replace the old copy
+  lines.push(`SEQUENCE:${event.sequence || 0}`);
+  if (method === 'CANCEL') {
+    lines.push('STATUS:CANCELLED');
+  }
+  lines.push(`DTSTAMP:${formatUTCDate(new Date())}`);
+  // Times are either UTC or tied to a VTIMEZONE - never floating
+  lines.push(formatDateProperty('DTSTART', event.startDate, timeZone));
+  lines.push(formatDateProperty('DTEND', event.endDate, timeZone));
+
+  // Recurring series: the rule and skipped sessions on the master event,
+  // RECURRENCE-ID on the sessions that override one occurrence
+  if (event.rrule) {
+    lines.push(`RRULE:${event.rrule}`);
+    if (event.exdates && event.exdates.length > 0) {
+      lines.push(formatDateListProperty('EXDATE', event.exdates, timeZone));
+    }
+  }
+  if (event.recurrenceId) {
+    lines.push(formatDateProperty('RECURRENCE-ID', event.recurrenceId, timeZone));
+  }
   lines.push(`SUMMARY:${escapeICSText(event.title)}`);
 
   // Optional fields
@@ -91,18 +219,103 @@ function generateICS(event) {
   }
 
   if (event.url) {
-    lines.push(`URL:${event.url}`);
+    lines.push(`URL:${escapeICSUri(event.url)}`);
   }
 
   if (event.description) {
     lines.push(`DESCRIPTION:${escapeICSText(event.description)}`);
   }
 
+  // A cancelled event needs no reminders
+  if (method !== 'CANCEL') {
+    lines.push(...buildAlarmLines(event));
+  }
+
   lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Generates an ICS (iCalendar) file content containing several events
+ * in a single VCALENDAR (one VEVENT per event)
+ *
+ * @param {Array<Object>} events - Event objects (see generateICS for shape)
+ * @param {Object} [options]
+ * @param {string} [options.method] - PUBLISH (default) or CANCEL
+ * @param {string} [options.timeZone] - IANA zone: write local times with TZID
+ *   and a VTIMEZONE instead of UTC
+ * @returns {string} ICS file content
+ */
+function generateCalendarICS(events, options = {}) {
+  const method = options.method || 'PUBLISH';
+  const { timeZone } = options;
+  const lines = [];
+
+  // Calendar header
+  lines.push('BEGIN:VCALENDAR');
+  lines.push('VERSION:2.0');
+  lines.push('PRODID:-//Circle Calendar Exporter//Dynamous AI//EN');
+  lines.push('CALSCALE:GREGORIAN');
+  lines.push(`METHOD:${method}`);
+
+  if (timeZone) {
+    const dates = events.reduce((all, event) => all.concat(event.startDate, event.endDate, event.lastOccurrence || []), []);
+    lines.push(...buildVTimezone(timeZone, dates));
+  }
+
+  events.forEach(event => {
+    lines.push(...buildEventLines(event, method, timeZone));
+  });
+
   lines.push('END:VCALENDAR');
 
   // Fold long lines and join with CRLF
   return lines.map(foldLine).join('\r\n');
 }
 
-module.exports = { generateICS };
+/**
+ * Generates an ICS (iCalendar) file content for an event
+ *
+ * @param {Object} event - Event object
+ * @param {string} event.title - Event title
+ * @param {Date} event.startDate - Start date/time
+ * @param {Date} event.endDate - End date/time
+ * @param {string} [event.location] - Event location
+ * @param {string} [event.url] - Event URL
+ * @param {string} [event.description] - Event description
+ * @param {string} [event.slug] - Circle event slug (makes the UID stable)
+ * @param {number} [event.sequence] - Revision number (SEQUENCE), 0 for the first export
+ * @param {Array<{ minutes: number, action: string }>} [event.reminders] - VALARMs to add (DISPLAY or AUDIO, minutes before the start)
+ * @param {string} [event.rrule] - Recurrence rule (without "RRULE:")
+ * @param {Array<Date>} [event.exdates] - Skipped occurrences of the rule
+ * @param {Date} [event.lastOccurrence] - End of the rule's last occurrence, so the VTIMEZONE covers it
+ * @param {Date} [event.recurrenceId] - Occurrence of a series this event overrides
+ * @param {Object} [options] - See generateCalendarICS
+ * @returns {string} ICS file content
+ */
+function generateICS(event, options = {}) {
+  return generateCalendarICS([event], options);
+}
+
+/**
+ * Generates an ICS file that cancels previously exported events.
+ * Importing it removes (or marks cancelled) the entries with the same UID;
+ * each event's sequence must be higher than the one last exported.
+ * @param {Array<Object>} events - Event objects (see generateICS for shape)
+ * @param {Object} [options] - See generateCalendarICS
+ * @returns {string} ICS file content
+ */
+function generateCancellationICS(events, options = {}) {
+  return generateCalendarICS(events, { ...options, method: 'CANCEL' });
+}
+
+module.exports = {
+  generateICS,
+  generateCalendarICS,
+  generateCancellationICS,
+  formatTrigger,
+  escapeICSText,
+  escapeICSUri,
+  foldLine
+};
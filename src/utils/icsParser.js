@@ -0,0 +1,472 @@
+/**
+ * ICS (iCalendar) reader and validator
+ * Unfolds and splits content lines, unescapes TEXT values, builds the
+ * component tree (VCALENDAR / VEVENT / VALARM / VTIMEZONE) and reports
+ * RFC 5545 violations. Used to check generated files and to read back
+ * calendars exported earlier.
+ */
+
+const { zonedTimeToDate, isValidTimeZone } = require('./vtimezone');
+
+/**
+ * Maximum length of a content line in octets, excluding the CRLF
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Properties whose values are TEXT and need unescaping
+ */
+const TEXT_PROPERTIES = new Set(['SUMMARY', 'DESCRIPTION', 'LOCATION', 'COMMENT', 'CATEGORIES', 'TZNAME', 'CONTACT']);
+
+/**
+ * Counts the UTF-8 octets of a string
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+function octetLength(text) {
+  let length = 0;
+  for (const char of text) {
+    const codePoint = char.codePointAt(0);
+    length += codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+  }
+  return length;
+}
+
+/**
+ * Joins folded lines back together
+ * @param {string} ics - ICS file content
+ * @returns {Array<{ text: string, line: number }>} Logical lines with the
+ *   physical line number they start on (1-based)
+ */
+function unfoldLines(ics) {
+  const lines = [];
+
+  ics.split(/\r?\n/).forEach((physical, index) => {
+    if (/^[ \t]/.test(physical) && lines.length > 0) {
+      lines[lines.length - 1].text += physical.slice(1);
+    } else if (physical !== '') {
+      lines.push({ text: physical, line: index + 1 });
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Splits a content line into name, parameters and value
+ * Input: 'DTSTART;TZID=America/New_York:20251209T140000'
+ *
+ * @param {string} text - Unfolded content line
+ * @returns {{ name: string, params: Object, value: string } | null}
+ *   null when the line is not a valid content line
+ */
+function parseContentLine(text) {
+  const nameMatch = text.match(/^([A-Za-z0-9-]+)/);
+  if (!nameMatch) return null;
+
+  const name = nameMatch[1].toUpperCase();
+  const params = {};
+  let i = name.length;
+
+  // Parameters: ;NAME=value or ;NAME="quoted value", ending at the first unquoted colon
+  while (text[i] === ';') {
+    const paramMatch = text.slice(i + 1).match(/^([A-Za-z0-9-]+)=("[^"]*"|[^";:]*)/);
+    if (!paramMatch) return null;
+
+    params[paramMatch[1].toUpperCase()] = paramMatch[2].replace(/^"|"$/g, '');
+    i += 1 + paramMatch[0].length;
+  }
+
+  if (text[i] !== ':') return null;
+
+  return { name, params, value: text.slice(i + 1) };
+}
+
+/**
+ * Reverses TEXT escaping (\\ \; \, \n)
+ * @param {string} value - Escaped value
+ * @returns {string} Plain text
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Parses a DATE or DATE-TIME value
+ * @param {string} value - "20251209", "20251209T190000Z" or "20251209T140000"
+ * @param {Object} [params] - Property parameters (TZID, VALUE)
+ * @returns {Date|null} Instant (floating times are read in the local zone),
+ *   or null when the value is malformed
+ */
+function parseDateValue(value, params = {}) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const parts = match.slice(1, 7).map(part => (part === undefined ? 0 : parseInt(part, 10)));
+  const [year, month, day, hour, minute, second] = parts;
+
+  if (match[7]) {
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  }
+  if (params.TZID && isValidTimeZone(params.TZID)) {
+    return zonedTimeToDate(parts, params.TZID);
+  }
+  return new Date(year, month - 1, day, hour, minute, second);
+}
+
+/**
+ * Parses a DURATION value (used by TRIGGER)
+ * Input: "-PT15M" -> -15, "-P1DT1H" -> -1500
+ *
+ * @param {string} value - RFC 5545 duration
+ * @returns {number|null} Minutes (negative = before), null if malformed
+ */
+function parseDuration(value) {
+  const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match || value.endsWith('P') || value.endsWith('T')) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total = (parseInt(weeks || 0, 10) * 7 * 1440) +
+    (parseInt(days || 0, 10) * 1440) +
+    (parseInt(hours || 0, 10) * 60) +
+    parseInt(minutes || 0, 10) +
+    Math.round(parseInt(seconds || 0, 10) / 60);
+
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Reads the first value of a property in a component
+ * @param {Object} component - Parsed component
+ * @param {string} name - Property name
+ * @returns {Object|undefined} Property
+ */
+function getProperty(component, name) {
+  return component.properties.find(property => property.name === name);
+}
+
+/**
+ * Builds the component tree and collects structural errors
+ * @param {Array<{ text: string, line: number }>} lines - Unfolded lines
+ * @param {Array} errors - Receives { line, message }
+ * @returns {Array<Object>} Top-level components ({ type, properties, components, line })
+ */
+function buildComponents(lines, errors) {
+  const root = { type: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  lines.forEach(({ text, line }) => {
+    const property = parseContentLine(text);
+    if (!property) {
+      errors.push({ line, message: `Invalid content line: ${text.slice(0, 40)}` });
+      return;
+    }
+
+    const current = stack[stack.length - 1];
+
+    if (property.name === 'BEGIN') {
+      const component = { type: property.value.toUpperCase(), properties: [], components: [], line };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      const type = property.value.toUpperCase();
+      if (current === root || current.type !== type) {
+        errors.push({ line, message: `END:${type} does not close ${current === root ? 'any component' : `BEGIN:${current.type}`}` });
+        return;
+      }
+      stack.pop();
+    } else if (current === root) {
+      errors.push({ line, message: `${property.name} is outside of any component` });
+    } else {
+      if (TEXT_PROPERTIES.has(property.name)) {
+        property.value = unescapeText(property.value);
+      }
+      property.line = line;
+      current.properties.push(property);
+    }
+  });
+
+  stack.slice(1).forEach(component => {
+    errors.push({ line: component.line, message: `BEGIN:${component.type} is never closed` });
+  });
+
+  return root.components;
+}
+
+/**
+ * Checks that a component has the given properties
+ * @param {Object} component - Parsed component
+ * @param {Array<string>} names - Required property names
+ * @param {Array} errors - Receives { line, message }
+ */
+function requireProperties(component, names, errors) {
+  names.forEach(name => {
+    if (!getProperty(component, name)) {
+      errors.push({ line: component.line, message: `${component.type} is missing ${name}` });
+    }
+  });
+}
+
+/**
+ * Checks a date property's value and TZID
+ * @param {Object} property - Parsed property
+ * @param {Set<string>} timeZones - TZIDs defined by VTIMEZONE blocks
+ * @param {Array} errors - Receives { line, message }
+ */
+function validateDateProperty(property, timeZones, errors) {
+  if (!parseDateValue(property.value, property.params)) {
+    errors.push({ line: property.line, message: `${property.name} has an invalid date: ${property.value}` });
+  }
+  if (property.params.TZID && !timeZones.has(property.params.TZID)) {
+    errors.push({ line: property.line, message: `${property.name} uses TZID ${property.params.TZID} without a VTIMEZONE` });
+  }
+  if (property.params.TZID && property.value.endsWith('Z')) {
+    errors.push({ line: property.line, message: `${property.name} combines TZID with a UTC time` });
+  }
+}
+
+/**
+ * Checks a VALARM component
+ * @param {Object} alarm - Parsed VALARM
+ * @param {Array} errors - Receives { line, message }
+ */
+function validateAlarm(alarm, errors) {
+  requireProperties(alarm, ['ACTION', 'TRIGGER'], errors);
+
+  const action = getProperty(alarm, 'ACTION');
+  if (action && action.value === 'DISPLAY') {
+    requireProperties(alarm, ['DESCRIPTION'], errors);
+  }
+
+  const trigger = getProperty(alarm, 'TRIGGER');
+  if (trigger && trigger.params.VALUE !== 'DATE-TIME' && parseDuration(trigger.value) === null) {
+    errors.push({ line: trigger.line, message: `TRIGGER has an invalid duration: ${trigger.value}` });
+  }
+}
+
+/**
+ * Checks a VTIMEZONE component
+ * @param {Object} zone - Parsed VTIMEZONE
+ * @param {Array} errors - Receives { line, message }
+ */
+function validateTimeZone(zone, errors) {
+  requireProperties(zone, ['TZID'], errors);
+
+  const observances = zone.components.filter(c => c.type === 'STANDARD' || c.type === 'DAYLIGHT');
+  if (observances.length === 0) {
+    errors.push({ line: zone.line, message: 'VTIMEZONE has no STANDARD or DAYLIGHT observance' });
+  }
+
+  observances.forEach(observance => {
+    requireProperties(observance, ['DTSTART', 'TZOFFSETFROM', 'TZOFFSETTO'], errors);
+    ['TZOFFSETFROM', 'TZOFFSETTO'].forEach(name => {
+      const offset = getProperty(observance, name);
+      if (offset && !/^[+-]\d{4}(\d{2})?$/.test(offset.value)) {
+        errors.push({ line: offset.line, message: `${name} has an invalid offset: ${offset.value}` });
+      }
+    });
+  });
+}
+
+/**
+ * Checks a VEVENT component
+ * @param {Object} event - Parsed VEVENT
+ * @param {Set<string>} timeZones - TZIDs defined by VTIMEZONE blocks
+ * @param {Array} errors - Receives { line, message }
+ */
+function validateEvent(event, timeZones, errors) {
+  requireProperties(event, ['UID', 'DTSTAMP', 'DTSTART'], errors);
+
+  ['DTSTAMP', 'DTSTART', 'DTEND', 'RECURRENCE-ID'].forEach(name => {
+    const property = getProperty(event, name);
+    if (property) validateDateProperty(property, timeZones, errors);
+  });
+
+  const dtstamp = getProperty(event, 'DTSTAMP');
+  if (dtstamp && !dtstamp.value.endsWith('Z')) {
+    errors.push({ line: dtstamp.line, message: 'DTSTAMP must be in UTC' });
+  }
+
+  const start = getProperty(event, 'DTSTART');
+  const end = getProperty(event, 'DTEND');
+  if (end && getProperty(event, 'DURATION')) {
+    errors.push({ line: end.line, message: 'VEVENT has both DTEND and DURATION' });
+  }
+  if (start && end) {
+    const startDate = parseDateValue(start.value, start.params);
+    const endDate = parseDateValue(end.value, end.params);
+    if (startDate && endDate && endDate < startDate) {
+      errors.push({ line: end.line, message: 'DTEND is before DTSTART' });
+    }
+  }
+
+  const rrule = getProperty(event, 'RRULE');
+  if (rrule && !/(^|;)FREQ=(SECONDLY|MINUTELY|HOURLY|DAILY|WEEKLY|MONTHLY|YEARLY)(;|$)/.test(rrule.value)) {
+    errors.push({ line: rrule.line, message: `RRULE has no valid FREQ: ${rrule.value}` });
+  }
+  if (rrule && /COUNT=/.test(rrule.value) && /UNTIL=/.test(rrule.value)) {
+    errors.push({ line: rrule.line, message: 'RRULE has both COUNT and UNTIL' });
+  }
+
+  event.properties
+    .filter(property => property.name === 'EXDATE')
+    .forEach(property => property.value.split(',').forEach(value => {
+      validateDateProperty({ ...property, value }, timeZones, errors);
+    }));
+
+  const sequence = getProperty(event, 'SEQUENCE');
+  if (sequence && !/^\d+$/.test(sequence.value)) {
+    errors.push({ line: sequence.line, message: `SEQUENCE is not a number: ${sequence.value}` });
+  }
+
+  event.components
+    .filter(component => component.type === 'VALARM')
+    .forEach(alarm => validateAlarm(alarm, errors));
+}
+
+/**
+ * Checks the structure of parsed calendars against RFC 5545
+ * @param {Array<Object>} calendars - Parsed VCALENDAR components
+ * @param {Array} errors - Receives { line, message }
+ */
+function validateCalendars(calendars, errors) {
+  calendars.forEach(calendar => {
+    requireProperties(calendar, ['VERSION', 'PRODID'], errors);
+
+    const version = getProperty(calendar, 'VERSION');
+    if (version && version.value !== '2.0') {
+      errors.push({ line: version.line, message: `Unsupported VERSION: ${version.value}` });
+    }
+
+    const zones = calendar.components.filter(c => c.type === 'VTIMEZONE');
+    zones.forEach(zone => validateTimeZone(zone, errors));
+    const timeZones = new Set(zones.map(zone => (getProperty(zone, 'TZID') || {}).value).filter(Boolean));
+
+    calendar.components
+      .filter(c => c.type === 'VEVENT')
+      .forEach(event => validateEvent(event, timeZones, errors));
+  });
+}
+
+/**
+ * Turns a parsed VEVENT into a plain event object
+ * @param {Object} component - Parsed VEVENT
+ * @returns {Object} { uid, sequence, summary, description, location, url,
+ *   status, startDate, endDate, rrule, exdates, recurrenceId, alarms }
+ */
+function toEvent(component) {
+  const value = (name) => {
+    const property = getProperty(component, name);
+    return property ? property.value : undefined;
+  };
+  const date = (name) => {
+    const property = getProperty(component, name);
+    return property ? parseDateValue(property.value, property.params) : undefined;
+  };
+
+  const exdates = component.properties
+    .filter(property => property.name === 'EXDATE')
+    .reduce((all, property) => all.concat(
+      property.value.split(',').map(part => parseDateValue(part, property.params))
+    ), [])
+    .filter(Boolean);
+
+  const alarms = component.components
+    .filter(c => c.type === 'VALARM')
+    .map(alarm => {
+      const trigger = getProperty(alarm, 'TRIGGER');
+      const description = getProperty(alarm, 'DESCRIPTION');
+      return {
+        action: (getProperty(alarm, 'ACTION') || {}).value,
+        minutesBefore: trigger ? -parseDuration(trigger.value) : null,
+        description: description ? description.value : undefined
+      };
+    });
+
+  return {
+    uid: value('UID'),
+    sequence: parseInt(value('SEQUENCE') || '0', 10),
+    summary: value('SUMMARY'),
+    description: value('DESCRIPTION'),
+    location: value('LOCATION'),
+    url: value('URL'),
+    status: value('STATUS'),
+    startDate: date('DTSTART'),
+    endDate: date('DTEND'),
+    rrule: value('RRULE'),
+    exdates,
+    recurrenceId: date('RECURRENCE-ID'),
+    alarms
+  };
+}
+
+/**
+ * Parses an ICS file
+ *
+ * @param {string} ics - ICS file content
+ * @returns {{ calendars: Array<Object>, events: Array<Object>, errors: Array<{ line: number, message: string }> }}
+ *   calendars holds the raw component trees, events the VEVENTs as plain
+ *   objects (see toEvent), errors every RFC 5545 violation found
+ */
+function parseICS(ics) {
+  const errors = [];
+  const text = String(ics || '');
+
+  // Line-level checks need the physical lines
+  text.split('\r\n').forEach((physical, index) => {
+    if (physical.includes('\n')) {
+      errors.push({ line: index + 1, message: 'Line ends with a bare LF instead of CRLF' });
+    }
+    if (octetLength(physical) > MAX_LINE_OCTETS) {
+      errors.push({ line: index + 1, message: `Line is longer than ${MAX_LINE_OCTETS} octets` });
+    }
+  });
+
+  const components = buildComponents(unfoldLines(text), errors);
+  const calendars = components.filter(component => component.type === 'VCALENDAR');
+
+  if (calendars.length === 0) {
+    errors.push({ line: 1, message: 'No VCALENDAR found' });
+  }
+  validateCalendars(calendars, errors);
+
+  const events = calendars.reduce((all, calendar) => all.concat(
+    calendar.components.filter(c => c.type === 'VEVENT').map(toEvent)
+  ), []);
+
+  return { calendars, events, errors: errors.sort((a, b) => a.line - b.line) };
+}
+
+/**
+ * Lists the RFC 5545 violations in an ICS file
+ * @param {string} ics - ICS file content
+ * @returns {Array<{ line: number, message: string }>} Empty when the file is valid
+ */
+function validateICS(ics) {
+  return parseICS(ics).errors;
+}
+
+/**
+ * Picks the events a calendar got from a Circle community (UIDs of the
+ * form "<slug>@<host>", see generateUID) and adds their slug
+ * @param {Array<Object>} events - Events from parseICS
+ * @param {string} [host] - Community host
+ * @returns {Array<Object>} Matching events with a slug property
+ */
+function findCommunityEvents(events, host = 'community.dynamous.ai') {
+  const suffix = `@${host}`;
+  return events
+    .filter(event => event.uid && event.uid.endsWith(suffix))
+    .map(event => ({ ...event, slug: event.uid.slice(0, -suffix.length) }));
+}
+
+module.exports = {
+  unfoldLines,
+  parseContentLine,
+  unescapeText,
+  parseDateValue,
+  parseDuration,
+  parseICS,
+  validateICS,
+  findCommunityEvents
+};
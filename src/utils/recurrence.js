@@ -0,0 +1,301 @@
+/**
+ * Recurring series detection for Circle.so live events
+ *
+ * Circle lists every session of a recurring event ("Agentic Coding Office
+ * Hours" week after week) as its own event. This module groups them back
+ * into weekly series - same normalized title, weekday and local time - and
+ * describes each series as an RRULE with EXDATEs for skipped weeks and
+ * RECURRENCE-ID overrides for sessions that were moved or relocated.
+ *
+ * Weekly rules only hold across daylight saving changes when expanded in
+ * local time, so series are always computed and written in a time zone.
+ */
+
+const { getWallTime, zonedTimeToDate } = require('./vtimezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sessions with the same pattern needed before they count as a series
+ */
+const MIN_SERIES_OCCURRENCES = 2;
+
+/**
+ * Longest gap between sessions (weeks) that still counts as a rhythm;
+ * two sessions a month apart are more likely one-offs
+ */
+const MAX_INTERVAL_WEEKS = 2;
+
+/**
+ * RFC 5545 weekday codes, indexed like Date#getDay
+ */
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Normalizes a title so sessions of one series compare equal
+ * Input: "Agentic Coding Office Hours #12 (Dec 4)" -> "agentic coding office hours"
+ *
+ * @param {string} title - Event title
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    // Session numbers: "#12", "session 3", "week 4", "part 2", "ep. 7"
+    .replace(/#\s*\d+|\b(session|week|part|ep|episode|day|vol)\.?\s*\d+\b/g, ' ')
+    // Dates: "Dec 4", "12/4", "2025-12-04"
+    .replace(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(st|nd|rd|th)?\b/g, ' ')
+    .replace(/\b\d{1,4}[/-]\d{1,2}([/-]\d{1,4})?\b/g, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Picks a title for a series: the sessions' shared title, or the first
+ * title without its session number when they are numbered
+ * Input: ["Office Hours #4", "Office Hours #5"] -> "Office Hours"
+ *
+ * @param {Array<string>} titles - Session titles, earliest first
+ * @returns {string}
+ */
+function getSeriesTitle(titles) {
+  if (titles.every(title => title === titles[0])) return titles[0];
+
+  return titles[0]
+    .replace(/\s*(#\s*\d+|\b(session|week|part|ep|episode)\.?\s*\d+\b)/gi, '')
+    .replace(/[\s\-–:(]+$/, '')
+    .trim() || titles[0];
+}
+
+/**
+ * Reads the local day number, weekday and time of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone name
+ * @returns {{ dayNumber: number, weekday: number, minutes: number, wall: Object }}
+ */
+function getLocalSlot(date, timeZone) {
+  const wall = getWallTime(date, timeZone);
+  const dayNumber = Math.round(Date.UTC(wall.year, wall.month - 1, wall.day) / DAY_MS);
+
+  return {
+    dayNumber,
+    weekday: new Date(dayNumber * DAY_MS).getUTCDay(),
+    minutes: wall.hour * 60 + wall.minute,
+    wall
+  };
+}
+
+/**
+ * Greatest common divisor
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Computes the start of the nth weekly slot after the anchor, at the
+ * anchor's local time (so DST changes keep the wall-clock time)
+ * @param {Object} anchorWall - Anchor wall time from getWallTime
+ * @param {number} weeks - Weeks after the anchor
+ * @param {string} timeZone - IANA zone name
+ * @returns {Date}
+ */
+function slotStart(anchorWall, weeks, timeZone) {
+  const day = new Date(Date.UTC(anchorWall.year, anchorWall.month - 1, anchorWall.day + weeks * 7));
+  return zonedTimeToDate([
+    day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(),
+    anchorWall.hour, anchorWall.minute, 0
+  ], timeZone);
+}
+
+/**
+ * Picks the most common value
+ * @param {Array} values
+ * @returns {*}
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Builds a series from events that share a normalized title, or returns
+ * null when they don't form a weekly pattern
+ * @param {string} key - Normalized title
+ * @param {Array<Object>} events - Export-ready events (startDate/endDate set)
+ * @param {string} timeZone - IANA zone name
+ * @returns {Object|null} Series (see detectSeries)
+ */
+function buildSeries(key, events, timeZone) {
+  const slotted = events.map(event => ({
+    event,
+    slot: getLocalSlot(event.startDate, timeZone),
+    duration: event.endDate - event.startDate
+  }));
+
+  // The pattern is the most common weekday/time/length
+  const patternKey = (item) => `${item.slot.weekday}|${item.slot.minutes}|${item.duration}`;
+  const pattern = mostCommon(slotted.map(patternKey));
+  const regular = slotted
+    .filter(item => patternKey(item) === pattern)
+    .sort((a, b) => a.event.startDate - b.event.startDate);
+  if (regular.length < MIN_SERIES_OCCURRENCES) return null;
+
+  const anchor = regular[0];
+  const weekOf = (item) => Math.round((item.slot.dayNumber - anchor.slot.dayNumber) / 7);
+
+  // Sessions off the pattern replace the regular session of their week
+  const taken = new Set(regular.map(weekOf));
+  const moved = slotted
+    .filter(item => patternKey(item) !== pattern)
+    .filter(item => {
+      const week = weekOf(item);
+      if (week < 0 || taken.has(week)) return false;
+      taken.add(week);
+      return true;
+    });
+
+  const weeks = Array.from(taken).sort((a, b) => a - b);
+  const rhythm = weeks.reduce((result, week) => gcd(result, week), 0);
+  const interval = rhythm >= 1 && rhythm <= MAX_INTERVAL_WEEKS ? rhythm : 1;
+  const count = weeks[weeks.length - 1] / interval + 1;
+
+  // Skipped weeks - more gaps than sessions isn't a series any more
+  const exdates = [];
+  for (let i = 0; i < count; i++) {
+    if (!taken.has(i * interval)) exdates.push(slotStart(anchor.slot.wall, i * interval, timeZone));
+  }
+  if (exdates.length >= weeks.length) return null;
+
+  const location = mostCommon(regular.map(item => item.event.location || ''));
+  const title = getSeriesTitle(regular.map(item => item.event.title));
+
+  // Regular sessions that differ from the series (e.g. a different room) are overridden too
+  const overrides = moved.concat(regular.filter(item => (item.event.location || '') !== location))
+    .map(item => ({
+      recurrenceId: slotStart(anchor.slot.wall, weekOf(item), timeZone),
+      event: item.event
+    }))
+    .sort((a, b) => a.recurrenceId - b.recurrenceId);
+
+  const rule = ['FREQ=WEEKLY'];
+  if (interval > 1) rule.push(`INTERVAL=${interval}`);
+  rule.push(`BYDAY=${WEEKDAY_CODES[anchor.slot.weekday]}`, `COUNT=${count}`);
+
+  return {
+    key,
+    title,
+    timeZone,
+    weekday: anchor.slot.weekday,
+    interval,
+    count,
+    rrule: rule.join(';'),
+    exdates,
+    overrides,
+    first: anchor.event,
+    location,
+    events: regular.map(item => item.event).concat(moved.map(item => item.event))
+      .sort((a, b) => a.startDate - b.startDate)
+  };
+}
+
+/**
+ * Finds weekly series among events
+ *
+ * @param {Array<Object>} events - Export-ready events (title, startDate, endDate, location)
+ * @param {string} timeZone - IANA zone the series are computed in
+ * @returns {Array<Object>} Series: { key, title, timeZone, weekday, interval,
+ *   count, rrule, exdates, overrides: [{ recurrenceId, event }], first,
+ *   location, events }
+ */
+function detectSeries(events, timeZone) {
+  const groups = new Map();
+
+  events
+    .filter(event => event && event.startDate && event.endDate)
+    .forEach(event => {
+      const key = normalizeTitle(event.title);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(event);
+    });
+
+  return Array.from(groups.entries())
+    .map(([key, group]) => (group.length >= MIN_SERIES_OCCURRENCES ? buildSeries(key, group, timeZone) : null))
+    .filter(Boolean);
+}
+
+/**
+ * Builds the events to put in an ICS file for a series: the master event
+ * carrying the RRULE/EXDATEs and the end of the last session, then one
+ * RECURRENCE-ID override per changed session. All of them share the
+ * series slug, so they share a UID.
+ * @param {Object} series - From detectSeries
+ * @param {Object} [master] - Fields for the master event (description, url, reminders, sequence)
+ * @returns {Array<Object>} Events for generateCalendarICS
+ */
+function seriesToEvents(series, master = {}) {
+  const slug = getSeriesSlug(series);
+  const first = series.first;
+  const lastOccurrence = new Date(Math.max(...series.events.map(event => event.endDate.getTime())));
+
+  const masterEvent = {
+    ...first,
+    ...master,
+    title: series.title,
+    slug,
+    location: series.location || undefined,
+    rrule: series.rrule,
+    exdates: series.exdates,
+    lastOccurrence
+  };
+
+  const overrides = series.overrides.map(({ recurrenceId, event }) => ({
+    ...event,
+    slug,
+    sequence: masterEvent.sequence,
+    reminders: masterEvent.reminders,
+    recurrenceId
+  }));
+
+  return [masterEvent].concat(overrides);
+}
+
+/**
+ * Stable slug for a series, used for its UID and export tracking
+ * @param {Object} series - From detectSeries
+ * @returns {string}
+ */
+function getSeriesSlug(series) {
+  return `series-${series.key.replace(/\s+/g, '-')}`;
+}
+
+/**
+ * Describes a series for the popup
+ * Output: "Weekly on Thursdays, 6 sessions (1 skipped)"
+ *
+ * @param {Object} series - From detectSeries
+ * @returns {string}
+ */
+function describeSeries(series) {
+  const day = ['Sundays', 'Mondays', 'Tuesdays', 'Wednesdays', 'Thursdays', 'Fridays', 'Saturdays'][series.weekday];
+  const frequency = series.interval === 1 ? 'Weekly' : `Every ${series.interval} weeks`;
+  const sessions = series.count - series.exdates.length;
+
+  let text = `${frequency} on ${day}, ${sessions} session${sessions === 1 ? '' : 's'}`;
+  if (series.exdates.length > 0) text += ` (${series.exdates.length} skipped)`;
+  return text;
+}
+
+module.exports = {
+  MIN_SERIES_OCCURRENCES,
+  normalizeTitle,
+  detectSeries,
+  seriesToEvents,
+  getSeriesSlug,
+  describeSeries
+};
@@ -0,0 +1,105 @@
+/**
+ * Time zone abbreviation lookup for Circle.so event times
+ *
+ * Circle renders event times in the viewer's browser zone followed by the
+ * short zone name the browser produces (e.g. "EST", "CEST", "GMT+2").
+ * Each abbreviation names a fixed UTC offset, so no DST rules are needed
+ * to turn the displayed wall-clock time back into an absolute instant.
+ */
+
+/**
+ * Known zone abbreviations mapped to their UTC offset (minutes) and a
+ * representative IANA zone
+ */
+const TIMEZONE_ABBREVIATIONS = {
+  // North America
+  EST: { offset: -300, zone: 'America/New_York' },
+  EDT: { offset: -240, zone: 'America/New_York' },
+  CST: { offset: -360, zone: 'America/Chicago' },
+  CDT: { offset: -300, zone: 'America/Chicago' },
+  MST: { offset: -420, zone: 'America/Denver' },
+  MDT: { offset: -360, zone: 'America/Denver' },
+  PST: { offset: -480, zone: 'America/Los_Angeles' },
+  PDT: { offset: -420, zone: 'America/Los_Angeles' },
+  AKST: { offset: -540, zone: 'America/Anchorage' },
+  AKDT: { offset: -480, zone: 'America/Anchorage' },
+  HST: { offset: -600, zone: 'Pacific/Honolulu' },
+  AST: { offset: -240, zone: 'America/Halifax' },
+  ADT: { offset: -180, zone: 'America/Halifax' },
+  NST: { offset: -210, zone: 'America/St_Johns' },
+  NDT: { offset: -150, zone: 'America/St_Johns' },
+
+  // Europe
+  UTC: { offset: 0, zone: 'UTC' },
+  GMT: { offset: 0, zone: 'Europe/London' },
+  BST: { offset: 60, zone: 'Europe/London' },
+  WET: { offset: 0, zone: 'Europe/Lisbon' },
+  WEST: { offset: 60, zone: 'Europe/Lisbon' },
+  CET: { offset: 60, zone: 'Europe/Paris' },
+  CEST: { offset: 120, zone: 'Europe/Paris' },
+  EET: { offset: 120, zone: 'Europe/Athens' },
+  EEST: { offset: 180, zone: 'Europe/Athens' },
+  MSK: { offset: 180, zone: 'Europe/Moscow' },
+
+  // Asia / Pacific
+  IST: { offset: 330, zone: 'Asia/Kolkata' },
+  SGT: { offset: 480, zone: 'Asia/Singapore' },
+  HKT: { offset: 480, zone: 'Asia/Hong_Kong' },
+  JST: { offset: 540, zone: 'Asia/Tokyo' },
+  KST: { offset: 540, zone: 'Asia/Seoul' },
+  AWST: { offset: 480, zone: 'Australia/Perth' },
+  ACST: { offset: 570, zone: 'Australia/Adelaide' },
+  ACDT: { offset: 630, zone: 'Australia/Adelaide' },
+  AEST: { offset: 600, zone: 'Australia/Sydney' },
+  AEDT: { offset: 660, zone: 'Australia/Sydney' },
+  NZST: { offset: 720, zone: 'Pacific/Auckland' },
+  NZDT: { offset: 780, zone: 'Pacific/Auckland' }
+};
+
+/**
+ * Resolves a zone abbreviation or GMT/UTC offset label to a UTC offset
+ * Input: "EST", "cest", "GMT+2", "UTC-03:30"
+ *
+ * @param {string} abbreviation - Zone label as displayed by Circle.so
+ * @returns {{ abbreviation: string, offset: number, zone: string|null } | null}
+ *   offset is in minutes east of UTC; null when the label is unknown
+ */
+function resolveTimezone(abbreviation) {
+  if (!abbreviation || typeof abbreviation !== 'string') return null;
+
+  const key = abbreviation.trim().toUpperCase();
+
+  const known = TIMEZONE_ABBREVIATIONS[key];
+  if (known) {
+    return { abbreviation: key, offset: known.offset, zone: known.zone };
+  }
+
+  // Zones without a short name are shown as "GMT+2" or "GMT-03:30"
+  const offsetMatch = key.match(/^(?:GMT|UTC)([+-])(\d{1,2})(?::?(\d{2}))?$/);
+  if (offsetMatch) {
+    const sign = offsetMatch[1] === '-' ? -1 : 1;
+    const hours = parseInt(offsetMatch[2], 10);
+    const minutes = offsetMatch[3] ? parseInt(offsetMatch[3], 10) : 0;
+    if (hours > 14 || minutes > 59) return null;
+
+    return { abbreviation: key, offset: sign * (hours * 60 + minutes), zone: null };
+  }
+
+  return null;
+}
+
+/**
+ * Converts a wall-clock time at a fixed UTC offset into an absolute Date
+ * @param {number} year - Full year
+ * @param {number} month - 0-indexed month
+ * @param {number} day - Day of month
+ * @param {number} hours - Hours (0-23)
+ * @param {number} minutes - Minutes
+ * @param {number} offset - UTC offset in minutes east of UTC
+ * @returns {Date}
+ */
+function wallTimeToDate(year, month, day, hours, minutes, offset) {
+  return new Date(Date.UTC(year, month, day, hours, minutes) - offset * 60 * 1000);
+}
+
+module.exports = { TIMEZONE_ABBREVIATIONS, resolveTimezone, wallTimeToDate };
@@ -0,0 +1,280 @@
+/**
+ * VTIMEZONE generation for ICS exports in TZID mode
+ *
+ * Calendars that receive "DTSTART;TZID=America/New_York:..." need a
+ * VTIMEZONE block describing that zone's offsets. Extensions can't ship
+ * the tz database, so the offsets and standard/daylight transitions are
+ * read from the browser's own zone data through Intl.DateTimeFormat.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// One formatter per zone - creating them is much slower than using them
+const formatters = new Map();
+
+/**
+ * Returns a cached formatter that prints wall-clock parts in a zone
+ * @param {string} timeZone - IANA zone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Checks if the browser knows an IANA zone name
+ * @param {string} timeZone - Zone name, e.g. "America/New_York"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Returns the zone the browser runs in
+ * @returns {string} IANA zone name ("UTC" when the browser doesn't say)
+ */
+function getBrowserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (e) {
+    return 'UTC';
+  }
+}
+
+/**
+ * Reads the wall-clock time an instant shows in a zone
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA zone name
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ *   month is 1-indexed
+ */
+function getWallTime(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(part => {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+  });
+  return parts;
+}
+
+/**
+ * Returns a zone's UTC offset at an instant
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA zone name
+ * @returns {number} Offset in minutes east of UTC
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const time = new Date(date).getTime();
+  const wall = getWallTime(time, timeZone);
+  const wallAsUTC = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  return Math.round((wallAsUTC - Math.floor(time / 1000) * 1000) / MINUTE_MS);
+}
+
+/**
+ * Converts a wall-clock time in a zone to an absolute Date
+ * @param {Array<number>} parts - [year, month (1-12), day, hour, minute, second]
+ * @param {string} timeZone - IANA zone name
+ * @returns {Date}
+ */
+function zonedTimeToDate(parts, timeZone) {
+  const [year, month, day, hour, minute, second] = parts;
+  const wallAsUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Guess with the offset at the wall time, then correct once (DST edges)
+  let time = wallAsUTC - getTimeZoneOffset(wallAsUTC, timeZone) * 60 * 1000;
+  time = wallAsUTC - getTimeZoneOffset(time, timeZone) * 60 * 1000;
+  return new Date(time);
+}
+
+/**
+ * Formats an instant as local ICS date-time in a zone
+ * Input: 2025-12-09T19:00:00Z, "America/New_York" -> "20251209T140000"
+ *
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA zone name
+ * @returns {string} YYYYMMDDTHHmmss (no Z)
+ */
+function formatLocalDate(date, timeZone) {
+  const wall = getWallTime(date, timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${wall.year}${pad(wall.month)}${pad(wall.day)}T${pad(wall.hour)}${pad(wall.minute)}${pad(wall.second)}`;
+}
+
+/**
+ * Formats an offset for TZOFFSETFROM/TZOFFSETTO
+ * Input: -300 -> "-0500", 330 -> "+0530"
+ *
+ * @param {number} offset - Minutes east of UTC
+ * @returns {string}
+ */
+function formatOffset(offset) {
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Reads the short name of a zone at an instant ("EST", "CEST", "GMT+2")
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA zone name
+ * @returns {string|null}
+ */
+function getZoneName(date, timeZone) {
+  try {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+      .formatToParts(new Date(date))
+      .find(p => p.type === 'timeZoneName');
+    return part ? part.value : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Finds every offset change of a zone between two instants. Offsets are
+ * sampled daily, then each change is narrowed down to the minute.
+ * @param {string} timeZone - IANA zone name
+ * @param {number} from - Start (ms)
+ * @param {number} to - End (ms)
+ * @returns {Array<{ at: number, offsetFrom: number, offsetTo: number }>}
+ */
+function findTransitions(timeZone, from, to) {
+  const transitions = [];
+  let previous = getTimeZoneOffset(from, timeZone);
+
+  for (let day = from + DAY_MS; day <= to + DAY_MS; day += DAY_MS) {
+    const offset = getTimeZoneOffset(day, timeZone);
+    if (offset === previous) continue;
+
+    // The change happened somewhere in (day - 1 day, day]
+    let low = day - DAY_MS;
+    let high = day;
+    while (high - low > MINUTE_MS) {
+      const mid = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+      if (getTimeZoneOffset(mid, timeZone) === previous) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    transitions.push({ at: high, offsetFrom: previous, offsetTo: offset });
+    previous = offset;
+  }
+
+  return transitions;
+}
+
+/**
+ * Formats an instant as ICS date-time at a fixed offset
+ * @param {number} time - Instant (ms)
+ * @param {number} offset - Minutes east of UTC
+ * @returns {string} YYYYMMDDTHHmmss (no Z)
+ */
+function formatAtOffset(time, offset) {
+  return new Date(time + offset * MINUTE_MS).toISOString().replace(/[-:]/g, '').split('.')[0];
+}
+
+/**
+ * Builds the lines of one STANDARD or DAYLIGHT observance
+ * @param {string} type - STANDARD or DAYLIGHT
+ * @param {number} at - Onset (ms)
+ * @param {number} offsetFrom - Offset before the onset (minutes)
+ * @param {number} offsetTo - Offset from the onset on (minutes)
+ * @param {string} timeZone - IANA zone name
+ * @returns {Array<string>}
+ */
+function buildObservance(type, at, offsetFrom, offsetTo, timeZone) {
+  const lines = [
+    `BEGIN:${type}`,
+    // The onset is written as wall-clock time in the offset it replaces
+    `DTSTART:${formatAtOffset(at, offsetFrom)}`,
+    `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatOffset(offsetTo)}`
+  ];
+
+  const name = getZoneName(at, timeZone);
+  if (name) lines.push(`TZNAME:${name}`);
+
+  lines.push(`END:${type}`);
+  return lines;
+}
+
+/**
+ * Generates a VTIMEZONE block for a zone, covering every transition in
+ * the calendar years of the given instants
+ *
+ * @param {string} timeZone - IANA zone name
+ * @param {Array<Date>} dates - Instants the calendar uses (event starts/ends)
+ * @returns {Array<string>} VTIMEZONE lines (unfolded)
+ */
+function buildVTimezone(timeZone, dates) {
+  const times = dates.map(date => new Date(date).getTime()).filter(time => !isNaN(time));
+  if (times.length === 0) times.push(Date.now());
+
+  const firstYear = new Date(Math.min(...times)).getUTCFullYear();
+  const lastYear = new Date(Math.max(...times)).getUTCFullYear();
+  // A day of margin so the local new year is inside the range in every zone
+  const from = Date.UTC(firstYear, 0, 1) - DAY_MS;
+  const to = Date.UTC(lastYear + 1, 0, 1) + DAY_MS;
+
+  const transitions = findTransitions(timeZone, from, to);
+  const initialOffset = getTimeZoneOffset(from, timeZone);
+  const offsets = [initialOffset].concat(transitions.map(t => t.offsetTo));
+  const standardOffset = Math.min(...offsets);
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  // The offset in force when the range starts
+  lines.push(...buildObservance(
+    initialOffset > standardOffset ? 'DAYLIGHT' : 'STANDARD',
+    from,
+    initialOffset,
+    initialOffset,
+    timeZone
+  ));
+
+  transitions.forEach(({ at, offsetFrom, offsetTo }) => {
+    lines.push(...buildObservance(
+      offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD',
+      at,
+      offsetFrom,
+      offsetTo,
+      timeZone
+    ));
+  });
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getBrowserTimeZone,
+  getWallTime,
+  getTimeZoneOffset,
+  zonedTimeToDate,
+  formatLocalDate,
+  formatOffset,
+  buildVTimezone
+};
@@ -0,0 +1,82 @@
+/**
+ * Tests for the shared calendar API plumbing
+ */
+
+const { createApiRequester, syncCalendarEvents } = require('../src/utils/apiClient');
+
+/**
+ * Builds a fetch Response-like object
+ */
+const response = (status, body) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  json: () => (body === undefined ? Promise.reject(new Error('no body')) : Promise.resolve(body))
+});
+
+describe('createApiRequester', () => {
+  test('sends JSON with the bearer token under the API root', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(response(200, { id: '1' }));
+    const { requestJson } = createApiRequester({
+      baseUrl: 'http://localhost:8080/v1.0/',
+      fetchImpl,
+      getToken: () => Promise.resolve('abc'),
+      dropToken: jest.fn()
+    });
+
+    expect(await requestJson('POST', '/me/events', { subject: 'Hi' })).toEqual({ id: '1' });
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe('http://localhost:8080/v1.0/me/events');
+    expect(init.headers.Authorization).toBe('Bearer abc');
+    expect(init.body).toBe('{"subject":"Hi"}');
+  });
+
+  test('retries once with a new token, then gives up', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(response(401, { error: { message: 'Expired' } }));
+    const dropToken = jest.fn();
+    const { requestJson } = createApiRequester({
+      baseUrl: 'http://localhost:8080',
+      fetchImpl,
+      getToken: () => Promise.resolve('abc'),
+      dropToken
+    });
+
+    await expect(requestJson('GET', '/me')).rejects.toMatchObject({ message: 'Expired', status: 401 });
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(dropToken).toHaveBeenCalledWith('abc');
+  });
+
+  test('falls back to the status when the error has no JSON body', async () => {
+    const { requestJson } = createApiRequester({
+      baseUrl: 'http://localhost:8080',
+      fetchImpl: jest.fn().mockResolvedValue(response(502)),
+      getToken: () => Promise.resolve('abc'),
+      dropToken: jest.fn()
+    });
+
+    await expect(requestJson('GET', '/me')).rejects.toThrow('Request failed (502)');
+  });
+});
+
+describe('syncCalendarEvents', () => {
+  test('inserts new events, updates known ones and reports failures', async () => {
+    const client = {
+      insertEvent: jest.fn()
+        .mockResolvedValueOnce({ id: 'new1' })
+        .mockRejectedValueOnce(new Error('Rate Limit Exceeded')),
+      updateEvent: jest.fn().mockResolvedValue({ id: 'old1' })
+    };
+    const first = { slug: 'office-hours' };
+    const second = { slug: 'hangout' };
+    const third = { slug: 'workshop' };
+
+    const results = await syncCalendarEvents(client, [
+      { event: first },
+      { event: second, eventId: 'old1', etag: '"e1"' },
+      { event: third }
+    ]);
+
+    expect(client.updateEvent).toHaveBeenCalledWith('old1', second, '"e1"');
+    expect(results.map(result => result.eventId)).toEqual(['new1', 'old1', undefined]);
+    expect(results[2].error.message).toBe('Rate Limit Exceeded');
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for the CalDAV client
+ *
+ * The last block runs against a real server when RADICALE_URL points at
+ * an empty Radicale root, e.g.
+ *   python -m radicale --storage-filesystem-folder=/tmp/radicale --auth-type=none
+ *   RADICALE_URL=http://localhost:5232/ npx jest tests/caldavClient.test.js
+ */
+
+const { createCalDavClient } = require('../src/caldavClient');
+const { parseICS } = require('../src/utils/icsParser');
+
+/**
+ * Builds a fetch Response-like object
+ */
+const response = (status, { etag, text = '' } = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: { get: (name) => (name.toLowerCase() === 'etag' ? etag || null : null) },
+  text: () => Promise.resolve(text)
+});
+
+const event = {
+  title: 'Office Hours',
+  slug: 'office-hours-9f3e21',
+  description: 'Weekly Q&A',
+  location: 'Zoom',
+  url: 'https://community.dynamous.ai/c/live-events/office-hours-9f3e21',
+  startDate: new Date('2025-12-09T19:00:00Z'),
+  endDate: new Date('2025-12-09T20:00:00Z'),
+  sequence: 0
+};
+
+describe('createCalDavClient', () => {
+  let fetchImpl;
+  let client;
+
+  beforeEach(() => {
+    fetchImpl = jest.fn();
+    client = createCalDavClient({
+      collectionUrl: 'http://localhost:5232/user/calendar',
+      username: 'user',
+      password: 'app-pässword',
+      fetchImpl
+    });
+  });
+
+  test('needs a collection URL', () => {
+    expect(() => createCalDavClient({ collectionUrl: '' })).toThrow('Set the CalDAV calendar URL first');
+  });
+
+  test('PUTs a new event as <slug>.ics without replacing an existing resource', async () => {
+    fetchImpl.mockResolvedValue(response(201, { etag: '"abc"' }));
+
+    const saved = await client.insertEvent(event);
+
+    expect(saved).toEqual({ id: 'http://localhost:5232/user/calendar/office-hours-9f3e21.ics', etag: '"abc"' });
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe(saved.id);
+    expect(init.method).toBe('PUT');
+    expect(init.headers['If-None-Match']).toBe('*');
+    expect(init.headers['Content-Type']).toBe('text/calendar; charset=utf-8');
+    expect(init.headers.Authorization).toBe(`Basic ${Buffer.from('user:app-pässword').toString('base64')}`);
+
+    const { events, errors } = parseICS(init.body);
+    expect(errors).toEqual([]);
+    expect(events[0].uid).toBe('office-hours-9f3e21@community.dynamous.ai');
+  });
+
+  test('updates with If-Match and returns the new ETag', async () => {
+    fetchImpl.mockResolvedValue(response(204, { etag: '"def"' }));
+    const href = 'http://localhost:5232/user/calendar/office-hours-9f3e21.ics';
+
+    const saved = await client.updateEvent(href, { ...event, sequence: 1 }, '"abc"');
+
+    expect(saved.etag).toBe('"def"');
+    expect(fetchImpl.mock.calls[0][1].headers['If-Match']).toBe('"abc"');
+    expect(fetchImpl.mock.calls[0][1].body).toContain('SEQUENCE:1');
+  });
+
+  test('refuses to overwrite an event changed on the server', async () => {
+    fetchImpl.mockResolvedValue(response(412));
+
+    await expect(client.updateEvent('http://localhost:5232/user/calendar/a.ics', event, '"old"'))
+      .rejects.toMatchObject({ status: 412, message: 'Saving the event failed: the event was changed on the server' });
+  });
+
+  test('DELETEs with If-Match and treats a missing resource as deleted', async () => {
+    fetchImpl.mockResolvedValueOnce(response(204)).mockResolvedValueOnce(response(404));
+
+    await client.deleteEvent('http://localhost:5232/user/calendar/a.ics', '"abc"');
+    await client.deleteEvent('http://localhost:5232/user/calendar/a.ics');
+
+    expect(fetchImpl.mock.calls[0][1].method).toBe('DELETE');
+    expect(fetchImpl.mock.calls[0][1].headers['If-Match']).toBe('"abc"');
+    expect(fetchImpl.mock.calls[1][1].headers['If-Match']).toBeUndefined();
+  });
+
+  test('reports bad credentials', async () => {
+    fetchImpl.mockResolvedValue(response(401));
+    await expect(client.insertEvent(event)).rejects.toThrow('check the CalDAV username and password');
+  });
+
+  test('sends no credentials without a username', async () => {
+    client = createCalDavClient({ collectionUrl: 'http://localhost:5232/user/calendar/', fetchImpl });
+    fetchImpl.mockResolvedValue(response(201));
+
+    await client.insertEvent(event);
+
+    expect(fetchImpl.mock.calls[0][1].headers.Authorization).toBeUndefined();
+  });
+
+  test('recognizes a calendar collection', async () => {
+    fetchImpl.mockResolvedValue(response(207, {
+      text: '<multistatus xmlns="DAV:"><response><propstat><prop><resourcetype><collection/><C:calendar xmlns:C="urn:ietf:params:xml:ns:caldav"/></resourcetype></prop></propstat></response></multistatus>'
+    }));
+
+    expect(await client.verifyCollection()).toBe(true);
+    expect(fetchImpl.mock.calls[0][0]).toBe('http://localhost:5232/user/calendar/');
+    expect(fetchImpl.mock.calls[0][1].method).toBe('PROPFIND');
+    expect(fetchImpl.mock.calls[0][1].headers.Depth).toBe('0');
+  });
+});
+
+const describeRadicale = process.env.RADICALE_URL ? describe : describe.skip;
+
+describeRadicale('against a local Radicale server', () => {
+  let client;
+
+  beforeAll(async () => {
+    const collectionUrl = new URL(`test/dynacal-${Date.now()}/`, process.env.RADICALE_URL).href;
+    const created = await fetch(collectionUrl, { method: 'MKCALENDAR', headers: { Authorization: `Basic ${btoa('test:test')}` } });
+    expect(created.status).toBe(201);
+    client = createCalDavClient({ collectionUrl, username: 'test', password: 'test' });
+  });
+
+  test('creates, updates and deletes an event', async () => {
+    expect(await client.verifyCollection()).toBe(true);
+
+    const created = await client.insertEvent(event);
+    expect(created.etag).toBeTruthy();
+    await expect(client.insertEvent(event)).rejects.toMatchObject({ status: 412 });
+
+    const updated = await client.updateEvent(created.id, { ...event, title: 'Office Hours (moved)', sequence: 1 }, created.etag);
+    expect(updated.etag).not.toBe(created.etag);
+    await expect(client.updateEvent(created.id, event, created.etag)).rejects.toMatchObject({ status: 412 });
+
+    const stored = await (await fetch(created.id, { headers: { Authorization: `Basic ${btoa('test:test')}` } })).text();
+    expect(parseICS(stored).events[0].summary).toBe('Office Hours (moved)');
+
+    await client.deleteEvent(created.id, updated.etag);
+    const gone = await fetch(created.id, { headers: { Authorization: `Basic ${btoa('test:test')}` } });
+    expect(gone.status).toBe(404);
+  });
+});
@@ -1,4 +1,13 @@
-const { generateGoogleCalendarLink, generateOutlookLink } = require('../src/utils/calendarLinks');
+const {
+  CALENDAR_LINK_PROVIDERS,
+  getLinkProvider,
+  generateGoogleCalendarLink,
+  generateOutlookLink,
+  generateOutlookLiveLink,
+  generateOffice365Link,
+  generateYahooLink,
+  generateZohoLink
+} = require('../src/utils/calendarLinks');
 
 /**
  * Helper to extract a URL parameter value (decoded)
@@ -11,8 +20,8 @@ function getParam(url, param) {
 describe('generateGoogleCalendarLink', () => {
   const baseEvent = {
     title: 'Community Hangout',
-    startDate: new Date(2025, 11, 15, 13, 0, 0), // Dec 15, 2025 1:00 PM
-    endDate: new Date(2025, 11, 15, 14, 0, 0),   // Dec 15, 2025 2:00 PM
+    startDate: new Date('2025-12-15T13:00:00-05:00'), // Dec 15, 2025 1:00 PM EST
+    endDate: new Date('2025-12-15T14:00:00-05:00'),   // Dec 15, 2025 2:00 PM EST
     location: 'Virtual',
     url: 'https://community.dynamous.ai/c/live-events/community-hangout-123'
   };
@@ -29,8 +38,8 @@ describe('generateGoogleCalendarLink', () => {
 
   test('includes start and end dates in dates parameter', () => {
     const link = generateGoogleCalendarLink(baseEvent);
-    // Format: YYYYMMDDTHHmmSS/YYYYMMDDTHHmmSS
-    expect(getParam(link, 'dates')).toBe('20251215T130000/20251215T140000');
+    // Format: YYYYMMDDTHHmmSSZ/YYYYMMDDTHHmmSSZ in UTC
+    expect(getParam(link, 'dates')).toBe('20251215T180000Z/20251215T190000Z');
   });
 
   test('includes location parameter', () => {
@@ -101,8 +110,8 @@ describe('generateGoogleCalendarLink', () => {
 describe('generateOutlookLink', () => {
   const baseEvent = {
     title: 'Community Hangout',
-    startDate: new Date(2025, 11, 15, 13, 0, 0), // Dec 15, 2025 1:00 PM
-    endDate: new Date(2025, 11, 15, 14, 0, 0),   // Dec 15, 2025 2:00 PM
+    startDate: new Date('2025-12-15T13:00:00-05:00'), // Dec 15, 2025 1:00 PM EST
+    endDate: new Date('2025-12-15T14:00:00-05:00'),   // Dec 15, 2025 2:00 PM EST
     location: 'Virtual',
     url: 'https://community.dynamous.ai/c/live-events/community-hangout-123'
   };
@@ -196,3 +205,148 @@ describe('generateOutlookLink', () => {
     expect(getParam(link, 'location')).toBeNull();
   });
 });
+
+describe('other Outlook hosts', () => {
+  const event = {
+    title: 'Office Hours/ Q&A',
+    startDate: new Date('2025-12-15T13:00:00-05:00'),
+    endDate: new Date('2025-12-15T14:00:00-05:00'),
+    location: 'Zoom',
+    description: 'Bring questions\nhttps://community.dynamous.ai/c/live-events/office-hours'
+  };
+
+  test.each([
+    ['outlook.live.com', generateOutlookLiveLink],
+    ['outlook.office365.com', generateOffice365Link]
+  ])('%s gets the same compose parameters as outlook.office.com', (host, generate) => {
+    const link = generate(event);
+    const url = new URL(link);
+
+    expect(url.host).toBe(host);
+    expect(url.pathname).toBe('/calendar/0/deeplink/compose');
+    expect(getParam(link, 'path')).toBe('/calendar/action/compose');
+    expect(getParam(link, 'rru')).toBe('addevent');
+    expect(getParam(link, 'subject')).toBe('Office Hours/ Q&A');
+    expect(getParam(link, 'startdt')).toBe('2025-12-15T18:00:00.000Z');
+    expect(getParam(link, 'enddt')).toBe('2025-12-15T19:00:00.000Z');
+    expect(getParam(link, 'location')).toBe('Zoom');
+    expect(getParam(link, 'body')).toBe('Bring questions<br>https://community.dynamous.ai/c/live-events/office-hours');
+  });
+});
+
+describe('generateYahooLink', () => {
+  const event = {
+    title: 'Office Hours/ Q&A',
+    startDate: new Date('2025-12-15T13:00:00-05:00'),
+    endDate: new Date('2025-12-15T14:00:00-05:00'),
+    location: 'Zoom',
+    description: 'Bring questions\nhttps://community.dynamous.ai/c/live-events/office-hours'
+  };
+
+  test('opens the add event form', () => {
+    const link = generateYahooLink(event);
+    expect(link).toMatch(/^https:\/\/calendar\.yahoo\.com\/\?/);
+    expect(getParam(link, 'v')).toBe('60');
+  });
+
+  test('includes title, UTC start and end, location and description', () => {
+    const link = generateYahooLink(event);
+    expect(getParam(link, 'title')).toBe('Office Hours/ Q&A');
+    expect(getParam(link, 'st')).toBe('20251215T180000Z');
+    expect(getParam(link, 'et')).toBe('20251215T190000Z');
+    expect(getParam(link, 'in_loc')).toBe('Zoom');
+    expect(getParam(link, 'desc')).toBe('Bring questions\nhttps://community.dynamous.ai/c/live-events/office-hours');
+  });
+
+  test('omits location and description when not provided', () => {
+    const link = generateYahooLink({ title: 'Simple Event', startDate: event.startDate, endDate: event.endDate });
+    expect(getParam(link, 'in_loc')).toBeNull();
+    expect(getParam(link, 'desc')).toBeNull();
+  });
+});
+
+describe('generateZohoLink', () => {
+  const event = {
+    title: 'Office Hours/ Q&A',
+    startDate: new Date('2025-12-15T13:00:00-05:00'),
+    endDate: new Date('2025-12-15T14:00:00-05:00'),
+    location: 'Zoom',
+    description: 'Bring questions'
+  };
+
+  test('opens the Zoho event form', () => {
+    const url = new URL(generateZohoLink(event));
+    expect(url.origin + url.pathname).toBe('https://calendar.zoho.com/eventreqForm');
+  });
+
+  test('includes title, UTC start and end, location and description', () => {
+    const link = generateZohoLink(event);
+    expect(getParam(link, 'title')).toBe('Office Hours/ Q&A');
+    expect(getParam(link, 'start')).toBe('20251215T180000Z');
+    expect(getParam(link, 'end')).toBe('20251215T190000Z');
+    expect(getParam(link, 'location')).toBe('Zoom');
+    expect(getParam(link, 'desc')).toBe('Bring questions');
+  });
+
+  test('omits location and description when not provided', () => {
+    const link = generateZohoLink({ title: 'Simple Event', startDate: event.startDate, endDate: event.endDate });
+    expect(getParam(link, 'location')).toBeNull();
+    expect(getParam(link, 'desc')).toBeNull();
+  });
+});
+
+describe('CALENDAR_LINK_PROVIDERS', () => {
+  test('lists every deep link once', () => {
+    const ids = CALENDAR_LINK_PROVIDERS.map(provider => provider.id);
+    expect(ids).toEqual(['google', 'outlook', 'outlook-live', 'office365', 'yahoo', 'zoho']);
+  });
+
+  test('looks providers up by ID', () => {
+    expect(getLinkProvider('yahoo').generate).toBe(generateYahooLink);
+    expect(getLinkProvider('ics')).toBeUndefined();
+  });
+});
+
+describe('time zone handling in links', () => {
+  const event = {
+    title: 'Community Hangout',
+    startDate: new Date('2025-12-15T13:00:00-05:00'),
+    endDate: new Date('2025-12-15T14:00:00-05:00')
+  };
+
+  test('Google dates are UTC instants with a Z suffix', () => {
+    const dates = getParam(generateGoogleCalendarLink(event), 'dates');
+    expect(dates).toMatch(/^\d{8}T\d{6}Z\/\d{8}T\d{6}Z$/);
+  });
+
+  test('Outlook startdt and enddt are UTC ISO 8601 instants', () => {
+    const link = generateOutlookLink(event);
+    expect(getParam(link, 'startdt')).toBe('2025-12-15T18:00:00.000Z');
+    expect(getParam(link, 'enddt')).toBe('2025-12-15T19:00:00.000Z');
+  });
+});
+
+describe('recurring series links', () => {
+  const series = {
+    title: 'Agentic Coding Office Hours',
+    startDate: new Date('2026-02-26T15:00:00Z'),
+    endDate: new Date('2026-02-26T16:00:00Z'),
+    rrule: 'FREQ=WEEKLY;BYDAY=TH;COUNT=6',
+    timeZone: 'America/New_York'
+  };
+
+  test('Google links carry the rule in recur', () => {
+    expect(getParam(generateGoogleCalendarLink(series), 'recur')).toBe('RRULE:FREQ=WEEKLY;BYDAY=TH;COUNT=6');
+  });
+
+  test('Google series dates are local to ctz so DST does not shift later sessions', () => {
+    const link = generateGoogleCalendarLink(series);
+    expect(getParam(link, 'ctz')).toBe('America/New_York');
+    expect(getParam(link, 'dates')).toBe('20260226T100000/20260226T110000');
+  });
+
+  test('single events have no recur parameter', () => {
+    const { rrule, ...single } = series;
+    expect(getParam(generateGoogleCalendarLink(single), 'recur')).toBeNull();
+  });
+});
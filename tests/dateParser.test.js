@@ -1,4 +1,4 @@
-const { parseTime, parseDateTime, formatISODate, parseEventDateTime } = require('../src/utils/dateParser');
+const { parseTime, parseDateTime, formatISODate, formatUTCDate, inferEventYear, parseEventDateTime } = require('../src/utils/dateParser');
 
 // TDD Cycle 1.1: Parse standard time formats
 describe('parseTime', () => {
@@ -82,94 +82,319 @@ describe('formatISODate', () => {
   });
 });
 
+describe('formatUTCDate', () => {
+  test('formats Date to "20251215T180000Z" style in UTC', () => {
+    const date = new Date(Date.UTC(2025, 11, 15, 18, 0, 0));
+    expect(formatUTCDate(date)).toBe('20251215T180000Z');
+  });
+
+  test('pads single-digit values correctly', () => {
+    const date = new Date(Date.UTC(2025, 0, 5, 9, 5, 7));
+    expect(formatUTCDate(date)).toBe('20250105T090507Z');
+  });
+
+  test('is independent of the local time zone', () => {
+    const date = new Date('2025-12-31T23:30:00-05:00');
+    expect(formatUTCDate(date)).toBe('20260101T043000Z');
+  });
+});
+
 // TDD Cycle 1b: Parse list view event datetime format
 describe('parseEventDateTime', () => {
-  // Note: Tests use a fixed reference year of 2025 for consistency
-  const referenceYear = 2025;
+  // Note: Tests view the page on a fixed date (Dec 1, 2025) for consistency
+  const referenceDate = new Date(2025, 11, 1);
 
   test('parses standard format "Thursday, Dec 4, 10:00 – 11:00 AM EST"', () => {
-    const result = parseEventDateTime('Thursday, Dec 4, 10:00 – 11:00 AM EST', referenceYear);
+    const result = parseEventDateTime('Thursday, Dec 4, 10:00 – 11:00 AM EST', referenceDate);
     expect(result).not.toBeNull();
-    expect(result.startDate.getMonth()).toBe(11); // December (0-indexed)
-    expect(result.startDate.getDate()).toBe(4);
-    expect(result.startDate.getHours()).toBe(10);
-    expect(result.startDate.getMinutes()).toBe(0);
-    expect(result.endDate.getHours()).toBe(11);
-    expect(result.endDate.getMinutes()).toBe(0);
+    // 10:00 EST is 15:00 UTC
+    expect(result.startDate.toISOString()).toBe('2025-12-04T15:00:00.000Z');
+    expect(result.endDate.toISOString()).toBe('2025-12-04T16:00:00.000Z');
     expect(result.timezone).toBe('EST');
   });
 
   test('parses format with different duration "Friday, Dec 5, 12:00 – 1:30 PM EST"', () => {
-    const result = parseEventDateTime('Friday, Dec 5, 12:00 – 1:30 PM EST', referenceYear);
+    const result = parseEventDateTime('Friday, Dec 5, 12:00 – 1:30 PM EST', referenceDate);
     expect(result).not.toBeNull();
-    expect(result.startDate.getDate()).toBe(5);
-    expect(result.startDate.getHours()).toBe(12);
-    expect(result.startDate.getMinutes()).toBe(0);
-    expect(result.endDate.getHours()).toBe(13);
-    expect(result.endDate.getMinutes()).toBe(30);
+    expect(result.startDate.toISOString()).toBe('2025-12-05T17:00:00.000Z');
+    expect(result.endDate.toISOString()).toBe('2025-12-05T18:30:00.000Z');
   });
 
   test('parses PM to PM time range "Wednesday, Dec 10, 5:00 – 6:00 PM EST"', () => {
-    const result = parseEventDateTime('Wednesday, Dec 10, 5:00 – 6:00 PM EST', referenceYear);
+    const result = parseEventDateTime('Wednesday, Dec 10, 5:00 – 6:00 PM EST', referenceDate);
     expect(result).not.toBeNull();
-    expect(result.startDate.getHours()).toBe(17);
-    expect(result.endDate.getHours()).toBe(18);
+    expect(result.startDate.toISOString()).toBe('2025-12-10T22:00:00.000Z');
+    expect(result.endDate.toISOString()).toBe('2025-12-10T23:00:00.000Z');
   });
 
   test('parses AM to AM time range "Tuesday, Dec 9, 10:00 – 11:00 AM EST"', () => {
-    const result = parseEventDateTime('Tuesday, Dec 9, 10:00 – 11:00 AM EST', referenceYear);
+    const result = parseEventDateTime('Tuesday, Dec 9, 10:00 – 11:00 AM EST', referenceDate);
     expect(result).not.toBeNull();
-    expect(result.startDate.getHours()).toBe(10);
-    expect(result.endDate.getHours()).toBe(11);
+    expect(result.startDate.toISOString()).toBe('2025-12-09T15:00:00.000Z');
+    expect(result.endDate.toISOString()).toBe('2025-12-09T16:00:00.000Z');
   });
 
   test('handles January dates with year rollover', () => {
     // If current month is December 2025 and we see "Jan 2", it should be 2026
-    const result = parseEventDateTime('Thursday, Jan 2, 10:00 – 11:00 AM EST', referenceYear);
+    const result = parseEventDateTime('Friday, Jan 2, 10:00 – 11:00 AM EST', referenceDate);
     expect(result).not.toBeNull();
-    expect(result.startDate.getMonth()).toBe(0); // January
-    expect(result.startDate.getFullYear()).toBe(2026); // Next year
+    expect(result.startDate.getUTCMonth()).toBe(0); // January
+    expect(result.startDate.getUTCFullYear()).toBe(2026); // Next year
   });
 
   test('extracts timezone correctly', () => {
-    const estResult = parseEventDateTime('Monday, Dec 8, 1:00 – 2:00 PM EST', referenceYear);
+    const estResult = parseEventDateTime('Monday, Dec 8, 1:00 – 2:00 PM EST', referenceDate);
     expect(estResult.timezone).toBe('EST');
 
-    const pstResult = parseEventDateTime('Monday, Dec 8, 1:00 – 2:00 PM PST', referenceYear);
+    const pstResult = parseEventDateTime('Monday, Dec 8, 1:00 – 2:00 PM PST', referenceDate);
     expect(pstResult.timezone).toBe('PST');
   });
 
   test('returns null for invalid format', () => {
-    expect(parseEventDateTime('Invalid string', referenceYear)).toBeNull();
-    expect(parseEventDateTime('', referenceYear)).toBeNull();
+    expect(parseEventDateTime('Invalid string', referenceDate)).toBeNull();
+    expect(parseEventDateTime('', referenceDate)).toBeNull();
   });
 
   test('returns null for invalid month name', () => {
-    expect(parseEventDateTime('Monday, Xyz 8, 1:00 – 2:00 PM EST', referenceYear)).toBeNull();
+    expect(parseEventDateTime('Monday, Xyz 8, 1:00 – 2:00 PM EST', referenceDate)).toBeNull();
   });
 
   test('handles en-dash (–) and regular hyphen (-) separators', () => {
-    const enDash = parseEventDateTime('Monday, Dec 8, 1:00 – 2:00 PM EST', referenceYear);
-    const hyphen = parseEventDateTime('Monday, Dec 8, 1:00 - 2:00 PM EST', referenceYear);
+    const enDash = parseEventDateTime('Monday, Dec 8, 1:00 – 2:00 PM EST', referenceDate);
+    const hyphen = parseEventDateTime('Monday, Dec 8, 1:00 - 2:00 PM EST', referenceDate);
 
     expect(enDash).not.toBeNull();
     expect(hyphen).not.toBeNull();
-    expect(enDash.startDate.getHours()).toBe(hyphen.startDate.getHours());
+    expect(enDash.startDate.getTime()).toBe(hyphen.startDate.getTime());
   });
 
   test('handles midnight end time (12:00 AM)', () => {
-    // Event ending at midnight: "11:00 – 12:00 AM"
-    const result = parseEventDateTime('Friday, Dec 5, 11:00 – 12:00 AM EST', referenceYear);
+    // Event ending at midnight: "11:00 – 12:00 AM" is 11 PM until midnight
+    const result = parseEventDateTime('Friday, Dec 5, 11:00 – 12:00 AM EST', referenceDate);
     expect(result).not.toBeNull();
-    expect(result.startDate.getHours()).toBe(11); // 11 AM
-    expect(result.endDate.getHours()).toBe(0);    // 12:00 AM = midnight = 0
+    expect(result.startDate.toISOString()).toBe('2025-12-06T04:00:00.000Z'); // 11 PM EST
+    expect(result.endDate.toISOString()).toBe('2025-12-06T05:00:00.000Z');   // 12:00 AM EST next day
   });
 
   test('handles midnight start time (12:00 AM)', () => {
     // Event starting at midnight: "12:00 – 1:00 AM"
-    const result = parseEventDateTime('Saturday, Dec 6, 12:00 – 1:00 AM EST', referenceYear);
+    const result = parseEventDateTime('Saturday, Dec 6, 12:00 – 1:00 AM EST', referenceDate);
     expect(result).not.toBeNull();
-    expect(result.startDate.getHours()).toBe(0);  // 12:00 AM = midnight = 0
-    expect(result.endDate.getHours()).toBe(1);    // 1 AM
+    expect(result.startDate.toISOString()).toBe('2025-12-06T05:00:00.000Z'); // 12:00 AM EST = midnight
+    expect(result.endDate.toISOString()).toBe('2025-12-06T06:00:00.000Z');   // 1 AM EST
+  });
+
+  describe('mixed and inferred AM/PM ranges', () => {
+    test('parses ranges with both periods "11:30 AM – 12:30 PM"', () => {
+      const result = parseEventDateTime('Thursday, Dec 4, 11:30 AM – 12:30 PM EST', referenceDate);
+      expect(result).not.toBeNull();
+      expect(result.startDate.toISOString()).toBe('2025-12-04T16:30:00.000Z');
+      expect(result.endDate.toISOString()).toBe('2025-12-04T17:30:00.000Z');
+    });
+
+    test('parses both periods without spaces "10:00AM - 2:00PM"', () => {
+      const result = parseEventDateTime('Thursday, Dec 4, 10:00AM - 2:00PM EST', referenceDate);
+      expect(result).not.toBeNull();
+      expect(result.startDate.toISOString()).toBe('2025-12-04T15:00:00.000Z');
+      expect(result.endDate.toISOString()).toBe('2025-12-04T19:00:00.000Z');
+    });
+
+    test('parses both-period ranges that share a period "1:00 PM – 2:00 PM"', () => {
+      const result = parseEventDateTime('Monday, Dec 8, 1:00 PM – 2:00 PM EST', referenceDate);
+      expect(result.startDate.toISOString()).toBe('2025-12-08T18:00:00.000Z');
+      expect(result.endDate.toISOString()).toBe('2025-12-08T19:00:00.000Z');
+    });
+
+    test('infers AM start when start > end "11:00 – 1:00 PM"', () => {
+      const result = parseEventDateTime('Thursday, Dec 4, 11:00 – 1:00 PM EST', referenceDate);
+      expect(result).not.toBeNull();
+      expect(result.startDate.toISOString()).toBe('2025-12-04T16:00:00.000Z'); // 11 AM EST
+      expect(result.endDate.toISOString()).toBe('2025-12-04T18:00:00.000Z');   // 1 PM EST
+    });
+
+    test('infers PM start for a range ending early next morning "11:00 – 1:00 AM"', () => {
+      const result = parseEventDateTime('Thursday, Dec 4, 11:00 – 1:00 AM EST', referenceDate);
+      expect(result.startDate.toISOString()).toBe('2025-12-05T04:00:00.000Z'); // 11 PM EST Dec 4
+      expect(result.endDate.toISOString()).toBe('2025-12-05T06:00:00.000Z');   // 1 AM EST Dec 5
+    });
+
+    test('runs past midnight into the next day "11:30 PM – 12:30 AM"', () => {
+      const result = parseEventDateTime('Wednesday, Dec 31, 11:30 PM – 12:30 AM EST', referenceDate);
+      expect(result).not.toBeNull();
+      expect(result.startDate.toISOString()).toBe('2026-01-01T04:30:00.000Z'); // 11:30 PM EST Dec 31
+      expect(result.endDate.toISOString()).toBe('2026-01-01T05:30:00.000Z');   // 12:30 AM EST Jan 1
+      expect(result.endDate.getTime() - result.startDate.getTime()).toBe(60 * 60 * 1000);
+    });
+
+    test('crosses midnight with explicit periods "10:00 PM – 2:00 AM"', () => {
+      const result = parseEventDateTime('Friday, Dec 5, 10:00 PM – 2:00 AM PST', referenceDate);
+      expect(result.startDate.toISOString()).toBe('2025-12-06T06:00:00.000Z');
+      expect(result.endDate.toISOString()).toBe('2025-12-06T10:00:00.000Z');
+    });
+
+    test('crosses midnight in an unknown (local) zone', () => {
+      const result = parseEventDateTime('Friday, Dec 5, 11:00 PM – 1:00 AM XYZ', referenceDate);
+      expect(result.startDate.getDate()).toBe(5);
+      expect(result.endDate.getDate()).toBe(6);
+      expect(result.endDate.getHours()).toBe(1);
+    });
+
+    test('returns null for out-of-range hours or minutes', () => {
+      expect(parseEventDateTime('Friday, Dec 5, 13:00 – 2:00 PM EST', referenceDate)).toBeNull();
+      expect(parseEventDateTime('Friday, Dec 5, 1:00 – 2:75 PM EST', referenceDate)).toBeNull();
+      expect(parseEventDateTime('Friday, Dec 5, 1:00 PM – 0:30 PM EST', referenceDate)).toBeNull();
+    });
+  });
+
+  describe('start-only times (calendar grid)', () => {
+    test('parses "Thursday, Dec 4, 10:00 AM EST" with a one-hour default end', () => {
+      const result = parseEventDateTime('Thursday, Dec 4, 10:00 AM EST', referenceDate);
+      expect(result).not.toBeNull();
+      expect(result.hasEndTime).toBe(false);
+      expect(result.startDate.toISOString()).toBe('2025-12-04T15:00:00.000Z');
+      expect(result.endDate.toISOString()).toBe('2025-12-04T16:00:00.000Z');
+    });
+
+    test('honours a custom default duration', () => {
+      const result = parseEventDateTime('Thursday, Dec 4, 10:00 AM EST', referenceDate, 90);
+      expect(result.endDate.toISOString()).toBe('2025-12-04T16:30:00.000Z');
+    });
+
+    test('treats a missing zone label as local time', () => {
+      const result = parseEventDateTime('Thursday, Dec 4, 1:00 PM', referenceDate);
+      expect(result).not.toBeNull();
+      expect(result.timezone).toBeNull();
+      expect(result.utcOffset).toBeNull();
+      expect(result.startDate.getHours()).toBe(13);
+      expect(result.startDate.getDate()).toBe(4);
+    });
+
+    test('requires a period on a start-only time', () => {
+      expect(parseEventDateTime('Thursday, Dec 4, 10:00 EST', referenceDate)).toBeNull();
+    });
+
+    test('reports hasEndTime for ranges', () => {
+      const result = parseEventDateTime('Thursday, Dec 4, 10:00 – 11:00 AM EST', referenceDate);
+      expect(result.hasEndTime).toBe(true);
+    });
+  });
+
+  describe('year inference', () => {
+    test('keeps upcoming events in the current year (no December heuristic)', () => {
+      // Viewing in October 2026: "Thursday, Oct 22" is this month, not next year
+      const result = parseEventDateTime('Thursday, Oct 22, 10:00 – 11:00 AM EDT', new Date(2026, 9, 19));
+      expect(result.startDate.getUTCFullYear()).toBe(2026);
+      expect(result.weekdayMismatch).toBe(false);
+    });
+
+    test('rolls over to next year for months already past', () => {
+      const result = parseEventDateTime('Tuesday, Feb 2, 10:00 – 11:00 AM EST', new Date(2026, 9, 19));
+      expect(result.startDate.getUTCFullYear()).toBe(2027);
+    });
+
+    test('uses the weekday to pick the year', () => {
+      // Jan 2 is a Thursday in 2025 but a Friday in 2026
+      const thursday = parseEventDateTime('Thursday, Jan 2, 10:00 – 11:00 AM EST', referenceDate);
+      const friday = parseEventDateTime('Friday, Jan 2, 10:00 – 11:00 AM EST', referenceDate);
+      expect(thursday.startDate.getUTCFullYear()).toBe(2025);
+      expect(friday.startDate.getUTCFullYear()).toBe(2026);
+    });
+
+    test('flags a weekday that matches no nearby year', () => {
+      // Dec 4 is a Wednesday in 2024, Thursday in 2025 and Friday in 2026
+      const result = parseEventDateTime('Monday, Dec 4, 10:00 – 11:00 AM EST', referenceDate);
+      expect(result).not.toBeNull();
+      expect(result.weekdayMismatch).toBe(true);
+    });
+
+    test('uses a year shown in the string', () => {
+      const result = parseEventDateTime('Wednesday, Dec 4, 2024, 10:00 AM', referenceDate);
+      expect(result.startDate.getFullYear()).toBe(2024);
+      expect(result.weekdayMismatch).toBe(false);
+
+      expect(parseEventDateTime('Thursday, Dec 4, 2024, 10:00 AM', referenceDate).weekdayMismatch).toBe(true);
+    });
+
+    test('defaults the reference date to now', () => {
+      const result = parseEventDateTime('Thursday, Dec 4, 10:00 – 11:00 AM EST');
+      expect(result).not.toBeNull();
+      expect(typeof result.weekdayMismatch).toBe('boolean');
+    });
+  });
+
+  describe('time zone handling', () => {
+    test('returns the UTC offset and IANA zone for the abbreviation', () => {
+      const result = parseEventDateTime('Monday, Dec 8, 1:00 – 2:00 PM EST', referenceDate);
+      expect(result.utcOffset).toBe(-300);
+      expect(result.timeZoneId).toBe('America/New_York');
+    });
+
+    test('produces the same instant for the same moment shown in different zones', () => {
+      const eastern = parseEventDateTime('Monday, Dec 8, 1:00 – 2:00 PM EST', referenceDate);
+      const pacific = parseEventDateTime('Monday, Dec 8, 10:00 – 11:00 AM PST', referenceDate);
+      const central = parseEventDateTime('Monday, Dec 8, 7:00 – 8:00 PM CET', referenceDate);
+
+      expect(pacific.startDate.getTime()).toBe(eastern.startDate.getTime());
+      expect(central.startDate.getTime()).toBe(eastern.startDate.getTime());
+    });
+
+    test('honours daylight-saving abbreviations', () => {
+      const result = parseEventDateTime('Monday, Dec 8, 1:00 – 2:00 PM EDT', referenceDate);
+      expect(result.startDate.toISOString()).toBe('2025-12-08T17:00:00.000Z');
+    });
+
+    test('handles zones east of UTC crossing the date line', () => {
+      const result = parseEventDateTime('Monday, Dec 8, 9:00 – 10:00 AM AEDT', referenceDate);
+      expect(result.startDate.toISOString()).toBe('2025-12-07T22:00:00.000Z');
+      expect(result.timeZoneId).toBe('Australia/Sydney');
+    });
+
+    test('parses GMT offset labels', () => {
+      const result = parseEventDateTime('Monday, Dec 8, 1:00 – 2:00 PM GMT+5:30', referenceDate);
+      expect(result).not.toBeNull();
+      expect(result.timezone).toBe('GMT+5:30');
+      expect(result.utcOffset).toBe(330);
+      expect(result.timeZoneId).toBeNull();
+      expect(result.startDate.toISOString()).toBe('2025-12-08T07:30:00.000Z');
+    });
+
+    test('falls back to local time for unknown zone labels', () => {
+      const result = parseEventDateTime('Monday, Dec 8, 1:00 – 2:00 PM XYZ', referenceDate);
+      expect(result).not.toBeNull();
+      expect(result.utcOffset).toBeNull();
+      expect(result.timeZoneId).toBeNull();
+      expect(result.startDate.getHours()).toBe(13);
+    });
+  });
+});
+
+describe('inferEventYear', () => {
+  const today = new Date(2026, 9, 19, 12, 0); // Monday, Oct 19, 2026
+
+  test('picks this year for a date later this year', () => {
+    expect(inferEventYear(9, 22, 4, today)).toEqual({ year: 2026, weekdayMismatch: false });
+  });
+
+  test('picks next year for a date earlier in the year', () => {
+    expect(inferEventYear(0, 5, null, today)).toEqual({ year: 2027, weekdayMismatch: false });
+  });
+
+  test('treats an event from earlier today as upcoming', () => {
+    expect(inferEventYear(9, 19, 1, today)).toEqual({ year: 2026, weekdayMismatch: false });
+  });
+
+  test('accepts a recent past date when only that year matches the weekday', () => {
+    // Oct 12, 2026 is a Monday; Oct 12, 2027 is a Tuesday
+    expect(inferEventYear(9, 12, 1, today)).toEqual({ year: 2026, weekdayMismatch: false });
+  });
+
+  test('skips years where the date does not exist (Feb 29)', () => {
+    const result = inferEventYear(1, 29, null, new Date(2027, 5, 1));
+    expect(result.year).toBe(2028);
+  });
+
+  test('flags when no nearby year matches the weekday', () => {
+    // Oct 22 is Tue (2025), Thu (2026), Fri (2027) - never a Sunday
+    expect(inferEventYear(9, 22, 0, today)).toEqual({ year: 2026, weekdayMismatch: true });
   });
 });
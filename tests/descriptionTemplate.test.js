@@ -0,0 +1,124 @@
+/**
+ * Tests for description templates
+ */
+
+const {
+  DEFAULT_DESCRIPTION_TEMPLATE,
+  validateTemplate,
+  renderTemplate
+} = require('../src/utils/descriptionTemplate');
+
+const values = {
+  title: 'Office Hours',
+  dateTime: 'Tuesday, Dec 9, 2:00 – 3:00 PM EST',
+  localTime: 'Tue, Dec 9, 2:00 PM EST',
+  location: 'Zoom',
+  host: 'Cole Medin, Jane Doe',
+  hostLabel: 'Hosts',
+  meetingUrl: 'https://zoom.us/j/123',
+  rsvp: 'Waitlisted',
+  rsvpIcon: '⏳',
+  attendance: '50 / 50 going',
+  agenda: 'Agenda:\n• Live Q&A',
+  url: 'https://community.dynamous.ai/c/live-events/office-hours-9f3e21'
+};
+
+describe('renderTemplate', () => {
+  test('fills in placeholders, with or without spaces in the tag', () => {
+    expect(renderTemplate('{{title}} at {{ location }}', values)).toBe('Office Hours at Zoom');
+  });
+
+  test('renders missing values as empty', () => {
+    expect(renderTemplate('[{{meetingUrl}}]', { title: 'Office Hours' })).toBe('[]');
+  });
+
+  test('keeps a conditional only when its value is not empty', () => {
+    const template = '{{title}}{{#if location}} @ {{location}}{{/if}}';
+
+    expect(renderTemplate(template, values)).toBe('Office Hours @ Zoom');
+    expect(renderTemplate(template, { ...values, location: '' })).toBe('Office Hours');
+  });
+
+  test('renders the else branch for empty values', () => {
+    const template = 'Where: {{#if location}}{{location}}{{else}}TBD{{/if}}';
+
+    expect(renderTemplate(template, { ...values, location: '' })).toBe('Where: TBD');
+  });
+
+  test('nests conditionals', () => {
+    const template = '{{#if meetingUrl}}Join{{#if location}} on {{location}}{{/if}}{{else}}No link{{/if}}';
+
+    expect(renderTemplate(template, values)).toBe('Join on Zoom');
+    expect(renderTemplate(template, { ...values, location: '' })).toBe('Join');
+    expect(renderTemplate(template, { ...values, meetingUrl: '' })).toBe('No link');
+  });
+
+  test('drops lines holding only a block tag', () => {
+    const template = 'Title: {{title}}\n{{#if meetingUrl}}\nJoin: {{meetingUrl}}\n{{/if}}\nPage: {{url}}';
+
+    expect(renderTemplate(template, values))
+      .toBe(`Title: Office Hours\nJoin: https://zoom.us/j/123\nPage: ${values.url}`);
+    expect(renderTemplate(template, { ...values, meetingUrl: '' }))
+      .toBe(`Title: Office Hours\nPage: ${values.url}`);
+  });
+
+  test('inserts values as they are, without reading tags in them', () => {
+    expect(renderTemplate('{{agenda}}', { agenda: 'Talk about {{title}}' })).toBe('Talk about {{title}}');
+  });
+
+  test('renders the default template like the original description', () => {
+    expect(renderTemplate(DEFAULT_DESCRIPTION_TEMPLATE, values)).toBe([
+      '🕐 Tuesday, Dec 9, 2:00 – 3:00 PM EST',
+      '📍 Zoom',
+      '👤 Hosts: Cole Medin, Jane Doe',
+      '🎥 Join: https://zoom.us/j/123',
+      '⏳ RSVP: Waitlisted',
+      '👥 50 / 50 going',
+      '',
+      'Agenda:\n• Live Q&A',
+      '',
+      `🔗 ${values.url}`,
+      '',
+      '—',
+      'Dynamous Community'
+    ].join('\n'));
+
+    const sparse = { ...values, location: '', meetingUrl: '', attendance: '', agenda: '', host: 'Cole Medin', hostLabel: 'Host' };
+    expect(renderTemplate(DEFAULT_DESCRIPTION_TEMPLATE, sparse)).toBe([
+      '🕐 Tuesday, Dec 9, 2:00 – 3:00 PM EST',
+      '📍 TBD',
+      '👤 Host: Cole Medin',
+      '⏳ RSVP: Waitlisted',
+      '',
+      `🔗 ${values.url}`,
+      '',
+      '—',
+      'Dynamous Community'
+    ].join('\n'));
+  });
+});
+
+describe('validateTemplate', () => {
+  test('accepts valid templates', () => {
+    expect(validateTemplate(DEFAULT_DESCRIPTION_TEMPLATE)).toBeNull();
+    expect(validateTemplate('')).toBeNull();
+    expect(validateTemplate('Plain text')).toBeNull();
+  });
+
+  test.each([
+    ['{{titel}}', 'Unknown placeholder {{titel}}'],
+    ['{{#if venue}}x{{/if}}', 'Unknown placeholder {{#if venue}}'],
+    ['{{#if title}}x', '{{#if title}} is never closed with {{/if}}'],
+    ['x{{/if}}', '{{/if}} without an {{#if}}'],
+    ['{{else}}', '{{else}} without an {{#if}}'],
+    ['{{#if title}}a{{else}}b{{else}}c{{/if}}', '{{#if title}} has more than one {{else}}'],
+    ['{{#each hosts}}', 'Unknown placeholder {{#each hosts}}']
+  ])('reports %p', (template, message) => {
+    expect(validateTemplate(template)).toBe(message);
+    expect(() => renderTemplate(template, values)).toThrow(message);
+  });
+
+  test('rejects anything but text', () => {
+    expect(validateTemplate(null)).toBe('A template must be text');
+  });
+});
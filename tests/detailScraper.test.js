@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { parseEventDetails, fetchEventDetails, mergeEventDetails } = require('../src/detailScraper');
+
+// Load mock HTML fixture
+const mockHTML = fs.readFileSync(
+  path.join(__dirname, '../fixtures/mockEventDetail.html'),
+  'utf8'
+);
+
+/**
+ * Helper to parse an HTML string into a document
+ */
+function toDocument(html) {
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+describe('parseEventDetails', () => {
+  test('extracts the description with paragraph and list breaks', () => {
+    const details = parseEventDetails(toDocument(mockHTML));
+    expect(details.description).toBe(
+      'Bring your questions about agentic coding.\n\nAgenda:\n\n• Live Q&A\n\n• Code review of community projects'
+    );
+  });
+
+  test('extracts host names from the page', () => {
+    const details = parseEventDetails(toDocument(mockHTML));
+    expect(details.hosts).toEqual(['Cole Medin', 'Jane Doe']);
+  });
+
+  test('extracts the meeting link', () => {
+    const details = parseEventDetails(toDocument(mockHTML));
+    expect(details.meetingUrl).toBe('https://zoom.us/j/123456789');
+  });
+
+  test('extracts exact start and end times as ISO strings', () => {
+    const details = parseEventDetails(toDocument(mockHTML));
+    expect(details.startTime).toBe('2025-12-04T15:00:00.000Z');
+    expect(details.endTime).toBe('2025-12-04T16:15:00.000Z');
+  });
+
+  test('falls back to JSON-LD when the DOM hooks are missing', () => {
+    const html = mockHTML.replace(/<body>[\s\S]*<\/body>/, '<body></body>');
+    const details = parseEventDetails(toDocument(html));
+
+    expect(details.hosts).toEqual(['Cole Medin', 'Jane Doe']);
+    expect(details.meetingUrl).toBe('https://zoom.us/j/123456789');
+    expect(details.startTime).toBe('2025-12-04T15:00:00.000Z');
+  });
+
+  test('falls back to Open Graph meta tags', () => {
+    const details = parseEventDetails(toDocument(`
+      <html><head>
+        <meta property="og:description" content="A short summary">
+      </head><body></body></html>
+    `));
+
+    expect(details.description).toBe('A short summary');
+  });
+
+  test('finds meeting links among ordinary anchors', () => {
+    const details = parseEventDetails(toDocument(`
+      <a href="https://example.com/docs">Docs</a>
+      <a href="https://us02web.zoom.us/j/987">Zoom</a>
+    `));
+    expect(details.meetingUrl).toBe('https://us02web.zoom.us/j/987');
+  });
+
+  test('ignores malformed JSON-LD and invalid dates', () => {
+    const details = parseEventDetails(toDocument(`
+      <script type="application/ld+json">{ not json</script>
+      <script type="application/ld+json">{"@type": "Event", "startDate": "soon"}</script>
+    `));
+    expect(details.startTime).toBeUndefined();
+  });
+
+  test('returns an empty object for a page without event data', () => {
+    expect(parseEventDetails(toDocument('<p>Nothing here</p>'))).toEqual({});
+  });
+});
+
+describe('fetchEventDetails', () => {
+  test('fetches the page with credentials and parses it', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({
+      ok: true,
+      text: () => Promise.resolve(mockHTML)
+    });
+
+    const details = await fetchEventDetails('/c/live-events/office-hours', fetchImpl);
+
+    expect(fetchImpl).toHaveBeenCalledWith('/c/live-events/office-hours', { credentials: 'include' });
+    expect(details.hosts).toEqual(['Cole Medin', 'Jane Doe']);
+  });
+
+  test('rejects when the page cannot be loaded', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+
+    await expect(fetchEventDetails('/missing', fetchImpl)).rejects.toThrow('Failed to load event page (404)');
+  });
+});
+
+describe('mergeEventDetails', () => {
+  test('copies found details onto the event in place', () => {
+    const event = { title: 'Office Hours', location: 'Virtual' };
+    const result = mergeEventDetails(event, { hosts: ['Jane Doe'], description: 'Agenda', meetingUrl: null });
+
+    expect(result).toBe(event);
+    expect(event).toEqual({ title: 'Office Hours', location: 'Virtual', hosts: ['Jane Doe'], description: 'Agenda' });
+  });
+
+  test('leaves the event untouched when there are no details', () => {
+    const event = { title: 'Office Hours' };
+    expect(mergeEventDetails(event, undefined)).toEqual({ title: 'Office Hours' });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for the exporter registry and the built-in exporters
+ */
+
+const {
+  DEFAULT_CAPABILITIES,
+  registerExporter,
+  unregisterExporter,
+  getExporter,
+  getRemoteExporter,
+  getExporters
+} = require('../src/exporters');
+const { DEFAULT_SETTINGS } = require('../src/settings');
+
+const event = {
+  title: 'Office Hours',
+  slug: 'office-hours-9f3e21',
+  description: 'Weekly Q&A',
+  location: 'Zoom',
+  url: 'https://community.dynamous.ai/c/live-events/office-hours-9f3e21',
+  startDate: new Date('2025-12-09T19:00:00Z'),
+  endDate: new Date('2025-12-09T20:00:00Z'),
+  sequence: 0
+};
+
+/**
+ * Builds an export context with spies for the popup helpers
+ */
+const createContext = (settings = {}, bulk = false) => ({
+  settings: { ...DEFAULT_SETTINGS, ...settings },
+  bulk,
+  openUrl: jest.fn(),
+  downloadICS: jest.fn()
+});
+
+describe('registry', () => {
+  afterEach(() => {
+    unregisterExporter('webhook');
+  });
+
+  test('fills in the default capabilities and availability', () => {
+    const exporter = registerExporter({ id: 'webhook', label: 'Webhook', export: jest.fn() });
+
+    expect(exporter.capabilities).toEqual(DEFAULT_CAPABILITIES);
+    expect(exporter.remote).toBe(false);
+    expect(getExporter('webhook', DEFAULT_SETTINGS)).toBe(exporter);
+  });
+
+  test('rejects incomplete exporters', () => {
+    expect(() => registerExporter({ id: 'webhook', label: 'Webhook' }))
+      .toThrow('An exporter needs an id, a label and an export function');
+    expect(() => registerExporter({ id: 'webhook', label: 'Webhook', export: jest.fn(), capabilities: { cancel: true } }))
+      .toThrow('Exporter "webhook" can cancel but has no cancel function');
+  });
+
+  test('skips exporters that are not available', () => {
+    registerExporter({ id: 'webhook', label: 'Webhook', export: jest.fn(), isAvailable: settings => settings.webhookUrl });
+
+    expect(getExporter('webhook', DEFAULT_SETTINGS)).toBeUndefined();
+    expect(getExporter('webhook', { ...DEFAULT_SETTINGS, webhookUrl: 'https://example.com/hook' }).label).toBe('Webhook');
+    expect(getExporter('webhook').label).toBe('Webhook');
+  });
+
+  test('lists the exporters that repeat a series', () => {
+    const series = getExporters(DEFAULT_SETTINGS, 'series');
+    expect(series.map(exporter => exporter.id)).toEqual(['google', 'ics']);
+    expect(series.map(exporter => exporter.capabilities.seriesExceptions)).toEqual([false, true]);
+
+    expect(getExporter('google', { ...DEFAULT_SETTINGS, googleApiEnabled: true }).capabilities.series).toBe(true);
+    expect(getExporter('outlook', { ...DEFAULT_SETTINGS, microsoftApiEnabled: true }).capabilities.series).toBe(false);
+  });
+
+  test('lists one available exporter per id, filtered by capability', () => {
+    const ids = getExporters(DEFAULT_SETTINGS).map(exporter => exporter.id);
+    expect(ids).toEqual(['google', 'outlook', 'outlook-live', 'office365', 'yahoo', 'zoho', 'ics']);
+
+    expect(getExporters(DEFAULT_SETTINGS, 'bulk').map(exporter => exporter.id)).toEqual(['ics']);
+    expect(getExporters({ ...DEFAULT_SETTINGS, caldavEnabled: true }, 'bulk').map(exporter => exporter.id))
+      .toEqual(['ics', 'caldav']);
+  });
+
+  test('a calendar API takes over its link once it is set up', () => {
+    expect(getExporter('google', DEFAULT_SETTINGS)).toMatchObject({ label: 'Google', remote: false });
+    expect(getExporter('google', { ...DEFAULT_SETTINGS, googleApiEnabled: true }))
+      .toMatchObject({ label: 'Google Calendar', remote: true });
+    expect(getRemoteExporter('google').label).toBe('Google Calendar');
+    expect(getRemoteExporter('yahoo')).toBeUndefined();
+  });
+});
+
+describe('built-in exporters', () => {
+  test('link exporters open their deep link', async () => {
+    const context = createContext();
+
+    const results = await getExporter('yahoo', context.settings).export([{ event }], context);
+
+    expect(results).toEqual([{ event }]);
+    expect(context.openUrl.mock.calls[0][0]).toMatch(/^https:\/\/calendar\.yahoo\.com\//);
+  });
+
+  test('ICS downloads one file per event, or one file for a bulk export', async () => {
+    const ics = getExporter('ics', DEFAULT_SETTINGS);
+    const other = { ...event, title: 'Hangout', slug: 'hangout-1' };
+
+    const single = createContext();
+    await ics.export([{ event }], single);
+    expect(single.downloadICS).toHaveBeenCalledWith(expect.stringContaining('BEGIN:VCALENDAR'), 'Office Hours');
+
+    const bulk = createContext({}, true);
+    await ics.export([{ event }, { event: other }], bulk);
+    expect(bulk.downloadICS).toHaveBeenCalledTimes(1);
+    expect(bulk.downloadICS.mock.calls[0][0].match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(bulk.downloadICS.mock.calls[0][1]).toBe('dynamous-events');
+  });
+
+  test('ICS cancels with a METHOD:CANCEL file', async () => {
+    const context = createContext({ timeZoneMode: 'tzid', timeZone: 'America/New_York' });
+
+    const message = await getExporter('ics', context.settings).cancel([{ event }], context);
+
+    expect(message).toBe('Cancellation downloaded');
+    const [content, name] = context.downloadICS.mock.calls[0];
+    expect(content).toContain('METHOD:CANCEL');
+    expect(content).toContain('TZID=America/New_York');
+    expect(name).toBe('Office Hours-cancelled');
+  });
+
+  test('CalDAV deletes what it stored with the ETag', async () => {
+    const fetchMock = jest.fn().mockResolvedValue({ ok: true, status: 204 });
+    global.fetch = fetchMock;
+    const context = createContext({ caldavEnabled: true, caldavCollectionUrl: 'http://localhost:5232/user/calendar/' });
+
+    await getExporter('caldav', context.settings).cancel([{ event, eventId: 'http://localhost:5232/user/calendar/a.ics', etag: '"v1"' }], context);
+
+    expect(fetchMock.mock.calls[0][0]).toBe('http://localhost:5232/user/calendar/a.ics');
+    expect(fetchMock.mock.calls[0][1].headers['If-Match']).toBe('"v1"');
+    delete global.fetch;
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for full page scanning (Load more / infinite scroll)
+ */
+
+const { runFullScan } = require('../src/fullScan');
+
+/**
+ * Builds a fake event
+ */
+function makeEvent(n) {
+  return { title: `Event ${n}`, slug: `event-${n}`, dateTimeStr: 'Thursday, Dec 4, 10:00 AM EST' };
+}
+
+/**
+ * Simulates a paginated list: `pages` batches of `perPage` events,
+ * revealed one batch per "Load more" click
+ */
+function setupLoadMoreList(pages, perPage) {
+  let shown = 1;
+  document.body.innerHTML = '<div id="list"></div><button id="more">Load more</button>';
+
+  const button = document.getElementById('more');
+  button.addEventListener('click', () => {
+    shown = Math.min(shown + 1, pages);
+    if (shown === pages) button.remove();
+  });
+
+  return () => Array.from({ length: shown * perPage }, (_, i) => makeEvent(i + 1));
+}
+
+describe('runFullScan', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('clicks "Load more" until every page is loaded', async () => {
+    const scrape = setupLoadMoreList(4, 3);
+
+    const result = await runFullScan({ scrape, settleMs: 0 });
+
+    expect(result.events).toHaveLength(12);
+    expect(result.complete).toBe(true);
+  });
+
+  test('stops after idle rounds when infinite scroll runs dry', async () => {
+    const scrape = jest.fn(() => [makeEvent(1), makeEvent(2)]);
+
+    const result = await runFullScan({ scrape, settleMs: 0, idleRounds: 2 });
+
+    expect(result.events).toHaveLength(2);
+    expect(result.rounds).toBe(2);
+    expect(result.complete).toBe(true);
+  });
+
+  test('keeps events that scrolled out of a virtualized list', async () => {
+    let call = 0;
+    const batches = [
+      [makeEvent(1), makeEvent(2)],
+      [makeEvent(2), makeEvent(3)],
+      [makeEvent(3), makeEvent(4)]
+    ];
+    const scrape = () => batches[Math.min(call++, batches.length - 1)];
+
+    const result = await runFullScan({ scrape, settleMs: 0 });
+
+    expect(result.events.map(e => e.slug)).toEqual(['event-1', 'event-2', 'event-3', 'event-4']);
+  });
+
+  test('deduplicates by slug, keeping the latest copy', async () => {
+    let call = 0;
+    const scrape = () => {
+      call++;
+      return [{ ...makeEvent(1), rsvpStatus: call > 1 ? 'going' : 'none' }];
+    };
+
+    const result = await runFullScan({ scrape, settleMs: 0 });
+
+    expect(result.events).toHaveLength(1);
+    expect(result.events[0].rsvpStatus).toBe('going');
+  });
+
+  test('stops at maxRounds and reports an incomplete scan', async () => {
+    let n = 0;
+    const scrape = () => [makeEvent(++n)];
+
+    const result = await runFullScan({ scrape, settleMs: 0, maxRounds: 3 });
+
+    expect(result.rounds).toBe(3);
+    expect(result.events).toHaveLength(4);
+    expect(result.complete).toBe(false);
+  });
+
+  test('stops at maxEvents', async () => {
+    const scrape = setupLoadMoreList(10, 5);
+
+    const result = await runFullScan({ scrape, settleMs: 0, maxEvents: 12 });
+
+    expect(result.events).toHaveLength(12);
+    expect(result.complete).toBe(false);
+  });
+
+  test('reports progress after every round', async () => {
+    const scrape = setupLoadMoreList(3, 2);
+    const onProgress = jest.fn();
+
+    await runFullScan({ scrape, settleMs: 0, onProgress });
+
+    expect(onProgress).toHaveBeenNthCalledWith(1, { round: 0, found: 2 });
+    expect(onProgress).toHaveBeenNthCalledWith(2, { round: 1, found: 4 });
+    expect(onProgress).toHaveBeenNthCalledWith(3, { round: 2, found: 6 });
+  });
+
+  test('ignores disabled "Load more" buttons', async () => {
+    document.body.innerHTML = '<button disabled>Load more</button>';
+    const button = document.querySelector('button');
+    const click = jest.spyOn(button, 'click');
+
+    await runFullScan({ scrape: () => [makeEvent(1)], settleMs: 0 });
+
+    expect(click).not.toHaveBeenCalled();
+  });
+
+  test('restores the scroll position', async () => {
+    const scrollElement = document.scrollingElement || document.documentElement;
+    scrollElement.scrollTop = 0;
+
+    await runFullScan({ scrape: () => [makeEvent(1)], settleMs: 0 });
+
+    expect(scrollElement.scrollTop).toBe(0);
+  });
+});
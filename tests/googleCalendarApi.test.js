@@ -0,0 +1,175 @@
+/**
+ * Tests for the Google Calendar API client
+ */
+
+const manifest = require('../manifest.json');
+const {
+  hasOAuthClientId,
+  getAuthToken,
+  toGoogleEvent,
+  createGoogleCalendarClient
+} = require('../src/googleCalendarApi');
+
+/**
+ * Builds a fetch Response-like object
+ */
+const response = (status, body) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  json: () => (body === undefined ? Promise.reject(new Error('no body')) : Promise.resolve(body))
+});
+
+const event = {
+  title: 'Office Hours',
+  slug: 'office-hours',
+  description: 'Weekly Q&A',
+  location: 'Zoom',
+  url: 'https://community.dynamous.ai/c/live-events/office-hours',
+  startDate: new Date('2025-12-04T15:00:00Z'),
+  endDate: new Date('2025-12-04T16:00:00Z'),
+  reminders: [{ minutes: 60, action: 'DISPLAY' }, { minutes: 15, action: 'AUDIO' }]
+};
+
+describe('toGoogleEvent', () => {
+  test('maps the event to a Calendar v3 resource', () => {
+    expect(toGoogleEvent(event)).toEqual({
+      summary: 'Office Hours',
+      description: 'Weekly Q&A',
+      location: 'Zoom',
+      start: { dateTime: '2025-12-04T15:00:00.000Z' },
+      end: { dateTime: '2025-12-04T16:00:00.000Z' },
+      source: { title: 'Dynamous Community', url: event.url },
+      reminders: {
+        useDefault: false,
+        overrides: [{ method: 'popup', minutes: 60 }, { method: 'popup', minutes: 15 }]
+      },
+      extendedProperties: { private: { dynacalSlug: 'office-hours' } }
+    });
+  });
+
+  test('writes a series rule in its time zone', () => {
+    const resource = toGoogleEvent({ ...event, rrule: 'FREQ=WEEKLY;BYDAY=TH;COUNT=3', timeZone: 'America/New_York' });
+
+    expect(resource.recurrence).toEqual(['RRULE:FREQ=WEEKLY;BYDAY=TH;COUNT=3']);
+    expect(resource.start.timeZone).toBe('America/New_York');
+  });
+});
+
+describe('createGoogleCalendarClient', () => {
+  let fetchImpl;
+  let client;
+
+  beforeEach(() => {
+    fetchImpl = jest.fn();
+    client = createGoogleCalendarClient({
+      baseUrl: 'http://localhost:8080/calendar/v3/',
+      calendarId: 'team@group.calendar.google.com',
+      fetchImpl,
+      getToken: jest.fn().mockResolvedValue('token-1'),
+      dropToken: jest.fn().mockResolvedValue()
+    });
+  });
+
+  test('inserts an event into the chosen calendar', async () => {
+    fetchImpl.mockResolvedValue(response(200, { id: 'evt1' }));
+
+    const saved = await client.insertEvent(event);
+
+    expect(saved.id).toBe('evt1');
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe('http://localhost:8080/calendar/v3/calendars/team%40group.calendar.google.com/events');
+    expect(init.method).toBe('POST');
+    expect(init.headers.Authorization).toBe('Bearer token-1');
+    expect(JSON.parse(init.body).summary).toBe('Office Hours');
+  });
+
+  test('updates and deletes by event ID', async () => {
+    fetchImpl.mockResolvedValueOnce(response(200, { id: 'evt1' }));
+    fetchImpl.mockResolvedValueOnce(response(204));
+
+    await client.updateEvent('evt1', event);
+    await client.deleteEvent('evt1');
+
+    expect(fetchImpl.mock.calls[0][0]).toMatch(/\/events\/evt1$/);
+    expect(fetchImpl.mock.calls[0][1].method).toBe('PUT');
+    expect(fetchImpl.mock.calls[1][1].method).toBe('DELETE');
+  });
+
+  test('treats deleting an event that is already gone as done', async () => {
+    fetchImpl.mockResolvedValue(response(410));
+    await expect(client.deleteEvent('evt1')).resolves.toBeUndefined();
+  });
+
+  test('gets a new token once when the old one is rejected', async () => {
+    const getToken = jest.fn().mockResolvedValueOnce('stale').mockResolvedValueOnce('fresh');
+    const dropToken = jest.fn().mockResolvedValue();
+    client = createGoogleCalendarClient({ fetchImpl, getToken, dropToken });
+    fetchImpl.mockResolvedValueOnce(response(401, {}));
+    fetchImpl.mockResolvedValueOnce(response(200, { id: 'evt1' }));
+
+    await client.insertEvent(event);
+
+    expect(dropToken).toHaveBeenCalledWith('stale');
+    expect(fetchImpl.mock.calls[1][1].headers.Authorization).toBe('Bearer fresh');
+    expect(fetchImpl.mock.calls[1][0]).toBe('https://www.googleapis.com/calendar/v3/calendars/primary/events');
+  });
+
+  test('throws the API error message with the status', async () => {
+    fetchImpl.mockResolvedValue(response(403, { error: { message: 'Insufficient Permission' } }));
+
+    await expect(client.insertEvent(event)).rejects.toMatchObject({
+      message: 'Insufficient Permission',
+      status: 403
+    });
+  });
+
+  test('lists writable calendars', async () => {
+    fetchImpl.mockResolvedValue(response(200, {
+      items: [{ id: 'me@gmail.com', summary: 'Me', primary: true, accessRole: 'owner' }, { id: 'team', summary: 'Team' }]
+    }));
+
+    expect(await client.listCalendars()).toEqual([
+      { id: 'me@gmail.com', summary: 'Me', primary: true },
+      { id: 'team', summary: 'Team', primary: false }
+    ]);
+    expect(fetchImpl.mock.calls[0][0]).toContain('/users/me/calendarList?minAccessRole=writer');
+  });
+});
+
+describe('hasOAuthClientId', () => {
+  test('rejects the placeholder manifest.json ships with', () => {
+    expect(hasOAuthClientId(manifest)).toBe(false);
+    expect(hasOAuthClientId({})).toBe(false);
+  });
+
+  test('accepts a real client ID', () => {
+    expect(hasOAuthClientId({ oauth2: { client_id: '123-abc.apps.googleusercontent.com' } })).toBe(true);
+  });
+});
+
+describe('getAuthToken', () => {
+  afterEach(() => {
+    delete global.chrome.identity;
+    delete global.chrome.runtime.lastError;
+  });
+
+  test('resolves with the token from chrome.identity', async () => {
+    global.chrome.identity = {
+      getAuthToken: jest.fn((details, callback) => callback({ token: 'abc' }))
+    };
+
+    await expect(getAuthToken()).resolves.toBe('abc');
+    expect(global.chrome.identity.getAuthToken.mock.calls[0][0]).toEqual({ interactive: true });
+  });
+
+  test('rejects when the user does not sign in', async () => {
+    global.chrome.identity = {
+      getAuthToken: jest.fn((details, callback) => {
+        global.chrome.runtime.lastError = { message: 'The user did not approve access.' };
+        callback(undefined);
+      })
+    };
+
+    await expect(getAuthToken()).rejects.toThrow('The user did not approve access.');
+  });
+});
@@ -1,10 +1,26 @@
-const { generateICS } = require('../src/utils/icsGenerator');
+const {
+  generateICS,
+  generateCalendarICS,
+  generateCancellationICS,
+  formatTrigger,
+  escapeICSText,
+  escapeICSUri,
+  foldLine
+} = require('../src/utils/icsGenerator');
+const { parseICS, validateICS } = require('../src/utils/icsParser');
+
+/**
+ * Counts the UTF-8 octets of a string (throws on a broken surrogate pair)
+ */
+function octets(text) {
+  return unescape(encodeURIComponent(text)).length;
+}
 
 describe('generateICS', () => {
   const baseEvent = {
     title: 'Community Hangout',
-    startDate: new Date(2025, 11, 15, 13, 0, 0), // Dec 15, 2025 1:00 PM
-    endDate: new Date(2025, 11, 15, 14, 0, 0),   // Dec 15, 2025 2:00 PM
+    startDate: new Date('2025-12-15T13:00:00-05:00'), // Dec 15, 2025 1:00 PM EST
+    endDate: new Date('2025-12-15T14:00:00-05:00'),   // Dec 15, 2025 2:00 PM EST
     location: 'Virtual',
     url: 'https://community.dynamous.ai/c/live-events/community-hangout-123'
   };
@@ -33,12 +49,12 @@ describe('generateICS', () => {
 
     test('contains DTSTART with correct format', () => {
       const ics = generateICS(baseEvent);
-      expect(ics).toContain('DTSTART:20251215T130000');
+      expect(ics).toContain('DTSTART:20251215T180000Z');
     });
 
     test('contains DTEND with correct format', () => {
       const ics = generateICS(baseEvent);
-      expect(ics).toContain('DTEND:20251215T140000');
+      expect(ics).toContain('DTEND:20251215T190000Z');
     });
 
     test('contains SUMMARY with event title', () => {
@@ -152,6 +168,200 @@ describe('generateICS', () => {
     });
   });
 
+  describe('UTF-8 folding and escaping', () => {
+    const emojiDescription = [
+      '🕐 Thursday, Dec 4, 10:00 AM – 11:00 AM EST',
+      '📍 Virtual; join from anywhere, any device',
+      '👤 Host: Cole Medin',
+      '✅ RSVP: Going',
+      '🎉'.repeat(40),
+      'Ünïcödé ñ ü — “quotes” ' + 'é'.repeat(60)
+    ].join('\r\n');
+
+    test('folds lines at 75 octets, not 75 characters', () => {
+      const ics = generateICS({ ...baseEvent, description: emojiDescription });
+
+      ics.split('\r\n').forEach(line => {
+        expect(octets(line)).toBeLessThanOrEqual(75);
+      });
+    });
+
+    test('never splits a character across folded lines', () => {
+      const folded = foldLine(`DESCRIPTION:${'🎉'.repeat(40)}`);
+
+      folded.split('\r\n').forEach(line => {
+        expect(() => octets(line)).not.toThrow();
+        expect(line.replace(/^ /, '')).toMatch(/^(DESCRIPTION:)?(🎉)*$/);
+      });
+    });
+
+    test('fills continuation lines up to 75 octets including the leading space', () => {
+      const lines = foldLine('X'.repeat(200)).split('\r\n');
+      expect(lines.map(line => line.length)).toEqual([75, 75, 52]);
+    });
+
+    test('leaves short lines untouched', () => {
+      expect(foldLine('SUMMARY:Hi')).toBe('SUMMARY:Hi');
+    });
+
+    test('escapes carriage returns as newlines', () => {
+      expect(escapeICSText('one\r\ntwo\rthree\nfour')).toBe('one\\ntwo\\nthree\\nfour');
+    });
+
+    test('drops control characters that TEXT cannot hold', () => {
+      expect(escapeICSText('bell\u0007 tab\tkept')).toBe('bell tab\tkept');
+    });
+
+    test('percent-encodes characters URIs cannot hold', () => {
+      expect(escapeICSUri('https://example.com/a b?q="x"&r=ü'))
+        .toBe('https://example.com/a%20b?q=%22x%22&r=%C3%BC');
+      expect(escapeICSUri('https://example.com/a,b;c')).toBe('https://example.com/a,b;c');
+    });
+
+    test('replaces half surrogate pairs instead of throwing', () => {
+      expect(escapeICSUri('https://example.com/\uD83D?x=\uDE00')).toBe('https://example.com/%EF%BF%BD?x=%EF%BF%BD');
+      expect(escapeICSUri('https://example.com/\uD83D\uDE00')).toBe('https://example.com/%F0%9F%98%80');
+    });
+
+    test('writes an escaped URL', () => {
+      const ics = generateICS({ ...baseEvent, url: 'https://community.dynamous.ai/c/live-events/a b' });
+      expect(ics).toContain('URL:https://community.dynamous.ai/c/live-events/a%20b');
+    });
+
+    test('round-trips text values through unfolding and unescaping', () => {
+      const event = {
+        ...baseEvent,
+        title: 'Q&A: agents, tools; and C:\\paths 🚀',
+        location: 'Zoom, Room #1; 🎥',
+        description: emojiDescription
+      };
+
+      const { events: [parsed], errors } = parseICS(generateICS(event));
+
+      expect(errors).toEqual([]);
+      expect(parsed.summary).toBe(event.title);
+      expect(parsed.location).toBe(event.location);
+      expect(parsed.description).toBe(emojiDescription.replace(/\r\n/g, '\n'));
+    });
+  });
+
+  describe('UID and SEQUENCE', () => {
+    test('derives the UID from the slug and community host', () => {
+      const ics = generateICS({ ...baseEvent, slug: 'community-hangout-123' });
+      expect(ics).toContain('UID:community-hangout-123@community.dynamous.ai');
+    });
+
+    test('gives the same event the same UID on every export', () => {
+      const event = { ...baseEvent, slug: 'community-hangout-123' };
+      const uid1 = generateICS(event).match(/UID:(.+)/)[1];
+      const uid2 = generateICS({ ...event, title: 'Renamed Hangout' }).match(/UID:(.+)/)[1];
+      expect(uid1).toBe(uid2);
+    });
+
+    test('uses a stable fallback UID when there is no slug', () => {
+      const uid1 = generateICS(baseEvent).match(/UID:(.+)/)[1];
+      const uid2 = generateICS(baseEvent).match(/UID:(.+)/)[1];
+      expect(uid1).toBe(uid2);
+      expect(uid1).toMatch(/-20251215T180000Z@community\.dynamous\.ai$/);
+    });
+
+    test('writes SEQUENCE 0 by default', () => {
+      expect(generateICS(baseEvent)).toContain('SEQUENCE:0');
+    });
+
+    test('writes the given SEQUENCE', () => {
+      expect(generateICS({ ...baseEvent, sequence: 3 })).toContain('SEQUENCE:3');
+    });
+  });
+
+  describe('VALARM reminders', () => {
+    test('emits no alarms without reminders', () => {
+      expect(generateICS(baseEvent)).not.toContain('BEGIN:VALARM');
+    });
+
+    test('emits one VALARM per reminder inside the VEVENT', () => {
+      const ics = generateICS({
+        ...baseEvent,
+        reminders: [
+          { minutes: 1440, action: 'DISPLAY' },
+          { minutes: 15, action: 'AUDIO' }
+        ]
+      });
+
+      expect(ics.match(/BEGIN:VALARM/g)).toHaveLength(2);
+      expect(ics.indexOf('END:VALARM')).toBeLessThan(ics.indexOf('END:VEVENT'));
+      expect(ics).toContain('BEGIN:VALARM\r\nACTION:DISPLAY\r\nTRIGGER:-P1D\r\nDESCRIPTION:Community Hangout\r\nEND:VALARM');
+      expect(ics).toContain('BEGIN:VALARM\r\nACTION:AUDIO\r\nTRIGGER:-PT15M\r\nEND:VALARM');
+    });
+
+    test('formats reminder offsets as RFC 5545 durations', () => {
+      expect(formatTrigger(15)).toBe('-PT15M');
+      expect(formatTrigger(60)).toBe('-PT1H');
+      expect(formatTrigger(90)).toBe('-PT1H30M');
+      expect(formatTrigger(1440)).toBe('-P1D');
+      expect(formatTrigger(1530)).toBe('-P1DT1H30M');
+      expect(formatTrigger(0)).toBe('PT0M');
+    });
+
+    test('leaves alarms out of cancellations', () => {
+      const ics = generateCancellationICS([{ ...baseEvent, reminders: [{ minutes: 15, action: 'DISPLAY' }] }]);
+      expect(ics).not.toContain('BEGIN:VALARM');
+    });
+  });
+
+  describe('time zone modes', () => {
+    test('writes UTC times without a VTIMEZONE by default', () => {
+      const ics = generateICS(baseEvent);
+      expect(ics).toContain('DTSTART:20251215T180000Z');
+      expect(ics).not.toContain('BEGIN:VTIMEZONE');
+    });
+
+    test('writes TZID local times with a matching VTIMEZONE', () => {
+      const ics = generateICS(baseEvent, { timeZone: 'America/New_York' });
+
+      expect(ics).toContain('DTSTART;TZID=America/New_York:20251215T130000');
+      expect(ics).toContain('DTEND;TZID=America/New_York:20251215T140000');
+      expect(ics).toContain('BEGIN:VTIMEZONE\r\nTZID:America/New_York');
+      expect(ics.indexOf('END:VTIMEZONE')).toBeLessThan(ics.indexOf('BEGIN:VEVENT'));
+    });
+
+    test('keeps DTSTAMP in UTC in TZID mode', () => {
+      const ics = generateICS(baseEvent, { timeZone: 'Europe/Paris' });
+      expect(ics).toMatch(/DTSTAMP:\d{8}T\d{6}Z/);
+    });
+  });
+
+  describe('recurring series', () => {
+    const master = {
+      ...baseEvent,
+      slug: 'series-community-hangout',
+      rrule: 'FREQ=WEEKLY;BYDAY=MO;COUNT=4',
+      exdates: [new Date('2025-12-22T18:00:00Z'), new Date('2025-12-29T18:00:00Z')]
+    };
+
+    test('writes RRULE and EXDATE on the master event', () => {
+      const ics = generateICS(master);
+      expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=4');
+      expect(ics).toContain('EXDATE:20251222T180000Z,20251229T180000Z');
+    });
+
+    test('writes EXDATE and RECURRENCE-ID with TZID in TZID mode', () => {
+      const override = {
+        ...baseEvent,
+        slug: master.slug,
+        startDate: new Date('2026-01-05T19:00:00Z'),
+        endDate: new Date('2026-01-05T20:00:00Z'),
+        recurrenceId: new Date('2026-01-05T18:00:00Z')
+      };
+      const ics = generateCalendarICS([master, override], { timeZone: 'America/New_York' });
+
+      expect(ics).toContain('EXDATE;TZID=America/New_York:20251222T130000,20251229T130000');
+      expect(ics).toContain('RECURRENCE-ID;TZID=America/New_York:20260105T130000');
+      expect(ics.match(/^UID:series-community-hangout@/gm)).toHaveLength(2);
+      expect(validateICS(ics)).toEqual([]);
+    });
+  });
+
   describe('generateICSFile helper', () => {
     test('generates unique UIDs for different events', () => {
       const event1 = { ...baseEvent, title: 'Event 1' };
@@ -167,3 +377,118 @@ describe('generateICS', () => {
     });
   });
 });
+
+describe('generateCalendarICS', () => {
+  const events = [
+    {
+      title: 'Agentic Coding Office Hours',
+      startDate: new Date('2025-12-04T10:00:00-05:00'),
+      endDate: new Date('2025-12-04T11:00:00-05:00'),
+      location: 'Virtual'
+    },
+    {
+      title: 'Community Hangout',
+      startDate: new Date('2025-12-08T13:00:00-05:00'),
+      endDate: new Date('2025-12-08T14:00:00-05:00')
+    }
+  ];
+
+  test('wraps all events in a single VCALENDAR', () => {
+    const ics = generateCalendarICS(events);
+    expect(ics.match(/BEGIN:VCALENDAR/g)).toHaveLength(1);
+    expect(ics.match(/END:VCALENDAR/g)).toHaveLength(1);
+  });
+
+  test('emits one VEVENT per event', () => {
+    const ics = generateCalendarICS(events);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(ics.match(/END:VEVENT/g)).toHaveLength(2);
+    expect(ics).toContain('SUMMARY:Agentic Coding Office Hours');
+    expect(ics).toContain('SUMMARY:Community Hangout');
+    expect(ics).toContain('DTSTART:20251204T150000Z');
+    expect(ics).toContain('DTSTART:20251208T180000Z');
+  });
+
+  test('gives each VEVENT its own UID', () => {
+    const ics = generateCalendarICS(events);
+    const uids = ics.match(/^UID:.+$/gm);
+    expect(uids).toHaveLength(2);
+    expect(uids[0]).not.toBe(uids[1]);
+  });
+
+  test('produces an empty calendar for an empty list', () => {
+    const ics = generateCalendarICS([]);
+    expect(ics).toContain('BEGIN:VCALENDAR');
+    expect(ics).not.toContain('BEGIN:VEVENT');
+  });
+
+  test('generateICS output matches a one-event calendar', () => {
+    const single = generateICS(events[0]).replace(/^(UID|DTSTAMP):.*$/gm, '');
+    const bulk = generateCalendarICS([events[0]]).replace(/^(UID|DTSTAMP):.*$/gm, '');
+    expect(single).toBe(bulk);
+  });
+});
+
+describe('generateCancellationICS', () => {
+  const event = {
+    title: 'Office Hours',
+    slug: 'office-hours-9f3e21',
+    url: 'https://community.dynamous.ai/c/live-events/office-hours-9f3e21',
+    startDate: new Date('2025-12-09T19:00:00Z'),
+    endDate: new Date('2025-12-09T20:00:00Z'),
+    sequence: 2
+  };
+
+  test('uses METHOD:CANCEL and marks the event cancelled', () => {
+    const ics = generateCancellationICS([event]);
+    expect(ics).toContain('METHOD:CANCEL');
+    expect(ics).toContain('STATUS:CANCELLED');
+  });
+
+  test('keeps the UID and sequence of the original export', () => {
+    const ics = generateCancellationICS([event]);
+    expect(ics).toContain('UID:office-hours-9f3e21@community.dynamous.ai');
+    expect(ics).toContain('SEQUENCE:2');
+  });
+
+  test('regular calendars are published', () => {
+    const ics = generateCalendarICS([event]);
+    expect(ics).toContain('METHOD:PUBLISH');
+    expect(ics).not.toContain('STATUS:CANCELLED');
+  });
+});
+
+describe('generated files pass validation', () => {
+  const event = {
+    title: 'Agentic Coding Office Hours',
+    slug: 'agentic-coding-office-hours-4b2f',
+    url: 'https://community.dynamous.ai/c/live-events/agentic-coding-office-hours-4b2f',
+    startDate: new Date('2026-03-05T15:00:00Z'),
+    endDate: new Date('2026-03-05T16:00:00Z'),
+    location: 'Zoom; main room',
+    description: '🕐 Thursday, Mar 5\n📍 Zoom\n' + '✅'.repeat(60),
+    sequence: 1,
+    reminders: [{ minutes: 1440, action: 'DISPLAY' }, { minutes: 10, action: 'AUDIO' }]
+  };
+
+  test.each([
+    ['UTC single event', () => generateICS(event)],
+    ['TZID single event', () => generateICS(event, { timeZone: 'America/New_York' })],
+    ['TZID across a DST change', () => generateCalendarICS([
+      event,
+      { ...event, slug: 'later', startDate: new Date('2026-03-12T14:00:00Z'), endDate: new Date('2026-03-12T15:00:00Z') }
+    ], { timeZone: 'Europe/London' })],
+    ['cancellation', () => generateCancellationICS([event])],
+    ['empty calendar', () => generateCalendarICS([])]
+  ])('%s', (name, build) => {
+    expect(validateICS(build())).toEqual([]);
+  });
+
+  test('times read back as the same instants in TZID mode', () => {
+    const { events: [parsed] } = parseICS(generateICS(event, { timeZone: 'Asia/Kolkata' }));
+
+    expect(parsed.startDate.toISOString()).toBe('2026-03-05T15:00:00.000Z');
+    expect(parsed.endDate.toISOString()).toBe('2026-03-05T16:00:00.000Z');
+    expect(parsed.alarms.map(alarm => alarm.minutesBefore)).toEqual([1440, 10]);
+  });
+});
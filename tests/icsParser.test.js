@@ -0,0 +1,199 @@
+/**
+ * Tests for the ICS reader and validator
+ */
+
+const {
+  unfoldLines,
+  parseContentLine,
+  unescapeText,
+  parseDateValue,
+  parseDuration,
+  parseICS,
+  validateICS,
+  findCommunityEvents
+} = require('../src/utils/icsParser');
+
+/**
+ * Joins lines into an ICS file with CRLF endings
+ */
+function ics(lines) {
+  return lines.join('\r\n');
+}
+
+const validCalendar = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Test//EN',
+  'BEGIN:VTIMEZONE',
+  'TZID:America/New_York',
+  'BEGIN:STANDARD',
+  'DTSTART:20251102T020000',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+  'BEGIN:VEVENT',
+  'UID:office-hours-9f3e21@community.dynamous.ai',
+  'SEQUENCE:2',
+  'DTSTAMP:20251201T000000Z',
+  'DTSTART;TZID=America/New_York:20251209T140000',
+  'DTEND;TZID=America/New_York:20251209T150000',
+  'SUMMARY:Office Hours\\, Q&A\; live',
+  'DESCRIPTION:Line one\\nLine two with a long tail that was folded over two l',
+  ' ines',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'TRIGGER:-PT15M',
+  'DESCRIPTION:Office Hours',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:someone-else@example.com',
+  'DTSTAMP:20251201T000000Z',
+  'DTSTART:20251210T180000Z',
+  'END:VEVENT',
+  'END:VCALENDAR'
+];
+
+describe('unfoldLines', () => {
+  test('joins continuation lines and keeps the starting line number', () => {
+    const lines = unfoldLines('A:one\r\n two\r\nB:three');
+    expect(lines).toEqual([{ text: 'A:onetwo', line: 1 }, { text: 'B:three', line: 3 }]);
+  });
+});
+
+describe('parseContentLine', () => {
+  test('splits name, parameters and value', () => {
+    expect(parseContentLine('DTSTART;TZID=America/New_York:20251209T140000')).toEqual({
+      name: 'DTSTART',
+      params: { TZID: 'America/New_York' },
+      value: '20251209T140000'
+    });
+  });
+
+  test('allows colons inside quoted parameters and values', () => {
+    expect(parseContentLine('ATTENDEE;CN="Doe: Jane":mailto:jane@example.com')).toEqual({
+      name: 'ATTENDEE',
+      params: { CN: 'Doe: Jane' },
+      value: 'mailto:jane@example.com'
+    });
+  });
+
+  test('rejects lines without a value', () => {
+    expect(parseContentLine('NOT A PROPERTY')).toBeNull();
+  });
+});
+
+describe('value parsing', () => {
+  test('unescapes TEXT', () => {
+    expect(unescapeText('a\\, b\; c\\\\d\\ne')).toBe('a, b; c\\d\ne');
+  });
+
+  test('parses UTC, zoned and date-only values', () => {
+    expect(parseDateValue('20251209T190000Z').toISOString()).toBe('2025-12-09T19:00:00.000Z');
+    expect(parseDateValue('20251209T140000', { TZID: 'America/New_York' }).toISOString()).toBe('2025-12-09T19:00:00.000Z');
+    expect(parseDateValue('20260712T140000', { TZID: 'America/New_York' }).toISOString()).toBe('2026-07-12T18:00:00.000Z');
+    expect(parseDateValue('2025-12-09')).toBeNull();
+  });
+
+  test('parses durations in minutes', () => {
+    expect(parseDuration('-PT15M')).toBe(-15);
+    expect(parseDuration('-P1DT1H30M')).toBe(-1530);
+    expect(parseDuration('PT0M')).toBe(0);
+    expect(parseDuration('P1W')).toBe(10080);
+    expect(parseDuration('-P')).toBeNull();
+  });
+});
+
+describe('parseICS', () => {
+  test('reads events with unescaped text, zoned times and alarms', () => {
+    const { events, errors } = parseICS(ics(validCalendar));
+
+    expect(errors).toEqual([]);
+    expect(events).toHaveLength(2);
+    expect(events[0]).toMatchObject({
+      uid: 'office-hours-9f3e21@community.dynamous.ai',
+      sequence: 2,
+      summary: 'Office Hours, Q&A; live',
+      description: 'Line one\nLine two with a long tail that was folded over two lines',
+      alarms: [{ action: 'DISPLAY', minutesBefore: 15, description: 'Office Hours' }]
+    });
+    expect(events[0].startDate.toISOString()).toBe('2025-12-09T19:00:00.000Z');
+  });
+
+  test('keeps the component tree', () => {
+    const { calendars } = parseICS(ics(validCalendar));
+
+    expect(calendars).toHaveLength(1);
+    expect(calendars[0].components.map(c => c.type)).toEqual(['VTIMEZONE', 'VEVENT', 'VEVENT']);
+    expect(calendars[0].components[0].components[0].type).toBe('STANDARD');
+  });
+});
+
+describe('validateICS', () => {
+  /**
+   * Validates the sample calendar with some lines replaced or removed
+   */
+  function validateWith(changes) {
+    const lines = validCalendar
+      .map(line => (line in changes ? changes[line] : line))
+      .filter(line => line !== null);
+    return validateICS(ics(lines)).map(error => error.message);
+  }
+
+  test('accepts a valid calendar', () => {
+    expect(validateICS(ics(validCalendar))).toEqual([]);
+  });
+
+  test('reports missing required properties', () => {
+    expect(validateWith({ 'PRODID:-//Test//EN': null, 'UID:someone-else@example.com': null }))
+      .toEqual(['VCALENDAR is missing PRODID', 'VEVENT is missing UID']);
+  });
+
+  test('reports unbalanced components', () => {
+    expect(validateWith({ 'END:VALARM': null })).toContain('END:VEVENT does not close BEGIN:VALARM');
+  });
+
+  test('reports TZIDs without a VTIMEZONE', () => {
+    expect(validateWith({ 'TZID:America/New_York': 'TZID:Europe/Paris' }))
+      .toContain('DTSTART uses TZID America/New_York without a VTIMEZONE');
+  });
+
+  test('reports DISPLAY alarms without a description and bad triggers', () => {
+    expect(validateWith({ 'DESCRIPTION:Office Hours': null, 'TRIGGER:-PT15M': 'TRIGGER:soon' }))
+      .toEqual(['VALARM is missing DESCRIPTION', 'TRIGGER has an invalid duration: soon']);
+  });
+
+  test('reports malformed recurrence rules and exception dates', () => {
+    expect(validateWith({ 'UID:someone-else@example.com': 'UID:someone-else@example.com\r\nRRULE:BYDAY=TH\r\nEXDATE:20251217T180000Z,soon' }))
+      .toEqual(['RRULE has no valid FREQ: BYDAY=TH', 'EXDATE has an invalid date: soon']);
+  });
+
+  test('reports an end before the start', () => {
+    expect(validateWith({ 'DTEND;TZID=America/New_York:20251209T150000': 'DTEND;TZID=America/New_York:20251209T130000' }))
+      .toEqual(['DTEND is before DTSTART']);
+  });
+
+  test('reports over-long lines and bare LF line endings', () => {
+    const messages = validateWith({ 'SUMMARY:Office Hours\\, Q&A\; live': `SUMMARY:${'é'.repeat(40)}` });
+    expect(messages).toEqual(['Line is longer than 75 octets']);
+
+    expect(validateICS(validCalendar.join('\n')).map(e => e.message))
+      .toContain('Line ends with a bare LF instead of CRLF');
+  });
+
+  test('reports text that is not a calendar', () => {
+    expect(validateICS('hello').map(e => e.message)).toEqual(['Invalid content line: hello', 'No VCALENDAR found']);
+  });
+});
+
+describe('findCommunityEvents', () => {
+  test('picks events exported from the community and reads their slug', () => {
+    const { events } = parseICS(ics(validCalendar));
+
+    const found = findCommunityEvents(events);
+
+    expect(found).toHaveLength(1);
+    expect(found[0].slug).toBe('office-hours-9f3e21');
+  });
+});
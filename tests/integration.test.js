@@ -5,11 +5,16 @@
 
 const fs = require('fs');
 const path = require('path');
+const { validateICS } = require('../src/utils/icsParser');
 
 // Mock Chrome APIs before requiring modules that use them
 const mockChrome = {
   runtime: {
     onMessage: {
+      addListener: jest.fn(),
+      removeListener: jest.fn()
+    },
+    onConnect: {
       addListener: jest.fn()
     },
     sendMessage: jest.fn()
@@ -17,7 +22,8 @@ const mockChrome = {
   tabs: {
     query: jest.fn(),
     sendMessage: jest.fn(),
-    create: jest.fn()
+    create: jest.fn(),
+    connect: jest.fn()
   },
   storage: {
     local: {
@@ -29,6 +35,61 @@ const mockChrome = {
 
 global.chrome = mockChrome;
 
+/**
+ * Backs chrome.storage.local with a plain object, read and written by key
+ * @param {Object} [initial] - Values stored to begin with
+ * @returns {Object} The object holding everything stored
+ */
+function useStorage(initial = {}) {
+  const storage = { ...initial };
+  mockChrome.storage.local.get.mockImplementation((key, callback) => {
+    callback({ [key]: storage[key] });
+  });
+  mockChrome.storage.local.set.mockImplementation((data, callback) => {
+    Object.assign(storage, data);
+    if (callback) callback();
+  });
+  return storage;
+}
+
+/**
+ * Renders events as found by a complete "Load all events" scan of the list
+ * layout, the only scan that flags exported events missing from it
+ * @param {Array} events - Events the scan found
+ */
+function renderCompleteScan(events) {
+  const { setCompleteScan, renderEvents } = require('../src/popup');
+  setCompleteScan({ events, complete: true, layout: 'list' });
+  renderEvents(events);
+}
+
+// Lets pending promise callbacks (storage, exports) run
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Event most export tests start from, and a second one for bulk exports
+const officeHours = {
+  title: 'Office Hours',
+  slug: 'office-hours-9f3e21',
+  dateTimeStr: 'Tuesday, Dec 9, 2:00 – 3:00 PM EST',
+  location: 'Virtual',
+  url: '/c/live-events/office-hours-9f3e21',
+  rsvpStatus: 'going'
+};
+const hangout = { ...officeHours, title: 'Hangout', slug: 'hangout-1', url: '/c/live-events/hangout-1' };
+
+// Event fixtures are dated December 2025; pin "today" so year inference
+// treats them as upcoming regardless of when the suite runs
+beforeAll(() => {
+  jest.useFakeTimers({
+    now: new Date(2025, 11, 1),
+    doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask']
+  });
+});
+
+afterAll(() => {
+  jest.useRealTimers();
+});
+
 // TDD Cycle 5.1: Message passing
 describe('Chrome messaging', () => {
   beforeEach(() => {
@@ -74,6 +135,173 @@ describe('Chrome messaging', () => {
     expect(sendResponse.mock.calls[0][0].events.length).toBe(4);
   });
 
+  test('scan response includes extraction diagnostics', () => {
+    let messageHandler;
+    mockChrome.runtime.onMessage.addListener.mockImplementation((handler) => {
+      messageHandler = handler;
+    });
+
+    jest.isolateModules(() => {
+      require('../src/content');
+    });
+
+    document.body.innerHTML = fs.readFileSync(
+      path.join(__dirname, '../fixtures/mockEventsList.html'),
+      'utf8'
+    );
+
+    const sendResponse = jest.fn();
+    messageHandler({ action: 'scanEvents' }, {}, sendResponse);
+
+    const { diagnostics } = sendResponse.mock.calls[0][0];
+    expect(diagnostics.layoutChanged).toBe(false);
+    expect(diagnostics.cards).toHaveLength(4);
+  });
+
+  test('popup warns when the page layout changed', async () => {
+    document.body.innerHTML = '<div id="layout-warning" class="hidden"></div>';
+    mockChrome.tabs.query.mockImplementation((query, callback) => {
+      callback([{ id: 123 }]);
+    });
+    mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+      callback({ success: true, events: [], diagnostics: { layoutChanged: true } });
+    });
+
+    const { scanPageForEvents } = require('../src/popup');
+    await scanPageForEvents();
+
+    const warning = document.getElementById('layout-warning');
+    expect(warning.classList.contains('hidden')).toBe(false);
+    expect(warning.textContent).toContain('layout has changed');
+  });
+
+  test('popup hides the layout warning when the page reads cleanly', async () => {
+    document.body.innerHTML = '<div id="layout-warning">old warning</div>';
+    mockChrome.tabs.query.mockImplementation((query, callback) => {
+      callback([{ id: 123 }]);
+    });
+    mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+      callback({ success: true, events: [], diagnostics: { layoutChanged: false } });
+    });
+
+    const { scanPageForEvents } = require('../src/popup');
+    await scanPageForEvents();
+
+    const warning = document.getElementById('layout-warning');
+    expect(warning.classList.contains('hidden')).toBe(true);
+    expect(warning.textContent).toBe('');
+  });
+
+  test('content script scans the calendar grid layout', () => {
+    let messageHandler;
+    mockChrome.runtime.onMessage.addListener.mockImplementation((handler) => {
+      messageHandler = handler;
+    });
+
+    jest.isolateModules(() => {
+      require('../src/content');
+    });
+
+    document.body.innerHTML = fs.readFileSync(
+      path.join(__dirname, '../fixtures/mockCalendarGrid.html'),
+      'utf8'
+    );
+
+    const sendResponse = jest.fn();
+    messageHandler({ action: 'scanEvents' }, {}, sendResponse);
+
+    expect(sendResponse.mock.calls[0][0].success).toBe(true);
+    expect(sendResponse.mock.calls[0][0].events.length).toBe(6);
+  });
+
+  test('content script runs a full scan and reports progress', async () => {
+    let messageHandler;
+    mockChrome.runtime.onMessage.addListener.mockImplementation((handler) => {
+      messageHandler = handler;
+    });
+
+    jest.isolateModules(() => {
+      require('../src/content');
+    });
+
+    document.body.innerHTML = fs.readFileSync(
+      path.join(__dirname, '../fixtures/mockEventsList.html'),
+      'utf8'
+    );
+
+    const response = await new Promise((resolve) => {
+      messageHandler({ action: 'fullScan', options: { settleMs: 0 } }, {}, resolve);
+    });
+
+    expect(response.success).toBe(true);
+    expect(response.complete).toBe(true);
+    expect(response.events.length).toBe(4);
+    expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith(
+      { action: 'scanProgress', round: 0, found: 4 },
+      expect.any(Function)
+    );
+  });
+
+  test('popup full scan forwards progress and resolves with all events', async () => {
+    mockChrome.tabs.query.mockImplementation((query, callback) => {
+      callback([{ id: 123 }]);
+    });
+
+    const mockEvents = [{ title: 'Test Event', slug: 'test-event' }];
+    let progressListener;
+    mockChrome.runtime.onMessage.addListener.mockImplementation((listener) => {
+      progressListener = listener;
+    });
+    mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+      progressListener({ action: 'scanProgress', round: 1, found: 7 });
+      callback({ success: true, events: mockEvents, complete: true, diagnostics: { layout: 'list' } });
+    });
+
+    const { fullScanPageForEvents } = require('../src/popup');
+    const onProgress = jest.fn();
+    const result = await fullScanPageForEvents(onProgress);
+
+    expect(mockChrome.tabs.sendMessage).toHaveBeenCalledWith(
+      123,
+      { action: 'fullScan' },
+      expect.any(Function)
+    );
+    expect(onProgress).toHaveBeenCalledWith({ round: 1, found: 7 });
+    expect(mockChrome.runtime.onMessage.removeListener).toHaveBeenCalledWith(progressListener);
+    expect(result).toEqual({ events: mockEvents, complete: true, layout: 'list' });
+  });
+
+  test('"Load all events" runs the full scan and lists what it found', async () => {
+    useStorage();
+    document.body.innerHTML = '<div class="toolbar"><button id="full-scan">Load all events</button></div><div id="event-list"></div><div id="toast"></div>';
+    mockChrome.tabs.query.mockImplementation((query, callback) => {
+      callback([{ id: 123 }]);
+    });
+
+    let progressListener;
+    let buttonWhileScanning;
+    mockChrome.runtime.onMessage.addListener.mockImplementation((listener) => {
+      progressListener = listener;
+    });
+    mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+      if (message.action !== 'fullScan') return;
+      progressListener({ action: 'scanProgress', round: 1, found: 2 });
+      const scanning = document.getElementById('full-scan');
+      buttonWhileScanning = { disabled: scanning.disabled, text: scanning.textContent };
+      callback({ success: true, events: [officeHours, hangout], complete: true });
+    });
+
+    const { handleFullScan, setCompleteScan } = require('../src/popup');
+    await handleFullScan();
+    setCompleteScan();
+
+    expect(buttonWhileScanning).toMatchObject({ disabled: true, text: 'Loading... (2 found)' });
+    expect(document.querySelectorAll('.event-card')).toHaveLength(2);
+    const button = document.getElementById('full-scan');
+    expect(button.disabled).toBe(false);
+    expect(button.textContent).toBe('Load all events');
+  });
+
   test('content script handles unknown action gracefully', () => {
     let messageHandler;
     mockChrome.runtime.onMessage.addListener.mockImplementation((handler) => {
@@ -124,6 +352,300 @@ describe('Chrome messaging', () => {
   });
 });
 
+// Event detail page scraping
+describe('Event details', () => {
+  let storage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage = useStorage();
+  });
+
+  test('content script fetches detail pages for "scrapeEventDetails"', async () => {
+    let messageHandler;
+    mockChrome.runtime.onMessage.addListener.mockImplementation((handler) => {
+      messageHandler = handler;
+    });
+    jest.isolateModules(() => {
+      require('../src/content');
+    });
+
+    const detailHTML = fs.readFileSync(
+      path.join(__dirname, '../fixtures/mockEventDetail.html'),
+      'utf8'
+    );
+    global.fetch = jest.fn((url) => Promise.resolve(url.endsWith('/broken')
+      ? { ok: false, status: 500 }
+      : { ok: true, text: () => Promise.resolve(detailHTML) }));
+
+    const response = await new Promise((resolve) => {
+      const keepOpen = messageHandler({
+        action: 'scrapeEventDetails',
+        urls: ['https://community.dynamous.ai/c/live-events/office-hours', 'https://community.dynamous.ai/c/live-events/broken']
+      }, {}, resolve);
+      expect(keepOpen).toBe(true);
+    });
+
+    expect(response.success).toBe(true);
+    expect(response.details['https://community.dynamous.ai/c/live-events/office-hours'].hosts)
+      .toEqual(['Cole Medin', 'Jane Doe']);
+    expect(response.details['https://community.dynamous.ai/c/live-events/broken']).toBeUndefined();
+
+    delete global.fetch;
+  });
+
+  test('content script fetches only a few detail pages at a time', async () => {
+    let messageHandler;
+    mockChrome.runtime.onMessage.addListener.mockImplementation((handler) => {
+      messageHandler = handler;
+    });
+    jest.isolateModules(() => {
+      require('../src/content');
+    });
+
+    let running = 0;
+    let mostRunning = 0;
+    global.fetch = jest.fn(() => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      return new Promise(resolve => setTimeout(() => {
+        running--;
+        resolve({ ok: true, text: () => Promise.resolve('<html><body></body></html>') });
+      }, 0));
+    });
+
+    const urls = Array.from({ length: 6 }, (_, i) => `https://community.dynamous.ai/c/live-events/event-${i}`);
+    const response = await new Promise((resolve) => {
+      messageHandler({ action: 'scrapeEventDetails', urls }, {}, resolve);
+    });
+
+    expect(Object.keys(response.details)).toHaveLength(6);
+    expect(global.fetch).toHaveBeenCalledTimes(6);
+    expect(mostRunning).toBe(2);
+
+    delete global.fetch;
+  });
+
+  test('popup merges loaded details into the scanned events', async () => {
+    mockChrome.tabs.query.mockImplementation((query, callback) => {
+      callback([{ id: 123 }]);
+    });
+    mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+      callback({
+        success: true,
+        details: {
+          'https://community.dynamous.ai/c/live-events/office-hours': {
+            description: 'Live Q&A',
+            hosts: ['Jane Doe']
+          }
+        }
+      });
+    });
+
+    const { loadEventDetails } = require('../src/popup');
+    const event = { title: 'Office Hours', url: '/c/live-events/office-hours' };
+    const result = await loadEventDetails([event]);
+
+    expect(mockChrome.tabs.sendMessage).toHaveBeenCalledWith(
+      123,
+      { action: 'scrapeEventDetails', urls: ['https://community.dynamous.ai/c/live-events/office-hours'] },
+      expect.any(Function)
+    );
+    expect(result[0]).toBe(event);
+    expect(event.hosts).toEqual(['Jane Doe']);
+    expect(event.description).toBe('Live Q&A');
+  });
+
+  test('popup reuses details loaded on an earlier open', async () => {
+    mockChrome.tabs.query.mockImplementation((query, callback) => {
+      callback([{ id: 123 }]);
+    });
+    mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+      callback({
+        success: true,
+        details: { 'https://community.dynamous.ai/c/live-events/office-hours': { hosts: ['Jane Doe'] } }
+      });
+    });
+
+    const { loadEventDetails } = require('../src/popup');
+    await loadEventDetails([{ title: 'Office Hours', slug: 'office-hours', url: '/c/live-events/office-hours' }]);
+    expect(storage.eventDetails['office-hours'].details).toEqual({ hosts: ['Jane Doe'] });
+
+    const event = { title: 'Office Hours', slug: 'office-hours', url: '/c/live-events/office-hours' };
+    await loadEventDetails([event]);
+
+    expect(mockChrome.tabs.sendMessage).toHaveBeenCalledTimes(1);
+    expect(event.hosts).toEqual(['Jane Doe']);
+  });
+
+  test('popup loads details again once they are hours old', async () => {
+    storage.eventDetails = {
+      'office-hours': { details: { hosts: ['Old Host'] }, loadedAt: Date.now() - 7 * 60 * 60 * 1000 }
+    };
+    mockChrome.tabs.query.mockImplementation((query, callback) => {
+      callback([{ id: 123 }]);
+    });
+    mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+      callback({
+        success: true,
+        details: { 'https://community.dynamous.ai/c/live-events/office-hours': { hosts: ['Jane Doe'] } }
+      });
+    });
+
+    const { loadEventDetails } = require('../src/popup');
+    const event = { title: 'Office Hours', slug: 'office-hours', url: '/c/live-events/office-hours' };
+    await loadEventDetails([event]);
+
+    expect(event.hosts).toEqual(['Jane Doe']);
+    expect(storage.eventDetails['office-hours'].loadedAt).toBe(Date.now());
+  });
+
+  test('popup asks for at most 20 event pages at once', async () => {
+    mockChrome.tabs.query.mockImplementation((query, callback) => {
+      callback([{ id: 123 }]);
+    });
+    mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+      callback({ success: true, details: {} });
+    });
+
+    const { loadEventDetails } = require('../src/popup');
+    const events = Array.from({ length: 25 }, (_, i) => ({ title: `Event ${i}`, slug: `event-${i}`, url: `/c/live-events/event-${i}` }));
+    await loadEventDetails(events);
+
+    expect(mockChrome.tabs.sendMessage.mock.calls[0][1].urls).toHaveLength(20);
+  });
+
+  test('popup keeps card data when details cannot be loaded', async () => {
+    mockChrome.tabs.query.mockImplementation((query, callback) => {
+      callback([{ id: 123 }]);
+    });
+    mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+      mockChrome.runtime.lastError = { message: 'Could not establish connection' };
+      callback(undefined);
+      mockChrome.runtime.lastError = undefined;
+    });
+
+    const { loadEventDetails } = require('../src/popup');
+    const event = { title: 'Office Hours', url: '/c/live-events/office-hours' };
+    await loadEventDetails([event]);
+
+    expect(event).toEqual({ title: 'Office Hours', url: '/c/live-events/office-hours' });
+  });
+
+  test('popup redraws the cards once details are loaded', async () => {
+    document.body.innerHTML = '<div id="event-list"></div><div id="toast"></div>';
+    mockChrome.tabs.query.mockImplementation((query, callback) => {
+      callback([{ id: 123 }]);
+    });
+    mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+      callback({
+        success: true,
+        details: { 'https://community.dynamous.ai/c/live-events/office-hours': { startTime: '2025-12-04T15:00:00.000Z' } }
+      });
+    });
+
+    const { renderEvents, refreshEventDetails } = require('../src/popup');
+    const events = [{ title: 'Office Hours', slug: 'office-hours', url: '/c/live-events/office-hours', dateTimeStr: 'Soon' }];
+    renderEvents(events);
+    expect(document.querySelector('.date-warning').textContent).toContain('Date could not be read');
+
+    await refreshEventDetails(events);
+
+    expect(document.querySelector('.date-warning')).toBeNull();
+  });
+
+  test('popup logs a failed details load and keeps the list', async () => {
+    document.body.innerHTML = '<div id="event-list"></div><div id="toast"></div>';
+    mockChrome.tabs.query.mockImplementation((query, callback) => {
+      callback([{ id: 123 }]);
+    });
+    mockChrome.storage.local.get.mockImplementationOnce(() => {
+      throw new Error('Storage unavailable');
+    });
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { renderEvents, refreshEventDetails } = require('../src/popup');
+    const events = [{ title: 'Office Hours', slug: 'office-hours', url: '/c/live-events/office-hours', dateTimeStr: 'Soon' }];
+    renderEvents(events);
+    await refreshEventDetails(events);
+
+    expect(consoleError).toHaveBeenCalledWith('Error loading event details:', expect.any(Error));
+    expect(document.querySelectorAll('.event-card')).toHaveLength(1);
+    consoleError.mockRestore();
+  });
+
+  test('export uses the agenda, hosts, meeting link and exact times', () => {
+    const { prepareEventForExport } = require('../src/popup');
+
+    const exportEvent = prepareEventForExport({
+      title: 'Office Hours',
+      dateTimeStr: 'Thursday, Dec 4, 10:00 – 11:00 AM EST',
+      location: 'Virtual',
+      url: '/c/live-events/office-hours',
+      rsvpStatus: 'going',
+      description: 'Agenda:\n• Live Q&A',
+      hosts: ['Cole Medin', 'Jane Doe'],
+      meetingUrl: 'https://zoom.us/j/123',
+      startTime: '2025-12-04T15:00:00.000Z',
+      endTime: '2025-12-04T16:15:00.000Z'
+    });
+
+    expect(exportEvent.startDate.toISOString()).toBe('2025-12-04T15:00:00.000Z');
+    expect(exportEvent.endDate.toISOString()).toBe('2025-12-04T16:15:00.000Z');
+    expect(exportEvent.description).toContain('👤 Hosts: Cole Medin, Jane Doe');
+    expect(exportEvent.description).toContain('🎥 Join: https://zoom.us/j/123');
+    expect(exportEvent.description).toContain('Agenda:\n• Live Q&A');
+  });
+
+  test.each([
+    ['going', '✅ RSVP: Going'],
+    ['not_going', '❌ RSVP: Not going'],
+    ['interested', '⭐ RSVP: Interested'],
+    ['waitlisted', '⏳ RSVP: Waitlisted'],
+    ['full', '🚫 RSVP: Event full'],
+    ['none', '⚠️ RSVP: Not yet confirmed']
+  ])('export description reflects the %s RSVP state', (rsvpStatus, line) => {
+    const { prepareEventForExport } = require('../src/popup');
+
+    const exportEvent = prepareEventForExport({
+      title: 'Office Hours',
+      dateTimeStr: 'Thursday, Dec 4, 10:00 – 11:00 AM EST',
+      url: '/c/live-events/office-hours',
+      rsvpStatus
+    });
+
+    expect(exportEvent.description.split('\n')).toContain(line);
+  });
+
+  test('export description includes attendance when known', () => {
+    const { prepareEventForExport } = require('../src/popup');
+
+    const exportEvent = prepareEventForExport({
+      title: 'Office Hours',
+      dateTimeStr: 'Thursday, Dec 4, 10:00 – 11:00 AM EST',
+      url: '/c/live-events/office-hours',
+      rsvpStatus: 'waitlisted',
+      attendeeCount: 50,
+      capacity: 50
+    });
+
+    expect(exportEvent.description).toContain('⏳ RSVP: Waitlisted\n👥 50 / 50 going');
+  });
+
+  test('exact start time without an end time defaults to one hour', () => {
+    const { prepareEventForExport } = require('../src/popup');
+
+    const exportEvent = prepareEventForExport({
+      title: 'Office Hours',
+      dateTimeStr: 'Unreadable date',
+      url: '/c/live-events/office-hours',
+      startTime: '2025-12-04T15:00:00.000Z'
+    });
+
+    expect(exportEvent.endDate.toISOString()).toBe('2025-12-04T16:00:00.000Z');
+  });
+});
+
 // TDD Cycle 5.2: UI rendering
 describe('Popup UI', () => {
   beforeEach(() => {
@@ -199,16 +721,36 @@ describe('Popup UI', () => {
     expect(icsBtn).not.toBeNull();
   });
 
-  test('shows RSVP status badge for going events', () => {
-    const { renderEvents } = require('../src/popup');
+  test('shows the providers picked in the settings, in their order', () => {
+    const { renderEvents, setPopupSettings } = require('../src/popup');
 
     document.body.innerHTML = '<div id="event-list"></div>';
 
-    const events = [{
-      title: 'Going Event',
+    setPopupSettings({ enabledProviders: ['yahoo', 'outlook-live', 'ics'] });
+    renderEvents([{
+      title: 'Test Event',
       dateTimeStr: 'Monday, Dec 8, 1:00 – 2:00 PM EST',
       location: 'Virtual',
-      url: '/c/live-events/going-event',
+      url: '/c/live-events/test-event-123',
+      rsvpStatus: 'going'
+    }]);
+    setPopupSettings();
+
+    const buttons = [...document.querySelectorAll('.export-buttons button')];
+    expect(buttons.map(button => button.dataset.export)).toEqual(['yahoo', 'outlook-live', 'ics']);
+    expect(buttons.map(button => button.textContent)).toEqual(['Yahoo', 'Outlook.com', 'ICS']);
+  });
+
+  test('shows RSVP status badge for going events', () => {
+    const { renderEvents } = require('../src/popup');
+
+    document.body.innerHTML = '<div id="event-list"></div>';
+
+    const events = [{
+      title: 'Going Event',
+      dateTimeStr: 'Monday, Dec 8, 1:00 – 2:00 PM EST',
+      location: 'Virtual',
+      url: '/c/live-events/going-event',
       rsvpStatus: 'going'
     }];
 
@@ -220,6 +762,48 @@ describe('Popup UI', () => {
     expect(rsvpBadge.textContent).toContain('Going');
   });
 
+  test.each([
+    ['not_going', 'Not going', 'rsvp-not-going'],
+    ['interested', 'Interested', 'rsvp-interested'],
+    ['waitlisted', 'Waitlisted', 'rsvp-waitlisted'],
+    ['full', 'Event full', 'rsvp-full']
+  ])('shows a distinct badge for %s events', (rsvpStatus, label, className) => {
+    const { renderEvents } = require('../src/popup');
+
+    document.body.innerHTML = '<div id="event-list"></div>';
+
+    renderEvents([{
+      title: 'Stateful Event',
+      dateTimeStr: 'Monday, Dec 8, 1:00 – 2:00 PM EST',
+      location: 'Virtual',
+      url: '/c/live-events/stateful-event',
+      rsvpStatus
+    }]);
+
+    const card = document.querySelector('.event-card');
+    const badge = card.querySelector('.rsvp-badge');
+    expect(badge.textContent).toBe(label);
+    expect(badge.classList.contains(className)).toBe(true);
+    expect(card.querySelector('.rsvp-nudge')).toBeNull();
+  });
+
+  test('shows attendee and capacity counts', () => {
+    const { renderEvents } = require('../src/popup');
+
+    document.body.innerHTML = '<div id="event-list"></div>';
+
+    renderEvents([{
+      title: 'Popular Event',
+      dateTimeStr: 'Monday, Dec 8, 1:00 – 2:00 PM EST',
+      url: '/c/live-events/popular-event',
+      rsvpStatus: 'none',
+      attendeeCount: 42,
+      capacity: 50
+    }]);
+
+    expect(document.querySelector('.rsvp-attendance').textContent).toBe('42 / 50 going');
+  });
+
   test('shows RSVP nudge for non-RSVP\'d events', () => {
     const { renderEvents } = require('../src/popup');
 
@@ -242,6 +826,183 @@ describe('Popup UI', () => {
   });
 });
 
+describe('Live updates', () => {
+  const baseEvents = () => [
+    { title: 'Community Hangout', slug: 'hangout', dateTimeStr: 'Monday, Dec 8, 1:00 – 2:00 PM EST', url: '/c/live-events/hangout', rsvpStatus: 'going' },
+    { title: 'Office Hours', slug: 'office-hours', dateTimeStr: 'Tuesday, Dec 9, 2:00 – 3:00 PM EST', url: '/c/live-events/office-hours', rsvpStatus: 'none' },
+    { title: 'Workshop', slug: 'workshop', dateTimeStr: 'Friday, Dec 12, 12:00 – 1:00 PM EST', url: '/c/live-events/workshop', rsvpStatus: 'none' }
+  ];
+
+  beforeEach(() => {
+    document.body.innerHTML = '<button id="export-all"></button><div id="event-list"></div>';
+    jest.clearAllMocks();
+    mockChrome.tabs.query.mockImplementation((query, callback) => callback([]));
+  });
+
+  test('content script pushes diffs over the live events port', async () => {
+    let connectHandler;
+    mockChrome.runtime.onConnect.addListener.mockImplementation((handler) => {
+      connectHandler = handler;
+    });
+
+    jest.isolateModules(() => {
+      require('../src/content');
+    });
+
+    document.body.innerHTML = fs.readFileSync(
+      path.join(__dirname, '../fixtures/mockEventsList.html'),
+      'utf8'
+    );
+
+    let disconnect;
+    const port = {
+      name: 'live-events',
+      postMessage: jest.fn(),
+      onDisconnect: { addListener: jest.fn((listener) => { disconnect = listener; }) }
+    };
+    connectHandler(port);
+
+    document.querySelector('.border-primary.border-b.p-6').remove();
+    await new Promise(resolve => setTimeout(resolve, 400));
+    disconnect();
+
+    expect(port.postMessage).toHaveBeenCalledTimes(1);
+    const diff = port.postMessage.mock.calls[0][0];
+    expect(diff.action).toBe('eventsDiff');
+    expect(diff.removed).toHaveLength(1);
+    expect(diff.added).toEqual([]);
+  });
+
+  test('content script ignores other ports', () => {
+    const { handleConnect } = require('../src/content');
+    const port = { name: 'something-else', postMessage: jest.fn(), onDisconnect: { addListener: jest.fn() } };
+
+    handleConnect(port);
+
+    expect(port.onDisconnect.addListener).not.toHaveBeenCalled();
+  });
+
+  test('renderEvents keeps unchanged cards and their selection', () => {
+    const { renderEvents } = require('../src/popup');
+    const events = baseEvents();
+
+    renderEvents(events);
+    const firstCard = document.querySelector('.event-card[data-slug="hangout"]');
+    firstCard.querySelector('.event-select').checked = true;
+
+    renderEvents(events);
+
+    expect(document.querySelector('.event-card[data-slug="hangout"]')).toBe(firstCard);
+    expect(firstCard.querySelector('.event-select').checked).toBe(true);
+  });
+
+  test('applyEventsDiff patches added and changed events in place', () => {
+    const { renderEvents, applyEventsDiff } = require('../src/popup');
+    const events = baseEvents();
+    events[1].description = 'Agenda from the event page';
+
+    renderEvents(events);
+    const hangoutCard = document.querySelector('.event-card[data-slug="hangout"]');
+    const officeHoursCard = document.querySelector('.event-card[data-slug="office-hours"]');
+    officeHoursCard.querySelector('.event-select').checked = true;
+
+    applyEventsDiff({
+      added: [{ title: 'Demo Day', slug: 'demo-day', dateTimeStr: 'Monday, Dec 15, 1:00 – 2:00 PM EST', url: '/c/live-events/demo-day', rsvpStatus: 'none' }],
+      removed: ['workshop'],
+      changed: [{ ...baseEvents()[1], rsvpStatus: 'going' }]
+    });
+
+    const cards = document.querySelectorAll('.event-card');
+    expect(Array.from(cards).map(card => card.dataset.slug)).toEqual(['hangout', 'office-hours', 'workshop', 'demo-day']);
+    expect(cards[0]).toBe(hangoutCard);
+
+    // Changed card is rebuilt, keeps its selection and the details loaded earlier
+    expect(cards[1]).not.toBe(officeHoursCard);
+    expect(cards[1].querySelector('.rsvp-badge').textContent).toBe('Going');
+    expect(cards[1].querySelector('.event-select').checked).toBe(true);
+    expect(events[1].description).toBe('Agenda from the event page');
+    expect(cards[3].dataset.index).toBe('3');
+  });
+
+  test('events the page stops rendering stay listed and are not flagged as removed', () => {
+    const { renderEvents, applyEventsDiff, setExportedEvents } = require('../src/popup');
+    setExportedEvents([{
+      slug: 'workshop',
+      exportType: 'ics',
+      timestamp: 1,
+      snapshot: { start: '2025-12-12T17:00:00.000Z', end: '2025-12-12T18:00:00.000Z', title: 'Workshop' }
+    }]);
+    renderEvents(baseEvents());
+
+    // Circle's virtualized list unrenders cards scrolled out of view
+    applyEventsDiff({ removed: ['hangout', 'office-hours', 'workshop'] });
+
+    expect(document.querySelectorAll('.event-card')).toHaveLength(3);
+    expect(document.querySelector('.unlisted-card, .export-status.unlisted')).toBeNull();
+    setExportedEvents([]);
+  });
+
+  test('connectLiveUpdates applies diffs pushed by the content script', () => {
+    const { renderEvents, connectLiveUpdates } = require('../src/popup');
+    renderEvents(baseEvents());
+
+    let onMessage;
+    const port = {
+      onMessage: { addListener: jest.fn((listener) => { onMessage = listener; }) },
+      onDisconnect: { addListener: jest.fn() }
+    };
+    mockChrome.tabs.connect.mockReturnValue(port);
+
+    expect(connectLiveUpdates(123)).toBe(port);
+    expect(mockChrome.tabs.connect).toHaveBeenCalledWith(123, { name: 'live-events' });
+
+    onMessage({
+      action: 'eventsDiff',
+      added: [],
+      removed: [],
+      changed: [{ ...baseEvents()[2], rsvpStatus: 'going' }]
+    });
+
+    expect(document.querySelector('.event-card[data-slug="workshop"] .rsvp-badge').textContent).toBe('Going');
+  });
+
+  test('connectLiveUpdates shows the layout warning the content script reports', () => {
+    document.body.insertAdjacentHTML('beforeend', '<div id="layout-warning" class="hidden"></div>');
+    const { connectLiveUpdates } = require('../src/popup');
+
+    let onMessage;
+    mockChrome.tabs.connect.mockReturnValue({
+      onMessage: { addListener: jest.fn((listener) => { onMessage = listener; }) },
+      onDisconnect: { addListener: jest.fn() }
+    });
+    connectLiveUpdates(123);
+
+    onMessage({ action: 'layoutChanged' });
+
+    const warning = document.getElementById('layout-warning');
+    expect(warning.classList.contains('hidden')).toBe(false);
+    expect(warning.textContent).not.toBe('');
+  });
+
+  test('connectLiveUpdates says when the page goes away', () => {
+    document.body.insertAdjacentHTML('beforeend', '<div id="toast"></div>');
+    const { connectLiveUpdates } = require('../src/popup');
+
+    let onDisconnect;
+    mockChrome.tabs.connect.mockReturnValue({
+      onMessage: { addListener: jest.fn() },
+      onDisconnect: { addListener: jest.fn((listener) => { onDisconnect = listener; }) }
+    });
+    connectLiveUpdates(123);
+
+    mockChrome.runtime.lastError = { message: 'Could not establish connection. Receiving end does not exist.' };
+    onDisconnect();
+    mockChrome.runtime.lastError = undefined;
+
+    expect(document.getElementById('toast').textContent).toContain('Live updates stopped');
+  });
+});
+
 // TDD Cycle 5.3: Export actions
 describe('Export buttons', () => {
   beforeEach(() => {
@@ -299,6 +1060,26 @@ describe('Export buttons', () => {
     expect(calledUrl).toMatch(/subject=Test[\+%20]Event/);
   });
 
+  test('link providers open their calendar and are tracked by provider', async () => {
+    const { handleExport } = require('../src/popup');
+
+    const event = {
+      title: 'Test Event',
+      dateTimeStr: 'Monday, Dec 8, 1:00 – 2:00 PM EST',
+      location: 'Virtual',
+      url: '/c/live-events/test-event-123',
+      rsvpStatus: 'going'
+    };
+
+    await handleExport('yahoo', event);
+    await handleExport('zoho', event);
+
+    expect(global.open.mock.calls[0][0]).toMatch(/^https:\/\/calendar\.yahoo\.com\//);
+    expect(global.open.mock.calls[1][0]).toMatch(/^https:\/\/calendar\.zoho\.com\//);
+    const tracked = mockChrome.storage.local.set.mock.calls.map(([data]) => data.exportedEvents.slice(-1)[0].exportType);
+    expect(tracked).toEqual(['yahoo', 'zoho']);
+  });
+
   test('ICS button triggers file download (US-4)', async () => {
     const { handleExport } = require('../src/popup');
 
@@ -362,6 +1143,218 @@ describe('Export buttons', () => {
   });
 });
 
+// Bulk "Export all" to a single ICS file
+describe('Bulk export', () => {
+  let mockAnchor;
+  let storedExports;
+  const OriginalBlob = global.Blob;
+
+  // Reads back the ICS text handed to the download blob
+  const downloadedICS = () => global.Blob.mock.calls[0][0].join('');
+
+  const events = [
+    {
+      title: 'Event One',
+      slug: 'event-one',
+      dateTimeStr: 'Monday, Dec 8, 1:00 – 2:00 PM EST',
+      location: 'Virtual',
+      url: '/c/live-events/event-one',
+      rsvpStatus: 'going'
+    },
+    {
+      title: 'Event Two',
+      slug: 'event-two',
+      dateTimeStr: 'Tuesday, Dec 9, 2:00 – 3:00 PM EST',
+      location: 'Virtual',
+      url: '/c/live-events/event-two',
+      rsvpStatus: 'none'
+    }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    document.body.innerHTML = `
+      <button id="export-all"></button>
+      <div id="event-list"></div>
+      <div id="toast"></div>
+    `;
+
+    storedExports = [];
+    mockChrome.storage.local.get.mockImplementation((key, callback) => {
+      callback({ exportedEvents: storedExports });
+    });
+    mockChrome.storage.local.set.mockImplementation((data, callback) => {
+      if (data.exportedEvents) storedExports = data.exportedEvents;
+      if (callback) callback();
+    });
+
+    mockAnchor = { href: '', download: '', click: jest.fn(), style: {} };
+    const originalCreateElement = document.createElement.bind(document);
+    jest.spyOn(document, 'createElement').mockImplementation((tag) => {
+      if (tag === 'a') return mockAnchor;
+      return originalCreateElement(tag);
+    });
+    global.URL.createObjectURL = jest.fn(() => 'blob:test-url');
+    global.URL.revokeObjectURL = jest.fn();
+    global.Blob = jest.fn((parts, options) => ({ parts, options }));
+  });
+
+  afterEach(() => {
+    document.createElement.mockRestore();
+    global.Blob = OriginalBlob;
+  });
+
+  test('downloads one ICS file containing every rendered event', async () => {
+    const { renderEvents, setExportedEvents, handleExportAll } = require('../src/popup');
+    setExportedEvents([]);
+    renderEvents(events);
+
+    const count = await handleExportAll();
+
+    expect(count).toBe(2);
+    expect(mockAnchor.download).toBe('dynamous-events.ics');
+    expect(mockAnchor.click).toHaveBeenCalledTimes(1);
+
+    const ics = downloadedICS();
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(ics).toContain('SUMMARY:Event One');
+    expect(ics).toContain('SUMMARY:Event Two');
+  });
+
+  test('records each included event and disables its ICS button', async () => {
+    const { renderEvents, setExportedEvents, handleExportAll } = require('../src/popup');
+    setExportedEvents([]);
+    renderEvents(events);
+
+    await handleExportAll();
+
+    expect(storedExports.map(e => [e.slug, e.exportType])).toEqual([
+      ['event-one', 'ics'],
+      ['event-two', 'ics']
+    ]);
+    document.querySelectorAll('[data-export="ics"]').forEach(button => {
+      expect(button.disabled).toBe(true);
+    });
+    expect(document.querySelectorAll('.exported-badge')).toHaveLength(2);
+  });
+
+  test('exports only the selected subset when cards are ticked', async () => {
+    const { renderEvents, setExportedEvents, handleExportAll } = require('../src/popup');
+    setExportedEvents([]);
+    renderEvents(events);
+
+    const checkbox = document.querySelectorAll('.event-select')[1];
+    checkbox.checked = true;
+    checkbox.onchange();
+    expect(document.getElementById('export-all').textContent).toBe('Export selected (1)');
+
+    const count = await handleExportAll();
+
+    expect(count).toBe(1);
+    expect(storedExports.map(e => e.slug)).toEqual(['event-two']);
+    expect(document.getElementById('export-all').textContent).toBe('Export all');
+  });
+
+  test('skips events already exported as ICS', async () => {
+    const { renderEvents, setExportedEvents, handleExportAll } = require('../src/popup');
+    storedExports = [{ slug: 'event-one', exportType: 'ics', timestamp: Date.now() }];
+    setExportedEvents(storedExports);
+    renderEvents(events);
+
+    const count = await handleExportAll();
+
+    expect(count).toBe(1);
+    const ics = downloadedICS();
+    expect(ics).not.toContain('SUMMARY:Event One');
+    expect(ics).toContain('SUMMARY:Event Two');
+  });
+
+  test('does not download anything when every event is already exported', async () => {
+    const { renderEvents, setExportedEvents, handleExportAll } = require('../src/popup');
+    storedExports = [
+      { slug: 'event-one', exportType: 'ics', timestamp: Date.now() },
+      { slug: 'event-two', exportType: 'ics', timestamp: Date.now() }
+    ];
+    setExportedEvents(storedExports);
+    renderEvents(events);
+
+    const count = await handleExportAll();
+
+    expect(count).toBe(0);
+    expect(mockAnchor.click).not.toHaveBeenCalled();
+    expect(document.getElementById('toast').textContent).toBe('All events already exported');
+  });
+});
+
+describe('Unusable dates', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="event-list"></div><div id="toast"></div>';
+    jest.clearAllMocks();
+    global.open = jest.fn();
+    mockChrome.storage.local.get.mockImplementation((key, callback) => {
+      callback({ exportedEvents: [] });
+    });
+  });
+
+  // Dec 4 is never a Monday between 2024 and 2026
+  const mismatched = {
+    title: 'Mismatched Event',
+    slug: 'mismatched-event',
+    dateTimeStr: 'Monday, Dec 4, 10:00 – 11:00 AM EST',
+    location: 'Virtual',
+    url: '/c/live-events/mismatched-event',
+    rsvpStatus: 'going'
+  };
+
+  test('flags the card and disables its export buttons', () => {
+    const { renderEvents, setExportedEvents } = require('../src/popup');
+    setExportedEvents([]);
+    renderEvents([mismatched]);
+
+    const card = document.querySelector('.event-card');
+    expect(card.querySelector('.date-warning')).not.toBeNull();
+    card.querySelectorAll('.export-buttons button').forEach(button => {
+      expect(button.disabled).toBe(true);
+    });
+  });
+
+  test('handleExport refuses to export it', async () => {
+    const { handleExport } = require('../src/popup');
+
+    await handleExport('google', mismatched);
+
+    expect(global.open).not.toHaveBeenCalled();
+    expect(document.getElementById('toast').textContent).toBe('Date could not be verified');
+  });
+
+  test('handleExport does not crash on an unparseable date', async () => {
+    const { handleExport } = require('../src/popup');
+
+    await expect(handleExport('google', {
+      ...mismatched,
+      dateTimeStr: 'Sometime next week'
+    })).resolves.toBeUndefined();
+
+    expect(global.open).not.toHaveBeenCalled();
+    expect(document.getElementById('toast').textContent).toBe('Date could not be read');
+  });
+
+  test('exports events whose range straddles noon', async () => {
+    const { handleExport } = require('../src/popup');
+    mockChrome.storage.local.set.mockImplementation((data, callback) => {
+      if (callback) callback();
+    });
+
+    await handleExport('google', {
+      ...mismatched,
+      dateTimeStr: 'Thursday, Dec 4, 11:30 AM – 12:30 PM EST'
+    });
+
+    expect(global.open).toHaveBeenCalledTimes(1);
+    expect(global.open.mock.calls[0][0]).toContain('dates=20251204T163000Z%2F20251204T173000Z');
+  });
+});
+
 // TDD Cycle 5.4: RSVP nudge count banner
 describe('RSVP Count Banner', () => {
   beforeEach(() => {
@@ -390,6 +1383,47 @@ describe('RSVP Count Banner', () => {
     expect(banner.textContent).toMatch(/events? without RSVP/i);
   });
 
+  test('counts only events that have not been answered', () => {
+    const { renderEvents } = require('../src/popup');
+
+    document.body.innerHTML = `
+      <div id="rsvp-banner"></div>
+      <div id="event-list"></div>
+    `;
+
+    const statuses = ['none', 'not_going', 'interested', 'waitlisted', 'full', 'going'];
+    renderEvents(statuses.map((rsvpStatus, i) => ({
+      title: `Event ${i}`,
+      slug: `event-${i}`,
+      dateTimeStr: 'Monday, Dec 8, 1:00 – 2:00 PM EST',
+      url: `/e/${i}`,
+      rsvpStatus
+    })));
+
+    expect(document.getElementById('rsvp-banner').textContent).toBe('1 event without RSVP');
+  });
+
+  test('neither counts nor nudges grid events, whose RSVP is unknown', () => {
+    const { renderEvents } = require('../src/popup');
+
+    document.body.innerHTML = `
+      <div id="rsvp-banner"></div>
+      <div id="event-list"></div>
+    `;
+
+    renderEvents([{
+      title: 'Grid Event',
+      slug: 'grid-event',
+      dateTimeStr: 'Monday, Dec 8, 2025, 1:00 PM',
+      url: '/c/live-events/grid-event'
+    }]);
+
+    const banner = document.getElementById('rsvp-banner');
+    expect(banner.style.display).toBe('none');
+    expect(document.querySelector('.rsvp-nudge')).toBeNull();
+    expect(document.querySelector('.rsvp-badge')).toBeNull();
+  });
+
   test('hides banner when all events are RSVP\'d', () => {
     const { renderEvents } = require('../src/popup');
 
@@ -441,6 +1475,12 @@ describe('URL Validation', () => {
     expect(isValidLiveEventsPage('https://community.dynamous.ai/c/live-events?tab=upcoming')).toBe(true);
   });
 
+  test('accepts the calendar layouts', () => {
+    const { isValidLiveEventsPage } = require('../src/popup');
+
+    expect(isValidLiveEventsPage('https://community.dynamous.ai/c/live-events?view=calendar')).toBe(true);
+  });
+
   test('rejects other Circle.so pages', () => {
     const { isValidLiveEventsPage } = require('../src/popup');
 
@@ -483,6 +1523,9 @@ describe('Error handling edge cases', () => {
     jest.doMock('../src/scraper', () => ({
       scrapeEvents: jest.fn().mockImplementation(() => {
         throw new Error('DOM parsing failed');
+      }),
+      scrapeEventsWithDiagnostics: jest.fn().mockImplementation(() => {
+        throw new Error('DOM parsing failed');
       })
     }));
 
@@ -490,6 +1533,9 @@ describe('Error handling edge cases', () => {
       runtime: {
         onMessage: {
           addListener: jest.fn()
+        },
+        onConnect: {
+          addListener: jest.fn()
         }
       }
     };
@@ -544,31 +1590,117 @@ describe('Error handling edge cases', () => {
 
     mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
       // Simulate chrome.runtime.lastError
-      mockChrome.runtime.lastError = { message: 'Could not establish connection' };
+      mockChrome.runtime.lastError = { message: 'The tab was closed.' };
       callback(undefined);
       mockChrome.runtime.lastError = undefined; // Clean up
     });
 
     const { scanPageForEvents } = require('../src/popup');
 
-    await expect(scanPageForEvents()).rejects.toThrow('Could not establish connection');
+    await expect(scanPageForEvents()).rejects.toThrow('The tab was closed.');
   });
 
-  test('scanPageForEvents rejects on failed response', async () => {
+  test('scanPageForEvents injects the content script when it is missing and retries', async () => {
     mockChrome.tabs.query.mockImplementation((query, callback) => {
       callback([{ id: 123 }]);
     });
 
+    let injected = false;
+    mockChrome.scripting = {
+      executeScript: jest.fn((details, callback) => {
+        injected = true;
+        setTimeout(() => callback([]), 0);
+      })
+    };
+    const mockEvents = [{ title: 'Test Event' }];
     mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
-      callback({ success: false, error: 'Scan failed' });
+      if (!injected) {
+        mockChrome.runtime.lastError = { message: 'Could not establish connection. Receiving end does not exist.' };
+        callback(undefined);
+        mockChrome.runtime.lastError = undefined;
+        return;
+      }
+      callback({ success: true, events: mockEvents });
     });
 
     const { scanPageForEvents } = require('../src/popup');
 
-    await expect(scanPageForEvents()).rejects.toThrow('Scan failed');
+    await expect(scanPageForEvents()).resolves.toEqual(mockEvents);
+    expect(mockChrome.scripting.executeScript).toHaveBeenCalledWith(
+      { target: { tabId: 123 }, files: ['dist/content.js'] },
+      expect.any(Function)
+    );
+    expect(mockChrome.tabs.sendMessage).toHaveBeenCalledTimes(2);
+
+    delete mockChrome.scripting;
   });
 
-  test('scanPageForEvents rejects with default message when response has no error', async () => {
+  test('scanPageForEvents gives a friendly error when the page stays unreachable', async () => {
+    mockChrome.tabs.query.mockImplementation((query, callback) => {
+      callback([{ id: 123 }]);
+    });
+
+    mockChrome.scripting = {
+      executeScript: jest.fn((details, callback) => setTimeout(() => callback([]), 0))
+    };
+    mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+      mockChrome.runtime.lastError = { message: 'Could not establish connection. Receiving end does not exist.' };
+      callback(undefined);
+      mockChrome.runtime.lastError = undefined;
+    });
+
+    const { scanPageForEvents } = require('../src/popup');
+
+    await expect(scanPageForEvents()).rejects.toThrow('Could not connect to the events page. Reload the page and try again.');
+    expect(mockChrome.scripting.executeScript).toHaveBeenCalledTimes(1);
+    expect(mockChrome.tabs.sendMessage).toHaveBeenCalledTimes(2);
+
+    delete mockChrome.scripting;
+  });
+
+  test('full scan gives a friendly error when the script cannot be injected', async () => {
+    mockChrome.tabs.query.mockImplementation((query, callback) => {
+      callback([{ id: 123 }]);
+    });
+
+    mockChrome.scripting = {
+      executeScript: jest.fn((details, callback) => {
+        setTimeout(() => {
+          mockChrome.runtime.lastError = { message: 'Cannot access contents of the page.' };
+          callback(undefined);
+          mockChrome.runtime.lastError = undefined;
+        }, 0);
+      })
+    };
+    mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+      mockChrome.runtime.lastError = { message: 'Could not establish connection. Receiving end does not exist.' };
+      callback(undefined);
+      mockChrome.runtime.lastError = undefined;
+    });
+
+    const { fullScanPageForEvents } = require('../src/popup');
+
+    await expect(fullScanPageForEvents()).rejects.toThrow('Could not connect to the events page');
+    expect(mockChrome.runtime.onMessage.removeListener).toHaveBeenCalled();
+
+    delete mockChrome.scripting;
+  });
+
+  test('scanPageForEvents rejects on failed response', async () => {
+    mockChrome.tabs.query.mockImplementation((query, callback) => {
+      callback([{ id: 123 }]);
+    });
+
+    mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+      callback({ success: false, error: 'Scan failed' });
+    });
+
+    const { scanPageForEvents } = require('../src/popup');
+
+    await expect(scanPageForEvents()).rejects.toThrow('Scan failed');
+  });
+
+  test('scanPageForEvents rejects with default message when response has no error', async () => {
     mockChrome.tabs.query.mockImplementation((query, callback) => {
       callback([{ id: 123 }]);
     });
@@ -1077,4 +2209,1151 @@ describe('Export Tracking', () => {
     const outlookBtn = document.querySelector('[data-export="outlook"]');
     expect(outlookBtn.disabled || outlookBtn.classList.contains('disabled')).toBe(false);
   });
+
+  describe('re-exporting changed events', () => {
+    let storage;
+    let mockAnchor;
+    const OriginalBlob = global.Blob;
+
+    const event = officeHours;
+    const moved = { ...event, dateTimeStr: 'Wednesday, Dec 10, 2:00 – 3:00 PM EST' };
+
+    // ICS text handed to each download blob
+    const downloadedICS = (call) => global.Blob.mock.calls[call][0].join('');
+
+    beforeEach(() => {
+      storage = useStorage();
+
+      document.body.innerHTML = '<div id="event-list"></div><div id="toast"></div>';
+      mockAnchor = { href: '', download: '', click: jest.fn(), style: {} };
+      const originalCreateElement = document.createElement.bind(document);
+      jest.spyOn(document, 'createElement').mockImplementation((tag) => {
+        if (tag === 'a') return mockAnchor;
+        return originalCreateElement(tag);
+      });
+      global.URL.createObjectURL = jest.fn(() => 'blob:test-url');
+      global.URL.revokeObjectURL = jest.fn();
+      global.Blob = jest.fn((parts, options) => ({ parts, options }));
+    });
+
+    afterEach(() => {
+      document.createElement.mockRestore();
+      global.Blob = OriginalBlob;
+      require('../src/popup').setCompleteScan();
+    });
+
+    test('SEQUENCE stays put for an unchanged event and goes up when it changes', async () => {
+      const { getEventSequence } = require('../src/popup');
+
+      expect(await getEventSequence('office-hours', 'a')).toBe(0);
+      expect(await getEventSequence('office-hours', 'a')).toBe(0);
+      expect(await getEventSequence('office-hours', 'b')).toBe(1);
+      expect(await getEventSequence('other-event', 'a')).toBe(0);
+    });
+
+    test('blocks exporting the same version twice', async () => {
+      const { handleExport } = require('../src/popup');
+
+      await handleExport('ics', event);
+      await handleExport('ics', event);
+
+      expect(mockAnchor.click).toHaveBeenCalledTimes(1);
+    });
+
+    test('re-exports a moved event with the same UID and a bumped SEQUENCE', async () => {
+      const { handleExport } = require('../src/popup');
+
+      await handleExport('ics', event);
+      await handleExport('ics', moved);
+
+      expect(mockAnchor.click).toHaveBeenCalledTimes(2);
+      expect(downloadedICS(0)).toContain('UID:office-hours-9f3e21@community.dynamous.ai');
+      expect(downloadedICS(0)).toContain('SEQUENCE:0');
+      expect(downloadedICS(1)).toContain('UID:office-hours-9f3e21@community.dynamous.ai');
+      expect(downloadedICS(1)).toContain('SEQUENCE:1');
+      expect(downloadedICS(1)).toContain('DTSTART:20251210T190000Z');
+      expect(validateICS(downloadedICS(1))).toEqual([]);
+    });
+
+    test('re-opens provider links for a renamed event', async () => {
+      const { handleExport } = require('../src/popup');
+      global.open = jest.fn();
+
+      await handleExport('google', event);
+      await handleExport('google', { ...event, title: 'Office Hours (Extended)' });
+
+      expect(global.open).toHaveBeenCalledTimes(2);
+    });
+
+    test('legacy export records without a fingerprint still block', async () => {
+      const { handleExport } = require('../src/popup');
+      storage.exportedEvents = [{ slug: 'office-hours-9f3e21', exportType: 'ics', timestamp: 1 }];
+
+      await handleExport('ics', moved);
+
+      expect(mockAnchor.click).not.toHaveBeenCalled();
+    });
+
+    test('re-enables the export button once the event changes', async () => {
+      const { renderEvents, setExportedEvents, handleExport } = require('../src/popup');
+      setExportedEvents([]);
+
+      await handleExport('ics', event);
+      setExportedEvents(storage.exportedEvents);
+
+      renderEvents([event]);
+      expect(document.querySelector('[data-export="ics"]').disabled).toBe(true);
+
+      renderEvents([moved]);
+      expect(document.querySelector('[data-export="ics"]').disabled).toBe(false);
+    });
+
+    test('bulk export includes changed events', async () => {
+      const { handleExport, handleExportAll } = require('../src/popup');
+
+      await handleExport('ics', event);
+      const count = await handleExportAll([moved]);
+
+      expect(count).toBe(1);
+      expect(downloadedICS(1)).toContain('SEQUENCE:1');
+    });
+
+    test('stores a snapshot of the exported fields', async () => {
+      const { handleExport } = require('../src/popup');
+
+      await handleExport('ics', event);
+
+      expect(storage.exportedEvents[0].snapshot).toEqual({
+        start: '2025-12-09T19:00:00.000Z',
+        end: '2025-12-09T20:00:00.000Z',
+        title: 'Office Hours',
+        location: 'Virtual',
+        url: 'https://community.dynamous.ai/c/live-events/office-hours-9f3e21'
+      });
+    });
+
+    test('flags events that changed since export and updates them in one click', async () => {
+      const { renderEvents, setExportedEvents, handleExport } = require('../src/popup');
+      setExportedEvents([]);
+
+      await handleExport('ics', event);
+      setExportedEvents(storage.exportedEvents);
+
+      renderEvents([event]);
+      expect(document.querySelector('.export-status.changed')).toBeNull();
+
+      renderEvents([moved]);
+      expect(document.querySelector('.export-status.changed').textContent).toContain('Changed since export');
+
+      document.querySelector('.update-export').click();
+      await flush();
+
+      expect(mockAnchor.click).toHaveBeenCalledTimes(2);
+      expect(downloadedICS(1)).toContain('SEQUENCE:1');
+      expect(document.querySelector('.export-status.changed')).toBeNull();
+    });
+
+    test('does not flag start-only events when the default duration changes', async () => {
+      const { renderEvents, setExportedEvents, setPopupSettings, handleExport } = require('../src/popup');
+      const startOnly = { ...event, dateTimeStr: 'Tuesday, Dec 9, 2:00 PM EST' };
+      setExportedEvents([]);
+
+      await handleExport('ics', startOnly);
+      setExportedEvents(storage.exportedEvents);
+      setPopupSettings({ defaultDurationMinutes: 90 });
+
+      try {
+        renderEvents([startOnly]);
+        expect(document.querySelector('.export-status.changed')).toBeNull();
+        expect(document.querySelector('[data-export="ics"]').disabled).toBe(true);
+
+        // An end Circle shows is still compared
+        renderEvents([{ ...startOnly, dateTimeStr: 'Tuesday, Dec 9, 2:00 – 3:30 PM EST' }]);
+        expect(document.querySelector('.export-status.changed')).not.toBeNull();
+      } finally {
+        setPopupSettings();
+      }
+    });
+
+    test('lists exported events that are no longer on the page', async () => {
+      const { renderEvents, setExportedEvents, handleExport } = require('../src/popup');
+      const other = { ...event, title: 'Hangout', slug: 'hangout-1', url: '/c/live-events/hangout-1' };
+      setExportedEvents([]);
+
+      await handleExport('ics', event);
+      setExportedEvents(storage.exportedEvents);
+
+      renderCompleteScan([other]);
+
+      const removed = document.querySelector('.unlisted-card');
+      expect(removed.dataset.slug).toBe('office-hours-9f3e21');
+      expect(removed.textContent).toContain('No longer listed');
+      expect(document.querySelectorAll('.event-card')).toHaveLength(2);
+    });
+
+    test('does not list removals after an empty scan', async () => {
+      const { renderEvents, setExportedEvents, handleExport } = require('../src/popup');
+      setExportedEvents([]);
+
+      await handleExport('ics', event);
+      setExportedEvents(storage.exportedEvents);
+
+      renderCompleteScan([]);
+
+      expect(document.querySelector('.unlisted-card')).toBeNull();
+
+      renderEvents([hangout]);
+      expect(document.querySelector('.unlisted-card')).toBeNull();
+    });
+
+    test.each([
+      ['the calendar grid', { complete: true, layout: 'calendar' }],
+      ['an incomplete list', { complete: false, layout: 'list' }]
+    ])('does not list removals after a scan of %s', async (name, scan) => {
+      const { renderEvents, setExportedEvents, setCompleteScan, handleExport } = require('../src/popup');
+      setExportedEvents([]);
+
+      await handleExport('ics', event);
+      setExportedEvents(storage.exportedEvents);
+
+      setCompleteScan({ events: [hangout], ...scan });
+      renderEvents([hangout]);
+
+      expect(document.querySelector('.unlisted-card')).toBeNull();
+    });
+
+    test('does not list removals outside the dates a complete scan covers', async () => {
+      const { setExportedEvents, handleExport } = require('../src/popup');
+      setExportedEvents([]);
+
+      await handleExport('ics', event);
+      setExportedEvents(storage.exportedEvents);
+
+      renderCompleteScan([
+        { ...hangout, dateTimeStr: 'Wednesday, Dec 10, 2:00 – 3:00 PM EST' },
+        { ...hangout, slug: 'demo-day', dateTimeStr: 'Friday, Dec 12, 2:00 – 3:00 PM EST' }
+      ]);
+
+      expect(document.querySelector('.unlisted-card')).toBeNull();
+    });
+
+    test('"Load all events" lists exported events the page no longer has', async () => {
+      const { setExportedEvents, handleExport, handleFullScan } = require('../src/popup');
+      setExportedEvents([]);
+
+      await handleExport('ics', event);
+      setExportedEvents(storage.exportedEvents);
+
+      mockChrome.tabs.query.mockImplementation((query, callback) => callback([{ id: 1 }]));
+      mockChrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+        callback(message.action === 'fullScan'
+          ? { success: true, events: [hangout], complete: true, diagnostics: { layout: 'list' } }
+          : { success: true, details: {} });
+      });
+      await handleFullScan();
+
+      expect(document.querySelector('.unlisted-card').dataset.slug).toBe('office-hours-9f3e21');
+    });
+
+    test('downloads a cancellation for a removed ICS export and hides the card', async () => {
+      const { renderEvents, setExportedEvents, handleExport } = require('../src/popup');
+      const other = { ...event, title: 'Hangout', slug: 'hangout-1', url: '/c/live-events/hangout-1' };
+      setExportedEvents([]);
+
+      await handleExport('ics', event);
+      setExportedEvents(storage.exportedEvents);
+      renderCompleteScan([other]);
+
+      document.querySelector('.unlisted-card [data-action="cancel"]').click();
+      await flush();
+
+      const ics = downloadedICS(1);
+      expect(ics).toContain('METHOD:CANCEL');
+      expect(ics).toContain('STATUS:CANCELLED');
+      expect(ics).toContain('UID:office-hours-9f3e21@community.dynamous.ai');
+      expect(ics).toContain('SEQUENCE:1');
+      expect(document.querySelector('.unlisted-card')).toBeNull();
+    });
+
+    test('adds the default reminders to ICS exports', async () => {
+      const { handleExport } = require('../src/popup');
+      storage.settings = { reminders: [{ minutes: 1440, action: 'DISPLAY' }, { minutes: 15, action: 'AUDIO' }] };
+
+      await handleExport('ics', event);
+
+      expect(downloadedICS(0)).toContain('TRIGGER:-P1D');
+      expect(downloadedICS(0)).toContain('ACTION:AUDIO\r\nTRIGGER:-PT15M');
+    });
+
+    test('the reminder dropdown on a card overrides the defaults for that event', async () => {
+      const { renderEvents, setExportedEvents, setReminderOverrides, handleExport } = require('../src/popup');
+      setExportedEvents([]);
+      setReminderOverrides({});
+
+      renderEvents([event]);
+      const select = document.querySelector('.reminder-select');
+      expect(select.value).toBe('default');
+
+      select.value = 'none';
+      select.onchange();
+      await flush();
+
+      expect(storage.reminderOverrides).toEqual({ 'office-hours-9f3e21': [] });
+
+      await handleExport('ics', event);
+      expect(downloadedICS(0)).not.toContain('BEGIN:VALARM');
+
+      renderEvents([{ ...event, rsvpStatus: 'interested' }]);
+      expect(document.querySelector('.reminder-select').value).toBe('none');
+    });
+
+    test('writes TZID times when the settings ask for them', async () => {
+      const { handleExport } = require('../src/popup');
+      storage.settings = { timeZoneMode: 'tzid', timeZone: 'America/Chicago' };
+
+      await handleExport('ics', event);
+
+      expect(downloadedICS(0)).toContain('TZID:America/Chicago');
+      expect(downloadedICS(0)).toContain('DTSTART;TZID=America/Chicago:20251209T130000');
+    });
+
+    test('offers only a dismiss for removed provider exports', async () => {
+      const { renderEvents, setExportedEvents, handleExport } = require('../src/popup');
+      const other = { ...event, title: 'Hangout', slug: 'hangout-1', url: '/c/live-events/hangout-1' };
+      global.open = jest.fn();
+      setExportedEvents([]);
+
+      await handleExport('google', event);
+      setExportedEvents(storage.exportedEvents);
+      renderCompleteScan([other]);
+
+      const button = document.querySelector('.unlisted-card [data-action="cancel"]');
+      expect(button.textContent).toBe('Dismiss');
+
+      button.click();
+      await flush();
+
+      expect(global.Blob).not.toHaveBeenCalled();
+      expect(document.querySelector('.unlisted-card')).toBeNull();
+    });
+  });
+});
+
+describe('Recurring series', () => {
+  let storage;
+  let mockAnchor;
+  const OriginalBlob = global.Blob;
+
+  /**
+   * A Thursday office hours session on the given December day
+   */
+  const session = (day, overrides = {}) => ({
+    title: `Agentic Coding Office Hours #${day}`,
+    slug: `office-hours-${day}`,
+    dateTimeStr: `Thursday, Dec ${day}, 10:00 – 11:00 AM EST`,
+    location: 'Virtual',
+    url: `/c/live-events/office-hours-${day}`,
+    rsvpStatus: 'going',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    storage = useStorage({ settings: { timeZone: 'America/New_York' } });
+
+    const { setExportedEvents } = require('../src/popup');
+    setExportedEvents([]);
+
+    document.body.innerHTML = '<div id="series-list"></div><div id="event-list"></div><div id="toast"></div>';
+    mockAnchor = { href: '', download: '', click: jest.fn(), style: {} };
+    const originalCreateElement = document.createElement.bind(document);
+    jest.spyOn(document, 'createElement').mockImplementation((tag) => {
+      if (tag === 'a') return mockAnchor;
+      return originalCreateElement(tag);
+    });
+    global.URL.createObjectURL = jest.fn(() => 'blob:test-url');
+    global.URL.revokeObjectURL = jest.fn();
+    global.Blob = jest.fn((parts, options) => ({ parts, options }));
+    global.open = jest.fn();
+  });
+
+  afterEach(() => {
+    document.createElement.mockRestore();
+    global.Blob = OriginalBlob;
+    require('../src/popup').setCompleteScan();
+  });
+
+  test('offers weekly sessions as one series', async () => {
+    const { renderEvents } = require('../src/popup');
+
+    renderEvents([session(4), session(11), session(25)]);
+    await flush();
+
+    const card = document.querySelector('.series-card');
+    expect(card.textContent).toContain('Agentic Coding Office Hours');
+    expect(card.textContent).toContain('Weekly on Thursdays, 3 sessions (1 skipped)');
+    // Google links can't skip a week
+    expect(card.querySelector('[data-series-export="google"]').disabled).toBe(true);
+    expect(document.querySelectorAll('#event-list .event-card')).toHaveLength(3);
+  });
+
+  test('exports the series as one VEVENT with an RRULE and EXDATE', async () => {
+    const { renderEvents } = require('../src/popup');
+
+    renderEvents([session(4), session(11), session(25)]);
+    await flush();
+    document.querySelector('[data-series-export="ics"]').click();
+    await flush();
+
+    const ics = global.Blob.mock.calls[0][0].join('');
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(ics).toContain('SUMMARY:Agentic Coding Office Hours\r\n');
+    expect(ics).toContain('DTSTART;TZID=America/New_York:20251204T100000');
+    expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=TH;COUNT=4');
+    expect(ics).toContain('EXDATE;TZID=America/New_York:20251218T100000');
+    expect(validateICS(ics)).toEqual([]);
+    expect(document.querySelector('[data-series-export="ics"]').disabled).toBe(true);
+  });
+
+  test('writes a moved session as a RECURRENCE-ID override', async () => {
+    const { renderEvents } = require('../src/popup');
+
+    renderEvents([session(4), session(11, { dateTimeStr: 'Thursday, Dec 11, 1:00 – 2:00 PM EST' }), session(18)]);
+    await flush();
+    document.querySelector('[data-series-export="ics"]').click();
+    await flush();
+
+    const ics = global.Blob.mock.calls[0][0].join('');
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(ics).toContain('RECURRENCE-ID;TZID=America/New_York:20251211T100000');
+    expect(ics).toContain('DTSTART;TZID=America/New_York:20251211T130000');
+    expect(validateICS(ics)).toEqual([]);
+  });
+
+  test('describes the series and its moved sessions with the user\'s template', async () => {
+    const { renderEvents } = require('../src/popup');
+    storage.settings = {
+      ...storage.settings,
+      descriptionTemplate: '{{title}}',
+      providerTemplates: { ics: '{{rsvp}}: {{title}} ({{dateTime}})' }
+    };
+
+    renderEvents([session(4), session(11, { dateTimeStr: 'Thursday, Dec 11, 1:00 – 2:00 PM EST' }), session(18)]);
+    await flush();
+    document.querySelector('[data-series-export="ics"]').click();
+    await flush();
+
+    const ics = global.Blob.mock.calls[0][0].join('').replace(/\r\n /g, '');
+    expect(ics).toContain('DESCRIPTION:Going: Agentic Coding Office Hours (Weekly on Thursdays\\, 3 sessions)\r\n');
+    expect(ics).toContain('DESCRIPTION:Going: Agentic Coding Office Hours #11 (Thursday\\, Dec 11\\, 1:00 – 2:00 PM EST)\r\n');
+    expect(ics).not.toContain('Dynamous Community');
+  });
+
+  test('opens Google with a recur rule for an unbroken series', async () => {
+    const { renderEvents } = require('../src/popup');
+
+    renderEvents([session(4), session(11), session(18)]);
+    await flush();
+    document.querySelector('[data-series-export="google"]').click();
+    await flush();
+
+    const url = new URL(global.open.mock.calls[0][0]);
+    expect(url.searchParams.get('recur')).toBe('RRULE:FREQ=WEEKLY;BYDAY=TH;COUNT=3');
+    expect(url.searchParams.get('ctz')).toBe('America/New_York');
+  });
+
+  test('offers series buttons only for enabled exporters that repeat events', async () => {
+    const { renderEvents, setPopupSettings } = require('../src/popup');
+    setPopupSettings({ enabledProviders: ['yahoo', 'ics'] });
+
+    try {
+      renderEvents([session(4), session(11), session(18)]);
+      await flush();
+
+      const buttons = Array.from(document.querySelectorAll('[data-series-export]'));
+      expect(buttons.map(button => button.textContent)).toEqual(['ICS series']);
+    } finally {
+      setPopupSettings();
+    }
+  });
+
+  test('says why a series cannot go to an exporter', async () => {
+    const { handleSeriesExport, renderEvents, prepareEventForExport } = require('../src/popup');
+    const { detectSeries } = require('../src/utils/recurrence');
+    const sessions = [session(4), session(11), session(25)];
+    const series = detectSeries(sessions.map(event => prepareEventForExport(event)), 'America/New_York')[0];
+
+    renderEvents(sessions);
+    await flush();
+
+    await handleSeriesExport('yahoo', series);
+    expect(document.getElementById('toast').textContent).toBe('Yahoo can\'t add a repeating event');
+
+    await handleSeriesExport('google', series);
+    expect(document.getElementById('toast').textContent).toBe('Google can\'t skip or move sessions of a series');
+    expect(global.open).not.toHaveBeenCalled();
+    expect(document.querySelector('[data-series-export="google"]').title).toBe('Skipped or moved sessions need ICS');
+  });
+
+  test('writes the series through the Google Calendar API once it is set up', async () => {
+    const { renderEvents } = require('../src/popup');
+    storage.settings = { ...storage.settings, googleApiEnabled: true, googleApiBaseUrl: 'http://localhost:8080/calendar/v3' };
+    mockChrome.identity = { getAuthToken: jest.fn((details, callback) => callback({ token: 'token-1' })) };
+    global.fetch = jest.fn().mockResolvedValue({ status: 200, ok: true, json: () => Promise.resolve({ id: 'g-series' }) });
+
+    try {
+      renderEvents([session(4), session(11), session(18)]);
+      await flush();
+      document.querySelector('[data-series-export="google"]').click();
+      await flush();
+
+      expect(global.open).not.toHaveBeenCalled();
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.recurrence).toEqual(['RRULE:FREQ=WEEKLY;BYDAY=TH;COUNT=3']);
+      expect(body.start.timeZone).toBe('America/New_York');
+      expect(storage.exportedEvents[0]).toMatchObject({ exportType: 'google', remoteId: 'g-series' });
+      expect(document.getElementById('toast').textContent).toBe('Saved the Agentic Coding Office Hours series to Google Calendar');
+    } finally {
+      delete mockChrome.identity;
+      delete global.fetch;
+    }
+  });
+
+  test('disables the session buttons once the series is exported', async () => {
+    const { renderEvents } = require('../src/popup');
+
+    renderEvents([session(4), session(11), session(18)]);
+    await flush();
+    document.querySelector('[data-series-export="ics"]').click();
+    await flush();
+
+    expect(storage.exportedEvents[0].sessions).toEqual(['office-hours-4', 'office-hours-11', 'office-hours-18']);
+    const cards = document.querySelectorAll('#event-list .event-card');
+    expect(cards).toHaveLength(3);
+    cards.forEach(card => {
+      expect(card.querySelector('.exported-badge').textContent).toBe('In series');
+      card.querySelectorAll('[data-export]').forEach(button => expect(button.disabled).toBe(true));
+    });
+  });
+
+  test('leaves the sessions of an exported series out of Export all', async () => {
+    const { renderEvents, handleExportAllToCalendar } = require('../src/popup');
+    const other = { ...session(9), title: 'Community Hangout', slug: 'hangout-9', dateTimeStr: 'Tuesday, Dec 9, 2:00 – 3:00 PM EST' };
+
+    renderEvents([session(4), session(11), session(18), other]);
+    await flush();
+    document.querySelector('[data-series-export="ics"]').click();
+    await flush();
+
+    expect(await handleExportAllToCalendar('ics')).toBe(1);
+
+    const ics = global.Blob.mock.calls[1][0].join('');
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(ics).toContain('SUMMARY:Community Hangout');
+    expect(document.getElementById('toast').textContent).toBe('Exported 1 event - skipped 3 sessions of exported series');
+
+    expect(await handleExportAllToCalendar('ics', [session(4)])).toBe(0);
+    expect(document.getElementById('toast').textContent).toBe('All events already exported - skipped 1 session of exported series');
+  });
+
+  test('does not list an exported series as removed from Circle', async () => {
+    const { renderEvents, setExportedEvents } = require('../src/popup');
+    const sessions = [session(4), session(11), session(18)];
+
+    renderEvents(sessions);
+    await flush();
+    document.querySelector('[data-series-export="ics"]').click();
+    await flush();
+    setExportedEvents(storage.exportedEvents);
+
+    renderCompleteScan(sessions);
+
+    expect(document.querySelector('.unlisted-card')).toBeNull();
+  });
+
+  test('blocks the series when a session was exported on its own', async () => {
+    const { renderEvents, setExportedEvents } = require('../src/popup');
+    setExportedEvents([{ slug: 'office-hours-11', exportType: 'ics', timestamp: 1 }]);
+
+    renderEvents([session(4), session(11), session(18)]);
+    await flush();
+
+    const card = document.querySelector('.series-card');
+    expect(card.querySelector('.series-warning').textContent).toBe('⚠️ 1 session was already exported on its own');
+    expect(card.querySelector('[data-series-export="ics"]').disabled).toBe(true);
+    expect(card.querySelector('[data-series-export="google"]').disabled).toBe(true);
+  });
+
+  test('offers the series again once the single export was cancelled', async () => {
+    const { renderEvents, setExportedEvents } = require('../src/popup');
+    setExportedEvents([
+      { slug: 'office-hours-11', exportType: 'ics', timestamp: 1 },
+      { slug: 'office-hours-11', exportType: 'cancel', timestamp: 2 }
+    ]);
+
+    renderEvents([session(4), session(11), session(18)]);
+    await flush();
+
+    const card = document.querySelector('.series-card');
+    expect(card.querySelector('.series-warning')).toBeNull();
+    expect(card.querySelector('[data-series-export="ics"]').disabled).toBe(false);
+  });
+
+  test('shows nothing when no event repeats', async () => {
+    const { renderEvents } = require('../src/popup');
+
+    renderEvents([session(4), session(11, { title: 'Community Hangout' })]);
+    await flush();
+
+    expect(document.querySelector('.series-card')).toBeNull();
+    expect(document.getElementById('series-list').style.display).toBe('none');
+  });
+});
+
+describe('Calendar APIs', () => {
+  let storage;
+
+  const event = officeHours;
+
+  /**
+   * Builds a fetch Response-like object
+   */
+  const response = (status, body) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    json: () => Promise.resolve(body)
+  });
+
+  beforeEach(async () => {
+    storage = useStorage({
+      settings: {
+        googleApiEnabled: true,
+        googleCalendarId: 'team',
+        googleApiBaseUrl: 'http://localhost:8080/calendar/v3',
+        microsoftApiEnabled: true,
+        microsoftClientId: 'app-1',
+        microsoftGraphBaseUrl: 'http://localhost:3000/v1.0',
+        microsoftAuthorityUrl: 'http://localhost:3000/oauth2/v2.0'
+      }
+    });
+    mockChrome.identity = {
+      getAuthToken: jest.fn((details, callback) => callback({ token: 'token-1' })),
+      removeCachedAuthToken: jest.fn((details, callback) => callback()),
+      getRedirectURL: () => 'https://extension-id.chromiumapp.org/',
+      launchWebAuthFlow: jest.fn((details, callback) => {
+        callback('https://extension-id.chromiumapp.org/?code=auth-code');
+      })
+    };
+
+    const { setExportedEvents } = require('../src/popup');
+    setExportedEvents([]);
+
+    document.body.innerHTML = '<button id="export-all"></button><button data-bulk-export="google"></button><div id="event-list"></div><div id="toast"></div>';
+    global.open = jest.fn();
+    global.fetch = jest.fn();
+
+    // Sign in to Microsoft up front, so the requests the tests see are all Graph's
+    const { clearGraphToken, getGraphToken } = require('../src/microsoftGraphApi');
+    clearGraphToken();
+    await getGraphToken({
+      clientId: 'app-1',
+      authorityUrl: 'http://localhost:3000/oauth2/v2.0',
+      fetchImpl: () => Promise.resolve(response(200, { access_token: 'graph-token', expires_in: 3599 }))
+    });
+  });
+
+  afterEach(() => {
+    delete mockChrome.identity;
+    delete global.fetch;
+    require('../src/popup').setCompleteScan();
+  });
+
+  test('inserts the event into the chosen calendar and stores its ID', async () => {
+    const { handleExport } = require('../src/popup');
+    global.fetch.mockResolvedValue(response(200, { id: 'g-123' }));
+
+    await handleExport('google', event);
+
+    expect(global.open).not.toHaveBeenCalled();
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8080/calendar/v3/calendars/team/events');
+    expect(init.method).toBe('POST');
+    expect(JSON.parse(init.body).start.dateTime).toBe('2025-12-09T19:00:00.000Z');
+    expect(storage.exportedEvents[0]).toMatchObject({ slug: 'office-hours-9f3e21', exportType: 'google', remoteId: 'g-123' });
+    expect(document.getElementById('toast').textContent).toBe('Saved to Google Calendar');
+  });
+
+  test('updates the same Google event when the event moves', async () => {
+    const { handleExport } = require('../src/popup');
+    global.fetch.mockResolvedValue(response(200, { id: 'g-123' }));
+
+    await handleExport('google', event);
+    await handleExport('google', { ...event, dateTimeStr: 'Wednesday, Dec 10, 2:00 – 3:00 PM EST' });
+
+    const [url, init] = global.fetch.mock.calls[1];
+    expect(url).toBe('http://localhost:8080/calendar/v3/calendars/team/events/g-123');
+    expect(init.method).toBe('PUT');
+    expect(JSON.parse(init.body).start.dateTime).toBe('2025-12-10T19:00:00.000Z');
+  });
+
+  test('does not track a failed insert', async () => {
+    const { handleExport } = require('../src/popup');
+    global.fetch.mockResolvedValue(response(403, { error: { message: 'Insufficient Permission' } }));
+
+    await handleExport('google', event);
+
+    expect(storage.exportedEvents).toBeUndefined();
+    expect(document.getElementById('toast').textContent).toBe('Google Calendar: Insufficient Permission');
+  });
+
+  test('saves every event in one go and reports failures', async () => {
+    const { renderEvents, handleExportAllToCalendar } = require('../src/popup');
+    global.fetch
+      .mockResolvedValueOnce(response(200, { id: 'g-1' }))
+      .mockResolvedValueOnce(response(500, { error: { message: 'Backend Error' } }));
+
+    renderEvents([event, hangout]);
+    const saved = await handleExportAllToCalendar('google');
+
+    expect(saved).toBe(1);
+    expect(storage.exportedEvents).toHaveLength(1);
+    expect(storage.exportedEvents[0].remoteId).toBe('g-1');
+    expect(document.getElementById('toast').textContent).toBe('Saved 1 event to Google Calendar (1 failed)');
+  });
+
+  test('deletes the Google event of an event that is no longer listed', async () => {
+    const { renderEvents, setExportedEvents, handleExport } = require('../src/popup');
+    global.fetch.mockResolvedValueOnce(response(200, { id: 'g-123' }));
+    await handleExport('google', event);
+    setExportedEvents(storage.exportedEvents);
+
+    renderCompleteScan([hangout]);
+    const button = document.querySelector('.unlisted-card [data-action="cancel"]');
+    expect(button.textContent).toBe('Delete from Google Calendar');
+
+    // The first click only asks for confirmation
+    button.click();
+    await flush();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(button.textContent).toBe('Click again to delete from Google Calendar');
+
+    global.fetch.mockResolvedValueOnce(response(204));
+    button.click();
+    await flush();
+
+    const [url, init] = global.fetch.mock.calls[1];
+    expect(url).toBe('http://localhost:8080/calendar/v3/calendars/team/events/g-123');
+    expect(init.method).toBe('DELETE');
+    expect(document.querySelector('.unlisted-card')).toBeNull();
+    expect(document.getElementById('toast').textContent).toBe('Removed from Google Calendar');
+  });
+
+  test('creates Outlook events through Microsoft Graph and patches them later', async () => {
+    const { handleExport } = require('../src/popup');
+    global.fetch.mockResolvedValue(response(201, { id: 'AAMk1' }));
+
+    await handleExport('outlook', event);
+    await handleExport('outlook', { ...event, title: 'Office Hours (Extended)' });
+
+    expect(global.open).not.toHaveBeenCalled();
+    const [createUrl, create] = global.fetch.mock.calls[0];
+    expect(createUrl).toBe('http://localhost:3000/v1.0/me/events');
+    expect(create.method).toBe('POST');
+    expect(create.headers.Authorization).toBe('Bearer graph-token');
+    expect(JSON.parse(create.body).start).toEqual({ dateTime: '2025-12-09T19:00:00.000', timeZone: 'UTC' });
+
+    const [updateUrl, update] = global.fetch.mock.calls[1];
+    expect(updateUrl).toBe('http://localhost:3000/v1.0/me/events/AAMk1');
+    expect(update.method).toBe('PATCH');
+    expect(storage.exportedEvents.map(record => record.remoteId)).toEqual(['AAMk1', 'AAMk1']);
+    expect(document.getElementById('toast').textContent).toBe('Saved to Outlook');
+  });
+
+  test('deletes a removed event from every calendar it was written to', async () => {
+    const { renderEvents, setExportedEvents, handleExport } = require('../src/popup');
+    global.fetch
+      .mockResolvedValueOnce(response(200, { id: 'g-123' }))
+      .mockResolvedValueOnce(response(201, { id: 'AAMk1' }));
+    await handleExport('google', event);
+    await handleExport('outlook', event);
+    setExportedEvents(storage.exportedEvents);
+
+    renderCompleteScan([hangout]);
+    const button = document.querySelector('.unlisted-card [data-action="cancel"]');
+    expect(button.textContent).toBe('Delete from Google Calendar and Outlook');
+
+    global.fetch.mockResolvedValue(response(204));
+    button.click();
+    button.click();
+    await flush();
+
+    expect(global.fetch.mock.calls.slice(2).map(([url, init]) => `${init.method} ${url}`)).toEqual([
+      'DELETE http://localhost:8080/calendar/v3/calendars/team/events/g-123',
+      'DELETE http://localhost:3000/v1.0/me/events/AAMk1'
+    ]);
+    expect(document.getElementById('toast').textContent).toBe('Removed from Google Calendar and Outlook');
+  });
+
+  test('keeps the deletes that worked when another calendar fails', async () => {
+    const { setExportedEvents, handleExport } = require('../src/popup');
+    global.fetch
+      .mockResolvedValueOnce(response(200, { id: 'g-123' }))
+      .mockResolvedValueOnce(response(201, { id: 'AAMk1' }));
+    await handleExport('google', event);
+    await handleExport('outlook', event);
+    setExportedEvents(storage.exportedEvents);
+
+    renderCompleteScan([hangout]);
+    global.fetch
+      .mockResolvedValueOnce(response(204))
+      .mockResolvedValueOnce(response(500, { error: { message: 'Server busy' } }));
+    let button = document.querySelector('.unlisted-card [data-action="cancel"]');
+    button.click();
+    button.click();
+    await flush();
+
+    expect(document.getElementById('toast').textContent).toMatch(/^Removed from Google Calendar - Outlook: /);
+    expect(storage.exportedEvents.filter(record => record.exportType === 'cancel'))
+      .toEqual([expect.objectContaining({ slug: 'office-hours-9f3e21', cancelledType: 'google' })]);
+
+    // Trying again only deletes from the calendar that failed
+    button = document.querySelector('.unlisted-card [data-action="cancel"]');
+    expect(button.textContent).toBe('Delete from Outlook');
+    global.fetch.mockResolvedValueOnce(response(204));
+    button.click();
+    button.click();
+    await flush();
+
+    expect(global.fetch.mock.calls.slice(4).map(([url, init]) => `${init.method} ${url}`)).toEqual([
+      'DELETE http://localhost:3000/v1.0/me/events/AAMk1'
+    ]);
+    expect(document.querySelector('.unlisted-card')).toBeNull();
+    expect(document.getElementById('toast').textContent).toBe('Removed from Outlook');
+  });
+
+  describe('CalDAV', () => {
+    const caldavResponse = (status, etag) => ({
+      status,
+      ok: status >= 200 && status < 300,
+      headers: { get: (name) => (name === 'ETag' ? etag : null) }
+    });
+
+    beforeEach(() => {
+      Object.assign(storage.settings, {
+        caldavEnabled: true,
+        caldavCollectionUrl: 'http://localhost:5232/user/calendar/',
+        caldavUsername: 'user',
+        caldavPassword: 'secret'
+      });
+    });
+
+    afterEach(() => {
+      require('../src/popup').setPopupSettings();
+    });
+
+    test('shows a CalDAV button on cards once a collection is set up', () => {
+      const { renderEvents, setPopupSettings } = require('../src/popup');
+
+      setPopupSettings({ caldavEnabled: true });
+      renderEvents([event]);
+
+      expect(document.querySelector('[data-export="caldav"]').textContent).toBe('CalDAV');
+    });
+
+    test('PUTs the event, then updates it with its ETag and records the href', async () => {
+      const { handleExport } = require('../src/popup');
+      global.fetch
+        .mockResolvedValueOnce(caldavResponse(201, '"v1"'))
+        .mockResolvedValueOnce(caldavResponse(204, '"v2"'));
+
+      await handleExport('caldav', event);
+      await handleExport('caldav', { ...event, dateTimeStr: 'Wednesday, Dec 10, 2:00 – 3:00 PM EST' });
+
+      const href = 'http://localhost:5232/user/calendar/office-hours-9f3e21.ics';
+      const [createUrl, create] = global.fetch.mock.calls[0];
+      expect(createUrl).toBe(href);
+      expect(create.headers['If-None-Match']).toBe('*');
+      expect(create.body).toContain('SEQUENCE:0');
+      expect(validateICS(create.body)).toEqual([]);
+
+      const [updateUrl, update] = global.fetch.mock.calls[1];
+      expect(updateUrl).toBe(href);
+      expect(update.headers['If-Match']).toBe('"v1"');
+      expect(update.body).toContain('SEQUENCE:1');
+
+      expect(storage.exportedEvents[1]).toMatchObject({ exportType: 'caldav', remoteId: href, etag: '"v2"' });
+      expect(document.getElementById('toast').textContent).toBe('Saved to CalDAV');
+    });
+
+    test('DELETEs the resource of an event that is no longer listed', async () => {
+      const { renderEvents, setExportedEvents, handleExport } = require('../src/popup');
+      global.fetch.mockResolvedValueOnce(caldavResponse(201, '"v1"'));
+      await handleExport('caldav', event);
+      setExportedEvents(storage.exportedEvents);
+
+      renderCompleteScan([hangout]);
+      global.fetch.mockResolvedValueOnce(caldavResponse(204, null));
+      const button = document.querySelector('.unlisted-card [data-action="cancel"]');
+      button.click();
+      button.click();
+      await flush();
+
+      const [url, init] = global.fetch.mock.calls[1];
+      expect(url).toBe('http://localhost:5232/user/calendar/office-hours-9f3e21.ics');
+      expect(init.method).toBe('DELETE');
+      expect(init.headers['If-Match']).toBe('"v1"');
+      expect(document.getElementById('toast').textContent).toBe('Removed from CalDAV');
+    });
+  });
+});
+
+describe('Exporter registry', () => {
+  let storage;
+  let webhook;
+
+  const event = officeHours;
+
+  beforeEach(() => {
+    storage = useStorage();
+
+    const { setExportedEvents } = require('../src/popup');
+    setExportedEvents([]);
+
+    // A team webhook that stores events and can delete them again
+    webhook = {
+      id: 'webhook',
+      label: 'Team calendar',
+      remote: true,
+      capabilities: { single: true, bulk: true, update: true, cancel: true },
+      export: jest.fn(async (items) => items.map(({ event: exported }) => ({ event: exported, eventId: `hook-${exported.slug}` }))),
+      cancel: jest.fn(async () => {})
+    };
+    require('../src/exporters').registerExporter(webhook);
+
+    document.body.innerHTML = '<div class="toolbar"><button id="export-all"></button></div><div id="event-list"></div><div id="toast"></div>';
+  });
+
+  afterEach(() => {
+    require('../src/exporters').unregisterExporter('webhook');
+    require('../src/popup').setPopupSettings();
+    require('../src/popup').setCompleteScan();
+  });
+
+  test('shows a card button for a registered exporter that is available', () => {
+    const { renderEvents } = require('../src/popup');
+    const { registerExporter, unregisterExporter } = require('../src/exporters');
+    registerExporter({ id: 'hidden', label: 'Hidden', export: jest.fn(), isAvailable: () => false });
+
+    renderEvents([event]);
+    const buttons = [...document.querySelectorAll('.event-card .export-buttons button')];
+    expect(buttons.map(button => button.dataset.export)).toEqual(['google', 'outlook', 'ics', 'webhook']);
+    expect(buttons[3].textContent).toBe('Team calendar');
+    unregisterExporter('hidden');
+  });
+
+  test('exports through the registered exporter and tracks its ID', async () => {
+    const { handleExport } = require('../src/popup');
+
+    await handleExport('webhook', event);
+
+    const [items, context] = webhook.export.mock.calls[0];
+    expect(items[0].event.slug).toBe('office-hours-9f3e21');
+    expect(items[0].event.sequence).toBe(0);
+    expect(context.bulk).toBe(false);
+    expect(storage.exportedEvents[0]).toMatchObject({ exportType: 'webhook', remoteId: 'hook-office-hours-9f3e21' });
+    expect(document.getElementById('toast').textContent).toBe('Saved to Team calendar');
+  });
+
+  test('reports an exporter that throws without tracking the export', async () => {
+    const { handleExport } = require('../src/popup');
+    webhook.export.mockRejectedValueOnce(new Error('Webhook unreachable'));
+
+    await handleExport('webhook', event);
+
+    expect(storage.exportedEvents).toBeUndefined();
+    expect(document.getElementById('toast').textContent).toBe('Team calendar: Webhook unreachable');
+  });
+
+  test('bulk exports and cancels through the registered exporter', async () => {
+    const { renderEvents, setExportedEvents, handleExportAllToCalendar } = require('../src/popup');
+    renderEvents([event, hangout]);
+
+    expect(await handleExportAllToCalendar('webhook')).toBe(2);
+    expect(webhook.export.mock.calls[0][1].bulk).toBe(true);
+    expect(document.getElementById('toast').textContent).toBe('Saved 2 events to Team calendar');
+
+    setExportedEvents(storage.exportedEvents);
+    renderCompleteScan([hangout]);
+    const button = document.querySelector('.unlisted-card [data-action="cancel"]');
+    expect(button.textContent).toBe('Delete from Team calendar');
+
+    button.click();
+    expect(webhook.cancel).not.toHaveBeenCalled();
+    button.click();
+    await flush();
+
+    expect(webhook.cancel.mock.calls[0][0][0]).toMatchObject({ eventId: 'hook-office-hours-9f3e21' });
+    expect(document.getElementById('toast').textContent).toBe('Removed from Team calendar');
+  });
+
+  test('says where the old entry of a link export has to be deleted', async () => {
+    const { renderEvents, setExportedEvents, handleExport, handleUpdateExport } = require('../src/popup');
+    global.open = jest.fn();
+
+    await handleExport('yahoo', event);
+    setExportedEvents(storage.exportedEvents);
+    const moved = { ...event, dateTimeStr: 'Wednesday, Dec 10, 2:00 – 3:00 PM EST' };
+    renderEvents([moved]);
+
+    await handleUpdateExport(moved);
+
+    expect(global.open).toHaveBeenCalledTimes(2);
+    expect(document.getElementById('toast').textContent).toBe('Calendar entry updated - delete the old one from Yahoo');
+  });
+});
+
+// Settings edited on the options page
+describe('Options page settings', () => {
+  let storage;
+
+  // Circle shows no end time for this one
+  const event = { ...officeHours, dateTimeStr: 'Tuesday, Dec 9, 2:00 PM EST' };
+
+  // Start and end of the Google link's dates parameter, in minutes apart
+  const linkDurationMinutes = (url) => {
+    const [start, end] = new URL(url).searchParams.get('dates').split('/')
+      .map(date => Date.parse(date.replace(/(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z/, '$1-$2-$3T$4:$5:$6Z')));
+    return (end - start) / 60000;
+  };
+
+  beforeEach(() => {
+    storage = useStorage();
+    global.open = jest.fn();
+
+    require('../src/popup').setExportedEvents([]);
+    document.body.innerHTML = '<div class="toolbar"><button id="export-all"></button></div><div id="event-list"></div><div id="toast"></div>';
+  });
+
+  afterEach(() => {
+    require('../src/popup').setPopupSettings();
+  });
+
+  test('events without an end time last the default duration', async () => {
+    const { prepareEventForExport, handleExport } = require('../src/popup');
+
+    const prepared = prepareEventForExport(event);
+    expect(prepared.endDate - prepared.startDate).toBe(60 * 60000);
+
+    storage.settings = { defaultDurationMinutes: 90 };
+    await handleExport('google', event);
+    expect(linkDurationMinutes(global.open.mock.calls[0][0])).toBe(90);
+
+    // Exact start times from the event page use it too
+    const settings = { ...require('../src/settings').DEFAULT_SETTINGS, defaultDurationMinutes: 30 };
+    const detailed = prepareEventForExport({ ...event, startTime: '2025-12-09T19:00:00Z' }, settings);
+    expect(detailed.endDate.toISOString()).toBe('2025-12-09T19:30:00.000Z');
+  });
+
+  test('an unchanged event can be exported again when re-exports are allowed', async () => {
+    const { handleExport, setExportedEvents, setPopupSettings, renderEvents } = require('../src/popup');
+
+    await handleExport('google', event);
+    await handleExport('google', event);
+    expect(global.open).toHaveBeenCalledTimes(1);
+
+    storage.settings = { allowReExports: true };
+    await handleExport('google', event);
+    expect(global.open).toHaveBeenCalledTimes(2);
+
+    // The card keeps its button enabled after the export
+    setExportedEvents(storage.exportedEvents);
+    setPopupSettings(storage.settings);
+    renderEvents([event]);
+    expect(document.querySelector('[data-export="google"]').disabled).toBe(false);
+    expect(document.querySelector('.exported-badge')).not.toBeNull();
+
+    setPopupSettings();
+    document.getElementById('event-list').innerHTML = '';
+    renderEvents([event]);
+    expect(document.querySelector('[data-export="google"]').disabled).toBe(true);
+  });
+
+  test('bulk exports include events exported before when re-exports are allowed', async () => {
+    const { handleExportAll, renderEvents } = require('../src/popup');
+    global.URL.createObjectURL = jest.fn(() => 'blob:test-url');
+    global.URL.revokeObjectURL = jest.fn();
+    renderEvents([event]);
+
+    expect(await handleExportAll([event])).toBe(1);
+    expect(await handleExportAll([event])).toBe(0);
+
+    storage.settings = { allowReExports: true };
+    expect(await handleExportAll([event])).toBe(1);
+  });
+
+  test('the popup header opens the options page', () => {
+    mockChrome.runtime.openOptionsPage = jest.fn();
+    document.body.innerHTML = '<button id="open-settings"></button><div id="event-list"></div>';
+    mockChrome.tabs.query.mockImplementation((query, callback) => callback([]));
+
+    document.dispatchEvent(new Event('DOMContentLoaded'));
+    document.getElementById('open-settings').click();
+
+    expect(mockChrome.runtime.openOptionsPage).toHaveBeenCalled();
+    delete mockChrome.runtime.openOptionsPage;
+  });
+});
+
+// Description templates from the settings
+describe('Description templates', () => {
+  let storage;
+
+  const event = { ...officeHours, location: '', rsvpStatus: 'interested', hosts: ['Jane Doe'] };
+
+  beforeEach(() => {
+    storage = useStorage();
+    global.open = jest.fn();
+    require('../src/popup').setExportedEvents([]);
+    document.body.innerHTML = '<div id="event-list"></div><div id="toast"></div>';
+  });
+
+  test('exports describe events with the template from the settings', async () => {
+    const { handleExport } = require('../src/popup');
+    storage.settings = {
+      descriptionTemplate: '{{title}} with {{host}}\n{{#if location}}{{location}}{{else}}Online{{/if}}\nRSVP: {{rsvp}}\n{{url}}'
+    };
+
+    await handleExport('google', event);
+
+    const details = new URL(global.open.mock.calls[0][0]).searchParams.get('details');
+    expect(details).toBe('Office Hours with Jane Doe\nOnline\nRSVP: Interested\nhttps://community.dynamous.ai/c/live-events/office-hours-9f3e21');
+  });
+
+  test('an exporter with its own template uses it', async () => {
+    const { handleExport } = require('../src/popup');
+    storage.settings = {
+      descriptionTemplate: '{{title}}',
+      providerTemplates: { outlook: '{{title}}\n{{#if meetingUrl}}Join: {{meetingUrl}}{{/if}}\n{{url}}' }
+    };
+
+    await handleExport('outlook', event);
+    await handleExport('google', event);
+
+    const outlookBody = new URL(global.open.mock.calls[0][0]).searchParams.get('body');
+    expect(outlookBody).toBe('Office Hours<br><br>https://community.dynamous.ai/c/live-events/office-hours-9f3e21');
+    expect(new URL(global.open.mock.calls[1][0]).searchParams.get('details')).toBe('Office Hours');
+  });
+
+  test('{{localTime}} shows the start in the chosen time zone', () => {
+    const { prepareEventForExport } = require('../src/popup');
+    const { DEFAULT_SETTINGS } = require('../src/settings');
+    const settings = { ...DEFAULT_SETTINGS, timeZone: 'Europe/Berlin', descriptionTemplate: '{{localTime}}' };
+
+    const prepared = prepareEventForExport(event, settings);
+
+    const expected = new Intl.DateTimeFormat(undefined, {
+      weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: 'Europe/Berlin', timeZoneName: 'short'
+    }).format(new Date('2025-12-09T19:00:00Z'));
+    expect(prepared.description).toBe(expected);
+    expect(prepared.description).toMatch(/8:00/);
+  });
 });
@@ -0,0 +1,202 @@
+/**
+ * Tests for live rescanning of the events page
+ */
+
+const { diffEvents, createLiveScanner } = require('../src/liveScanner');
+
+/**
+ * Builds a fake event
+ */
+function makeEvent(slug, overrides = {}) {
+  return { title: slug, slug, dateTimeStr: 'Thursday, Dec 4, 10:00 AM EST', rsvpStatus: 'none', ...overrides };
+}
+
+/**
+ * Waits for pending MutationObserver callbacks and debounce timers
+ */
+function flush(ms = 20) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('diffEvents', () => {
+  test('reports added, removed and changed events by slug', () => {
+    const previous = [makeEvent('a'), makeEvent('b'), makeEvent('c')];
+    const next = [makeEvent('a'), makeEvent('c', { rsvpStatus: 'going' }), makeEvent('d')];
+
+    const diff = diffEvents(previous, next);
+
+    expect(diff.added.map(e => e.slug)).toEqual(['d']);
+    expect(diff.removed).toEqual(['b']);
+    expect(diff.changed).toEqual([makeEvent('c', { rsvpStatus: 'going' })]);
+  });
+
+  test('returns an empty diff for identical scans', () => {
+    const diff = diffEvents([makeEvent('a')], [makeEvent('a')]);
+    expect(diff).toEqual({ added: [], removed: [], changed: [] });
+  });
+});
+
+describe('createLiveScanner', () => {
+  let scanner;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="events"><div class="border-primary border-b p-6">a</div></div><aside id="other"></aside>';
+  });
+
+  afterEach(() => {
+    if (scanner) scanner.stop();
+    document.body.innerHTML = '';
+  });
+
+  test('pushes a diff when the events container changes', async () => {
+    let events = [makeEvent('a')];
+    const onDiff = jest.fn();
+    scanner = createLiveScanner({ onDiff, debounceMs: 0, scrape: () => events });
+    scanner.start();
+
+    events = [makeEvent('a', { rsvpStatus: 'going' }), makeEvent('b')];
+    document.getElementById('events').appendChild(document.createElement('div'));
+    await flush();
+
+    expect(onDiff).toHaveBeenCalledTimes(1);
+    expect(onDiff.mock.calls[0][0].added.map(e => e.slug)).toEqual(['b']);
+    expect(onDiff.mock.calls[0][0].changed.map(e => e.slug)).toEqual(['a']);
+  });
+
+  test('debounces bursts of mutations into one rescan', async () => {
+    const scrape = jest.fn(() => [makeEvent('a')]);
+    scanner = createLiveScanner({ onDiff: jest.fn(), debounceMs: 10, scrape });
+    scanner.start();
+    scrape.mockClear();
+
+    const container = document.getElementById('events');
+    for (let i = 0; i < 5; i++) {
+      container.appendChild(document.createElement('span'));
+    }
+    await flush(40);
+
+    expect(scrape).toHaveBeenCalledTimes(1);
+  });
+
+  test('ignores changes outside the events container', async () => {
+    const scrape = jest.fn(() => [makeEvent('a')]);
+    scanner = createLiveScanner({ onDiff: jest.fn(), debounceMs: 0, scrape });
+    scanner.start();
+    scrape.mockClear();
+
+    document.getElementById('other').textContent = 'notification';
+    await flush();
+
+    expect(scrape).not.toHaveBeenCalled();
+  });
+
+  test('rescans when the container is replaced (SPA navigation)', async () => {
+    let events = [makeEvent('a')];
+    const onDiff = jest.fn();
+    scanner = createLiveScanner({ onDiff, debounceMs: 0, scrape: () => events });
+    scanner.start();
+
+    events = [makeEvent('z')];
+    document.body.innerHTML = '<main><div><div class="border-primary border-b p-6">z</div></div></main>';
+    await flush();
+
+    expect(onDiff).toHaveBeenCalledWith({ added: [makeEvent('z')], removed: ['a'], changed: [] });
+  });
+
+  test('ignores attribute changes such as hovers and class toggles', async () => {
+    const scrape = jest.fn(() => [makeEvent('a')]);
+    scanner = createLiveScanner({ onDiff: jest.fn(), debounceMs: 0, scrape });
+    scanner.start();
+    scrape.mockClear();
+
+    const card = document.querySelector('.border-primary');
+    card.setAttribute('data-hover', 'true');
+    card.classList.add('bg-hover');
+    await flush();
+
+    expect(scrape).not.toHaveBeenCalled();
+  });
+
+  test('watches the new container after SPA navigation', async () => {
+    let events = [makeEvent('a')];
+    const onDiff = jest.fn();
+    scanner = createLiveScanner({ onDiff, debounceMs: 0, scrape: () => events });
+    scanner.start();
+
+    events = [makeEvent('z')];
+    document.body.innerHTML = '<main><div id="next"><div class="border-primary border-b p-6">z</div></div></main>';
+    await flush();
+
+    events = [makeEvent('z'), makeEvent('y')];
+    document.getElementById('next').appendChild(document.createElement('div'));
+    await flush();
+
+    expect(onDiff).toHaveBeenCalledTimes(2);
+    expect(onDiff.mock.calls[1][0].added).toEqual([makeEvent('y')]);
+  });
+
+  test('does not report empty diffs', async () => {
+    const onDiff = jest.fn();
+    scanner = createLiveScanner({ onDiff, debounceMs: 0, scrape: () => [makeEvent('a')] });
+    scanner.start();
+
+    document.getElementById('events').appendChild(document.createElement('span'));
+    await flush();
+
+    expect(onDiff).not.toHaveBeenCalled();
+  });
+
+  test('finds the list through the card markup the scraper reads', async () => {
+    document.body.innerHTML = `
+      <main><ul id="list">
+        <li><div data-testid="event-main-content"><a href="/c/live-events/a">a</a></div></li>
+        <li><div data-testid="event-main-content"><a href="/c/live-events/b">b</a></div></li>
+      </ul></main>
+      <aside id="other"></aside>`;
+    const scrape = jest.fn(() => [makeEvent('a'), makeEvent('b')]);
+    const onLayoutChanged = jest.fn();
+    scanner = createLiveScanner({ onDiff: jest.fn(), onLayoutChanged, debounceMs: 0, scrape });
+    scanner.start();
+    scrape.mockClear();
+
+    document.getElementById('other').textContent = 'notification';
+    await flush();
+    expect(scrape).not.toHaveBeenCalled();
+
+    document.getElementById('list').appendChild(document.createElement('li'));
+    await flush();
+    expect(scrape).toHaveBeenCalledTimes(1);
+    expect(onLayoutChanged).not.toHaveBeenCalled();
+  });
+
+  test('reports a layout change when only the page body can be watched', async () => {
+    document.body.innerHTML = '<main><a href="/c/live-events/a">a</a></main>';
+    const onLayoutChanged = jest.fn();
+    scanner = createLiveScanner({ onDiff: jest.fn(), onLayoutChanged, debounceMs: 0, scrape: () => [] });
+    scanner.start();
+
+    expect(onLayoutChanged).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not report a layout change for a page without events', async () => {
+    document.body.innerHTML = '<main><p>No upcoming events</p></main>';
+    const onLayoutChanged = jest.fn();
+    scanner = createLiveScanner({ onDiff: jest.fn(), onLayoutChanged, debounceMs: 0, scrape: () => [] });
+    scanner.start();
+
+    expect(onLayoutChanged).not.toHaveBeenCalled();
+  });
+
+  test('stops watching after stop()', async () => {
+    const scrape = jest.fn(() => [makeEvent('a')]);
+    scanner = createLiveScanner({ onDiff: jest.fn(), debounceMs: 0, scrape });
+    scanner.start();
+    scanner.stop();
+    scrape.mockClear();
+
+    document.getElementById('events').appendChild(document.createElement('div'));
+    await flush();
+
+    expect(scrape).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Tests for the Microsoft Graph calendar client
+ */
+
+const {
+  getGraphToken,
+  clearGraphToken,
+  toGraphEvent,
+  createGraphCalendarClient
+} = require('../src/microsoftGraphApi');
+
+/**
+ * Builds a fetch Response-like object
+ */
+const response = (status, body) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  json: () => (body === undefined ? Promise.reject(new Error('no body')) : Promise.resolve(body))
+});
+
+const event = {
+  title: 'Office Hours',
+  slug: 'office-hours',
+  description: 'Weekly Q&A\nBring questions',
+  location: 'Zoom',
+  startDate: new Date('2025-12-04T15:00:00Z'),
+  endDate: new Date('2025-12-04T16:00:00Z'),
+  reminders: [{ minutes: 60, action: 'DISPLAY' }, { minutes: 15, action: 'AUDIO' }]
+};
+
+describe('toGraphEvent', () => {
+  test('maps the event to a Graph resource in UTC', () => {
+    expect(toGraphEvent(event)).toEqual({
+      subject: 'Office Hours',
+      body: { contentType: 'text', content: 'Weekly Q&A\nBring questions' },
+      start: { dateTime: '2025-12-04T15:00:00.000', timeZone: 'UTC' },
+      end: { dateTime: '2025-12-04T16:00:00.000', timeZone: 'UTC' },
+      location: { displayName: 'Zoom' },
+      isReminderOn: true,
+      reminderMinutesBeforeStart: 15
+    });
+  });
+
+  test('turns the reminder off when the event has none', () => {
+    const resource = toGraphEvent({ ...event, reminders: [] });
+
+    expect(resource.isReminderOn).toBe(false);
+    expect(resource.reminderMinutesBeforeStart).toBeUndefined();
+  });
+});
+
+describe('createGraphCalendarClient', () => {
+  let fetchImpl;
+
+  const createClient = (options = {}) => createGraphCalendarClient({
+    baseUrl: 'http://localhost:3000/v1.0',
+    fetchImpl,
+    getToken: jest.fn().mockResolvedValue('token-1'),
+    dropToken: jest.fn(),
+    ...options
+  });
+
+  beforeEach(() => {
+    fetchImpl = jest.fn();
+  });
+
+  test('creates events in the default calendar', async () => {
+    fetchImpl.mockResolvedValue(response(201, { id: 'AAMk1' }));
+
+    const saved = await createClient().insertEvent(event);
+
+    expect(saved.id).toBe('AAMk1');
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe('http://localhost:3000/v1.0/me/events');
+    expect(init.method).toBe('POST');
+    expect(init.headers.Authorization).toBe('Bearer token-1');
+  });
+
+  test('creates events in a chosen calendar', async () => {
+    fetchImpl.mockResolvedValue(response(201, { id: 'AAMk1' }));
+
+    await createClient({ calendarId: 'AQMk=/x' }).insertEvent(event);
+
+    expect(fetchImpl.mock.calls[0][0]).toBe('http://localhost:3000/v1.0/me/calendars/AQMk%3D%2Fx/events');
+  });
+
+  test('patches and deletes by Graph ID', async () => {
+    fetchImpl.mockResolvedValueOnce(response(200, { id: 'AAMk1' }));
+    fetchImpl.mockResolvedValueOnce(response(204));
+    const client = createClient();
+
+    await client.updateEvent('AAMk1', event);
+    await client.deleteEvent('AAMk1');
+
+    expect(fetchImpl.mock.calls[0][0]).toBe('http://localhost:3000/v1.0/me/events/AAMk1');
+    expect(fetchImpl.mock.calls[0][1].method).toBe('PATCH');
+    expect(fetchImpl.mock.calls[1][1].method).toBe('DELETE');
+  });
+
+  test('treats deleting an event that is already gone as done', async () => {
+    fetchImpl.mockResolvedValue(response(404, { error: { code: 'ErrorItemNotFound', message: 'Not found' } }));
+    await expect(createClient().deleteEvent('AAMk1')).resolves.toBeUndefined();
+  });
+
+  test('throws the Graph error message', async () => {
+    fetchImpl.mockResolvedValue(response(403, { error: { code: 'ErrorAccessDenied', message: 'Access is denied.' } }));
+    await expect(createClient().insertEvent(event)).rejects.toMatchObject({ message: 'Access is denied.', status: 403 });
+  });
+
+  test('lists the calendars the user can edit', async () => {
+    fetchImpl.mockResolvedValue(response(200, {
+      value: [
+        { id: 'a', name: 'Calendar', canEdit: true, isDefaultCalendar: true },
+        { id: 'b', name: 'Holidays', canEdit: false },
+        { id: 'c', name: 'Team', canEdit: true }
+      ]
+    }));
+
+    expect(await createClient().listCalendars()).toEqual([
+      { id: 'a', name: 'Calendar', isDefault: true },
+      { id: 'c', name: 'Team', isDefault: false }
+    ]);
+  });
+});
+
+describe('getGraphToken', () => {
+  let fetchImpl;
+
+  beforeEach(() => {
+    clearGraphToken();
+    global.chrome.identity = {
+      getRedirectURL: () => 'https://extension-id.chromiumapp.org/',
+      launchWebAuthFlow: jest.fn()
+    };
+    fetchImpl = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ access_token: 'graph-token', token_type: 'Bearer', expires_in: 3599 })
+    });
+  });
+
+  afterEach(() => {
+    delete global.chrome.identity;
+    delete global.chrome.runtime.lastError;
+  });
+
+  test('signs in silently with PKCE and reuses the token', async () => {
+    chrome.identity.launchWebAuthFlow.mockImplementation((details, callback) => {
+      callback('https://extension-id.chromiumapp.org/?code=auth-code');
+    });
+
+    const options = { clientId: 'app-1', authorityUrl: 'http://localhost:3000/oauth2/v2.0', fetchImpl };
+    expect(await getGraphToken(options)).toBe('graph-token');
+    expect(await getGraphToken(options)).toBe('graph-token');
+
+    expect(chrome.identity.launchWebAuthFlow).toHaveBeenCalledTimes(1);
+    const { url, interactive } = chrome.identity.launchWebAuthFlow.mock.calls[0][0];
+    const authorize = new URL(url);
+    expect(authorize.origin + authorize.pathname).toBe('http://localhost:3000/oauth2/v2.0/authorize');
+    expect(authorize.searchParams.get('client_id')).toBe('app-1');
+    expect(authorize.searchParams.get('response_type')).toBe('code');
+    expect(authorize.searchParams.get('redirect_uri')).toBe('https://extension-id.chromiumapp.org/');
+    expect(authorize.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(authorize.searchParams.get('prompt')).toBe('none');
+    expect(interactive).toBe(false);
+
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    const [tokenUrl, init] = fetchImpl.mock.calls[0];
+    expect(tokenUrl).toBe('http://localhost:3000/oauth2/v2.0/token');
+    expect(init.method).toBe('POST');
+    const body = new URLSearchParams(init.body);
+    expect(body.get('grant_type')).toBe('authorization_code');
+    expect(body.get('code')).toBe('auth-code');
+    expect(body.get('client_id')).toBe('app-1');
+    expect(body.get('redirect_uri')).toBe('https://extension-id.chromiumapp.org/');
+
+    // The challenge sent to /authorize is the SHA-256 of the verifier sent to /token
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(body.get('code_verifier')));
+    const challenge = Buffer.from(digest).toString('base64url');
+    expect(authorize.searchParams.get('code_challenge')).toBe(challenge);
+  });
+
+  test('opens the sign-in window when the silent attempt fails', async () => {
+    chrome.identity.launchWebAuthFlow
+      .mockImplementationOnce((details, callback) => {
+        callback('https://extension-id.chromiumapp.org/?error=login_required&error_description=Sign+in+required');
+      })
+      .mockImplementationOnce((details, callback) => {
+        callback('https://extension-id.chromiumapp.org/?code=auth-code');
+      });
+
+    expect(await getGraphToken({ clientId: 'app-1', fetchImpl })).toBe('graph-token');
+    expect(chrome.identity.launchWebAuthFlow.mock.calls[1][0].interactive).toBe(true);
+  });
+
+  test('reports a code the token endpoint refuses', async () => {
+    chrome.identity.launchWebAuthFlow.mockImplementation((details, callback) => {
+      callback('https://extension-id.chromiumapp.org/?code=auth-code');
+    });
+    fetchImpl.mockResolvedValue({
+      ok: false,
+      status: 400,
+      json: () => Promise.resolve({ error: 'invalid_request', error_description: 'AADSTS9002326: Cross-origin token redemption is permitted only for the Single-Page Application client-type.' })
+    });
+
+    await expect(getGraphToken({ clientId: 'app-1', fetchImpl }))
+      .rejects.toThrow('AADSTS9002326: Cross-origin token redemption is permitted only for the Single-Page Application client-type.');
+  });
+
+  test('reports a cancelled sign-in', async () => {
+    chrome.identity.launchWebAuthFlow.mockImplementation((details, callback) => {
+      chrome.runtime.lastError = { message: 'The user did not approve access.' };
+      callback(undefined);
+    });
+
+    await expect(getGraphToken({ clientId: 'app-1', fetchImpl })).rejects.toThrow('The user did not approve access.');
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  test('needs a client ID', async () => {
+    await expect(getGraphToken({ clientId: '' })).rejects.toThrow('Set the Microsoft application (client) ID first');
+  });
+});
@@ -0,0 +1,466 @@
+/**
+ * Tests for the options page
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_SETTINGS, getSettings } = require('../src/settings');
+const { fillForm, readForm, handleSave, initOptions } = require('../src/options');
+
+// Body of options.html, so the tests use the real form
+const optionsHtml = fs.readFileSync(path.join(__dirname, '..', 'options.html'), 'utf8');
+const optionsBody = optionsHtml.slice(optionsHtml.indexOf('<body>') + 6, optionsHtml.indexOf('<script'));
+
+describe('options page', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    global.chrome.storage = {
+      local: {
+        get: jest.fn((key, callback) => callback({ [key]: storage[key] })),
+        set: jest.fn((data, callback) => {
+          Object.assign(storage, JSON.parse(JSON.stringify(data)));
+          if (callback) callback();
+        })
+      }
+    };
+    global.chrome.runtime.getManifest = jest.fn(() => ({ oauth2: { client_id: '123-abc.apps.googleusercontent.com' } }));
+    global.chrome.permissions = { request: jest.fn((permissions, callback) => callback(true)) };
+    document.body.innerHTML = optionsBody;
+  });
+
+  afterEach(() => {
+    delete global.chrome.storage;
+    delete global.chrome.runtime.getManifest;
+    delete global.chrome.permissions;
+  });
+
+  test('shows the stored settings', async () => {
+    storage.settings = {
+      reminders: [{ minutes: 60, action: 'AUDIO' }],
+      enabledProviders: ['yahoo', 'ics'],
+      timeZoneMode: 'tzid',
+      timeZone: 'Europe/Berlin',
+      defaultDurationMinutes: 90,
+      allowReExports: true
+    };
+
+    await initOptions();
+
+    const rows = document.querySelectorAll('.reminder-row');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].querySelector('.reminder-minutes').value).toBe('60');
+    expect(rows[0].querySelector('.reminder-action').value).toBe('AUDIO');
+
+    const providers = Array.from(document.querySelectorAll('.provider-row'));
+    expect(providers.map(row => row.dataset.provider).slice(0, 2)).toEqual(['yahoo', 'ics']);
+    expect(providers.filter(row => row.querySelector('input').checked)).toHaveLength(2);
+    expect(providers[0].textContent).toContain('Yahoo');
+
+    expect(document.querySelector('input[name="timeZoneMode"]:checked').value).toBe('tzid');
+    expect(document.getElementById('time-zone').value).toBe('Europe/Berlin');
+    expect(document.getElementById('default-duration').value).toBe('90');
+    expect(document.getElementById('allow-re-exports').checked).toBe(true);
+  });
+
+  test('reads back what it was filled with', () => {
+    fillForm(DEFAULT_SETTINGS);
+
+    expect(readForm()).toEqual({
+      reminders: DEFAULT_SETTINGS.reminders,
+      enabledProviders: DEFAULT_SETTINGS.enabledProviders,
+      timeZoneMode: 'utc',
+      timeZone: '',
+      defaultDurationMinutes: 60,
+      allowReExports: false,
+      googleApiEnabled: false,
+      googleCalendarId: 'primary',
+      microsoftApiEnabled: false,
+      microsoftClientId: '',
+      microsoftCalendarId: '',
+      caldavEnabled: false,
+      caldavCollectionUrl: '',
+      caldavUsername: '',
+      descriptionTemplate: DEFAULT_SETTINGS.descriptionTemplate,
+      providerTemplates: {}
+    });
+  });
+
+  test('saves the calendar services', async () => {
+    fillForm(DEFAULT_SETTINGS);
+
+    document.getElementById('google-api-enabled').checked = true;
+    document.getElementById('google-calendar-id').value = ' team@group.calendar.google.com ';
+    document.getElementById('microsoft-api-enabled').checked = true;
+    document.getElementById('microsoft-client-id').value = 'app-1';
+    document.getElementById('caldav-enabled').checked = true;
+    document.getElementById('caldav-url').value = 'http://localhost:5232/user/calendar/';
+    document.getElementById('caldav-username').value = 'user';
+    document.getElementById('caldav-password').value = ' secret ';
+
+    await handleSave();
+
+    expect(storage.settings).toMatchObject({
+      googleApiEnabled: true,
+      googleCalendarId: 'team@group.calendar.google.com',
+      microsoftApiEnabled: true,
+      microsoftClientId: 'app-1',
+      microsoftCalendarId: '',
+      caldavEnabled: true,
+      caldavCollectionUrl: 'http://localhost:5232/user/calendar/',
+      caldavUsername: 'user',
+      caldavPassword: ' secret '
+    });
+  });
+
+  test('turns a calendar service off again when it is missing what it needs', async () => {
+    fillForm(DEFAULT_SETTINGS);
+
+    document.getElementById('microsoft-api-enabled').checked = true;
+    document.getElementById('caldav-enabled').checked = true;
+    document.getElementById('caldav-url').value = 'webcal://example.com/cal';
+
+    await handleSave();
+
+    expect(document.getElementById('microsoft-api-enabled').checked).toBe(false);
+    expect(document.getElementById('caldav-enabled').checked).toBe(false);
+    expect(document.getElementById('caldav-url').value).toBe('');
+  });
+
+  test('adds and removes reminders', async () => {
+    await initOptions();
+
+    document.getElementById('add-reminder').click();
+    expect(document.querySelectorAll('.reminder-row')).toHaveLength(2);
+
+    document.querySelector('.reminder-row button').click();
+    document.querySelector('.reminder-row button').click();
+    expect(readForm().reminders).toEqual([]);
+  });
+
+  test('moves a provider up to reorder the card buttons', () => {
+    fillForm(DEFAULT_SETTINGS);
+
+    document.querySelector('[data-provider="ics"] button').click();
+
+    expect(readForm().enabledProviders).toEqual(['google', 'ics', 'outlook']);
+  });
+
+  test('saves the form and keeps the other settings', async () => {
+    storage.settings = { caldavEnabled: true, caldavCollectionUrl: 'http://localhost:5232/user/calendar/' };
+    fillForm(await getSettings());
+
+    document.querySelector('[data-provider="outlook"] input').checked = false;
+    document.querySelector('input[name="timeZoneMode"][value="tzid"]').checked = true;
+    document.getElementById('time-zone').value = ' America/New_York ';
+    document.getElementById('default-duration').value = '45';
+    document.getElementById('allow-re-exports').checked = true;
+
+    await handleSave();
+
+    const settings = await getSettings();
+    expect(settings.enabledProviders).toEqual(['google', 'ics']);
+    expect(settings.timeZoneMode).toBe('tzid');
+    expect(settings.timeZone).toBe('America/New_York');
+    expect(settings.defaultDurationMinutes).toBe(45);
+    expect(settings.allowReExports).toBe(true);
+    expect(settings.caldavEnabled).toBe(true);
+    expect(document.getElementById('save-status').textContent).toBe('Saved');
+  });
+
+  test('shows the default again for an invalid duration', async () => {
+    fillForm(DEFAULT_SETTINGS);
+    document.getElementById('default-duration').value = '0';
+
+    await handleSave();
+
+    expect(storage.settings.defaultDurationMinutes).toBe(60);
+    expect(document.getElementById('default-duration').value).toBe('60');
+  });
+
+  describe('calendar pickers', () => {
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+      global.chrome.identity = {
+        getAuthToken: jest.fn((details, callback) => callback({ token: 'token-1' }))
+      };
+      global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+      delete global.chrome.identity;
+      delete global.fetch;
+    });
+
+    test('turns the Google Calendar API off until manifest.json has a client ID', async () => {
+      global.chrome.runtime.getManifest.mockReturnValue({ oauth2: { client_id: 'YOUR_CLIENT_ID.apps.googleusercontent.com' } });
+      storage.settings = { googleApiEnabled: true };
+
+      await initOptions();
+
+      expect(document.getElementById('google-api-enabled').checked).toBe(false);
+      expect(document.getElementById('google-api-enabled').disabled).toBe(true);
+      expect(document.getElementById('google-load-calendars').disabled).toBe(true);
+      expect(document.getElementById('google-calendar-status').textContent).toContain('oauth2.client_id');
+    });
+
+    test('picks a Google calendar from the account', async () => {
+      global.fetch.mockResolvedValue({
+        status: 200,
+        ok: true,
+        json: () => Promise.resolve({
+          items: [{ id: 'me@gmail.com', summary: 'Me', primary: true }, { id: 'team@group.calendar.google.com', summary: 'Team' }]
+        })
+      });
+      await initOptions();
+
+      document.getElementById('google-load-calendars').click();
+      await flush();
+
+      const picker = document.getElementById('google-calendar-picker');
+      expect(global.fetch.mock.calls[0][0]).toBe('https://www.googleapis.com/calendar/v3/users/me/calendarList?minAccessRole=writer');
+      expect(Array.from(picker.options).map(option => option.textContent)).toEqual(['Me (main calendar)', 'Team']);
+      expect(picker.value).toBe('primary');
+      expect(document.getElementById('google-calendar-picker-row').style.display).toBe('');
+
+      picker.value = 'team@group.calendar.google.com';
+      picker.dispatchEvent(new Event('change'));
+      expect(readForm().googleCalendarId).toBe('team@group.calendar.google.com');
+    });
+
+    test('picks an Outlook calendar after signing in with the application ID in the form', async () => {
+      global.chrome.identity.getRedirectURL = () => 'https://extension-id.chromiumapp.org/';
+      global.chrome.identity.launchWebAuthFlow = jest.fn((details, callback) => {
+        callback('https://extension-id.chromiumapp.org/?code=auth-code');
+      });
+      global.fetch.mockImplementation((url) => Promise.resolve({
+        status: 200,
+        ok: true,
+        json: () => Promise.resolve(url.endsWith('/token')
+          ? { access_token: 'graph-token', expires_in: 3599 }
+          : { value: [{ id: 'cal-1', name: 'Calendar', isDefaultCalendar: true }, { id: 'cal-2', name: 'Work', canEdit: true }] })
+      }));
+      await initOptions();
+
+      document.getElementById('microsoft-client-id').value = 'app-1';
+      document.getElementById('microsoft-load-calendars').click();
+      await flush();
+
+      expect(new URL(global.chrome.identity.launchWebAuthFlow.mock.calls[0][0].url).searchParams.get('client_id')).toBe('app-1');
+      const picker = document.getElementById('microsoft-calendar-picker');
+      expect(Array.from(picker.options).map(option => option.textContent)).toEqual(['Calendar (default calendar)', 'Work']);
+      expect(picker.value).toBe('');
+
+      picker.value = 'cal-2';
+      picker.dispatchEvent(new Event('change'));
+      expect(readForm().microsoftCalendarId).toBe('cal-2');
+    });
+
+    test('asks for the application ID before listing Outlook calendars', async () => {
+      await initOptions();
+
+      document.getElementById('microsoft-load-calendars').click();
+      await flush();
+
+      expect(document.getElementById('microsoft-calendar-status').textContent)
+        .toBe('Could not load your calendars: Set the Microsoft application (client) ID first');
+    });
+
+    test('says why the calendars could not be loaded', async () => {
+      global.chrome.identity.getAuthToken = jest.fn((details, callback) => callback(undefined));
+      await initOptions();
+
+      document.getElementById('google-load-calendars').click();
+      await flush();
+
+      expect(document.getElementById('google-calendar-status').textContent).toBe('Could not load your calendars: Not signed in to Google');
+      expect(document.getElementById('google-calendar-picker-row').style.display).toBe('none');
+    });
+  });
+
+  describe('CalDAV check', () => {
+    const calendarXml = '<d:multistatus xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"><d:response><d:propstat><d:prop>' +
+      '<d:resourcetype><d:collection/><c:calendar/></d:resourcetype></d:prop></d:propstat></d:response></d:multistatus>';
+
+    /**
+     * Fills in the CalDAV fields
+     */
+    const fillCalDav = (url) => {
+      fillForm(DEFAULT_SETTINGS);
+      document.getElementById('caldav-enabled').checked = true;
+      document.getElementById('caldav-url').value = url;
+      document.getElementById('caldav-username').value = 'user';
+      document.getElementById('caldav-password').value = 'secret';
+    };
+
+    beforeEach(() => {
+      global.fetch = jest.fn().mockResolvedValue({ status: 207, ok: true, text: () => Promise.resolve(calendarXml) });
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test('asks for the server while handling the click, then checks the calendar', async () => {
+      fillCalDav('https://cloud.example.com:8443/user/calendar/');
+
+      const saving = handleSave();
+      // Chrome only prompts during the click, before anything is awaited
+      expect(global.chrome.permissions.request).toHaveBeenCalledWith({ origins: ['https://cloud.example.com:8443/*'] }, expect.any(Function));
+      await saving;
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://cloud.example.com:8443/user/calendar/');
+      expect(init.method).toBe('PROPFIND');
+      expect(init.headers.Authorization).toBe(`Basic ${btoa('user:secret')}`);
+      const status = document.getElementById('caldav-status');
+      expect(status.textContent).toBe('Connected to the calendar');
+      expect(status.classList.contains('ok')).toBe(true);
+    });
+
+    test('says when access to the server was refused', async () => {
+      global.chrome.permissions.request.mockImplementation((permissions, callback) => callback(false));
+      fillCalDav('https://cloud.example.com/remote.php/dav/calendars/me/personal/');
+
+      await handleSave();
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(storage.settings.caldavEnabled).toBe(true);
+      expect(document.getElementById('caldav-status').textContent)
+        .toBe('DynaCal needs access to https://cloud.example.com - save again and allow it, or CalDAV exports will fail');
+    });
+
+    test.each([
+      ['wrong credentials', { status: 401, ok: false }, 'Connecting to the calendar failed: check the CalDAV username and password'],
+      ['an account URL', { status: 207, ok: true, text: () => Promise.resolve('<d:resourcetype><d:collection/></d:resourcetype>') },
+        'This URL is not a calendar - use the URL of one calendar (a collection), not of the account']
+    ])('reports %s', async (name, reply, message) => {
+      global.fetch.mockResolvedValue(reply);
+      fillCalDav('https://cloud.example.com/remote.php/dav/calendars/me/');
+
+      await handleSave();
+
+      const status = document.getElementById('caldav-status');
+      expect(status.textContent).toBe(message);
+      expect(status.classList.contains('ok')).toBe(false);
+    });
+
+    test('reports a server it cannot reach', async () => {
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+      fillCalDav('https://cloud.example.com/dav/');
+
+      await handleSave();
+
+      expect(document.getElementById('caldav-status').textContent).toBe('Could not reach https://cloud.example.com (Failed to fetch)');
+    });
+
+    test('refuses a plain http server other than localhost', async () => {
+      fillCalDav('http://192.168.1.5:5232/user/calendar/');
+
+      await handleSave();
+
+      expect(global.chrome.permissions.request).not.toHaveBeenCalled();
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(storage.settings.caldavEnabled).toBe(false);
+      expect(document.getElementById('caldav-status').textContent)
+        .toBe('http://192.168.1.5:5232/user/calendar/ can\'t be used - the calendar URL must start with https:// (http:// only for localhost)');
+    });
+
+    test('keeps the saved password without showing it', async () => {
+      fillCalDav('https://cloud.example.com/dav/');
+      await handleSave();
+
+      expect(document.getElementById('caldav-password').value).toBe('');
+      expect(document.getElementById('caldav-password').placeholder).toBe('Saved - type a new one to replace it');
+
+      await handleSave();
+      expect(storage.settings.caldavPassword).toBe('secret');
+
+      document.getElementById('caldav-password').value = 'new-secret';
+      await handleSave();
+      expect(storage.settings.caldavPassword).toBe('new-secret');
+    });
+
+    test('asks for nothing while CalDAV is off', async () => {
+      fillForm(DEFAULT_SETTINGS);
+
+      await handleSave();
+
+      expect(global.chrome.permissions.request).not.toHaveBeenCalled();
+      expect(document.getElementById('caldav-status').textContent).toBe('');
+    });
+  });
+
+  describe('description templates', () => {
+    const editTemplate = (text) => {
+      const editor = document.getElementById('description-template');
+      editor.value = text;
+      editor.dispatchEvent(new Event('input'));
+    };
+
+    const pickProvider = (id) => {
+      const select = document.getElementById('template-provider');
+      select.value = id;
+      select.dispatchEvent(new Event('change'));
+    };
+
+    test('previews the template for a sample event', async () => {
+      await initOptions();
+
+      expect(document.getElementById('template-preview').textContent).toContain('🕐 Tuesday, Dec 9, 2:00 – 3:00 PM EST');
+      expect(document.querySelectorAll('#placeholder-list li').length).toBeGreaterThan(5);
+
+      editTemplate('{{title}}{{#if location}} @ {{location}}{{/if}}');
+      expect(document.getElementById('template-preview').textContent).toBe('Agentic Coding Office Hours @ Zoom');
+    });
+
+    test('shows what is wrong with a template and refuses to save it', async () => {
+      await initOptions();
+
+      editTemplate('{{#if title}}{{title}}');
+      expect(document.getElementById('template-error').textContent).toBe('{{#if title}} is never closed with {{/if}}');
+      expect(document.getElementById('template-preview').textContent).toBe('');
+
+      expect(await handleSave()).toBeNull();
+      expect(storage.settings).toBeUndefined();
+    });
+
+    test('saves a template for one calendar and keeps the general one', async () => {
+      await initOptions();
+
+      pickProvider('outlook');
+      expect(document.getElementById('description-template').value).toBe('');
+      expect(document.getElementById('template-preview').textContent).toContain('🔗 https://community.dynamous.ai/');
+
+      editTemplate('{{title}} - {{url}}');
+      expect(document.getElementById('template-preview').textContent)
+        .toBe('Agentic Coding Office Hours - https://community.dynamous.ai/c/live-events/agentic-coding-office-hours');
+
+      await handleSave();
+
+      const settings = await getSettings();
+      expect(settings.providerTemplates).toEqual({ outlook: '{{title}} - {{url}}' });
+      expect(settings.descriptionTemplate).toBe(DEFAULT_SETTINGS.descriptionTemplate);
+    });
+
+    test('restores the default template', async () => {
+      storage.settings = { descriptionTemplate: '{{title}}', providerTemplates: { yahoo: '{{url}}' } };
+      await initOptions();
+      expect(document.getElementById('description-template').value).toBe('{{title}}');
+
+      document.getElementById('reset-template').click();
+      expect(document.getElementById('description-template').value).toBe(DEFAULT_SETTINGS.descriptionTemplate);
+
+      pickProvider('yahoo');
+      expect(document.getElementById('description-template').value).toBe('{{url}}');
+      document.getElementById('reset-template').click();
+
+      await handleSave();
+      const settings = await getSettings();
+      expect(settings.descriptionTemplate).toBe(DEFAULT_SETTINGS.descriptionTemplate);
+      expect(settings.providerTemplates).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for recurring series detection
+ */
+
+const {
+  normalizeTitle,
+  detectSeries,
+  seriesToEvents,
+  getSeriesSlug,
+  describeSeries
+} = require('../src/utils/recurrence');
+const { generateCalendarICS } = require('../src/utils/icsGenerator');
+
+const ZONE = 'America/New_York';
+
+/**
+ * Builds an export-ready event starting at a UTC time, one hour long by default
+ */
+function makeEvent(start, overrides = {}) {
+  const startDate = new Date(start);
+  return {
+    title: 'Agentic Coding Office Hours',
+    slug: `office-hours-${start.slice(0, 10)}`,
+    location: 'Zoom',
+    startDate,
+    endDate: new Date(startDate.getTime() + 60 * 60 * 1000),
+    ...overrides
+  };
+}
+
+describe('normalizeTitle', () => {
+  test('ignores session numbers, dates and punctuation', () => {
+    expect(normalizeTitle('Agentic Coding Office Hours #12')).toBe('agentic coding office hours');
+    expect(normalizeTitle('Agentic Coding Office Hours - Dec 4')).toBe('agentic coding office hours');
+    expect(normalizeTitle('Agentic Coding: Office Hours (Session 3)')).toBe('agentic coding office hours');
+    expect(normalizeTitle('Community Hangout 12/18')).toBe('community hangout');
+  });
+});
+
+describe('detectSeries', () => {
+  test('groups weekly sessions into one series', () => {
+    const [series] = detectSeries([
+      makeEvent('2025-12-04T15:00:00Z', { title: 'Agentic Coding Office Hours #1' }),
+      makeEvent('2025-12-11T15:00:00Z', { title: 'Agentic Coding Office Hours #2' }),
+      makeEvent('2025-12-18T15:00:00Z', { title: 'Agentic Coding Office Hours #3' })
+    ], ZONE);
+
+    expect(series.title).toBe('Agentic Coding Office Hours');
+    expect(series.rrule).toBe('FREQ=WEEKLY;BYDAY=TH;COUNT=3');
+    expect(series.exdates).toEqual([]);
+    expect(series.overrides).toEqual([]);
+    expect(series.events).toHaveLength(3);
+  });
+
+  test('keeps the local time across a daylight saving change', () => {
+    const [series] = detectSeries([
+      makeEvent('2026-02-26T15:00:00Z'),
+      makeEvent('2026-03-05T15:00:00Z'),
+      makeEvent('2026-03-12T14:00:00Z') // Still 10:00 AM, now EDT
+    ], ZONE);
+
+    expect(series.rrule).toBe('FREQ=WEEKLY;BYDAY=TH;COUNT=3');
+    expect(series.overrides).toEqual([]);
+  });
+
+  test('adds EXDATEs for skipped weeks', () => {
+    const [series] = detectSeries([
+      makeEvent('2025-12-04T15:00:00Z'),
+      makeEvent('2025-12-11T15:00:00Z'),
+      makeEvent('2026-01-01T15:00:00Z')
+    ], ZONE);
+
+    expect(series.rrule).toBe('FREQ=WEEKLY;BYDAY=TH;COUNT=5');
+    expect(series.exdates.map(date => date.toISOString())).toEqual([
+      '2025-12-18T15:00:00.000Z',
+      '2025-12-25T15:00:00.000Z'
+    ]);
+    expect(describeSeries(series)).toBe('Weekly on Thursdays, 3 sessions (2 skipped)');
+  });
+
+  test('detects every-other-week series', () => {
+    const [series] = detectSeries([
+      makeEvent('2025-12-02T18:00:00Z'),
+      makeEvent('2025-12-16T18:00:00Z'),
+      makeEvent('2025-12-30T18:00:00Z')
+    ], ZONE);
+
+    expect(series.rrule).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU;COUNT=3');
+    expect(describeSeries(series)).toBe('Every 2 weeks on Tuesdays, 3 sessions');
+  });
+
+  test('turns a moved session into a RECURRENCE-ID override', () => {
+    const moved = makeEvent('2025-12-12T17:00:00Z'); // Friday instead of Thursday
+    const [series] = detectSeries([
+      makeEvent('2025-12-04T15:00:00Z'),
+      moved,
+      makeEvent('2025-12-18T15:00:00Z')
+    ], ZONE);
+
+    expect(series.exdates).toEqual([]);
+    expect(series.overrides).toEqual([{ recurrenceId: new Date('2025-12-11T15:00:00Z'), event: moved }]);
+  });
+
+  test('overrides a session held somewhere else', () => {
+    const [series] = detectSeries([
+      makeEvent('2025-12-04T15:00:00Z'),
+      makeEvent('2025-12-11T15:00:00Z', { location: 'Studio' }),
+      makeEvent('2025-12-18T15:00:00Z')
+    ], ZONE);
+
+    expect(series.location).toBe('Zoom');
+    expect(series.overrides.map(o => o.event.location)).toEqual(['Studio']);
+  });
+
+  test('ignores one-off events and unrelated titles', () => {
+    const series = detectSeries([
+      makeEvent('2025-12-04T15:00:00Z'),
+      makeEvent('2025-12-05T18:00:00Z', { title: 'Community Hangout' }),
+      makeEvent('2025-12-09T18:00:00Z', { title: 'Workshop: Agents' })
+    ], ZONE);
+
+    expect(series).toEqual([]);
+  });
+
+  test('does not call sessions with more gaps than meetings a series', () => {
+    const series = detectSeries([
+      makeEvent('2025-12-04T15:00:00Z'),
+      makeEvent('2026-01-01T15:00:00Z')
+    ], ZONE);
+
+    expect(series).toEqual([]);
+  });
+});
+
+describe('seriesToEvents', () => {
+  test('builds a master event and overrides that share the series slug', () => {
+    const [series] = detectSeries([
+      makeEvent('2025-12-04T15:00:00Z'),
+      makeEvent('2025-12-12T17:00:00Z'),
+      makeEvent('2025-12-18T15:00:00Z')
+    ], ZONE);
+
+    const [master, override] = seriesToEvents(series, { sequence: 2 });
+
+    expect(getSeriesSlug(series)).toBe('series-agentic-coding-office-hours');
+    expect(master).toMatchObject({ slug: 'series-agentic-coding-office-hours', rrule: series.rrule, sequence: 2 });
+    expect(override).toMatchObject({ slug: master.slug, sequence: 2, recurrenceId: new Date('2025-12-11T15:00:00Z') });
+    expect(override.rrule).toBeUndefined();
+  });
+
+  test('gives the time zone the whole series when it runs into the next year', () => {
+    const [series] = detectSeries([
+      makeEvent('2025-12-18T15:00:00Z'),
+      makeEvent('2025-12-25T15:00:00Z'),
+      makeEvent('2026-01-01T15:00:00Z'),
+      makeEvent('2026-01-08T15:00:00Z')
+    ], ZONE);
+
+    const events = seriesToEvents(series);
+    const ics = generateCalendarICS(events, { timeZone: ZONE });
+
+    expect(events[0].lastOccurrence).toEqual(new Date('2026-01-08T16:00:00Z'));
+    // 2026's daylight saving start and end are described
+    expect(ics).toContain('DTSTART:20260308T020000');
+    expect(ics).toContain('DTSTART:20261101T020000');
+  });
+});
@@ -1,6 +1,13 @@
 const fs = require('fs');
 const path = require('path');
-const { scrapeEvents, extractEventFromCard } = require('../src/scraper');
+const {
+  scrapeEvents,
+  scrapeEventsWithDiagnostics,
+  extractEventFromCard,
+  extractEventWithDiagnostics,
+  scrapeCalendarGrid
+} = require('../src/scraper');
+const { parseEventDateTime } = require('../src/utils/dateParser');
 
 // Load mock HTML fixture
 const mockHTML = fs.readFileSync(
@@ -121,17 +128,86 @@ describe('extractEventFromCard', () => {
   });
 });
 
-describe('scrapeEvents with reference year', () => {
-  beforeEach(() => {
-    document.body.innerHTML = mockHTML;
+describe('RSVP states and attendance', () => {
+  /**
+   * Builds a list card with the given RSVP area and extra text
+   */
+  function renderCard(rsvpArea, extra = '') {
+    document.body.innerHTML = `
+      <div class="border-primary border-b p-6">
+        <div data-testid="event-main-content">
+          <a href="/c/live-events/state-event">State Event</a>
+          <div><svg class="icon-16-calendar"></svg><span>Monday, Dec 8, 1:00 – 2:00 PM EST</span></div>
+          ${extra}
+          ${rsvpArea}
+        </div>
+      </div>
+    `;
+    return scrapeEvents()[0];
+  }
+
+  const rsvpRadio = label => `<div class="rsvp-radio"><button><span class="button-text">${label}</span></button></div>`;
+
+  test.each([
+    ['Going', 'going'],
+    ['Not going', 'not_going'],
+    ['Can’t go', 'not_going'],
+    ['Interested', 'interested'],
+    ['Waitlisted', 'waitlisted'],
+    ['On waitlist', 'waitlisted']
+  ])('reads "%s" as %s', (label, status) => {
+    expect(renderCard(rsvpRadio(label)).rsvpStatus).toBe(status);
   });
 
-  test('accepts optional reference year parameter', () => {
-    const events = scrapeEvents(2025);
-    expect(events).toHaveLength(4);
+  test('falls back to the RSVP icon alt text', () => {
+    const area = '<div class="rsvp-radio"><button><img src="/img/declined.svg" alt="Not going"></button></div>';
+    expect(renderCard(area).rsvpStatus).toBe('not_going');
+  });
+
+  test('shows a plain RSVP button as no response', () => {
+    expect(renderCard('<button>RSVP</button>').rsvpStatus).toBe('none');
+  });
+
+  test('detects full events from the waitlist button', () => {
+    expect(renderCard('<button>Join waitlist</button>').rsvpStatus).toBe('full');
+  });
+
+  test('detects full events from the counts', () => {
+    const event = renderCard('<button>RSVP</button>', '<span>50/50 going</span>');
+    expect(event.rsvpStatus).toBe('full');
+    expect(event.attendeeCount).toBe(50);
+    expect(event.capacity).toBe(50);
+  });
+
+  test('keeps the member\'s own response on a full event', () => {
+    expect(renderCard(rsvpRadio('Going'), '<span>50/50 going</span>').rsvpStatus).toBe('going');
+  });
+
+  test('reads attendee counts and spots left', () => {
+    const event = renderCard('<button>RSVP</button>', '<span>12 attendees</span><span>3 spots left</span>');
+    expect(event.attendeeCount).toBe(12);
+    expect(event.capacity).toBe(15);
+  });
+
+  test('reads an explicit capacity', () => {
+    const event = renderCard('<button>RSVP</button>', '<span>1,024 going</span><span>Capacity: 2,000</span>');
+    expect(event.attendeeCount).toBe(1024);
+    expect(event.capacity).toBe(2000);
   });
 
-  test('uses current year if reference year not provided', () => {
+  test('leaves counts empty when Circle does not show them', () => {
+    const event = renderCard('<button>RSVP</button>');
+    expect(event.attendeeCount).toBeNull();
+    expect(event.capacity).toBeNull();
+  });
+});
+
+describe('scrapeEvents year', () => {
+  beforeEach(() => {
+    document.body.innerHTML = mockHTML;
+  });
+
+  test('uses the current year for dates without one', () => {
     const events = scrapeEvents();
     expect(events).toHaveLength(4);
     // Events should still be extracted even without explicit year
@@ -209,7 +285,7 @@ describe('scrapeEvents edge cases', () => {
     expect(events).toHaveLength(0);
   });
 
-  test('handles rsvp-radio without Going text', () => {
+  test('reads a "Maybe" response as interested', () => {
     document.body.innerHTML = `
       <div class="border-primary border-b p-6">
         <div class="flex w-full justify-between" data-testid="event-main-content">
@@ -229,7 +305,7 @@ describe('scrapeEvents edge cases', () => {
     `;
     const events = scrapeEvents();
     expect(events).toHaveLength(1);
-    expect(events[0].rsvpStatus).toBe('none');
+    expect(events[0].rsvpStatus).toBe('interested');
   });
 
   test('uses fallback datetime when first span does not match time pattern', () => {
@@ -419,3 +495,245 @@ describe('scrapeEvents edge cases', () => {
     consoleSpy.mockRestore();
   });
 });
+
+describe('scrapeCalendarGrid', () => {
+  const gridHTML = fs.readFileSync(
+    path.join(__dirname, '../fixtures/mockCalendarGrid.html'),
+    'utf8'
+  );
+
+  beforeEach(() => {
+    document.body.innerHTML = gridHTML;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('finds every event in the grid, in display order', () => {
+    const events = scrapeCalendarGrid();
+    expect(events.map(e => e.title)).toEqual([
+      'Weekend Build Session',
+      'Agentic Coding Office Hours',
+      'Community Workshop',
+      'Office Hours/ Q&A',
+      'Community Hangout',
+      'New Year Kickoff'
+    ]);
+  });
+
+  test('builds list-view style datetime strings from the header and day cells', () => {
+    const events = scrapeCalendarGrid();
+    expect(events[1].dateTimeStr).toBe('Thursday, Dec 4, 2025, 10:00 AM');
+    expect(events[2].dateTimeStr).toBe('Friday, Dec 5, 2025, 12:00 PM');
+    expect(events[3].dateTimeStr).toBe('Friday, Dec 5, 2025, 3:30 PM');
+  });
+
+  test('maps leading cells to the previous month', () => {
+    const events = scrapeCalendarGrid();
+    expect(events[0].dateTimeStr).toBe('Sunday, Nov 30, 2025, 5:00 PM');
+  });
+
+  test('maps trailing cells to the next month (and year)', () => {
+    const events = scrapeCalendarGrid();
+    expect(events[5].dateTimeStr).toBe('Friday, Jan 2, 2026, 1:00 PM');
+
+    const parsed = parseEventDateTime(events[5].dateTimeStr, new Date(2025, 11, 1));
+    expect(parsed.startDate.getFullYear()).toBe(2026);
+    expect(parsed.weekdayMismatch).toBe(false);
+  });
+
+  test('keeps the year from the month header instead of guessing it', () => {
+    document.body.innerHTML = `
+      <h2>March 2024</h2>
+      <div role="gridcell" data-date="2024-03-05">
+        <a href="/c/live-events/old-demo">11:00 AM Demo Day</a>
+      </div>
+    `;
+    const [event] = scrapeCalendarGrid();
+
+    const parsed = parseEventDateTime(event.dateTimeStr, new Date(2025, 11, 1));
+    expect(parsed.startDate.getFullYear()).toBe(2024);
+    expect(parsed.weekdayMismatch).toBe(false);
+  });
+
+  test('produces the list view event shape, leaving out what the grid does not show', () => {
+    const events = scrapeCalendarGrid();
+    expect(events[1]).toEqual({
+      title: 'Agentic Coding Office Hours',
+      url: '/c/live-events/agentic-coding-office-hours-62a689',
+      slug: 'agentic-coding-office-hours-62a689',
+      dateTimeStr: 'Thursday, Dec 4, 2025, 10:00 AM',
+      attendeeCount: null,
+      capacity: null,
+      thumbnailUrl: null
+    });
+  });
+
+  test('handles events without a link to their page', () => {
+    const hangout = scrapeCalendarGrid().find(e => e.title === 'Community Hangout');
+    expect(hangout.dateTimeStr).toBe('Monday, Dec 8, 2025, 1:00 PM');
+    expect(hangout.url).toBe('/c/live-events');
+    expect(hangout.slug).toBe('community-hangout-2025-12-08');
+  });
+
+  test('scrapeEvents falls back to the grid when there are no list cards', () => {
+    expect(scrapeEvents()).toHaveLength(6);
+  });
+
+  test('returns empty array without a month header', () => {
+    document.body.innerHTML = '<div role="grid"><div role="gridcell">4</div></div>';
+    expect(scrapeCalendarGrid()).toEqual([]);
+  });
+
+  test('finds day cells without ARIA roles', () => {
+    const cells = Array.from({ length: 31 }, (_, i) => `
+      <div><span>${i + 1}</span>${i === 9 ? '<div>6:00 PM Evening Meetup</div>' : ''}</div>
+    `).join('');
+    document.body.innerHTML = `<h3>October 2026</h3><div class="grid grid-cols-7">${cells}</div>`;
+
+    const events = scrapeCalendarGrid();
+    expect(events).toHaveLength(1);
+    expect(events[0].dateTimeStr).toBe('Saturday, Oct 10, 2026, 6:00 PM');
+  });
+
+  test('reads the day from data-date when present', () => {
+    document.body.innerHTML = `
+      <h2>March 2026</h2>
+      <div role="gridcell" data-date="2026-03-17">
+        <a href="/c/live-events/st-patricks-demo">11:00 AM Demo Day</a>
+      </div>
+    `;
+    const events = scrapeCalendarGrid();
+    expect(events[0].dateTimeStr).toBe('Tuesday, Mar 17, 2026, 11:00 AM');
+  });
+});
+
+describe('extraction diagnostics', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('reads the current markup through semantic hooks with high confidence', () => {
+    document.body.innerHTML = mockHTML;
+
+    const { events, diagnostics } = scrapeEventsWithDiagnostics();
+
+    expect(events).toHaveLength(4);
+    expect(diagnostics.layout).toBe('list');
+    expect(diagnostics.cardStrategy).toBe('semantic');
+    expect(diagnostics.layoutChanged).toBe(false);
+    expect(diagnostics.cards[0]).toEqual({
+      slug: 'agentic-coding-office-hours-62a689',
+      strategies: { title: 'semantic', dateTime: 'semantic', location: 'semantic' },
+      missing: [],
+      confidence: 'high'
+    });
+  });
+
+  test('matches icons referenced only through the sprite', () => {
+    document.body.innerHTML = `
+      <div data-testid="event-main-content">
+        <a href="/c/live-events/sprite-event">Sprite Event</a>
+        <div><svg><use href="#icon-16-calendar"></use></svg><span>Monday, Dec 8, 1:00 – 2:00 PM EST</span></div>
+        <div><svg><use xlink:href="#icon-16-camera"></use></svg><span>Zoom</span></div>
+      </div>
+    `;
+
+    const { event, diagnostics } = extractEventWithDiagnostics(document.body.firstElementChild);
+
+    expect(event.dateTimeStr).toBe('Monday, Dec 8, 1:00 – 2:00 PM EST');
+    expect(event.location).toBe('Zoom');
+    expect(diagnostics.confidence).toBe('high');
+  });
+
+  test('falls back to class selectors and flags medium confidence', () => {
+    document.body.innerHTML = `
+      <div class="border-primary border-b p-6">
+        <div data-testid="event-main-content">
+          <a class="text-base font-semibold" href="/c/live-events/class-event">Class Event</a>
+          <div class="flex items-center gap-x-2">
+            <span class="text-xs">Monday, Dec 8, 1:00 – 2:00 PM EST</span>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const { events, diagnostics } = scrapeEventsWithDiagnostics();
+
+    expect(events).toHaveLength(1);
+    expect(diagnostics.cards[0].strategies).toEqual({ title: 'semantic', dateTime: 'class', location: null });
+    expect(diagnostics.cards[0].missing).toEqual(['location']);
+    expect(diagnostics.cards[0].confidence).toBe('medium');
+    expect(diagnostics.layoutChanged).toBe(true);
+  });
+
+  test('still finds events after a redesign drops every known class and hook', () => {
+    document.body.innerHTML = `
+      <main>
+        <article>
+          <a href="/c/live-events/redesigned-one">Redesigned One</a>
+          <p>Thursday, Dec 4, 10:00 – 11:00 AM EST</p>
+        </article>
+        <article>
+          <a href="/c/live-events/redesigned-two">Redesigned Two</a>
+          <p>Friday, Dec 5, 12:00 – 1:30 PM EST</p>
+        </article>
+      </main>
+    `;
+
+    const { events, diagnostics } = scrapeEventsWithDiagnostics();
+
+    expect(events.map(e => e.slug)).toEqual(['redesigned-one', 'redesigned-two']);
+    expect(events[1].dateTimeStr).toBe('Friday, Dec 5, 12:00 – 1:30 PM EST');
+    expect(diagnostics.cardStrategy).toBe('text');
+    expect(diagnostics.cards[0].strategies.dateTime).toBe('text');
+    expect(diagnostics.layoutChanged).toBe(true);
+  });
+
+  test('records missing fields for cards that cannot be read', () => {
+    document.body.innerHTML = `
+      <div data-testid="event-main-content">
+        <a href="/c/live-events/no-date">No Date</a>
+      </div>
+    `;
+
+    const { event, diagnostics } = extractEventWithDiagnostics(document.body.firstElementChild);
+
+    expect(event).toBeNull();
+    expect(diagnostics.strategies.title).toBe('semantic');
+    expect(diagnostics.missing).toEqual(['dateTime', 'location']);
+    expect(diagnostics.confidence).toBe('failed');
+  });
+
+  test('flags a layout change when the page links to events nothing could read', () => {
+    document.body.innerHTML = `
+      <section><a href="/c/live-events/mystery-one">Mystery</a></section>
+      <section><a href="/c/live-events/mystery-two">Mystery Two</a></section>
+    `;
+
+    const { events, diagnostics } = scrapeEventsWithDiagnostics();
+
+    expect(events).toEqual([]);
+    expect(diagnostics.layout).toBe('none');
+    expect(diagnostics.layoutChanged).toBe(true);
+  });
+
+  test('does not flag an empty events page', () => {
+    document.body.innerHTML = '<p>No upcoming events</p><a href="/c/live-events">Live events</a>';
+
+    expect(scrapeEventsWithDiagnostics().diagnostics.layoutChanged).toBe(false);
+  });
+
+  test('reports the calendar layout', () => {
+    document.body.innerHTML = fs.readFileSync(
+      path.join(__dirname, '../fixtures/mockCalendarGrid.html'),
+      'utf8'
+    );
+
+    const { diagnostics } = scrapeEventsWithDiagnostics();
+
+    expect(diagnostics.layout).toBe('calendar');
+    expect(diagnostics.layoutChanged).toBe(false);
+  });
+});
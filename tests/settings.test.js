@@ -0,0 +1,270 @@
+/**
+ * Tests for user settings and per-event reminder overrides
+ */
+
+const {
+  DEFAULT_SETTINGS,
+  normalizeReminders,
+  getSettings,
+  saveSettings,
+  setReminderOverride,
+  getEventReminders
+} = require('../src/settings');
+
+describe('settings', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    global.chrome.storage = {
+      local: {
+        get: jest.fn((key, callback) => callback({ [key]: storage[key] })),
+        set: jest.fn((data, callback) => {
+          Object.assign(storage, JSON.parse(JSON.stringify(data)));
+          if (callback) callback();
+        })
+      }
+    };
+  });
+
+  afterEach(() => {
+    delete global.chrome.storage;
+  });
+
+  describe('normalizeReminders', () => {
+    test('drops invalid reminders and duplicates and sorts earliest first', () => {
+      const reminders = normalizeReminders([
+        { minutes: 15, action: 'DISPLAY' },
+        { minutes: 1440, action: 'AUDIO' },
+        { minutes: 15, action: 'DISPLAY' },
+        { minutes: -5, action: 'DISPLAY' },
+        { minutes: 10, action: 'EMAIL' },
+        { minutes: '30', action: 'DISPLAY' },
+        null
+      ]);
+
+      expect(reminders).toEqual([
+        { minutes: 1440, action: 'AUDIO' },
+        { minutes: 15, action: 'DISPLAY' }
+      ]);
+    });
+
+    test('treats anything but an array as no reminders', () => {
+      expect(normalizeReminders(undefined)).toEqual([]);
+    });
+  });
+
+  describe('getSettings / saveSettings', () => {
+    test('returns the defaults when nothing is stored', async () => {
+      expect(await getSettings()).toEqual(DEFAULT_SETTINGS);
+    });
+
+    test('saves changes and keeps the other settings', async () => {
+      await saveSettings({ reminders: [{ minutes: 60, action: 'AUDIO' }] });
+
+      expect(storage.settings.reminders).toEqual([{ minutes: 60, action: 'AUDIO' }]);
+      expect((await getSettings()).reminders).toEqual([{ minutes: 60, action: 'AUDIO' }]);
+    });
+  });
+
+  describe('time zone settings', () => {
+    test('defaults to UTC output', async () => {
+      const settings = await getSettings();
+      expect(settings.timeZoneMode).toBe('utc');
+      expect(settings.timeZone).toBe('');
+    });
+
+    test('replaces an unknown mode or zone with the default', async () => {
+      storage.settings = { timeZoneMode: 'floating', timeZone: 'Mars/Olympus_Mons' };
+
+      const settings = await getSettings();
+      expect(settings.timeZoneMode).toBe('utc');
+      expect(settings.timeZone).toBe('');
+    });
+
+    test('keeps a valid TZID choice', async () => {
+      await saveSettings({ timeZoneMode: 'tzid', timeZone: 'Europe/Berlin' });
+
+      const settings = await getSettings();
+      expect(settings.timeZoneMode).toBe('tzid');
+      expect(settings.timeZone).toBe('Europe/Berlin');
+    });
+  });
+
+  describe('enabled providers', () => {
+    test('shows Google, Outlook and ICS by default', async () => {
+      expect((await getSettings()).enabledProviders).toEqual(['google', 'outlook', 'ics']);
+    });
+
+    test('keeps the chosen order and drops unknown providers and duplicates', async () => {
+      await saveSettings({ enabledProviders: ['yahoo', 'ics', 'aol', 'yahoo', 'outlook-live'] });
+      expect((await getSettings()).enabledProviders).toEqual(['yahoo', 'ics', 'outlook-live']);
+    });
+
+    test('replaces anything but a list with the default', async () => {
+      storage.settings = { enabledProviders: 'yahoo' };
+      expect((await getSettings()).enabledProviders).toEqual(['google', 'outlook', 'ics']);
+    });
+  });
+
+  describe('export settings', () => {
+    test('assumes an hour and blocks re-exports by default', async () => {
+      const settings = await getSettings();
+      expect(settings.defaultDurationMinutes).toBe(60);
+      expect(settings.allowReExports).toBe(false);
+    });
+
+    test('keeps a valid duration and the re-export switch', async () => {
+      await saveSettings({ defaultDurationMinutes: 90, allowReExports: true });
+
+      const settings = await getSettings();
+      expect(settings.defaultDurationMinutes).toBe(90);
+      expect(settings.allowReExports).toBe(true);
+    });
+
+    test.each([0, 1441, 30.5, '45', null])('replaces a duration of %p with the default', async (minutes) => {
+      storage.settings = { defaultDurationMinutes: minutes, allowReExports: 'yes' };
+
+      const settings = await getSettings();
+      expect(settings.defaultDurationMinutes).toBe(60);
+      expect(settings.allowReExports).toBe(false);
+    });
+  });
+
+  describe('description templates', () => {
+    test('keeps valid templates for all calendars and single exporters', async () => {
+      await saveSettings({
+        descriptionTemplate: '{{title}}\n{{url}}',
+        providerTemplates: { outlook: '{{title}}', 'outlook-live': '{{url}}' }
+      });
+
+      const settings = await getSettings();
+      expect(settings.descriptionTemplate).toBe('{{title}}\n{{url}}');
+      expect(settings.providerTemplates).toEqual({ outlook: '{{title}}', 'outlook-live': '{{url}}' });
+    });
+
+    test('replaces an invalid general template with the default', async () => {
+      storage.settings = { descriptionTemplate: '{{#if title}}' };
+      expect((await getSettings()).descriptionTemplate).toBe(DEFAULT_SETTINGS.descriptionTemplate);
+    });
+
+    test('drops empty and invalid exporter templates', async () => {
+      storage.settings = { providerTemplates: { outlook: '', yahoo: '{{venue}}', 'bad id': '{{title}}', zoho: '{{title}}' } };
+      expect((await getSettings()).providerTemplates).toEqual({ zoho: '{{title}}' });
+
+      storage.settings = { providerTemplates: ['{{title}}'] };
+      expect((await getSettings()).providerTemplates).toEqual({});
+    });
+  });
+
+  describe('Google Calendar API settings', () => {
+    test('is off and writes to the primary calendar by default', async () => {
+      const settings = await getSettings();
+      expect(settings.googleApiEnabled).toBe(false);
+      expect(settings.googleCalendarId).toBe('primary');
+      expect(settings.googleApiBaseUrl).toBe('https://www.googleapis.com/calendar/v3');
+    });
+
+    test('accepts a local mock server as the API root', async () => {
+      await saveSettings({ googleApiEnabled: true, googleApiBaseUrl: 'http://localhost:8080/calendar/v3' });
+
+      const settings = await getSettings();
+      expect(settings.googleApiEnabled).toBe(true);
+      expect(settings.googleApiBaseUrl).toBe('http://localhost:8080/calendar/v3');
+    });
+
+    test('replaces an invalid API root or calendar with the default', async () => {
+      storage.settings = { googleApiEnabled: 'yes', googleApiBaseUrl: 'javascript:alert(1)', googleCalendarId: '' };
+
+      const settings = await getSettings();
+      expect(settings.googleApiEnabled).toBe(false);
+      expect(settings.googleApiBaseUrl).toBe('https://www.googleapis.com/calendar/v3');
+      expect(settings.googleCalendarId).toBe('primary');
+    });
+  });
+
+  describe('Microsoft Graph settings', () => {
+    test('is off and uses the public endpoints by default', async () => {
+      const settings = await getSettings();
+      expect(settings.microsoftApiEnabled).toBe(false);
+      expect(settings.microsoftClientId).toBe('');
+      expect(settings.microsoftCalendarId).toBe('');
+      expect(settings.microsoftGraphBaseUrl).toBe('https://graph.microsoft.com/v1.0');
+      expect(settings.microsoftAuthorityUrl).toBe('https://login.microsoftonline.com/common/oauth2/v2.0');
+    });
+
+    test('accepts a local stub and replaces invalid endpoints', async () => {
+      storage.settings = { microsoftGraphBaseUrl: 'http://localhost:3000/v1.0', microsoftAuthorityUrl: 'not a url' };
+
+      const settings = await getSettings();
+      expect(settings.microsoftGraphBaseUrl).toBe('http://localhost:3000/v1.0');
+      expect(settings.microsoftAuthorityUrl).toBe('https://login.microsoftonline.com/common/oauth2/v2.0');
+    });
+
+    test('stays off without a client ID', async () => {
+      storage.settings = { microsoftApiEnabled: true, microsoftClientId: '' };
+      expect((await getSettings()).microsoftApiEnabled).toBe(false);
+
+      storage.settings = { microsoftApiEnabled: true, microsoftClientId: 'app-1' };
+      expect((await getSettings()).microsoftApiEnabled).toBe(true);
+    });
+  });
+
+  describe('CalDAV settings', () => {
+    test('keeps a collection and its credentials', async () => {
+      await saveSettings({
+        caldavEnabled: true,
+        caldavCollectionUrl: 'http://localhost:5232/user/calendar/',
+        caldavUsername: 'user',
+        caldavPassword: 'secret'
+      });
+
+      const settings = await getSettings();
+      expect(settings.caldavEnabled).toBe(true);
+      expect(settings.caldavCollectionUrl).toBe('http://localhost:5232/user/calendar/');
+      expect(settings.caldavUsername).toBe('user');
+    });
+
+    test('accepts plain http only on this machine', async () => {
+      storage.settings = { caldavEnabled: true, caldavCollectionUrl: 'http://127.0.0.1:5232/user/calendar/' };
+      expect((await getSettings()).caldavEnabled).toBe(true);
+
+      storage.settings = { caldavEnabled: true, caldavCollectionUrl: 'http://cloud.example.com/dav/' };
+      const settings = await getSettings();
+      expect(settings.caldavEnabled).toBe(false);
+      expect(settings.caldavCollectionUrl).toBe('');
+    });
+
+    test('stays off without a valid collection URL', async () => {
+      storage.settings = { caldavEnabled: true, caldavCollectionUrl: 'webcal://example.com/cal' };
+
+      const settings = await getSettings();
+      expect(settings.caldavEnabled).toBe(false);
+      expect(settings.caldavCollectionUrl).toBe('');
+    });
+  });
+
+  describe('getEventReminders', () => {
+    test('uses the default reminders without an override', async () => {
+      expect(await getEventReminders('office-hours')).toEqual(DEFAULT_SETTINGS.reminders);
+    });
+
+    test('uses the override of the event', async () => {
+      await setReminderOverride('office-hours', [{ minutes: 1440, action: 'DISPLAY' }]);
+
+      expect(await getEventReminders('office-hours')).toEqual([{ minutes: 1440, action: 'DISPLAY' }]);
+      expect(await getEventReminders('hangout')).toEqual(DEFAULT_SETTINGS.reminders);
+    });
+
+    test('an empty override turns reminders off for the event', async () => {
+      await setReminderOverride('office-hours', []);
+      expect(await getEventReminders('office-hours')).toEqual([]);
+    });
+
+    test('clearing the override goes back to the defaults', async () => {
+      await setReminderOverride('office-hours', []);
+      await setReminderOverride('office-hours', null);
+      expect(await getEventReminders('office-hours')).toEqual(DEFAULT_SETTINGS.reminders);
+    });
+  });
+});
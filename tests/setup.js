@@ -2,12 +2,24 @@
 global.chrome = {
   runtime: {
     onMessage: {
+      addListener: jest.fn(),
+      removeListener: jest.fn()
+    },
+    onConnect: {
       addListener: jest.fn()
     },
     sendMessage: jest.fn()
   },
   tabs: {
     query: jest.fn(),
-    sendMessage: jest.fn()
+    sendMessage: jest.fn(),
+    connect: jest.fn()
   }
 };
+
+// jsdom leaves out the Web Crypto digest and TextEncoder the Microsoft
+// sign-in (PKCE) uses; Node ships both
+const { webcrypto } = require('crypto');
+const { TextEncoder } = require('util');
+Object.defineProperty(global.crypto, 'subtle', { value: webcrypto.subtle, configurable: true });
+global.TextEncoder = TextEncoder;
@@ -0,0 +1,42 @@
+const { resolveTimezone, wallTimeToDate } = require('../src/utils/timezones');
+
+describe('resolveTimezone', () => {
+  test('resolves US abbreviations', () => {
+    expect(resolveTimezone('EST')).toEqual({ abbreviation: 'EST', offset: -300, zone: 'America/New_York' });
+    expect(resolveTimezone('PDT')).toEqual({ abbreviation: 'PDT', offset: -420, zone: 'America/Los_Angeles' });
+  });
+
+  test('resolves European and Asia/Pacific abbreviations', () => {
+    expect(resolveTimezone('CEST').offset).toBe(120);
+    expect(resolveTimezone('BST').zone).toBe('Europe/London');
+    expect(resolveTimezone('IST').offset).toBe(330);
+    expect(resolveTimezone('NZDT').offset).toBe(780);
+  });
+
+  test('is case-insensitive and trims whitespace', () => {
+    expect(resolveTimezone(' est ').offset).toBe(-300);
+  });
+
+  test('parses GMT/UTC offset labels', () => {
+    expect(resolveTimezone('GMT+2')).toEqual({ abbreviation: 'GMT+2', offset: 120, zone: null });
+    expect(resolveTimezone('UTC-03:30').offset).toBe(-210);
+    expect(resolveTimezone('GMT+0545').offset).toBe(345);
+  });
+
+  test('returns null for unknown or invalid labels', () => {
+    expect(resolveTimezone('XYZ')).toBeNull();
+    expect(resolveTimezone('GMT+25')).toBeNull();
+    expect(resolveTimezone('')).toBeNull();
+    expect(resolveTimezone(null)).toBeNull();
+  });
+});
+
+describe('wallTimeToDate', () => {
+  test('converts a wall-clock time at an offset to the UTC instant', () => {
+    expect(wallTimeToDate(2025, 11, 4, 10, 0, -300).toISOString()).toBe('2025-12-04T15:00:00.000Z');
+  });
+
+  test('rolls over to the previous day for positive offsets', () => {
+    expect(wallTimeToDate(2025, 11, 8, 1, 30, 120).toISOString()).toBe('2025-12-07T23:30:00.000Z');
+  });
+});
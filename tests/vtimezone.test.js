@@ -0,0 +1,113 @@
+/**
+ * Tests for VTIMEZONE generation
+ */
+
+const {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  formatLocalDate,
+  formatOffset,
+  buildVTimezone
+} = require('../src/utils/vtimezone');
+
+/**
+ * Splits VTIMEZONE lines into its observances
+ */
+function observances(lines) {
+  const result = [];
+  let current = null;
+  lines.forEach(line => {
+    const begin = line.match(/^BEGIN:(STANDARD|DAYLIGHT)$/);
+    if (begin) {
+      current = { type: begin[1] };
+    } else if (/^END:(STANDARD|DAYLIGHT)$/.test(line)) {
+      result.push(current);
+      current = null;
+    } else if (current) {
+      const [name, value] = line.split(':');
+      current[name] = value;
+    }
+  });
+  return result;
+}
+
+describe('isValidTimeZone', () => {
+  test('accepts IANA zones and rejects anything else', () => {
+    expect(isValidTimeZone('America/New_York')).toBe(true);
+    expect(isValidTimeZone('Not/AZone')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+});
+
+describe('getTimeZoneOffset', () => {
+  test('follows daylight saving time', () => {
+    expect(getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), 'America/New_York')).toBe(-300);
+    expect(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'America/New_York')).toBe(-240);
+    expect(getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), 'Asia/Kolkata')).toBe(330);
+  });
+});
+
+describe('formatLocalDate', () => {
+  test('writes the wall-clock time in the zone', () => {
+    expect(formatLocalDate(new Date('2025-12-09T19:00:00Z'), 'America/New_York')).toBe('20251209T140000');
+    expect(formatLocalDate(new Date('2025-12-09T19:00:00Z'), 'Europe/Paris')).toBe('20251209T200000');
+  });
+});
+
+describe('formatOffset', () => {
+  test('formats offsets as +/-HHMM', () => {
+    expect(formatOffset(-300)).toBe('-0500');
+    expect(formatOffset(330)).toBe('+0530');
+    expect(formatOffset(0)).toBe('+0000');
+  });
+});
+
+describe('buildVTimezone', () => {
+  test('lists the US daylight saving transitions of the year', () => {
+    const lines = buildVTimezone('America/New_York', [new Date('2026-05-01T14:00:00Z')]);
+
+    expect(lines[0]).toBe('BEGIN:VTIMEZONE');
+    expect(lines[1]).toBe('TZID:America/New_York');
+    expect(lines[lines.length - 1]).toBe('END:VTIMEZONE');
+
+    const [initial, spring, fall] = observances(lines);
+    expect(initial).toMatchObject({ type: 'STANDARD', TZOFFSETFROM: '-0500', TZOFFSETTO: '-0500' });
+    expect(spring).toMatchObject({
+      type: 'DAYLIGHT',
+      DTSTART: '20260308T020000',
+      TZOFFSETFROM: '-0500',
+      TZOFFSETTO: '-0400',
+      TZNAME: 'EDT'
+    });
+    expect(fall).toMatchObject({
+      type: 'STANDARD',
+      DTSTART: '20261101T020000',
+      TZOFFSETFROM: '-0400',
+      TZOFFSETTO: '-0500',
+      TZNAME: 'EST'
+    });
+  });
+
+  test('handles southern hemisphere daylight time', () => {
+    const [initial, autumn, spring] = observances(buildVTimezone('Australia/Sydney', [new Date('2026-02-01T00:00:00Z')]));
+
+    expect(initial).toMatchObject({ type: 'DAYLIGHT', TZOFFSETTO: '+1100' });
+    expect(autumn).toMatchObject({ type: 'STANDARD', DTSTART: '20260405T030000', TZOFFSETTO: '+1000' });
+    expect(spring).toMatchObject({ type: 'DAYLIGHT', DTSTART: '20261004T020000', TZOFFSETTO: '+1100' });
+  });
+
+  test('covers every year the events span', () => {
+    const lines = buildVTimezone('Europe/Paris', [new Date('2025-12-20T10:00:00Z'), new Date('2026-01-10T10:00:00Z')]);
+    const starts = observances(lines).map(o => o.DTSTART);
+
+    expect(starts).toContain('20250330T020000');
+    expect(starts).toContain('20261025T030000');
+  });
+
+  test('emits a single standard observance for zones without DST', () => {
+    const list = observances(buildVTimezone('Asia/Tokyo', [new Date('2026-03-01T00:00:00Z')]));
+
+    expect(list).toHaveLength(1);
+    expect(list[0]).toMatchObject({ type: 'STANDARD', TZOFFSETFROM: '+0900', TZOFFSETTO: '+0900' });
+  });
+});
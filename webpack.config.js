@@ -19,4 +19,13 @@ module.exports = [
     },
     mode: 'production',
   },
+  // Options page script bundle
+  {
+    entry: './src/options.js',
+    output: {
+      filename: 'options.js',
+      path: path.resolve(__dirname, 'dist'),
+    },
+    mode: 'production',
+  },
 ];